@@ -24,18 +24,32 @@ import {
     TIMEZONE_CONFIG, 
     HARDCODED_BLOCKLIST,
     DB_FLUSH_INTERVAL_MS,
-    DB_MIN_VAR_TEMP,
-    DB_MIN_VAR_HUM,
-    DB_HEARTBEAT_MS,
-    BATCH_ALERT_INTERVAL_MS,
     ALERT_SOAK_TIME_MS,
     GATEWAY_TIMEOUT_MS,
-    GATEWAY_CHECK_INTERVAL_MS
+    GATEWAY_CHECK_INTERVAL_MS,
+    DEAD_LETTER_MAX_ENTRIES,
+    JOURNAL_DIR,
+    JOURNAL_FSYNC,
+    DB_BUFFER_MAX_ROWS,
+    SNAPSHOT_PATH,
+    SNAPSHOT_INTERVAL_MS,
+    SNAPSHOT_MAX_AGE_MS,
+    ROLLUP_ENABLED,
+    RETENTION_ENABLED,
+    MAINTENANCE_CHECK_INTERVAL_MS,
+    CORS_ORIGINS,
+    NOTIFIERS,
+    ESCALATION_POLICIES
 } from './src/config/constants.js';
 
 // Utilitários
 import logger from './src/utils/logger.js';
-import { formatarMac, calcularBateria } from './src/utils/formatters.js';
+import { formatarMac } from './src/utils/formatters.js';
+import { JournaledBuffer } from './src/utils/JournaledBuffer.js';
+
+// Decoders
+import decoderRegistry from './src/decoders/DecoderRegistry.js';
+import { DecodeError } from './src/decoders/PayloadDecoder.js';
 
 // Repositories
 import sensorRepository from './src/repositories/SensorRepository.js';
@@ -43,32 +57,157 @@ import sensorRepository from './src/repositories/SensorRepository.js';
 // Services
 import SensorService from './src/services/SensorService.js';
 import { HealthService } from './src/services/HealthService.js';
+import { IngestionService } from './src/services/IngestionService.js';
+import { DeadLetterService } from './src/services/DeadLetterService.js';
+import { PersistenceService, selecionarDescarteTelemetria } from './src/services/PersistenceService.js';
+import { AlertService } from './src/services/AlertService.js';
+import { SnapshotService } from './src/services/SnapshotService.js';
+import { RollupService } from './src/services/RollupService.js';
+import { RetentionService } from './src/services/RetentionService.js';
+import { SensorConfigService } from './src/services/SensorConfigService.js';
+import { TelemetryService } from './src/services/TelemetryService.js';
+import { EventBus, EVENT_TYPES } from './src/services/EventBus.js';
+import { MaintenanceService } from './src/services/MaintenanceService.js';
+import metricsService from './src/services/MetricsService.js';
+import { ReadinessService } from './src/services/ReadinessService.js';
+import { AuthService, ROLES } from './src/services/AuthService.js';
+import { AuditService } from './src/services/AuditService.js';
+import { NotificationService } from './src/services/NotificationService.js';
+import { EscalationService } from './src/services/EscalationService.js';
+
+// Middlewares
+import { exigirPapel } from './src/middlewares/auth.js';
+import { auditar } from './src/middlewares/audit.js';
+import { tratarErroCorpo } from './src/middlewares/bodyErrors.js';
 
 // Controllers
 import { HealthController } from './src/controllers/HealthController.js';
+import { IngestionController } from './src/controllers/IngestionController.js';
+import { PersistenceController } from './src/controllers/PersistenceController.js';
+import { SensorController } from './src/controllers/SensorController.js';
+import { AlertController } from './src/controllers/AlertController.js';
+import { RetentionController } from './src/controllers/RetentionController.js';
+import { SensorConfigController } from './src/controllers/SensorConfigController.js';
+import { StreamController } from './src/controllers/StreamController.js';
+import { MaintenanceController } from './src/controllers/MaintenanceController.js';
+import { MetricsController } from './src/controllers/MetricsController.js';
+import { AuditController } from './src/controllers/AuditController.js';
+import { DeliveryController } from './src/controllers/DeliveryController.js';
 
 // ============================================================================
 // INICIALIZAÇÃO
 // ============================================================================
 
 const app = express();
-app.use(express.json());
-app.use(cors());
 
 // Estado em memória
 const configCache = new Map();
 const secondarySensorsBlocklist = new Set();
 const gatewayHeartbeats = new Map();
 const alertWatchlist = new Map();
-
-// Buffers para persistência
-const dbTelemetryBuffer = [];
-const dbDoorBuffer = [];
-const n8nAlertBuffer = [];
+const mqttState = { connected: false, since: null }; // Atualizado pelos eventos do cliente MQTT
+
+// Buffers para persistência (com journal em disco, recuperado no boot)
+// Telemetria é limitada (descarta heartbeats primeiro); eventos de porta nunca são descartados
+const dbTelemetryBuffer = new JournaledBuffer('telemetry', JOURNAL_DIR, {
+    fsync: JOURNAL_FSYNC,
+    maxSize: DB_BUFFER_MAX_ROWS,
+    selectEvictions: selecionarDescarteTelemetria
+});
+const dbDoorBuffer = new JournaledBuffer('door', JOURNAL_DIR, { fsync: JOURNAL_FSYNC });
+const dbDefrostBuffer = new JournaledBuffer('defrost', JOURNAL_DIR, { fsync: JOURNAL_FSYNC });
+const dbAlertLogBuffer = new JournaledBuffer('alert_logs', JOURNAL_DIR, { fsync: JOURNAL_FSYNC });
+const alertNotificationBuffer = new JournaledBuffer('alerts', JOURNAL_DIR, { fsync: JOURNAL_FSYNC });
+const dbAuditBuffer = new JournaledBuffer('audit', JOURNAL_DIR, { fsync: JOURNAL_FSYNC });
+[dbTelemetryBuffer, dbDoorBuffer, dbDefrostBuffer, dbAlertLogBuffer, alertNotificationBuffer, dbAuditBuffer].forEach(buffer => buffer.load());
 
 // Sensor Service (instanciado com watchlist)
 const sensorService = new SensorService(alertWatchlist);
 
+// Configurações de sensores (cache + escrita pela API)
+const sensorConfigService = new SensorConfigService(sensorRepository, configCache, secondarySensorsBlocklist, sensorService);
+
+// Snapshot do estado dos sensores (warm restart)
+const snapshotService = new SnapshotService(sensorService, configCache, SNAPSHOT_PATH, SNAPSHOT_MAX_AGE_MS);
+
+// Eventos em tempo real (SSE e WebSocket)
+const eventBus = new EventBus();
+
+// Ciclo de vida dos alertas (alert_logs)
+const alertService = new AlertService(sensorService, sensorRepository, dbAlertLogBuffer, eventBus);
+
+// Janelas de manutenção (suprimem alertas e lembram manutenções esquecidas)
+const maintenanceService = new MaintenanceService(sensorRepository, configCache, alertService, alertNotificationBuffer);
+
+// Dead-letter de mensagens rejeitadas
+const deadLetterService = new DeadLetterService(DEAD_LETTER_MAX_ENTRIES);
+
+// Ingestion Service (pipeline compartilhado por MQTT e HTTP)
+const ingestionService = new IngestionService(
+    sensorService,
+    configCache,
+    secondarySensorsBlocklist,
+    gatewayHeartbeats,
+    {
+        telemetry: dbTelemetryBuffer,
+        door: dbDoorBuffer,
+        defrost: dbDefrostBuffer,
+        alerts: alertNotificationBuffer
+    },
+    deadLetterService,
+    alertService,
+    eventBus,
+    maintenanceService
+);
+
+// Notificação dos alertas (canais de NOTIFIERS, cada um com lote e retentativa próprios)
+const notificationService = new NotificationService(alertNotificationBuffer, NOTIFIERS, {
+    journalDir: JOURNAL_DIR,
+    fsync: JOURNAL_FSYNC,
+    validar: alerta => validarAlertaAntesEnvio(alerta),
+    localizarGateway: mac => ingestionService.gatewayDoSensor(mac)
+});
+
+// Escalonamento dos alertas não reconhecidos (ESCALATION_POLICIES) para os canais de cada nível
+const escalationService = new EscalationService(alertService, notificationService, ESCALATION_POLICIES, {
+    journalDir: JOURNAL_DIR,
+    fsync: JOURNAL_FSYNC
+});
+
+// Persistence Service (flush em lote com backoff e quarentena)
+const persistenceService = new PersistenceService(sensorRepository, {
+    telemetry: dbTelemetryBuffer,
+    door: dbDoorBuffer,
+    defrost: dbDefrostBuffer,
+    alertLogs: dbAlertLogBuffer,
+    audit: dbAuditBuffer
+}, {
+    journalDir: JOURNAL_DIR,
+    fsync: JOURNAL_FSYNC
+});
+
+// Agregados horários e diários da telemetria
+const rollupService = new RollupService(sensorRepository, configCache, sensorService);
+
+// Retenção de dados por tabela
+const retentionService = new RetentionService(sensorRepository);
+
+// Readiness (dependências verificadas por /health/ready)
+const readinessService = new ReadinessService(mqttState, ingestionService, persistenceService, sensorConfigService);
+
+// Autenticação da API (chaves e JWT com papéis) e auditoria das chamadas que alteram dados
+const authService = new AuthService();
+const auditService = new AuditService(sensorRepository, dbAuditBuffer);
+
+const authStats = authService.getStats();
+if (!authStats.enabled) {
+    logger.logWarn('AUTH', 'Autenticação desativada: API aberta a qualquer chamador (configure API_KEYS ou JWT_SECRET)');
+} else if (!authStats.api_keys && !authStats.jwt) {
+    logger.logError('AUTH', 'AUTH_ENABLED sem chaves nem JWT configurados: todas as rotas protegidas serão recusadas');
+} else {
+    logger.logInfo('AUTH', 'Autenticação ativa', { api_keys: authStats.api_keys, jwt: authStats.jwt });
+}
+
 // Health Service
 const healthService = new HealthService(
     sensorService,
@@ -77,69 +216,110 @@ const healthService = new HealthService(
     {
         telemetry: dbTelemetryBuffer,
         door: dbDoorBuffer,
-        alerts: n8nAlertBuffer
-    }
+        defrost: dbDefrostBuffer,
+        alertLogs: dbAlertLogBuffer,
+        alerts: alertNotificationBuffer
+    },
+    ingestionService,
+    persistenceService,
+    snapshotService,
+    ROLLUP_ENABLED ? rollupService : null,
+    eventBus,
+    maintenanceService,
+    readinessService,
+    notificationService,
+    escalationService
 );
 
-// Health Controller
-const healthController = new HealthController(healthService);
+// Controllers
+const healthController = new HealthController(healthService, readinessService);
+const ingestionController = new IngestionController(ingestionService, deadLetterService);
+const persistenceController = new PersistenceController(persistenceService);
+const sensorController = new SensorController(
+    sensorRepository,
+    sensorConfigService,
+    healthService,
+    alertService,
+    new TelemetryService(sensorRepository)
+);
+const alertController = new AlertController(alertService, authService);
+const retentionController = new RetentionController(retentionService);
+const sensorConfigController = new SensorConfigController(sensorConfigService);
+const streamController = new StreamController(eventBus, authService, CORS_ORIGINS);
+const maintenanceController = new MaintenanceController(maintenanceService);
+const metricsController = new MetricsController(metricsService);
+const auditController = new AuditController(auditService);
+const deliveryController = new DeliveryController(notificationService);
+
+// Gauges do /metrics lidos na coleta
+metricsService.configurar({
+    buffers: {
+        telemetry: dbTelemetryBuffer,
+        door: dbDoorBuffer,
+        defrost: dbDefrostBuffer,
+        alert_logs: dbAlertLogBuffer,
+        alerts: alertNotificationBuffer,
+        audit: dbAuditBuffer,
+        quarantine: persistenceService.quarantine,
+        ...Object.fromEntries(notificationService.channels.flatMap(canal => [
+            [`notify_${canal.name}`, canal.buffer],
+            [`notify_${canal.name}_outbox`, canal.outbox]
+        ])),
+        notify_dead_letter: notificationService.deadLetter
+    },
+    alertService
+});
 
 // ============================================================================
 // ROTAS
 // ============================================================================
 
-app.get('/health', (req, res) => healthController.getHealth(req, res));
+// Papéis: viewer (leitura), operator (ingestão, reconhecimento e manutenção), admin (configuração e auditoria)
+// /health/live e /health/ready ficam abertos para o orquestrador
+const exigir = (papel, opcoes) => exigirPapel(authService, papel, opcoes);
+// Auditoria antes do parser JSON, para registrar também os corpos recusados por tratarErroCorpo
+app.use(auditar(auditService));
+app.use(express.json({ limit: process.env.HTTP_BODY_LIMIT || '1mb' }));
+// Sem CORS_ORIGINS, qualquer origem (comportamento anterior)
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : undefined));
+
+app.get('/health', exigir(ROLES.VIEWER), (req, res) => healthController.getHealth(req, res));
+app.get('/health/live', (req, res) => healthController.getLive(req, res));
+app.get('/health/ready', (req, res) => healthController.getReady(req, res));
+app.get('/metrics', exigir(ROLES.VIEWER), (req, res) => metricsController.getMetrics(req, res));
+app.post('/ingest', exigir(ROLES.OPERATOR), (req, res) => ingestionController.postIngest(req, res));
+app.get('/ingest/rejected', exigir(ROLES.VIEWER), (req, res) => ingestionController.listRejected(req, res));
+app.get('/ingest/rejected/:id', exigir(ROLES.VIEWER), (req, res) => ingestionController.getRejected(req, res));
+app.post('/ingest/rejected/:id/resubmit', exigir(ROLES.OPERATOR), (req, res) => ingestionController.resubmitRejected(req, res));
+app.get('/persistence/quarantine', exigir(ROLES.VIEWER), (req, res) => persistenceController.getQuarantine(req, res));
+app.get('/sensors', exigir(ROLES.VIEWER), (req, res) => sensorConfigController.listConfigs(req, res));
+app.post('/sensors', exigir(ROLES.ADMIN), (req, res) => sensorConfigController.createConfig(req, res));
+app.get('/sensors/:mac', exigir(ROLES.VIEWER), (req, res) => sensorController.getSensor(req, res));
+app.put('/sensors/:mac', exigir(ROLES.ADMIN), (req, res) => sensorConfigController.updateConfig(req, res));
+app.delete('/sensors/:mac', exigir(ROLES.ADMIN), (req, res) => sensorConfigController.deleteConfig(req, res));
+app.get('/sensors/:mac/telemetry', exigir(ROLES.VIEWER), (req, res) => sensorController.getTelemetry(req, res));
+app.get('/sensors/:mac/defrosts', exigir(ROLES.VIEWER), (req, res) => sensorController.getDefrosts(req, res));
+app.get('/sensors/:mac/rollups', exigir(ROLES.VIEWER), (req, res) => sensorController.getRollups(req, res));
+app.get('/alerts', exigir(ROLES.VIEWER), (req, res) => alertController.listAlerts(req, res));
+app.get('/alerts/:id', exigir(ROLES.VIEWER), (req, res) => alertController.getAlert(req, res));
+app.post('/alerts/:id/ack', exigir(ROLES.OPERATOR), (req, res) => alertController.acknowledgeAlert(req, res));
+app.get('/retention', exigir(ROLES.VIEWER), (req, res) => retentionController.getRetention(req, res));
+app.get('/stream', exigir(ROLES.VIEWER, { permitirQuery: true }), (req, res) => streamController.getStream(req, res));
+app.get('/maintenance', exigir(ROLES.VIEWER), (req, res) => maintenanceController.listWindows(req, res));
+app.post('/maintenance', exigir(ROLES.OPERATOR), (req, res) => maintenanceController.createWindow(req, res));
+app.delete('/maintenance/:id', exigir(ROLES.OPERATOR), (req, res) => maintenanceController.deleteWindow(req, res));
+app.get('/deliveries', exigir(ROLES.VIEWER), (req, res) => deliveryController.listDeliveries(req, res));
+app.get('/deliveries/:id', exigir(ROLES.VIEWER), (req, res) => deliveryController.getDelivery(req, res));
+app.post('/deliveries/:id/resend', exigir(ROLES.OPERATOR), (req, res) => deliveryController.resendDelivery(req, res));
+app.get('/audit', exigir(ROLES.ADMIN), (req, res) => auditController.listAudit(req, res));
+
+// Corpo JSON inválido ou grande demais: resposta JSON (e dead-letter em POST /ingest)
+app.use(tratarErroCorpo(ingestionService, exigir(ROLES.OPERATOR)));
 
 // ============================================================================
 // CACHE E SINCRONIZAÇÃO
 // ============================================================================
 
-/**
- * Atualiza cache de configurações de sensores
- */
-const atualizarCacheSensores = async () => {
-    try {
-        logger.logDebug('CACHE', 'Iniciando atualização de cache de sensores...');
-        const configs = await sensorRepository.findAllConfigs();
-        
-        const novoCache = new Map();
-        const novaBlocklist = new Set(); 
-        let ultracongeladores = 0;
-        let emManutencao = 0;
-
-        configs.forEach(c => {
-            const macFormatted = formatarMac(c.mac);
-            if (macFormatted) {
-                novoCache.set(macFormatted, c);
-                if (c.temp_min && c.temp_min < -15) ultracongeladores++;
-                if (c.em_manutencao) emManutencao++;
-            }
-            if (c.sensor_porta_vinculado && c.sensor_porta_vinculado.length > 5) {
-                novaBlocklist.add(formatarMac(c.sensor_porta_vinculado));
-            }
-        });
-        
-        const removidos = configCache.size - novoCache.size;
-        configCache.clear();
-        novoCache.forEach((v, k) => configCache.set(k, v));
-        secondarySensorsBlocklist.clear();
-        novaBlocklist.forEach(v => secondarySensorsBlocklist.add(v));
-
-        logger.logInfo('CACHE', `Cache atualizado: ${configCache.size} sensores ativos`, {
-            total: configCache.size,
-            ultracongeladores,
-            em_manutencao: emManutencao,
-            sensores_secundarios: novaBlocklist.size,
-            removidos: removidos > 0 ? removidos : 0
-        });
-    } catch (e) { 
-        logger.logError('CACHE', 'Erro ao atualizar cache', {
-            error: e.message,
-            stack: e.stack
-        });
-    }
-};
-
 /**
  * Carrega último estado de portas do banco
  */
@@ -178,9 +358,14 @@ const carregarUltimoEstadoPortas = async () => {
                 const config = configCache.get(mac);
                 // Usa método público para criar ou obter estado
                 const state = sensorService.getOrCreateSensorState(mac, config);
+
+                // Não sobrescreve estado mais recente (snapshot restaurado ou detecção ao vivo)
+                const estadoTs = new Date(estado.timestamp).getTime();
+                const conhecidoEm = Math.max(state.alertControl.last_analysis_ts || 0, state.alertControl.last_porta_state_loaded_ts || 0);
+                if (estadoTs <= conhecidoEm) return;
                 
                 state.alertControl.last_virtual_state = estado.is_open;
-                state.alertControl.last_porta_state_loaded_ts = new Date(estado.timestamp).getTime();
+                state.alertControl.last_porta_state_loaded_ts = estadoTs;
                 portasCarregadas++;
                 if (estado.is_open) {
                     portasAbertas++;
@@ -237,15 +422,9 @@ const sincronizarGatewaysConhecidos = async () => {
     }
 };
 
-// Inicialização
-setTimeout(async () => {
-    await atualizarCacheSensores();
-    await carregarUltimoEstadoPortas();
-    await sincronizarGatewaysConhecidos();
-}, 1000);
-
 // Atualizações periódicas
-setInterval(atualizarCacheSensores, 10 * 60 * 1000);
+setInterval(() => sensorConfigService.recarregar(), 10 * 60 * 1000);
+setInterval(() => maintenanceService.carregar(), 10 * 60 * 1000);
 setInterval(sincronizarGatewaysConhecidos, 30 * 60 * 1000);
 
 // ============================================================================
@@ -253,55 +432,26 @@ setInterval(sincronizarGatewaysConhecidos, 30 * 60 * 1000);
 // ============================================================================
 
 /**
- * Persiste telemetria e logs de porta em lote
+ * Persiste telemetria, logs de porta e ciclos de degelo em lote
+ * O journal de cada buffer só é truncado após o insert confirmado
  */
-setInterval(async () => {
-    // Telemetria
-    if (dbTelemetryBuffer.length > 0) {
-        const batch = [...dbTelemetryBuffer];
-        dbTelemetryBuffer.length = 0;
-        try {
-            await sensorRepository.insertTelemetryBatch(batch);
-            logger.logInfo('DB', `Salvos ${batch.length} logs de telemetria`, {
-                total: batch.length,
-                sensores_unicos: new Set(batch.map(b => b.mac)).size,
-                gateways_unicos: new Set(batch.map(b => b.gw)).size
-            });
-        } catch (e) {
-            logger.logError('DB', 'Erro ao salvar telemetria', {
-                batch_size: batch.length,
-                error: e.message 
-            });
-            dbTelemetryBuffer.unshift(...batch);
-        }
-    }
+setInterval(() => persistenceService.flush(), DB_FLUSH_INTERVAL_MS);
 
-    // Portas
-    if (dbDoorBuffer.length > 0) {
-        const batch = [...dbDoorBuffer];
-        dbDoorBuffer.length = 0;
-        try {
-            await sensorRepository.insertDoorBatch(batch);
-            logger.logInfo('DB', `Salvos ${batch.length} logs de porta virtual`, {
-                total: batch.length,
-                aberturas: batch.filter(b => b.is_open).length,
-                fechamentos: batch.filter(b => !b.is_open).length
-            });
-        } catch (e) {
-            logger.logError('DB', 'Erro ao salvar logs de porta', {
-                batch_size: batch.length,
-                error: e.message 
-            });
-            dbDoorBuffer.unshift(...batch);
-        }
-    }
-}, DB_FLUSH_INTERVAL_MS);
+/**
+ * Grava o snapshot do estado dos sensores (restaurado no próximo boot)
+ */
+setInterval(() => snapshotService.salvar(), SNAPSHOT_INTERVAL_MS);
 
 /**
  * Valida se um alerta ainda é relevante antes de enviar
  * Verifica se temperatura está normal e se porta está fechada
  */
 function validarAlertaAntesEnvio(alerta) {
+    // Aviso de escalonamento: descarta se o alerta já foi reconhecido ou resolvido
+    if (alerta.dados_contexto?.escalonamento) {
+        return escalationService.pendente(alerta.alert_id);
+    }
+
     // Alertas de infraestrutura (SISTEMA) sempre são válidos
     if (alerta.prioridade === 'SISTEMA' || 
         (alerta.dados_contexto?.tipo === 'INFRAESTRUTURA')) {
@@ -320,6 +470,14 @@ function validarAlertaAntesEnvio(alerta) {
     const now = Date.now();
     const tempAtual = state.lastReading.db_temp;
 
+    // Lembrete de manutenção prolongada: descarta se o sensor já saiu de manutenção
+    if (alerta.dados_contexto?.tipo === 'MANUTENCAO_PROLONGADA' && !maintenanceService.emManutencao(mac, config, now)) {
+        logger.logInfo('NOTIFICACAO', `Lembrete de manutenção descartado - sensor já saiu de manutenção`, {
+            sensor: mac
+        });
+        return false;
+    }
+
     // Verifica se é alerta de temperatura
     const isAlertaTemp = alerta.mensagens && alerta.mensagens.some(msg => 
         msg.includes('Temp ALTA') || msg.includes('Temp BAIXA')
@@ -336,7 +494,7 @@ function validarAlertaAntesEnvio(alerta) {
         const dentroDoRange = tempAtual >= LIMIT_TEMP_MIN && tempAtual <= LIMIT_TEMP_MAX;
         
         if (dentroDoRange) {
-            logger.logInfo('N8N', `Alerta de temperatura descartado - temperatura já normalizada`, {
+            logger.logInfo('NOTIFICACAO', `Alerta de temperatura descartado - temperatura já normalizada`, {
                 sensor: mac,
                 temp_atual: tempAtual,
                 limite_min: LIMIT_TEMP_MIN,
@@ -357,7 +515,7 @@ function validarAlertaAntesEnvio(alerta) {
         const portaFechada = !state.alertControl.last_virtual_state;
         
         if (portaFechada) {
-            logger.logInfo('N8N', `Alerta de porta descartado - porta já está fechada`, {
+            logger.logInfo('NOTIFICACAO', `Alerta de porta descartado - porta já está fechada`, {
                 sensor: mac,
                 mensagem: alerta.mensagens[0]
             });
@@ -370,72 +528,10 @@ function validarAlertaAntesEnvio(alerta) {
 }
 
 /**
- * Envia alertas para N8N em lote
+ * Envia os alertas aos canais de notificação em lote e escalona os não reconhecidos
  */
-setInterval(async () => {
-    if (n8nAlertBuffer.length === 0) return;
-    
-    const payload = [...n8nAlertBuffer];
-    n8nAlertBuffer.length = 0;
-
-    // Valida alertas antes de enviar - remove os que já não são mais relevantes
-    const alertasValidos = payload.filter(alerta => validarAlertaAntesEnvio(alerta));
-    const alertasDescartados = payload.length - alertasValidos.length;
-
-    if (alertasDescartados > 0) {
-        logger.logInfo('N8N', `${alertasDescartados} alertas descartados por validação`, {
-            total_original: payload.length,
-            descartados: alertasDescartados,
-            validos: alertasValidos.length
-        });
-    }
-
-    if (alertasValidos.length === 0) {
-        logger.logDebug('N8N', 'Nenhum alerta válido para enviar após validação');
-        return;
-    }
-
-    const prioridades = alertasValidos.reduce((acc, a) => {
-        acc[a.prioridade] = (acc[a.prioridade] || 0) + 1;
-        return acc;
-    }, {});
-    
-    logger.logInfo('N8N', `Enviando ${alertasValidos.length} alertas validados`, {
-        total: alertasValidos.length,
-        prioridades,
-        sensores_unicos: new Set(alertasValidos.map(a => a.sensor_mac)).size
-    });
-    
-    try {
-        const response = await fetch('https://n8n.alcateia-ia.com/webhook/coldchain/alertas', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                timestamp: new Date().toISOString(), 
-                total_alertas: alertasValidos.length, 
-                is_batched: true, 
-                alertas: alertasValidos 
-            })
-        });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        logger.logInfo('N8N', 'Alertas enviados com sucesso', {
-            total: alertasValidos.length,
-            status: response.status
-        });
-    } catch (e) { 
-        logger.logError('N8N', 'Falha ao enviar alertas', {
-            total: alertasValidos.length,
-            error: e.message,
-            stack: e.stack 
-        });
-        // Em caso de erro, retorna apenas os alertas válidos ao buffer
-        n8nAlertBuffer.unshift(...alertasValidos);
-    }
-}, BATCH_ALERT_INTERVAL_MS);
+notificationService.iniciar();
+escalationService.iniciar();
 
 /**
  * Monitora gateways offline
@@ -446,19 +542,33 @@ setInterval(() => {
             if (HARDCODED_BLOCKLIST.includes(gmac)) return;
         if (now - data.last_seen > GATEWAY_TIMEOUT_MS) {
             const minOffline = Math.floor((now - data.last_seen) / 60000);
-            n8nAlertBuffer.push({
+            const alerta = {
                 sensor_nome: `GATEWAY ${gmac.slice(-5)}`,
                 sensor_mac: gmac,
                 prioridade: 'SISTEMA',
                 mensagens: [`GATEWAY OFFLINE há ${minOffline} minutos.`],
                 timestamp_iso: moment(now).tz(TIMEZONE_CONFIG).format(),
                 dados_contexto: { tipo: "INFRAESTRUTURA" }
-            });
+            };
+            alertService.registrar(alerta);
+            alertNotificationBuffer.push(alerta);
+            if (!data.offline) {
+                data.offline = true;
+                eventBus.publicar(EVENT_TYPES.GATEWAY_OFFLINE, {
+                    gateway_mac: gmac,
+                    data: { last_seen: new Date(data.last_seen).toISOString(), offline_min: minOffline }
+                });
+            }
             logger.logWarn('GATEWAY', `Gateway ${gmac} offline há ${minOffline} minutos`);
         }
     });
 }, GATEWAY_CHECK_INTERVAL_MS);
 
+/**
+ * Expira janelas de manutenção e lembra sensores em manutenção há tempo demais
+ */
+setInterval(() => maintenanceService.verificar(), MAINTENANCE_CHECK_INTERVAL_MS);
+
 /**
  * Limpa dados antigos
  */
@@ -502,23 +612,30 @@ setInterval(() => {
 // MQTT
 // ============================================================================
 
-const TOPIC_DATA = '/alcateia/gateways/beacons/prd_ble_dat';
-
+// A conexão só é aberta na inicialização, depois de restaurado o estado
 const client = mqtt.connect(process.env.MQTT_BROKER_URL || 'mqtt://broker.hivemq.com', {
     clientId: 'alcateia_neural_v5_' + Math.random().toString(16).substring(2, 8),
     clean: true,
-    reconnectPeriod: 5000
+    reconnectPeriod: 5000,
+    manualConnect: true
 });
 
+const atualizarEstadoMqtt = (conectado) => {
+    if (mqttState.connected !== conectado) mqttState.since = Date.now();
+    mqttState.connected = conectado;
+    metricsService.mqttConnected.set(conectado ? 1 : 0);
+};
+
 client.on('connect', async () => {
+    atualizarEstadoMqtt(true);
     logger.logInfo('MQTT', 'Conectado ao broker', {
         broker: process.env.MQTT_BROKER_URL || 'mqtt://broker.hivemq.com',
         client_id: client.options.clientId,
-        topic: TOPIC_DATA
+        topics: decoderRegistry.getTopics()
     });
-    client.subscribe(TOPIC_DATA);
+    client.subscribe(decoderRegistry.getTopics());
     
-    await atualizarCacheSensores(); 
+    await sensorConfigService.recarregar(); 
     await carregarUltimoEstadoPortas();
     await sincronizarGatewaysConhecidos();
 });
@@ -530,6 +647,10 @@ client.on('error', (error) => {
     });
 });
 
+client.on('close', () => {
+    atualizarEstadoMqtt(false);
+});
+
 client.on('offline', () => {
     logger.logWarn('MQTT', 'Cliente desconectado');
 });
@@ -539,147 +660,17 @@ client.on('reconnect', () => {
 });
 
 client.on('message', (topic, message) => {
-    if (topic !== TOPIC_DATA) {
-        logger.logDebug('MQTT', 'Mensagem recebida em tópico não monitorado', { topic });
-        return;
-    }
-    
     try {
-        const payload = JSON.parse(message.toString());
-        const items = Array.isArray(payload) ? payload : [payload];
-        const now = Date.now();
-        
         logger.logDebug('MQTT', 'Mensagem MQTT recebida', {
-            items_count: items.length,
             topic,
             payload_size: message.length
         });
         
-        let sensoresProcessados = 0;
-        let sensoresIgnorados = 0;
-        const gatewaysProcessados = new Set();
-        
-        items.forEach(item => {
-            const gatewayMac = formatarMac(item.gmac);
-            
-            if (HARDCODED_BLOCKLIST.includes(gatewayMac)) {
-                logger.logDebug('MQTT', 'Gateway na blocklist ignorado', { gateway: gatewayMac });
-                return;
-            }
-            
-            if (gatewayMac) {
-                gatewayHeartbeats.set(gatewayMac, { last_seen: now });
-                gatewaysProcessados.add(gatewayMac);
-            }
-            
-            if (!item.obj || !Array.isArray(item.obj)) {
-                logger.logDebug('MQTT', 'Item sem sensores', { gateway: gatewayMac });
-                return;
-            }
-            
-            item.obj.forEach(sensor => {
-                const mac = formatarMac(sensor.dmac);
-                
-                if (!mac) {
-                    sensoresIgnorados++;
-                    return;
-                }
-                
-                if (HARDCODED_BLOCKLIST.includes(mac)) {
-                    logger.logDebug('MQTT', 'Sensor na blocklist ignorado', { sensor: mac });
-                    sensoresIgnorados++;
-                    return;
-                }
-                
-                if (secondarySensorsBlocklist.has(mac)) {
-                    logger.logDebug('MQTT', 'Sensor secundário ignorado', { sensor: mac });
-                    sensoresIgnorados++;
-                    return;
-                }
-                
-                const config = configCache.get(mac);
-                if (!config) {
-                    logger.logDebug('MQTT', 'Sensor não encontrado no cache', { sensor: mac });
-                    sensoresIgnorados++;
-                    return;
-                }
-                
-                // Processa sensor usando o serviço
-                const result = sensorService.verificarSensor(mac, sensor, gatewayMac, config);
-
-                // Processa alerta
-                if (result?.alert) {
-                    n8nAlertBuffer.push(result.alert);
-                    logger.logWarn('ALERTA', `${config.display_name}: ${result.alert.mensagens[0]}`, {
-                        sensor: mac,
-                        prioridade: result.alert.prioridade,
-                        buffer_size: n8nAlertBuffer.length
-                    });
-                }
-                
-                // Processa evento de porta
-                if (result?.door) {
-                    dbDoorBuffer.push(result.door);
-                    logger.logDebug('DB', 'Evento de porta adicionado ao buffer', {
-                        sensor: mac,
-                        is_open: result.door.is_open,
-                        buffer_size: dbDoorBuffer.length
-                    });
-                }
-
-                // Processa telemetria
-                const state = sensorService.getSensorState(mac);
-                if (state && sensor.temp !== undefined) {
-                    const last = state.lastReading;
-                    const diffTemp = Math.abs(sensor.temp - last.db_temp);
-                    const diffHum = Math.abs((sensor.humidity || 0) - last.db_hum);
-                    const timeSinceLastDB = now - last.db_ts;
-                    
-                    if (diffTemp >= DB_MIN_VAR_TEMP || diffHum >= DB_MIN_VAR_HUM || timeSinceLastDB > DB_HEARTBEAT_MS) {
-                        // Verifica se o sensor está em estado de degelo
-                        const isDefrosting = state.alertControl?.is_defrosting || false;
-                        
-                        dbTelemetryBuffer.push({ 
-                            gw: item.gmac, 
-                            mac: mac, 
-                            ts: new Date().toISOString(), 
-                            temp: sensor.temp, 
-                            hum: sensor.humidity, 
-                            batt: calcularBateria(sensor.vbatt), 
-                            rssi: sensor.rssi,
-                            is_degelo: isDefrosting
-                        });
-                        
-                        logger.logDebug('DB', 'Telemetria adicionada ao buffer', {
-                            sensor: mac,
-                            temp: sensor.temp,
-                            diff_temp: diffTemp.toFixed(2),
-                            diff_hum: diffHum.toFixed(2),
-                            time_since_last: Math.floor(timeSinceLastDB / 1000),
-                            is_degelo: isDefrosting,
-                            buffer_size: dbTelemetryBuffer.length
-                        });
-                        
-                        state.lastReading.db_temp = sensor.temp;
-                        state.lastReading.db_hum = sensor.humidity;
-                        state.lastReading.db_ts = now;
-                    }
-                }
-
-                sensoresProcessados++;
-            });
-        });
-        
-        logger.logDebug('MQTT', 'Mensagem processada', {
-            items: items.length,
-            sensores_processados: sensoresProcessados,
-            sensores_ignorados: sensoresIgnorados,
-            gateways: Array.from(gatewaysProcessados),
-            buffer_telemetry: dbTelemetryBuffer.length,
-            buffer_alertas: n8nAlertBuffer.length
-        });
-        
+        ingestionService.processMessage(topic, message);
     } catch (e) { 
+        // Rejeições de decodificação já são contabilizadas e registradas pelo DecoderRegistry
+        if (e instanceof DecodeError) return;
+
         logger.logError('MQTT', 'Erro ao processar mensagem', {
             error: e.message,
             stack: e.stack,
@@ -695,9 +686,16 @@ client.on('message', (topic, message) => {
 const shutdown = async () => {
     logger.logInfo('SYSTEM', 'Encerrando sistema...');
     client.end(); 
-    if (dbTelemetryBuffer.length > 0) {
-        await sensorRepository.insertTelemetryBatch(dbTelemetryBuffer);
-    }
+    rollupService.parar();
+    notificationService.parar();
+    escalationService.parar();
+    retentionService.parar();
+    ingestionService.flushPending();
+    snapshotService.salvar();
+    // Telemetria, portas e degelos vão para o banco; o que falhar (e os alertas pendentes) fica no journal para o próximo boot
+    await persistenceService.flush({ force: true });
+    // Gravações adiadas do SQLite (rollups e retenção fora do ciclo de flush)
+    await sensorRepository.sync().catch(e => logger.logError('SYSTEM', 'Erro ao gravar o banco no shutdown', { error: e.message }));
     process.exit(0);
 };
 
@@ -705,15 +703,46 @@ process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
 // ============================================================================
-// SERVER
+// INICIALIZAÇÃO
 // ============================================================================
 
 const PORT = process.env.PORT || 3030;
-app.listen(PORT, () => {
-    logger.logInfo('SYSTEM', 'Monitor ColdChain Neural v5 Online', {
-        porta: PORT,
-        log_level: process.env.LOG_LEVEL || 'debug',
-        timezone: TIMEZONE_CONFIG,
-        mqtt_broker: process.env.MQTT_BROKER_URL || 'mqtt://broker.hivemq.com'
+
+/**
+ * Carrega configurações, snapshot, estados de porta e alertas ativos antes de abrir o MQTT
+ * e a porta HTTP, para que nenhuma leitura seja processada (nem sobrescrita pela restauração)
+ * sobre um estado ainda vazio
+ */
+const iniciar = async () => {
+    await sensorConfigService.recarregar();
+    await maintenanceService.carregar();
+    snapshotService.restaurar();
+    await carregarUltimoEstadoPortas();
+    await sincronizarGatewaysConhecidos();
+    await alertService.carregarAtivos();
+
+    client.connect();
+
+    const server = app.listen(PORT, () => {
+        logger.logInfo('SYSTEM', 'Monitor ColdChain Neural v5 Online', {
+            porta: PORT,
+            log_level: process.env.LOG_LEVEL || 'debug',
+            timezone: TIMEZONE_CONFIG,
+            mqtt_broker: process.env.MQTT_BROKER_URL || 'mqtt://broker.hivemq.com'
+        });
     });
+
+    // WebSocket do stream de eventos (/stream/ws)
+    streamController.attachWebSocket(server);
+
+    // Reenvia registros recuperados do journal
+    await persistenceService.flush();
+    // Agenda os agregados e completa os períodos que faltam
+    if (ROLLUP_ENABLED) await rollupService.iniciar();
+    if (RETENTION_ENABLED) retentionService.iniciar();
+};
+
+iniciar().catch(e => {
+    logger.logError('SYSTEM', 'Falha na inicialização', { error: e.message, stack: e.stack });
+    process.exit(1);
 });
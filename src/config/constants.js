@@ -3,6 +3,8 @@
  * Centraliza todas as constantes para fácil manutenção
  */
 
+import { lerConfigJson } from '../utils/config.js';
+
 export const TIMEZONE_CONFIG = 'America/Sao_Paulo';
 
 // Blocklist de sensores/gateways
@@ -18,14 +20,144 @@ export const DAYS_HIGH_TRAFFIC = [3, 4];
 
 // Configurações de Banco e Rede
 export const DB_FLUSH_INTERVAL_MS = 10000; 
-export const DB_MIN_VAR_TEMP = 0.2;        
-export const DB_MIN_VAR_HUM = 2.0;         
-export const DB_HEARTBEAT_MS = 10 * 60 * 1000; 
+export const DB_HEARTBEAT_MS = 10 * 60 * 1000; // Intervalo máximo entre pontos de telemetria persistidos
+
+// Compressão swinging door da telemetria: erro máximo da reconstrução linear da série persistida, por perfil
+export const SDT_DEVIATION = {
+    NORMAL: {
+        temp: Number(process.env.SDT_TEMP_DEV_NORMAL) || 0.2,
+        hum: Number(process.env.SDT_HUM_DEV) || 2.0
+    },
+    ULTRA: {
+        temp: Number(process.env.SDT_TEMP_DEV_ULTRA) || 0.5,
+        hum: Number(process.env.SDT_HUM_DEV) || 2.0
+    }
+};
+
+// Backend de armazenamento: 'supabase' (padrão) ou 'sqlite' (embarcado, funciona offline)
+export const DB_BACKEND = (process.env.DB_BACKEND || 'supabase').toLowerCase();
+export const SQLITE_PATH = process.env.SQLITE_PATH || './data/coldchain.sqlite'; // ':memory:' para não gravar em disco
+export const SQLITE_SAVE_DELAY_MS = Number(process.env.SQLITE_SAVE_DELAY_MS) || 5000; // Gravações adiadas do arquivo são agrupadas nesse intervalo
+// Configurações iniciais de sensores no SQLite vazio (JSON ou caminho de arquivo), ex.:
+// [{"mac":"AA:BB:CC:DD:EE:FF","display_name":"Câmara 1","temp_max":-5,"temp_min":-30}]
+export const SQLITE_SEED_CONFIGS = lerConfigJson(process.env.SQLITE_SEED_CONFIGS, []);
+
+// Escrita em lote no banco
+export const DB_MAX_CHUNK_SIZE = Number(process.env.DB_MAX_CHUNK_SIZE) || 500;       // Linhas por insert
+export const DB_RETRY_ATTEMPTS = Number(process.env.DB_RETRY_ATTEMPTS) || 3;         // Tentativas por bloco em cada flush
+export const DB_RETRY_BASE_MS = Number(process.env.DB_RETRY_BASE_MS) || 500;         // Base do backoff exponencial
+export const DB_RETRY_MAX_MS = Number(process.env.DB_RETRY_MAX_MS) || 5 * 60 * 1000; // Teto do backoff entre flushes
+export const DB_BUFFER_MAX_ROWS = Number(process.env.DB_BUFFER_MAX_ROWS) || 50000;   // Limite do buffer de telemetria
+export const DB_QUARANTINE_MAX_ENTRIES = Number(process.env.DB_QUARANTINE_MAX_ENTRIES) || 1000;
+
+// Rotas de decodificação MQTT (tópico com curingas → decodificador)
+// MQTT_DECODER_ROUTES aceita JSON ou caminho de arquivo, ex.:
+// [{"topic":"/vendor/+/readings","decoder":"flat","options":{"gatewayFromTopic":0}}]
+export const MQTT_DECODER_ROUTES = lerConfigJson(process.env.MQTT_DECODER_ROUTES, [
+    { topic: '/alcateia/gateways/beacons/prd_ble_dat', decoder: 'alcateia' }
+]);
+
+// Dead-letter de mensagens rejeitadas na ingestão
+export const DEAD_LETTER_MAX_ENTRIES = Number(process.env.DEAD_LETTER_MAX_ENTRIES) || 1000;
+
+// Journal (write-ahead) dos buffers de telemetria, porta e alertas
+export const JOURNAL_DIR = process.env.JOURNAL_DIR || './data/journal';
+export const JOURNAL_FSYNC = process.env.JOURNAL_FSYNC === 'true'; // fsync a cada gravação (protege contra queda de energia)
+
+// Snapshot do estado dos sensores para warm restart (histórico, degelo, confirmações de porta, watchlist)
+export const SNAPSHOT_PATH = process.env.SNAPSHOT_PATH || './data/state-snapshot.json';
+export const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MS) || 60 * 1000;
+export const SNAPSHOT_MAX_AGE_MS = Number(process.env.SNAPSHOT_MAX_AGE_MS) || 30 * 60 * 1000; // Snapshot mais antigo é ignorado no boot
+
+// Agregados horários e diários da telemetria (rollups)
+export const ROLLUP_ENABLED = process.env.ROLLUP_ENABLED !== 'false';
+export const ROLLUP_HOURLY_CRON = process.env.ROLLUP_HOURLY_CRON || '5 * * * *';  // Hora anterior, com folga para o flush
+export const ROLLUP_DAILY_CRON = process.env.ROLLUP_DAILY_CRON || '15 0 * * *';   // Dia anterior (fuso TIMEZONE_CONFIG)
+export const ROLLUP_BACKFILL_DAYS = Number(process.env.ROLLUP_BACKFILL_DAYS) || 7; // Até onde recalcular com as tabelas vazias
+export const ROLLUP_MAX_GAP_MS = 2 * DB_HEARTBEAT_MS; // Intervalo entre pontos acima disso é lacuna (sem cobertura)
+
+// Consulta de telemetria por sensor (GET /sensors/:mac/telemetry)
+export const TELEMETRY_QUERY_MAX_ROWS = Number(process.env.TELEMETRY_QUERY_MAX_ROWS) || 100000; // Linhas lidas do banco por consulta
+export const TELEMETRY_MAX_POINTS = Number(process.env.TELEMETRY_MAX_POINTS) || 5000;           // Pontos por resposta
+
+// Retenção de dados por tabela (dias; 0 mantém para sempre). Desativada por padrão: apaga dados do banco
+const diasRetencao = (valor, padrao) => valor !== undefined && valor !== '' ? Number(valor) : padrao;
+export const RETENTION_ENABLED = process.env.RETENTION_ENABLED === 'true';
+export const RETENTION_CRON = process.env.RETENTION_CRON || '30 3 * * *';
+export const RETENTION_DAYS = {
+    telemetry_logs: diasRetencao(process.env.RETENTION_TELEMETRY_DAYS, 90),
+    door_logs: diasRetencao(process.env.RETENTION_DOOR_DAYS, 365),
+    defrost_logs: diasRetencao(process.env.RETENTION_DEFROST_DAYS, 365),
+    alert_logs: diasRetencao(process.env.RETENTION_ALERT_DAYS, 730),         // Apenas alertas resolvidos
+    telemetry_rollups_hourly: diasRetencao(process.env.RETENTION_ROLLUP_HOURLY_DAYS, 730),
+    telemetry_rollups_daily: diasRetencao(process.env.RETENTION_ROLLUP_DAILY_DAYS, 1825),
+    audit_log: diasRetencao(process.env.RETENTION_AUDIT_DAYS, 730)
+};
+export const RETENTION_MIN_DAYS = Number(process.env.RETENTION_MIN_DAYS) || 30;      // Piso (retenção mínima exigida pela auditoria)
+export const RETENTION_BATCH_SIZE = Number(process.env.RETENTION_BATCH_SIZE) || 1000;
+export const RETENTION_BATCH_PAUSE_MS = Number(process.env.RETENTION_BATCH_PAUSE_MS) || 200;
+export const RETENTION_MAX_BATCHES = Number(process.env.RETENTION_MAX_BATCHES) || 500; // Por tabela em cada execução
+
+// Stream de eventos em tempo real (SSE em /stream e WebSocket em /stream/ws)
+export const EVENT_REPLAY_SIZE = Number(process.env.EVENT_REPLAY_SIZE) || 500;                   // Eventos mantidos para replay
+export const EVENT_HEARTBEAT_MS = Number(process.env.EVENT_HEARTBEAT_MS) || 15 * 1000;           // Keep-alive das conexões
+export const EVENT_CLIENT_MAX_BUFFER_BYTES = Number(process.env.EVENT_CLIENT_MAX_BUFFER_BYTES) || 1024 * 1024; // Cliente lento é desconectado
+// Site de cada gateway para filtrar eventos (JSON ou caminho de arquivo), ex.: {"AA:BB:CC:DD:EE:FF":"Loja Centro"}
+export const GATEWAY_SITES = lerConfigJson(process.env.GATEWAY_SITES, {});
+
+// Janelas de manutenção (suprimem alertas; a telemetria continua sendo gravada)
+export const MAINTENANCE_MAX_HOURS = Number(process.env.MAINTENANCE_MAX_HOURS) || 24;           // Manutenção contínua além disso gera lembrete
+export const MAINTENANCE_CHECK_INTERVAL_MS = Number(process.env.MAINTENANCE_CHECK_INTERVAL_MS) || 60 * 1000;
+
+// Readiness (GET /health/ready): limites de cada verificação (0 desativa)
+const limiteReadiness = (valor, padrao) => valor !== undefined ? Number(valor) : padrao;
+export const READY_REQUIRE_MQTT = process.env.READY_REQUIRE_MQTT !== 'false';
+export const READY_MAX_MESSAGE_AGE_MS = limiteReadiness(process.env.READY_MAX_MESSAGE_AGE_MS, 5 * 60 * 1000);   // Sem mensagens (MQTT ou HTTP)
+export const READY_MAX_FLUSH_AGE_MS = limiteReadiness(process.env.READY_MAX_FLUSH_AGE_MS, 5 * 60 * 1000);       // Registros pendentes sem flush bem-sucedido
+export const READY_MAX_BUFFER_AGE_MS = limiteReadiness(process.env.READY_MAX_BUFFER_AGE_MS, 15 * 60 * 1000);    // Registro mais antigo aguardando persistência
+export const READY_MAX_CONFIG_AGE_MS = limiteReadiness(process.env.READY_MAX_CONFIG_AGE_MS, 30 * 60 * 1000);    // Última carga do cache de configurações
+
+// Autenticação da API HTTP (chaves de API e JWT bearer) e CORS
+// Chaves: [{ "name": "dashboard", "key": "..." ou "key_sha256": "<hex>", "role": "viewer|operator|admin" }] (JSON ou caminho de arquivo)
+export const API_KEYS = lerConfigJson(process.env.API_KEYS, []);
+export const JWT_SECRET = process.env.JWT_SECRET || null;                  // HS256/384/512
+export const JWT_PUBLIC_KEY = process.env.JWT_PUBLIC_KEY || null;          // RS*/ES* (PEM ou caminho de arquivo)
+export const JWT_ISSUER = process.env.JWT_ISSUER || null;
+export const JWT_AUDIENCE = process.env.JWT_AUDIENCE || null;
+export const JWT_ROLE_CLAIM = process.env.JWT_ROLE_CLAIM || 'role';
+// Ativada por padrão quando há chaves ou JWT configurados; AUTH_ENABLED=true sem credenciais recusa tudo
+export const AUTH_ENABLED = process.env.AUTH_ENABLED !== undefined && process.env.AUTH_ENABLED !== '' ?
+    process.env.AUTH_ENABLED === 'true' : (API_KEYS.length > 0 || !!JWT_SECRET || !!JWT_PUBLIC_KEY);
+// Origens permitidas, separadas por vírgula (vazio: qualquer origem)
+export const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Canais de notificação de alertas (JSON ou caminho de arquivo; sem configuração, webhook do n8n)
+// [{ "name", "type": "webhook|slack|telegram|email|sms", "sites", "priorities", "batch_interval_ms", "max_batch", "retry", ...opções do tipo }]
+export const NOTIFIERS = lerConfigJson(process.env.NOTIFIERS, null);
+export const N8N_WEBHOOK_URL = process.env.N8N_WEBHOOK_URL || 'https://n8n.alcateia-ia.com/webhook/coldchain/alertas';
+export const NOTIFY_TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS) || 10 * 1000;            // Por requisição ao destino
+export const NOTIFY_RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_MS) || 30 * 1000;      // Backoff padrão entre tentativas de um lote
+export const NOTIFY_RETRY_MAX_MS = Number(process.env.NOTIFY_RETRY_MAX_MS) || 30 * 60 * 1000;
+// Tentativas de cada entrega antes de ir para o dead-letter de entregas (0 = sem limite)
+export const NOTIFY_MAX_ATTEMPTS = process.env.NOTIFY_MAX_ATTEMPTS !== undefined && process.env.NOTIFY_MAX_ATTEMPTS !== '' ?
+    Number(process.env.NOTIFY_MAX_ATTEMPTS) : 8;
+export const NOTIFY_DEAD_LETTER_MAX_ENTRIES = Number(process.env.NOTIFY_DEAD_LETTER_MAX_ENTRIES) || 1000;
+export const NOTIFY_DELIVERY_HISTORY = Number(process.env.NOTIFY_DELIVERY_HISTORY) || 500;        // Entregas concluídas mantidas em memória para /deliveries
+// Segredo HMAC padrão dos webhooks (cada canal pode definir o seu em secret)
+export const NOTIFY_WEBHOOK_SECRET = process.env.NOTIFY_WEBHOOK_SECRET || null;
+
+// Escalonamento de alertas não reconhecidos (JSON ou caminho de arquivo; vazio = desativado)
+// [{ "name", "sites", "priorities" (padrão CRITICA e ALTA), "levels": [{ "after_ms", "channels": [nomes em NOTIFIERS] }] }]
+export const ESCALATION_POLICIES = lerConfigJson(process.env.ESCALATION_POLICIES, []);
+export const ESCALATION_CHECK_INTERVAL_MS = Number(process.env.ESCALATION_CHECK_INTERVAL_MS) || 30 * 1000;
 
 // --- IA & INTEGRIDADE DE DADOS ---
 export const PREDICT_WINDOW_MINS = 20;      // Janela de análise deslizante
 export const MIN_DATA_POINTS = 10;          // Mínimo de pontos para regressão confiável
 export const DATA_SAMPLE_INTERVAL_SEC = 10; // Intervalo mínimo entre amostras
+export const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000; // Timestamps do dispositivo além disso no futuro são ignorados
+export const DEDUP_WINDOW_MS = process.env.DEDUP_WINDOW_MS !== undefined ?
+    Number(process.env.DEDUP_WINDOW_MS) : 2000; // Janela para consolidar cópias da mesma leitura entre gateways (0 desativa)
 export const DEFROST_CYCLE_MIN_DURATION_MS = 5 * 60 * 1000; // Degelo mínimo de 5min
 export const DEFROST_CYCLE_MAX_DURATION_MS = 60 * 60 * 1000; // Degelo máximo de 60min
 
@@ -48,6 +180,10 @@ export const TUNING_NORMAL = {
     DOOR_CLOSE_VARIANCE_REDUCTION: 0.7 // Redução de variância para fechamento
 };
 
+// Perfil ULTRA: sensores com temp_min abaixo de ULTRA_TEMP_MIN (temp_max deve ficar até ULTRA_TEMP_MAX_LIMIT)
+export const ULTRA_TEMP_MIN = -15.0;
+export const ULTRA_TEMP_MAX_LIMIT = 0.0;
+
 // *** TUNING FÍSICO: ULTRACONGELADORES (< -15°C) ***
 export const TUNING_ULTRA = {
     DOOR_ACCEL: 0.6,       // Ar denso troca mais rápido
@@ -70,7 +206,7 @@ export const TUNING_ULTRA = {
 // Alerting & Infra
 export const BATCH_ALERT_INTERVAL_MS = 5 * 60 * 1000; 
 export const ALERT_SOAK_TIME_MS = 20 * 60 * 1000; // 20 minutos - período mínimo entre alertas do mesmo tipo      
-export const CALL_PERSISTENCE_MS = 30 * 60 * 1000;     
+export const CALL_PERSISTENCE_MS = Number(process.env.CALL_PERSISTENCE_MS) || 30 * 60 * 1000; // Alerta sem reconhecimento: intervalo padrão entre níveis de escalonamento
 export const EXTREME_DEVIATION_C = 10.0;
 export const TEMP_MIN_THRESHOLD = 3.0; // Tolerância para temperatura mínima (ex: -5°C + 3°C = -2°C para alertar)
 export const TEMP_MAX_THRESHOLD = 3.0; // Tolerância para temperatura máxima (ex: -5°C - 3°C = -8°C para alertar)               
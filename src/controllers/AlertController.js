@@ -0,0 +1,162 @@
+/**
+ * Controller para histórico e reconhecimento de alertas
+ */
+
+import { ALERT_STATUS } from '../services/AlertService.js';
+import { formatarMac, converterTimestamp } from '../utils/formatters.js';
+import logger from '../utils/logger.js';
+
+const TAMANHO_MAX_OBSERVACAO = 500;
+
+export class AlertController {
+    /**
+     * @param {AlertService} alertService
+     * @param {AuthService} authService - Com autenticação ativa, o reconhecimento é sempre do chamador (opcional)
+     */
+    constructor(alertService, authService = null) {
+        this.alertService = alertService;
+        this.authService = authService;
+    }
+
+    /**
+     * Handler do endpoint GET /alerts
+     * Query opcional: ?status=OPEN|ACKNOWLEDGED|RESOLVED&mac=&type=&from=&to=&limit=
+     */
+    async listAlerts(req, res) {
+        try {
+            const { status, mac, type, from, to } = req.query;
+
+            if (status && !ALERT_STATUS[status]) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: `status inválido (use ${Object.keys(ALERT_STATUS).join(', ')})`
+                });
+            }
+
+            const fromTs = from !== undefined ? converterTimestamp(from) : null;
+            const toTs = to !== undefined ? converterTimestamp(to) : null;
+            if ((from !== undefined && fromTs === null) || (to !== undefined && toTs === null)) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Parâmetros from/to inválidos'
+                });
+            }
+
+            const alerts = await this.alertService.list({
+                status,
+                mac: mac ? formatarMac(mac.replace(/[^0-9a-f]/gi, '').toUpperCase()) : undefined,
+                type,
+                from: fromTs !== null ? new Date(fromTs).toISOString() : undefined,
+                to: toTs !== null ? new Date(toTs).toISOString() : undefined,
+                limit: Math.min(Number(req.query.limit) || 100, 1000)
+            });
+
+            res.json({
+                total: alerts.length,
+                stats: this.alertService.getStats(),
+                alerts
+            });
+        } catch (error) {
+            logger.logError('ALERTA', 'Erro ao listar alertas', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao listar alertas',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handler do endpoint GET /alerts/:id
+     */
+    async getAlert(req, res) {
+        try {
+            const alert = await this.alertService.get(req.params.id);
+
+            if (!alert) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Alerta não encontrado'
+                });
+            }
+
+            res.json(alert);
+        } catch (error) {
+            logger.logError('ALERTA', 'Erro ao buscar alerta', {
+                id: req.params.id,
+                error: error.message
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao buscar alerta',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handler do endpoint POST /alerts/:id/ack
+     * Corpo opcional: { "note": "em nome de ..." }
+     * Com autenticação ativa o reconhecimento é registrado em nome do chamador autenticado;
+     * sem autenticação, { "by": "nome do operador" } identifica quem reconheceu
+     */
+    async acknowledgeAlert(req, res) {
+        try {
+            const { by, note } = req.body ?? {};
+            const autenticado = !!this.authService?.enabled;
+
+            const erros = [];
+            if (autenticado && by !== undefined) {
+                erros.push('by não é aceito com autenticação ativa: o reconhecimento é registrado em nome do chamador (use note)');
+            }
+            if (note !== undefined && note !== null && (typeof note !== 'string' || note.trim().length > TAMANHO_MAX_OBSERVACAO)) {
+                erros.push(`note deve ser um texto com até ${TAMANHO_MAX_OBSERVACAO} caracteres`);
+            }
+            if (erros.length > 0) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Reconhecimento inválido',
+                    errors: erros
+                });
+            }
+
+            const alert = await this.alertService.acknowledge(
+                req.params.id,
+                autenticado ? req.auth.actor : (by ?? null),
+                note?.trim() || null
+            );
+
+            if (!alert) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Alerta não encontrado'
+                });
+            }
+
+            res.json(alert);
+        } catch (error) {
+            if (error.code === 'ALERT_RESOLVED') {
+                return res.status(409).json({
+                    status: 'CONFLICT',
+                    message: error.message
+                });
+            }
+
+            logger.logError('ALERTA', 'Erro ao reconhecer alerta', {
+                id: req.params.id,
+                error: error.message
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao reconhecer alerta',
+                error: error.message
+            });
+        }
+    }
+}
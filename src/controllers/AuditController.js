@@ -0,0 +1,55 @@
+/**
+ * Controller para consulta da auditoria de chamadas (audit_log)
+ */
+
+import { converterTimestamp } from '../utils/formatters.js';
+import logger from '../utils/logger.js';
+
+export class AuditController {
+    constructor(auditService) {
+        this.auditService = auditService;
+    }
+
+    /**
+     * Handler do endpoint GET /audit
+     * Query opcional: ?actor=&from=&to=&limit=
+     */
+    async listAudit(req, res) {
+        try {
+            const { actor, from, to } = req.query;
+
+            const fromTs = from !== undefined ? converterTimestamp(from) : null;
+            const toTs = to !== undefined ? converterTimestamp(to) : null;
+            if ((from !== undefined && fromTs === null) || (to !== undefined && toTs === null)) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Parâmetros from/to inválidos'
+                });
+            }
+
+            const entries = await this.auditService.listar({
+                actor: actor || undefined,
+                from: fromTs !== null ? new Date(fromTs).toISOString() : undefined,
+                to: toTs !== null ? new Date(toTs).toISOString() : undefined,
+                limit: Math.min(Number(req.query.limit) || 100, 1000)
+            });
+
+            res.json({
+                total: entries.length,
+                stats: this.auditService.getStats(),
+                entries
+            });
+        } catch (error) {
+            logger.logError('AUDITORIA', 'Erro ao listar auditoria', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao listar auditoria',
+                error: error.message
+            });
+        }
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Controller para as entregas de notificações (pendentes, concluídas e dead-letter)
+ */
+
+import { DELIVERY_STATUS } from '../services/NotificationService.js';
+import logger from '../utils/logger.js';
+
+export class DeliveryController {
+    constructor(notificationService) {
+        this.notificationService = notificationService;
+    }
+
+    /**
+     * Handler do endpoint GET /deliveries
+     * Query opcional: ?status=PENDING|DELIVERED|FAILED&channel=&limit=
+     */
+    async listDeliveries(req, res) {
+        try {
+            const { status, channel } = req.query;
+            if (status && !DELIVERY_STATUS[status]) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: `status inválido (use ${Object.keys(DELIVERY_STATUS).join(', ')})`
+                });
+            }
+
+            const deliveries = this.notificationService.listarEntregas({
+                status,
+                channel,
+                limit: Math.min(Number(req.query.limit) || 100, 1000)
+            });
+
+            res.json({
+                total: deliveries.length,
+                stats: this.notificationService.getStats(),
+                deliveries
+            });
+        } catch (error) {
+            this._erro(res, error, 'Erro ao listar entregas');
+        }
+    }
+
+    /**
+     * Handler do endpoint GET /deliveries/:id
+     */
+    async getDelivery(req, res) {
+        const delivery = this.notificationService.obterEntrega(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({
+                status: 'NOT_FOUND',
+                message: 'Entrega não encontrada'
+            });
+        }
+        res.json(delivery);
+    }
+
+    /**
+     * Handler do endpoint POST /deliveries/:id/resend
+     * Reenfileira com o mesmo ID (o destino pode descartar a duplicata)
+     */
+    async resendDelivery(req, res) {
+        try {
+            const delivery = this.notificationService.reenviar(req.params.id, req.auth?.actor ?? null);
+            if (!delivery) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Entrega não encontrada'
+                });
+            }
+
+            res.status(202).json(delivery);
+        } catch (error) {
+            this._erro(res, error, 'Erro ao reenviar entrega');
+        }
+    }
+
+    _erro(res, error, mensagem) {
+        if (error.code === 'DELIVERY_PENDING' || error.code === 'CHANNEL_NOT_CONFIGURED') {
+            return res.status(409).json({
+                status: 'CONFLICT',
+                message: error.message
+            });
+        }
+
+        logger.logError('NOTIFICACAO', mensagem, {
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'ERROR',
+            message: mensagem,
+            error: error.message
+        });
+    }
+}
@@ -6,8 +6,9 @@
 import logger from '../utils/logger.js';
 
 export class HealthController {
-    constructor(healthService) {
+    constructor(healthService, readinessService = null) {
         this.healthService = healthService;
+        this.readinessService = readinessService;
     }
 
     /**
@@ -39,4 +40,46 @@ export class HealthController {
             });
         }
     }
+
+    /**
+     * Handler do endpoint GET /health/live
+     * Liveness: responde enquanto o processo e o event loop estão ativos (sem verificar dependências)
+     */
+    async getLive(req, res) {
+        res.json({
+            status: 'UP',
+            timestamp: new Date().toISOString(),
+            uptime_seconds: Math.floor(process.uptime())
+        });
+    }
+
+    /**
+     * Handler do endpoint GET /health/ready
+     * Readiness: 200 com todas as verificações aprovadas, 503 listando as que falharam
+     */
+    async getReady(req, res) {
+        try {
+            const readiness = this.readinessService.verificar();
+
+            if (readiness.failing.length > 0) {
+                logger.logDebug('HEALTH', 'Readiness reprovado', {
+                    falhas: readiness.failing
+                });
+                return res.status(503).json(readiness);
+            }
+
+            res.json(readiness);
+        } catch (error) {
+            logger.logError('HEALTH', 'Erro ao verificar readiness', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(503).json({
+                status: 'ERROR',
+                message: 'Erro ao verificar readiness',
+                error: error.message
+            });
+        }
+    }
 }
@@ -0,0 +1,152 @@
+/**
+ * Controller para ingestão de leituras via HTTP
+ * Permite que gateways sem MQTT (ou replays de payloads capturados) alimentem o pipeline
+ */
+
+import { DecodeError } from '../decoders/PayloadDecoder.js';
+import logger from '../utils/logger.js';
+
+export class IngestionController {
+    constructor(ingestionService, deadLetterService) {
+        this.ingestionService = ingestionService;
+        this.deadLetterService = deadLetterService;
+    }
+
+    /**
+     * Handler do endpoint POST /ingest
+     * Query opcional ?decoder=<nome> para payloads de outros fabricantes
+     */
+    async postIngest(req, res) {
+        try {
+            const payload = req.body;
+
+            if (!payload || typeof payload !== 'object') {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Payload deve ser um objeto JSON ou um array'
+                });
+            }
+
+            logger.logDebug('HTTP', 'Payload de ingestão recebido', {
+                items_count: Array.isArray(payload) ? payload.length : 1,
+                ip: req.ip
+            });
+
+            const resumo = this.ingestionService.processPayload(payload, {
+                source: 'HTTP',
+                decoder: req.query.decoder
+            });
+
+            res.status(202).json({
+                status: 'ACCEPTED',
+                ...resumo
+            });
+        } catch (error) {
+            if (error instanceof DecodeError) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    reason: error.reason,
+                    message: error.message
+                });
+            }
+
+            logger.logError('HTTP', 'Erro ao processar payload de ingestão', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao processar payload',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handler do endpoint GET /ingest/rejected
+     * Filtros opcionais: ?reason=&gateway=&sensor=&limit=
+     */
+    async listRejected(req, res) {
+        try {
+            const limit = Math.min(Number(req.query.limit) || 100, 1000);
+            const entries = this.deadLetterService.list({
+                reason: req.query.reason,
+                gateway: req.query.gateway,
+                sensor: req.query.sensor,
+                limit
+            });
+
+            res.json({
+                total: entries.length,
+                stats: this.deadLetterService.getStats(),
+                entries
+            });
+        } catch (error) {
+            logger.logError('DEAD_LETTER', 'Erro ao listar mensagens rejeitadas', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao listar mensagens rejeitadas',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handler do endpoint GET /ingest/rejected/:id
+     */
+    async getRejected(req, res) {
+        const entry = this.deadLetterService.get(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                status: 'ERROR',
+                message: 'Mensagem rejeitada não encontrada'
+            });
+        }
+        res.json(entry);
+    }
+
+    /**
+     * Handler do endpoint POST /ingest/rejected/:id/resubmit
+     */
+    async resubmitRejected(req, res) {
+        try {
+            const resumo = this.ingestionService.resubmit(req.params.id);
+            if (!resumo) {
+                return res.status(404).json({
+                    status: 'ERROR',
+                    message: 'Mensagem rejeitada não encontrada'
+                });
+            }
+
+            res.status(202).json({
+                status: 'RESUBMITTED',
+                ...resumo
+            });
+        } catch (error) {
+            if (error instanceof DecodeError) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    reason: error.reason,
+                    message: error.message
+                });
+            }
+
+            logger.logError('DEAD_LETTER', 'Erro ao reenviar mensagem rejeitada', {
+                id: req.params.id,
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao reenviar mensagem',
+                error: error.message
+            });
+        }
+    }
+}
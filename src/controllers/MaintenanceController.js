@@ -0,0 +1,103 @@
+/**
+ * Controller para janelas de manutenção (maintenance_windows)
+ */
+
+import { normalizarMac } from '../services/SensorConfigService.js';
+import logger from '../utils/logger.js';
+
+export class MaintenanceController {
+    constructor(maintenanceService) {
+        this.maintenanceService = maintenanceService;
+    }
+
+    /**
+     * Handler do endpoint GET /maintenance
+     * Query opcional: ?mac= (janelas em andamento e futuras; as expiradas ficam apenas no banco)
+     */
+    async listWindows(req, res) {
+        try {
+            const { mac } = req.query;
+            if (mac !== undefined && !normalizarMac(mac)) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'mac inválido'
+                });
+            }
+
+            const windows = this.maintenanceService.listar({ mac });
+            res.json({
+                total: windows.length,
+                stats: this.maintenanceService.getStats(),
+                windows
+            });
+        } catch (error) {
+            this._erro(res, error, 'Erro ao listar janelas de manutenção');
+        }
+    }
+
+    /**
+     * Handler do endpoint POST /maintenance
+     * Corpo: { sensor_mac, starts_at, ends_at, reason, created_by, recurrence (DAILY|WEEKLY), recurrence_until }
+     * Com chamador autenticado, created_by é sempre ele (valor diferente no corpo retorna 400)
+     */
+    async createWindow(req, res) {
+        try {
+            const actor = req.auth?.actor;
+            const informado = req.body?.created_by;
+            if (actor && informado !== undefined && informado !== null && informado !== actor) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Janela de manutenção inválida',
+                    errors: ['created_by não é aceito com autenticação ativa: a janela é registrada em nome do chamador']
+                });
+            }
+
+            const dados = actor ? { ...req.body, created_by: actor } : req.body;
+            const window = await this.maintenanceService.criar(dados);
+            res.status(201).json(window);
+        } catch (error) {
+            this._erro(res, error, 'Erro ao criar janela de manutenção');
+        }
+    }
+
+    /**
+     * Handler do endpoint DELETE /maintenance/:id
+     */
+    async deleteWindow(req, res) {
+        try {
+            const removida = await this.maintenanceService.remover(req.params.id);
+
+            if (!removida) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Janela de manutenção não encontrada'
+                });
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            this._erro(res, error, 'Erro ao remover janela de manutenção');
+        }
+    }
+
+    _erro(res, error, mensagem) {
+        if (error.code === 'INVALID_MAINTENANCE') {
+            return res.status(400).json({
+                status: 'ERROR',
+                message: error.message,
+                errors: error.details
+            });
+        }
+
+        logger.logError('MANUTENCAO', mensagem, {
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'ERROR',
+            message: mensagem,
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * Controller para o endpoint de métricas do Prometheus
+ */
+
+import logger from '../utils/logger.js';
+
+export class MetricsController {
+    constructor(metricsService) {
+        this.metricsService = metricsService;
+    }
+
+    /**
+     * Handler do endpoint GET /metrics (formato de exposição do Prometheus)
+     */
+    async getMetrics(req, res) {
+        try {
+            const metrics = await this.metricsService.exportar();
+            res.set('Content-Type', this.metricsService.contentType);
+            res.send(metrics);
+        } catch (error) {
+            logger.logError('METRICAS', 'Erro ao gerar métricas', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao gerar métricas',
+                error: error.message
+            });
+        }
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Controller para inspeção da persistência em lote
+ */
+
+import logger from '../utils/logger.js';
+
+export class PersistenceController {
+    constructor(persistenceService) {
+        this.persistenceService = persistenceService;
+    }
+
+    /**
+     * Handler do endpoint GET /persistence/quarantine
+     * Query opcional: ?table=telemetry|door&limit=
+     */
+    async getQuarantine(req, res) {
+        try {
+            const limit = Math.min(Number(req.query.limit) || 100, 1000);
+            const entries = this.persistenceService.getQuarantine({
+                table: req.query.table,
+                limit
+            });
+
+            res.json({
+                total: entries.length,
+                stats: this.persistenceService.getStats(),
+                entries
+            });
+        } catch (error) {
+            logger.logError('DB', 'Erro ao listar quarentena', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao listar quarentena',
+                error: error.message
+            });
+        }
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * Controller para a política de retenção de dados
+ */
+
+import logger from '../utils/logger.js';
+
+export class RetentionController {
+    constructor(retentionService) {
+        this.retentionService = retentionService;
+    }
+
+    /**
+     * Handler do endpoint GET /retention
+     * Política efetiva por tabela e o que foi apagado nas últimas execuções
+     */
+    async getRetention(req, res) {
+        try {
+            res.json(this.retentionService.getStatus());
+        } catch (error) {
+            logger.logError('RETENCAO', 'Erro ao consultar retenção', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao consultar retenção',
+                error: error.message
+            });
+        }
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Controller para cadastro e configuração de sensores (sensor_configs)
+ */
+
+import logger from '../utils/logger.js';
+
+export class SensorConfigController {
+    constructor(sensorConfigService) {
+        this.sensorConfigService = sensorConfigService;
+    }
+
+    /**
+     * Handler do endpoint GET /sensors
+     */
+    async listConfigs(req, res) {
+        try {
+            const sensors = this.sensorConfigService.listar();
+            res.json({ total: sensors.length, sensors });
+        } catch (error) {
+            this._erro(res, error, 'Erro ao listar sensores');
+        }
+    }
+
+    /**
+     * Handler do endpoint POST /sensors
+     * Corpo: { mac, display_name, temp_max, temp_min, hum_max, hum_min, sensor_porta_vinculado, em_manutencao }
+     */
+    async createConfig(req, res) {
+        try {
+            const config = await this.sensorConfigService.criar(req.body);
+            res.status(201).json(config);
+        } catch (error) {
+            this._erro(res, error, 'Erro ao cadastrar sensor', req.body?.mac);
+        }
+    }
+
+    /**
+     * Handler do endpoint PUT /sensors/:mac
+     * Corpo: campos a alterar (ausentes mantêm o valor atual; null limpa)
+     */
+    async updateConfig(req, res) {
+        try {
+            const config = await this.sensorConfigService.atualizar(req.params.mac, req.body || {});
+
+            if (!config) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Sensor não encontrado'
+                });
+            }
+
+            res.json(config);
+        } catch (error) {
+            this._erro(res, error, 'Erro ao atualizar sensor', req.params.mac);
+        }
+    }
+
+    /**
+     * Handler do endpoint DELETE /sensors/:mac
+     */
+    async deleteConfig(req, res) {
+        try {
+            const removido = await this.sensorConfigService.remover(req.params.mac);
+
+            if (!removido) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Sensor não encontrado'
+                });
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            this._erro(res, error, 'Erro ao remover sensor', req.params.mac);
+        }
+    }
+
+    _erro(res, error, mensagem, mac = null) {
+        if (error.code === 'INVALID_CONFIG') {
+            return res.status(400).json({
+                status: 'ERROR',
+                message: error.message,
+                errors: error.details
+            });
+        }
+
+        if (error.code === 'CONFIG_EXISTS') {
+            return res.status(409).json({
+                status: 'CONFLICT',
+                message: error.message
+            });
+        }
+
+        logger.logError('CONFIG', mensagem, {
+            sensor: mac,
+            error: error.message,
+            stack: error.stack
+        });
+
+        res.status(500).json({
+            status: 'ERROR',
+            message: mensagem,
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * Controller para consultas por sensor
+ */
+
+import { formatarMac, converterTimestamp } from '../utils/formatters.js';
+import { ROLLUP_PERIODS } from '../services/RollupService.js';
+import { lerResolucao } from '../services/TelemetryService.js';
+import { TELEMETRY_MAX_POINTS } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+const PERIODO_PADRAO_MS = 7 * 24 * 60 * 60 * 1000;
+const PERIODO_PADRAO_ROLLUP_DIARIO_MS = 90 * 24 * 60 * 60 * 1000;
+const PERIODO_PADRAO_TELEMETRIA_MS = 24 * 60 * 60 * 1000;
+
+export class SensorController {
+    constructor(sensorRepository, sensorConfigService = null, healthService = null, alertService = null, telemetryService = null) {
+        this.sensorRepository = sensorRepository;
+        this.sensorConfigService = sensorConfigService;
+        this.healthService = healthService;
+        this.alertService = alertService;
+        this.telemetryService = telemetryService;
+    }
+
+    /**
+     * Handler do endpoint GET /sensors/:mac
+     * Configuração do sensor, estado ao vivo (última leitura, porta, degelo, análise térmica) e alertas ativos
+     */
+    async getSensor(req, res) {
+        try {
+            const mac = this._normalizarMac(req.params.mac);
+            const config = this.sensorConfigService.obter(mac);
+
+            if (!config) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Sensor não encontrado'
+                });
+            }
+
+            const { nome, mac: _mac, config: _config, ...live } = this.healthService.getSensorDetail(mac);
+
+            res.json({
+                ...config,
+                live,
+                active_alerts: this.alertService.getActive().filter(a => a.sensor_mac === mac)
+            });
+        } catch (error) {
+            logger.logError('SENSOR', 'Erro ao buscar estado do sensor', {
+                sensor: req.params.mac,
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao buscar estado do sensor',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handler do endpoint GET /sensors/:mac/telemetry
+     * Query: ?from=&to= (padrão: últimas 24h), ?resolution=raw|30s|5m|1h|1d (padrão raw) e ?limit= (leituras brutas)
+     */
+    async getTelemetry(req, res) {
+        try {
+            const mac = this._normalizarMac(req.params.mac);
+            if (!this.sensorConfigService.obter(mac)) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Sensor não encontrado'
+                });
+            }
+
+            const periodo = this._lerPeriodo(req.query, PERIODO_PADRAO_TELEMETRIA_MS);
+
+            if (!periodo) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Parâmetros from/to inválidos'
+                });
+            }
+
+            const resolucaoMs = lerResolucao(req.query.resolution);
+            if (resolucaoMs === null) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'resolution inválida (use raw ou um intervalo entre 10s e 1d, ex.: 30s, 5m, 1h)'
+                });
+            }
+
+            const limit = this._lerLimite(req.query.limit, TELEMETRY_MAX_POINTS, TELEMETRY_MAX_POINTS);
+            const resultado = await this.telemetryService.consultar(
+                mac, new Date(periodo.from).getTime(), new Date(periodo.to).getTime(), { resolucaoMs, limit }
+            );
+
+            res.json({
+                sensor: mac,
+                from: periodo.from,
+                to: periodo.to,
+                ...resultado
+            });
+        } catch (error) {
+            if (error.code === 'TOO_MANY_POINTS') {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: error.message
+                });
+            }
+
+            logger.logError('SENSOR', 'Erro ao consultar telemetria', {
+                sensor: req.params.mac,
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao consultar telemetria',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handler do endpoint GET /sensors/:mac/defrosts
+     * Query opcional: ?from=&to= (ISO ou epoch; padrão: últimos 7 dias) e ?limit=
+     */
+    async getDefrosts(req, res) {
+        try {
+            const mac = this._normalizarMac(req.params.mac);
+            if (!this.sensorConfigService.obter(mac)) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Sensor não encontrado'
+                });
+            }
+
+            const periodo = this._lerPeriodo(req.query);
+
+            if (!periodo) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Parâmetros from/to inválidos'
+                });
+            }
+
+            const limit = this._lerLimite(req.query.limit, 500, 5000);
+            const defrosts = await this.sensorRepository.findDefrostLogs(mac, periodo.from, periodo.to, limit);
+
+            res.json({
+                sensor: mac,
+                from: periodo.from,
+                to: periodo.to,
+                total: defrosts.length,
+                defrosts
+            });
+        } catch (error) {
+            logger.logError('SENSOR', 'Erro ao listar ciclos de degelo', {
+                sensor: req.params.mac,
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao listar ciclos de degelo',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Handler do endpoint GET /sensors/:mac/rollups
+     * Query: ?period=hour|day (padrão hour), ?from=&to= (padrão: 7 dias para hour, 90 para day) e ?limit=
+     */
+    async getRollups(req, res) {
+        try {
+            const mac = this._normalizarMac(req.params.mac);
+            if (!this.sensorConfigService.obter(mac)) {
+                return res.status(404).json({
+                    status: 'NOT_FOUND',
+                    message: 'Sensor não encontrado'
+                });
+            }
+
+            const period = req.query.period || 'hour';
+
+            if (!ROLLUP_PERIODS.includes(period)) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: `period inválido (use ${ROLLUP_PERIODS.join(', ')})`
+                });
+            }
+
+            const periodo = this._lerPeriodo(req.query, period === 'day' ? PERIODO_PADRAO_ROLLUP_DIARIO_MS : PERIODO_PADRAO_MS);
+            if (!periodo) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: 'Parâmetros from/to inválidos'
+                });
+            }
+
+            const limit = this._lerLimite(req.query.limit, 1000, 10000);
+            const rollups = await this.sensorRepository.findRollups(period, mac, periodo.from, periodo.to, limit);
+
+            res.json({
+                sensor: mac,
+                period,
+                from: periodo.from,
+                to: periodo.to,
+                total: rollups.length,
+                rollups
+            });
+        } catch (error) {
+            logger.logError('SENSOR', 'Erro ao listar agregados', {
+                sensor: req.params.mac,
+                error: error.message,
+                stack: error.stack
+            });
+
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao listar agregados',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Aceita MAC com ou sem separadores (AABBCCDDEEFF, aa:bb:..., AA-BB-...)
+     */
+    _normalizarMac(mac) {
+        return formatarMac(String(mac).replace(/[^0-9a-f]/gi, '').toUpperCase());
+    }
+
+    /**
+     * Lê o ?limit= da query, limitado ao máximo do endpoint
+     * @returns {number} Padrão quando ausente, não numérico ou menor que 1
+     */
+    _lerLimite(valor, padrao, maximo) {
+        const limite = Math.floor(Number(valor));
+        return limite >= 1 ? Math.min(limite, maximo) : padrao;
+    }
+
+    /**
+     * Lê o intervalo from/to da query
+     * @returns {{from: string, to: string}|null} Intervalo em ISO ou null se inválido
+     */
+    _lerPeriodo(query, periodoPadraoMs = PERIODO_PADRAO_MS) {
+        const agora = Date.now();
+        const to = query.to !== undefined ? converterTimestamp(query.to) : agora;
+        const from = query.from !== undefined ? converterTimestamp(query.from) : to - periodoPadraoMs;
+
+        if (from === null || to === null || from > to) return null;
+        return { from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+    }
+}
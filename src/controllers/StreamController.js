@@ -0,0 +1,194 @@
+/**
+ * Controller do stream de eventos em tempo real
+ * SSE em GET /stream e WebSocket em /stream/ws, com os mesmos filtros e replay
+ */
+
+import { WebSocketServer } from 'ws';
+import { lerFiltroEventos } from '../services/EventBus.js';
+import { ROLES } from '../services/AuthService.js';
+import { EVENT_HEARTBEAT_MS, EVENT_CLIENT_MAX_BUFFER_BYTES } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+export class StreamController {
+    /**
+     * @param {EventBus} eventBus
+     * @param {AuthService} authService - Autenticação do upgrade WebSocket (papel viewer)
+     * @param {Array} corsOrigins - Origens aceitas no upgrade (vazio: qualquer origem)
+     */
+    constructor(eventBus, authService = null, corsOrigins = []) {
+        this.eventBus = eventBus;
+        this.authService = authService;
+        this.corsOrigins = corsOrigins;
+        this.clients = { sse: 0, websocket: 0 };
+    }
+
+    /**
+     * Handler do endpoint GET /stream (Server-Sent Events)
+     * Query opcional: ?mac=&site=&type= (listas separadas por vírgula) e ?replay=N (últimos N eventos)
+     * Reconexões com o header Last-Event-ID recebem os eventos perdidos ainda no buffer de replay
+     */
+    getStream(req, res) {
+        try {
+            const { filtro, erro } = lerFiltroEventos(req.query);
+            if (erro) {
+                return res.status(400).json({
+                    status: 'ERROR',
+                    message: erro
+                });
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write('retry: 5000\n\n');
+
+            const enviar = (evento) => {
+                if (res.writableLength > EVENT_CLIENT_MAX_BUFFER_BYTES) {
+                    logger.logWarn('EVENTOS', 'Cliente SSE lento desconectado', { buffer_bytes: res.writableLength });
+                    res.destroy();
+                    return;
+                }
+                res.write(`id: ${evento.id}\nevent: ${evento.type}\ndata: ${JSON.stringify(evento)}\n\n`);
+            };
+
+            this._replay(filtro, req.query.replay, req.get('Last-Event-ID')).forEach(enviar);
+            const cancelar = this.eventBus.assinar(filtro, enviar);
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+
+            this.clients.sse++;
+            logger.logDebug('EVENTOS', 'Cliente SSE conectado', { clientes: this.clients.sse, filtro: req.query });
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                cancelar();
+                this.clients.sse--;
+                logger.logDebug('EVENTOS', 'Cliente SSE desconectado', { clientes: this.clients.sse });
+            });
+        } catch (error) {
+            logger.logError('EVENTOS', 'Erro ao abrir stream de eventos', {
+                error: error.message,
+                stack: error.stack
+            });
+
+            if (res.headersSent) return res.end();
+            res.status(500).json({
+                status: 'ERROR',
+                message: 'Erro ao abrir stream de eventos',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Atende o upgrade para WebSocket no servidor HTTP
+     * Mesmos parâmetros de query do /stream (filtros e ?replay= / ?last_event_id=); credenciais
+     * pelos cabeçalhos ou por ?access_token=, já que o WebSocket do navegador não envia cabeçalhos
+     * @param {http.Server} server - Servidor HTTP do Express
+     * @param {string} path - Caminho do endpoint
+     */
+    attachWebSocket(server, path = '/stream/ws') {
+        const wss = new WebSocketServer({ noServer: true });
+
+        server.on('upgrade', (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== path) {
+                socket.destroy();
+                return;
+            }
+
+            const recusa = this._recusarUpgrade(req, url);
+            if (recusa) {
+                socket.end(`HTTP/1.1 ${recusa}\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n`);
+                return;
+            }
+
+            const { filtro, erro } = lerFiltroEventos(Object.fromEntries(url.searchParams));
+            if (erro) {
+                socket.end(`HTTP/1.1 400 Bad Request\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n${erro}`);
+                return;
+            }
+
+            wss.handleUpgrade(req, socket, head, ws => {
+                this._conectarWebSocket(ws, filtro, url.searchParams.get('replay'), url.searchParams.get('last_event_id'));
+            });
+        });
+
+        return wss;
+    }
+
+    /**
+     * Origem e credenciais do upgrade (o navegador não aplica CORS ao WebSocket)
+     * @returns {string|null} Linha de status da recusa ou null se aceito
+     */
+    _recusarUpgrade(req, url) {
+        const origem = req.headers.origin;
+        if (origem && this.corsOrigins.length > 0 && !this.corsOrigins.includes(origem)) {
+            logger.logWarn('EVENTOS', 'Upgrade WebSocket recusado: origem não permitida', { origem });
+            return '403 Forbidden';
+        }
+
+        if (!this.authService?.enabled) return null;
+        try {
+            const principal = this.authService.autenticar({
+                authorization: req.headers.authorization,
+                apiKey: req.headers['x-api-key'],
+                accessToken: url.searchParams.get('access_token') || undefined
+            });
+            return this.authService.autorizar(principal, ROLES.VIEWER) ? null : '403 Forbidden';
+        } catch (e) {
+            logger.logWarn('EVENTOS', 'Upgrade WebSocket recusado: não autenticado', { motivo: e.message });
+            return '401 Unauthorized';
+        }
+    }
+
+    _conectarWebSocket(ws, filtro, replay, ultimoId) {
+        const enviar = (evento) => {
+            if (ws.readyState !== ws.OPEN) return;
+            if (ws.bufferedAmount > EVENT_CLIENT_MAX_BUFFER_BYTES) {
+                logger.logWarn('EVENTOS', 'Cliente WebSocket lento desconectado', { buffer_bytes: ws.bufferedAmount });
+                ws.terminate();
+                return;
+            }
+            ws.send(JSON.stringify(evento));
+        };
+
+        this._replay(filtro, replay, ultimoId).forEach(enviar);
+        const cancelar = this.eventBus.assinar(filtro, enviar);
+
+        // Ping/pong: conexões sem resposta entre dois pings são encerradas
+        let vivo = true;
+        ws.on('pong', () => { vivo = true; });
+        const heartbeat = setInterval(() => {
+            if (!vivo) return ws.terminate();
+            vivo = false;
+            ws.ping();
+        }, EVENT_HEARTBEAT_MS);
+
+        this.clients.websocket++;
+        logger.logDebug('EVENTOS', 'Cliente WebSocket conectado', { clientes: this.clients.websocket });
+
+        ws.on('error', (e) => logger.logDebug('EVENTOS', 'Erro na conexão WebSocket', { error: e.message }));
+        ws.on('close', () => {
+            clearInterval(heartbeat);
+            cancelar();
+            this.clients.websocket--;
+            logger.logDebug('EVENTOS', 'Cliente WebSocket desconectado', { clientes: this.clients.websocket });
+        });
+    }
+
+    /**
+     * Eventos a reenviar na conexão: após o último ID recebido (reconexão) ou os últimos N
+     */
+    _replay(filtro, replay, ultimoId) {
+        const aposId = Number.parseInt(ultimoId, 10);
+        if (Number.isFinite(aposId)) {
+            return this.eventBus.recentes(filtro, { aposId });
+        }
+
+        const limite = Number.parseInt(replay, 10);
+        return Number.isFinite(limite) && limite > 0 ? this.eventBus.recentes(filtro, { limite }) : [];
+    }
+}
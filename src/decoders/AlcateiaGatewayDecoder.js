@@ -0,0 +1,36 @@
+/**
+ * Decodificador do formato padrão dos gateways Alcateia
+ * Payload: { gmac, obj: [{ dmac, temp, humidity, vbatt, rssi }] } ou array desses objetos
+ * Sensores que chegam apenas com rawData (anúncio BLE em hex) são decodificados aqui
+ * O instante da medição vem de obj[].timestamp/time ou, na falta, do time do gateway
+ */
+
+import { PayloadDecoder, DecodeError } from './PayloadDecoder.js';
+
+export class AlcateiaGatewayDecoder extends PayloadDecoder {
+    decode(message, context = {}) {
+        const payload = this._parseJson(message);
+        const items = Array.isArray(payload) ? payload : [payload];
+
+        const reconhecido = items.every(item =>
+            item && typeof item === 'object' && (item.gmac !== undefined || Array.isArray(item.obj))
+        );
+
+        if (!reconhecido) {
+            throw new DecodeError('UNKNOWN_FORMAT', 'Payload sem gmac/obj[]');
+        }
+
+        return items.map(item => Array.isArray(item.obj) ?
+            { ...item, obj: item.obj.map(sensor => sensor ? this._normalizarSensor(sensor, item) : sensor) } :
+            item);
+    }
+
+    /**
+     * Completa a leitura com rawData e instante da medição
+     */
+    _normalizarSensor(sensor, item) {
+        const completo = this._completarComRawData(sensor);
+        const ts = this._resolverTimestamp(sensor.ts, sensor.timestamp, sensor.time, item.timestamp, item.time);
+        return ts !== undefined ? { ...completo, ts } : completo;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Registro de decodificadores de payload
+ * Mapeia padrões de tópico MQTT (com curingas + e #) para decodificadores,
+ * e contabiliza mensagens em formatos desconhecidos
+ */
+
+import { PayloadDecoder, DecodeError } from './PayloadDecoder.js';
+import { AlcateiaGatewayDecoder } from './AlcateiaGatewayDecoder.js';
+import { FlatJsonDecoder } from './FlatJsonDecoder.js';
+import { MQTT_DECODER_ROUTES } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+export class DecoderRegistry {
+    constructor(routes = []) {
+        this.decoderTypes = new Map();
+        this.routes = [];
+        this.stats = {
+            decoded: 0,
+            no_route: 0,
+            rejected: {}
+        };
+
+        this.registerType('alcateia', AlcateiaGatewayDecoder);
+        this.registerType('flat', FlatJsonDecoder);
+
+        routes.forEach(route => this.addRoute(route));
+    }
+
+    /**
+     * Registra um tipo de decodificador pelo nome
+     */
+    registerType(name, DecoderClass) {
+        if (!(DecoderClass.prototype instanceof PayloadDecoder)) {
+            throw new Error(`Decodificador ${name} deve estender PayloadDecoder`);
+        }
+        this.decoderTypes.set(name, DecoderClass);
+    }
+
+    /**
+     * Adiciona rota tópico → decodificador
+     * @param {Object} route - { topic, decoder, options }
+     */
+    addRoute({ topic, decoder, options = {} }) {
+        const DecoderClass = this.decoderTypes.get(decoder);
+        if (!DecoderClass) {
+            throw new Error(`Decodificador desconhecido: ${decoder}`);
+        }
+        this.routes.push({
+            topic,
+            decoderName: decoder,
+            decoder: new DecoderClass(options),
+            decoded: 0,
+            rejected: 0
+        });
+    }
+
+    /**
+     * Tópicos a serem assinados no broker
+     */
+    getTopics() {
+        return this.routes.map(r => r.topic);
+    }
+
+    /**
+     * Decodifica mensagem recebida em um tópico
+     * @returns {Array} Itens no formato interno
+     * @throws {DecodeError} Quando não há rota ou o formato não é reconhecido
+     */
+    decode(topic, message) {
+        for (const route of this.routes) {
+            const params = DecoderRegistry.matchTopic(route.topic, topic);
+            if (params) {
+                return this._decodeWithRoute(route, message, { topic, params });
+            }
+        }
+
+        this.stats.no_route++;
+        throw new DecodeError('NO_ROUTE', `Nenhum decodificador para o tópico ${topic}`);
+    }
+
+    /**
+     * Decodifica mensagem com um decodificador específico (ex.: ingestão HTTP)
+     */
+    decodeWith(decoderName, message, context = {}) {
+        const DecoderClass = this.decoderTypes.get(decoderName);
+        if (!DecoderClass) {
+            this.stats.rejected.UNKNOWN_DECODER = (this.stats.rejected.UNKNOWN_DECODER || 0) + 1;
+            throw new DecodeError('UNKNOWN_DECODER', `Decodificador desconhecido: ${decoderName}`);
+        }
+        // Reaproveita as opções da primeira rota configurada com esse decodificador
+        const route = this.routes.find(r => r.decoderName === decoderName)
+            || { topic: null, decoderName, decoder: new DecoderClass(), decoded: 0, rejected: 0 };
+        return this._decodeWithRoute(route, message, context);
+    }
+
+    _decodeWithRoute(route, message, context) {
+        try {
+            const items = route.decoder.decode(message, context);
+            route.decoded++;
+            this.stats.decoded++;
+            return items;
+        } catch (e) {
+            const reason = e instanceof DecodeError ? e.reason : 'DECODER_ERROR';
+            route.rejected++;
+            this.stats.rejected[reason] = (this.stats.rejected[reason] || 0) + 1;
+            logger.logWarn('DECODER', `Mensagem rejeitada pelo decodificador ${route.decoderName}`, {
+                reason,
+                topic: context.topic,
+                error: e.message
+            });
+            throw e instanceof DecodeError ? e : new DecodeError(reason, e.message);
+        }
+    }
+
+    /**
+     * Verifica se um tópico corresponde ao padrão MQTT
+     * @returns {Array|null} Valores dos curingas '+' (e do '#', se houver) ou null se não corresponder
+     */
+    static matchTopic(pattern, topic) {
+        const patternLevels = pattern.split('/');
+        const topicLevels = topic.split('/');
+        const params = [];
+
+        for (let i = 0; i < patternLevels.length; i++) {
+            const p = patternLevels[i];
+            if (p === '#') {
+                params.push(topicLevels.slice(i).join('/'));
+                return params;
+            }
+            if (i >= topicLevels.length) return null;
+            if (p === '+') {
+                params.push(topicLevels[i]);
+            } else if (p !== topicLevels[i]) {
+                return null;
+            }
+        }
+
+        return patternLevels.length === topicLevels.length ? params : null;
+    }
+
+    /**
+     * Estatísticas de decodificação para o health report
+     */
+    getStats() {
+        return {
+            decoded: this.stats.decoded,
+            no_route: this.stats.no_route,
+            rejected: { ...this.stats.rejected },
+            routes: this.routes.map(r => ({
+                topic: r.topic,
+                decoder: r.decoderName,
+                decoded: r.decoded,
+                rejected: r.rejected
+            }))
+        };
+    }
+}
+
+export default new DecoderRegistry(MQTT_DECODER_ROUTES);
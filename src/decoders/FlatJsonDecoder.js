@@ -0,0 +1,67 @@
+/**
+ * Decodificador genérico para gateways que publicam leituras "planas"
+ * Payload: [{ mac, temperature, humidity, battery, rssi }] ou { <readingsField>: [...] }
+ *
+ * Os nomes dos campos são configuráveis pela rota (options.fields), e o MAC do gateway
+ * pode vir do próprio payload (options.fields.gmac) ou de um curinga do tópico
+ * (options.gatewayFromTopic = índice do curinga '+').
+ */
+
+import { PayloadDecoder, DecodeError } from './PayloadDecoder.js';
+
+const DEFAULT_FIELDS = {
+    gmac: 'gateway',
+    readings: 'readings',
+    dmac: 'mac',
+    temp: 'temperature',
+    humidity: 'humidity',
+    vbatt: 'battery',
+    rssi: 'rssi',
+    rawData: 'rawData',
+    ts: 'timestamp'
+};
+
+export class FlatJsonDecoder extends PayloadDecoder {
+    constructor(options = {}) {
+        super(options);
+        this.fields = { ...DEFAULT_FIELDS, ...(options.fields || {}) };
+    }
+
+    decode(message, context = {}) {
+        const payload = this._parseJson(message);
+        const f = this.fields;
+
+        const readings = Array.isArray(payload) ? payload : payload?.[f.readings];
+        if (!Array.isArray(readings)) {
+            throw new DecodeError('UNKNOWN_FORMAT', `Payload sem array de leituras (${f.readings})`);
+        }
+
+        const gatewayFromTopic = this.options.gatewayFromTopic !== undefined ?
+            context.params?.[this.options.gatewayFromTopic] : undefined;
+        const gatewayPayload = Array.isArray(payload) ? undefined : payload[f.gmac];
+
+        // Agrupa leituras por gateway para manter o formato interno { gmac, obj[] }
+        const porGateway = new Map();
+        readings.forEach(r => {
+            if (!r || typeof r !== 'object' || r[f.dmac] === undefined) {
+                throw new DecodeError('UNKNOWN_FORMAT', `Leitura sem campo ${f.dmac}`);
+            }
+            const gmac = r[f.gmac] ?? gatewayPayload ?? gatewayFromTopic ?? null;
+            if (!porGateway.has(gmac)) porGateway.set(gmac, []);
+            porGateway.get(gmac).push(this._completarComRawData({
+                dmac: String(r[f.dmac]).replace(/[:-]/g, '').toUpperCase(),
+                temp: r[f.temp] !== undefined ? Number(r[f.temp]) : undefined,
+                humidity: r[f.humidity] !== undefined ? Number(r[f.humidity]) : undefined,
+                vbatt: r[f.vbatt] !== undefined ? Number(r[f.vbatt]) : undefined,
+                rssi: r[f.rssi] !== undefined ? Number(r[f.rssi]) : undefined,
+                rawData: r[f.rawData],
+                ts: this._resolverTimestamp(r[f.ts])
+            }));
+        });
+
+        return Array.from(porGateway.entries()).map(([gmac, obj]) => ({
+            gmac: gmac ? String(gmac).replace(/[:-]/g, '').toUpperCase() : gmac,
+            obj
+        }));
+    }
+}
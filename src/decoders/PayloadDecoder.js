@@ -0,0 +1,88 @@
+import { decodificarAnuncioBle } from '../utils/bleAdvertisement.js';
+import { converterTimestamp } from '../utils/formatters.js';
+
+/**
+ * Interface comum para decodificadores de payload de gateways
+ * Cada decodificador normaliza o formato de um fabricante para o formato interno:
+ * [{ gmac, obj: [{ dmac, temp, humidity, vbatt, rssi, ts }] }]
+ * onde ts é o instante da medição (ms) informado pelo dispositivo/gateway, quando houver
+ */
+
+/**
+ * Erro de decodificação com motivo classificável
+ * PARSE_ERROR: payload não é JSON válido
+ * UNKNOWN_FORMAT: JSON válido, mas em formato não reconhecido pelo decodificador
+ * NO_ROUTE / UNKNOWN_DECODER: tópico sem rota / decodificador pedido não registrado
+ * DECODER_ERROR: falha inesperada dentro do decodificador
+ * (os motivos são os mesmos de REJECTION_REASONS no dead-letter)
+ */
+export class DecodeError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'DecodeError';
+        this.reason = reason;
+    }
+}
+
+export class PayloadDecoder {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Decodifica uma mensagem bruta
+     * @param {Buffer|string|Object} message - Mensagem recebida (bruta ou já convertida de JSON)
+     * @param {Object} context - Contexto da mensagem ({ topic, params })
+     * @returns {Array} Itens no formato interno
+     */
+    decode(message, context) {
+        throw new Error('Método decode deve ser implementado');
+    }
+
+    /**
+     * Converte mensagem bruta em objeto JSON
+     */
+    _parseJson(message) {
+        if (message !== null && typeof message === 'object' && !Buffer.isBuffer(message)) {
+            return message;
+        }
+        try {
+            return JSON.parse(message.toString());
+        } catch (e) {
+            throw new DecodeError('PARSE_ERROR', `JSON inválido: ${e.message}`);
+        }
+    }
+
+    /**
+     * Completa a leitura com os campos do advertising data bruto (rawData em hex),
+     * para gateways que não enviam temp/humidity/vbatt já decodificados
+     */
+    _completarComRawData(sensor) {
+        const raw = sensor.rawData ?? sensor.raw;
+        if (!raw || (sensor.temp !== undefined && sensor.vbatt !== undefined)) {
+            return sensor;
+        }
+
+        const anuncio = decodificarAnuncioBle(raw);
+        if (!anuncio) return sensor;
+
+        const { frames, ...campos } = anuncio;
+        const completo = { ...sensor, ble_frames: frames };
+        Object.entries(campos).forEach(([campo, valor]) => {
+            if (completo[campo] === undefined) completo[campo] = valor;
+        });
+        return completo;
+    }
+
+    /**
+     * Resolve o instante da medição a partir do primeiro candidato válido
+     * @returns {number|undefined} Timestamp em ms
+     */
+    _resolverTimestamp(...candidatos) {
+        for (const candidato of candidatos) {
+            const ts = converterTimestamp(candidato);
+            if (ts !== null) return ts;
+        }
+        return undefined;
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * Middleware de auditoria das chamadas que alteram dados (POST, PUT, PATCH, DELETE)
+ */
+
+const METODOS_AUDITADOS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Registra a chamada ao fim da resposta, com o chamador definido por exigirPapel
+ * @param {AuditService} auditService
+ */
+export const auditar = (auditService) => (req, res, next) => {
+    if (!METODOS_AUDITADOS.has(req.method)) return next();
+
+    res.on('finish', () => {
+        auditService.registrar({
+            actor: req.auth?.actor,
+            auth_method: req.auth?.method,
+            role: req.auth?.role,
+            http_method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            ip: req.ip,
+            user_agent: req.get('user-agent')
+        });
+    });
+    next();
+};
@@ -0,0 +1,57 @@
+/**
+ * Middlewares de autenticação e autorização por rota
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Exige um chamador autenticado com o papel informado (ou superior)
+ * O chamador identificado fica em req.auth ({ actor, method, role })
+ * @param {AuthService} authService
+ * @param {string} papel - Um de ROLES
+ * @param {Object} opcoes - { permitirQuery: aceita ?access_token= (EventSource não envia cabeçalhos) }
+ */
+export const exigirPapel = (authService, papel, { permitirQuery = false } = {}) => (req, res, next) => {
+    if (!authService.enabled) {
+        req.auth = { actor: null, method: 'none', role: null };
+        return next();
+    }
+
+    let principal;
+    try {
+        principal = authService.autenticar({
+            authorization: req.get('authorization'),
+            apiKey: req.get('x-api-key'),
+            accessToken: permitirQuery && typeof req.query.access_token === 'string' ? req.query.access_token : undefined
+        });
+    } catch (error) {
+        if (error.code !== 'UNAUTHORIZED') return next(error);
+
+        logger.logWarn('AUTH', 'Requisição não autenticada', {
+            path: req.path,
+            ip: req.ip,
+            motivo: error.message
+        });
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            status: 'UNAUTHORIZED',
+            message: error.message
+        });
+    }
+
+    req.auth = principal;
+    if (!authService.autorizar(principal, papel)) {
+        logger.logWarn('AUTH', 'Acesso negado por papel', {
+            actor: principal.actor,
+            role: principal.role,
+            exigido: papel,
+            path: req.path
+        });
+        return res.status(403).json({
+            status: 'FORBIDDEN',
+            message: `Papel ${principal.role} sem permissão (exigido: ${papel})`
+        });
+    }
+
+    next();
+};
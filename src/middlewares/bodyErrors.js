@@ -0,0 +1,47 @@
+/**
+ * Erros do parser JSON (express.json) em respostas no formato da API
+ * Sem este handler, corpo inválido ou grande demais recebe a página HTML padrão do Express
+ */
+
+import logger from '../utils/logger.js';
+
+const ERROS_CORPO = {
+    'entity.parse.failed': { status: 400, message: 'Corpo da requisição não é um JSON válido' },
+    'entity.too.large': { status: 413, message: 'Corpo da requisição excede o limite' }
+};
+
+/**
+ * Responde 400/413 em JSON; em POST /ingest registra a rejeição (PARSE_ERROR) como no caminho
+ * MQTT, depois de verificar o chamador: o corpo inválido vai ao dead-letter para inspeção e reenvio
+ * @param {IngestionService} ingestionService
+ * @param {Function} exigirIngestao - Middleware de autenticação da rota de ingestão
+ */
+export const tratarErroCorpo = (ingestionService, exigirIngestao) => (err, req, res, next) => {
+    const tipo = ERROS_CORPO[err.type];
+    if (!tipo) return next(err);
+
+    const responder = () => res.status(tipo.status).json({
+        status: 'ERROR',
+        message: tipo.message,
+        error: err.message
+    });
+
+    if (req.method !== 'POST' || req.path !== '/ingest') {
+        logger.logDebug('HTTP', tipo.message, { path: req.path, ip: req.ip, error: err.message });
+        return responder();
+    }
+
+    exigirIngestao(req, res, () => {
+        ingestionService.rejeitarCorpo(err.type === 'entity.parse.failed' ? err.body : null, err.message, {
+            source: 'HTTP',
+            decoder: typeof req.query.decoder === 'string' ? req.query.decoder : undefined,
+            detail: err.type
+        });
+        logger.logWarn('HTTP', 'Payload de ingestão rejeitado', {
+            ip: req.ip,
+            tipo: err.type,
+            error: err.message
+        });
+        responder();
+    });
+};
@@ -3,6 +3,8 @@
  * Representa o estado atual e histórico de um sensor
  */
 
+import { criarEstadoCompressao } from '../utils/swingingDoor.js';
+
 export class SensorState {
     constructor(mac, config) {
         this.mac = mac;
@@ -10,8 +12,7 @@ export class SensorState {
         this.lastReading = {
             ts: 0,
             db_temp: -999,
-            db_hum: -999,
-            db_ts: 0
+            db_hum: -999
         };
         this.alertControl = {
             last_virtual_state: false,
@@ -21,6 +22,8 @@ export class SensorState {
             defrost_start_ts: null,
             defrost_start_temp: null,
             defrost_peak_temp: null,
+            defrost_start_criteria: null,
+            defrost_start_confidence: null,
             defrost_end_ts: null,
             defrost_just_started: false,
             last_alert_sent_ts: null,
@@ -28,6 +31,7 @@ export class SensorState {
             last_porta_state_logged: false
         };
         this.history = [];
+        this.compression = criarEstadoCompressao(); // Compressão swinging door da telemetria persistida
     }
 
     /**
@@ -40,10 +44,20 @@ export class SensorState {
     }
 
     /**
-     * Adiciona ponto ao histórico
+     * Adiciona ponto ao histórico mantendo a ordem temporal
+     * Leituras atrasadas são inseridas na posição correta
      */
     addHistoryPoint(temp, ts) {
-        this.history.push({ ts, temp });
+        let i = this.history.length;
+        while (i > 0 && this.history[i - 1].ts > ts) i--;
+        this.history.splice(i, 0, { ts, temp });
+    }
+
+    /**
+     * Verifica se a leitura é anterior à última leitura processada
+     */
+    isLateReading(ts) {
+        return this.lastReading.ts > 0 && ts < this.lastReading.ts;
     }
 
     /**
@@ -76,4 +90,29 @@ export class SensorState {
         if (!this.alertControl.defrost_start_ts) return 0;
         return Math.floor((now - this.alertControl.defrost_start_ts) / 60000);
     }
+
+    /**
+     * Representação serializável do estado (snapshot para warm restart)
+     */
+    toSnapshot() {
+        return {
+            mac: this.mac,
+            lastReading: this.lastReading,
+            alertControl: this.alertControl,
+            history: this.history,
+            compression: this.compression
+        };
+    }
+
+    /**
+     * Recria o estado a partir de um snapshot, com a configuração atual do sensor
+     */
+    static fromSnapshot(snapshot, config) {
+        const state = new SensorState(snapshot.mac, config);
+        Object.assign(state.lastReading, snapshot.lastReading);
+        Object.assign(state.alertControl, snapshot.alertControl);
+        state.history = Array.isArray(snapshot.history) ? snapshot.history : [];
+        if (snapshot.compression) state.compression = snapshot.compression;
+        return state;
+    }
 }
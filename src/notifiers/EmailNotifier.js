@@ -0,0 +1,41 @@
+import nodemailer from 'nodemailer';
+import { Notifier } from './Notifier.js';
+
+/**
+ * E-mail via SMTP
+ * Opções: { host, port, secure, user, pass, from, to (um ou lista) }
+ */
+export class EmailNotifier extends Notifier {
+    constructor(options = {}) {
+        super(options);
+        this._exigir('host', 'from', 'to');
+        this.transport = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || (options.secure ? 465 : 587),
+            secure: !!options.secure,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+            connectionTimeout: this.timeoutMs,
+            greetingTimeout: this.timeoutMs,
+            socketTimeout: this.timeoutMs
+        });
+    }
+
+    async enviar(alertas) {
+        await this.transport.sendMail({
+            from: this.options.from,
+            to: [].concat(this.options.to).join(', '),
+            subject: this._assunto(alertas),
+            text: this._texto(alertas)
+        });
+    }
+
+    // Assunto com o total por prioridade, ex.: [ColdChain] 3 alertas (ALTA: 2, MEDIA: 1)
+    _assunto(alertas) {
+        const porPrioridade = alertas.reduce((acc, a) => {
+            acc[a.prioridade] = (acc[a.prioridade] || 0) + 1;
+            return acc;
+        }, {});
+        const resumo = Object.entries(porPrioridade).map(([prioridade, total]) => `${prioridade}: ${total}`).join(', ');
+        return `[${this.title}] ${alertas.length} ${alertas.length === 1 ? 'alerta' : 'alertas'} (${resumo})`;
+    }
+}
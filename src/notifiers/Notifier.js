@@ -0,0 +1,96 @@
+import { NOTIFY_TIMEOUT_MS } from '../config/constants.js';
+
+/**
+ * Interface comum para canais de notificação de alertas
+ * Cada canal formata o lote de alertas no formato do destino e o entrega;
+ * enviar() deve lançar erro quando a entrega falhar, para que o lote seja retentado
+ *
+ * Alertas recebidos: { sensor_nome, sensor_mac, prioridade, mensagens[], timestamp_iso, dados_contexto, site }
+ */
+export class Notifier {
+    /**
+     * @param {Object} options - Configuração do canal (campos específicos de cada tipo,
+     *                           title: prefixo das mensagens, timeout_ms: limite de cada requisição)
+     * @throws {Error} Quando faltam campos obrigatórios
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.title = options.title || 'ColdChain';
+        this.timeoutMs = options.timeout_ms || NOTIFY_TIMEOUT_MS;
+    }
+
+    /**
+     * Entrega um lote de alertas
+     * @param {Array} alertas
+     * @param {Object} entrega - { id (estável entre tentativas), attempt, created_at }
+     */
+    async enviar(alertas, entrega) {
+        throw new Error('Método enviar deve ser implementado');
+    }
+
+    /**
+     * Exige campos da configuração (valor não vazio)
+     */
+    _exigir(...campos) {
+        const ausentes = campos.filter(campo => {
+            const valor = this.options[campo];
+            return valor === undefined || valor === null || valor === '' || (Array.isArray(valor) && valor.length === 0);
+        });
+        if (ausentes.length > 0) {
+            throw new Error(`Campos obrigatórios ausentes: ${ausentes.join(', ')}`);
+        }
+    }
+
+    /**
+     * POST com timeout; respostas fora de 2xx viram erro
+     */
+    async _post(url, body, headers = {}) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: typeof body === 'string' ? body : JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+
+        if (!response.ok) {
+            const detalhe = await response.text().catch(() => '');
+            throw new Error(`HTTP ${response.status}: ${response.statusText}${detalhe ? ` - ${detalhe.substring(0, 200)}` : ''}`);
+        }
+        return response;
+    }
+
+    /**
+     * Uma linha por alerta: [PRIORIDADE] Sensor (site): mensagens
+     */
+    _linha(alerta) {
+        const local = alerta.site ? ` (${alerta.site})` : '';
+        return `[${alerta.prioridade}] ${alerta.sensor_nome}${local}: ${(alerta.mensagens || []).join(' | ')}`;
+    }
+
+    /**
+     * Texto do lote: título com o total e uma linha por alerta
+     */
+    _texto(alertas) {
+        const titulo = `${this.title}: ${alertas.length} ${alertas.length === 1 ? 'alerta' : 'alertas'}`;
+        return [titulo, '', ...alertas.map(a => this._linha(a))].join('\n');
+    }
+
+    /**
+     * Divide o texto em partes de até max caracteres, quebrando entre linhas
+     */
+    _dividir(texto, max) {
+        const partes = [];
+        let atual = '';
+        texto.split('\n').forEach(linha => {
+            const trecho = linha.length > max ? linha.substring(0, max - 1) + '…' : linha;
+            if (atual && atual.length + 1 + trecho.length > max) {
+                partes.push(atual);
+                atual = trecho;
+            } else {
+                atual = atual ? `${atual}\n${trecho}` : trecho;
+            }
+        });
+        if (atual) partes.push(atual);
+        return partes;
+    }
+}
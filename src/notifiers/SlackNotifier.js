@@ -0,0 +1,30 @@
+import { Notifier } from './Notifier.js';
+
+const MAX_TEXTO = 35000;
+
+/**
+ * Incoming webhook compatível com o Slack (Slack, Mattermost, Rocket.Chat)
+ * Opções: { url, username, channel }
+ */
+export class SlackNotifier extends Notifier {
+    constructor(options = {}) {
+        super(options);
+        this._exigir('url');
+    }
+
+    async enviar(alertas) {
+        const { url, username, channel } = this.options;
+        for (const text of this._dividir(this._texto(alertas), MAX_TEXTO)) {
+            await this._post(url, {
+                text,
+                ...(username ? { username } : {}),
+                ...(channel ? { channel } : {})
+            });
+        }
+    }
+
+    _linha(alerta) {
+        const local = alerta.site ? ` (${alerta.site})` : '';
+        return `• *[${alerta.prioridade}] ${alerta.sensor_nome}*${local}: ${(alerta.mensagens || []).join(' | ')}`;
+    }
+}
@@ -0,0 +1,43 @@
+import { Notifier } from './Notifier.js';
+
+const CORPO_PADRAO = { to: '{{to}}', message: '{{message}}' };
+
+/**
+ * SMS por gateway HTTP
+ * Opções: { url, to (um ou lista), headers, body (modelo JSON com {{to}} e {{message}}), max_length }
+ * Uma requisição por destinatário com o resumo do lote, truncado em max_length (padrão 480)
+ */
+export class SmsNotifier extends Notifier {
+    constructor(options = {}) {
+        super(options);
+        this._exigir('url', 'to');
+        this.destinatarios = [].concat(options.to).map(String);
+        this.maxLength = options.max_length || 480;
+        this.modelo = options.body || CORPO_PADRAO;
+    }
+
+    async enviar(alertas) {
+        const message = this._mensagem(alertas);
+        for (const to of this.destinatarios) {
+            await this._post(this.options.url, this._preencher(this.modelo, { to, message }), this.options.headers);
+        }
+    }
+
+    _mensagem(alertas) {
+        const linhas = alertas.map(a => `[${a.prioridade}] ${a.sensor_nome}: ${a.mensagens?.[0] ?? ''}`);
+        const texto = alertas.length === 1 ? `${this.title}: ${linhas[0]}` : `${this.title}: ${alertas.length} alertas; ${linhas.join('; ')}`;
+        return texto.length > this.maxLength ? texto.substring(0, this.maxLength - 1) + '…' : texto;
+    }
+
+    // Substitui os marcadores nos valores de texto do modelo (recursivo)
+    _preencher(modelo, valores) {
+        if (typeof modelo === 'string') {
+            return modelo.replace(/\{\{(\w+)\}\}/g, (marcador, campo) => valores[campo] ?? marcador);
+        }
+        if (Array.isArray(modelo)) return modelo.map(item => this._preencher(item, valores));
+        if (modelo && typeof modelo === 'object') {
+            return Object.fromEntries(Object.entries(modelo).map(([campo, valor]) => [campo, this._preencher(valor, valores)]));
+        }
+        return modelo;
+    }
+}
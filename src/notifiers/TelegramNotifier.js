@@ -0,0 +1,27 @@
+import { Notifier } from './Notifier.js';
+
+const MAX_MENSAGEM = 4096; // Limite da API sendMessage
+
+/**
+ * Bot do Telegram (sendMessage, texto simples)
+ * Opções: { bot_token, chat_id (um ou lista), api_url }
+ */
+export class TelegramNotifier extends Notifier {
+    constructor(options = {}) {
+        super(options);
+        this._exigir('bot_token', 'chat_id');
+        this.chats = [].concat(options.chat_id).map(String);
+        this.apiUrl = (options.api_url || 'https://api.telegram.org').replace(/\/$/, '');
+    }
+
+    async enviar(alertas) {
+        const url = `${this.apiUrl}/bot${this.options.bot_token}/sendMessage`;
+        const partes = this._dividir(this._texto(alertas), MAX_MENSAGEM);
+
+        for (const chat_id of this.chats) {
+            for (const text of partes) {
+                await this._post(url, { chat_id, text, disable_web_page_preview: true });
+            }
+        }
+    }
+}
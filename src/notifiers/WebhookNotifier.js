@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { Notifier } from './Notifier.js';
+import { NOTIFY_WEBHOOK_SECRET } from '../config/constants.js';
+
+/**
+ * Webhook HTTP genérico (formato usado pelo fluxo do n8n)
+ * Opções: { url, headers, secret }
+ * Corpo: { delivery_id, timestamp, total_alertas, is_batched, alertas }
+ *
+ * Cada requisição leva o ID da entrega (o mesmo em todas as tentativas, para o destino
+ * descartar duplicatas) e, com segredo configurado, a assinatura HMAC-SHA256 de
+ * "<X-ColdChain-Timestamp>.<corpo>" em X-ColdChain-Signature
+ */
+export class WebhookNotifier extends Notifier {
+    constructor(options = {}) {
+        super(options);
+        this._exigir('url');
+        this.secret = options.secret || NOTIFY_WEBHOOK_SECRET;
+    }
+
+    async enviar(alertas, entrega = {}) {
+        // Corpo idêntico em todas as tentativas da entrega
+        const corpo = JSON.stringify({
+            delivery_id: entrega.id ?? null,
+            timestamp: entrega.created_at || new Date().toISOString(),
+            total_alertas: alertas.length,
+            is_batched: true,
+            alertas
+        });
+
+        await this._post(this.options.url, corpo, {
+            ...this.options.headers,
+            ...this._cabecalhosEntrega(corpo, entrega)
+        });
+    }
+
+    _cabecalhosEntrega(corpo, entrega) {
+        const cabecalhos = {};
+        if (entrega.id) {
+            cabecalhos['X-ColdChain-Delivery'] = entrega.id;
+            cabecalhos['Idempotency-Key'] = entrega.id;
+        }
+        if (entrega.attempt) cabecalhos['X-ColdChain-Attempt'] = String(entrega.attempt);
+
+        if (this.secret) {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const assinatura = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${corpo}`).digest('hex');
+            cabecalhos['X-ColdChain-Timestamp'] = timestamp;
+            cabecalhos['X-ColdChain-Signature'] = `sha256=${assinatura}`;
+        }
+        return cabecalhos;
+    }
+}
@@ -0,0 +1,465 @@
+/**
+ * Interface base dos repositórios de sensores
+ * Cada backend (Supabase, SQLite) implementa as consultas e o insert de linhas;
+ * a escrita em lote (blocos, retentativas e bissecção) é comum a todos
+ */
+
+import logger from '../utils/logger.js';
+import metricsService from '../services/MetricsService.js';
+import { calcularBackoff, esperar } from '../utils/retry.js';
+import { DB_MAX_CHUNK_SIZE, DB_RETRY_ATTEMPTS, DB_RETRY_BASE_MS, DB_RETRY_MAX_MS } from '../config/constants.js';
+
+// Tabelas de agregados por período
+export const ROLLUP_TABLES = {
+    hour: 'telemetry_rollups_hourly',
+    day: 'telemetry_rollups_daily'
+};
+
+// Colunas de sensor_configs
+export const CONFIG_COLUMNS = [
+    'mac', 'sensor_porta_vinculado', 'display_name', 'temp_max', 'temp_min', 'hum_max', 'hum_min', 'em_manutencao'
+];
+
+/**
+ * Formas em que um MAC pode estar gravado em sensor_configs (com e sem separadores)
+ */
+export const variantesMac = (mac) => [mac, mac.replace(/:/g, '')];
+
+export class BaseSensorRepository {
+    constructor() {
+        this.writeStats = {
+            chunks: 0,
+            retries: 0,
+            failed_chunks: 0,
+            bisections: 0,
+            rows_inserted: 0,
+            quarantined: 0
+        };
+    }
+
+    /**
+     * Busca todas as configurações de sensores
+     * @returns {Promise<Array>} { mac, sensor_porta_vinculado, display_name, temp_max, temp_min, hum_max, hum_min, em_manutencao }
+     */
+    async findAllConfigs() {
+        throw new Error('Método findAllConfigs deve ser implementado');
+    }
+
+    /**
+     * Busca a configuração de um sensor (gravada com ou sem separadores no MAC)
+     * @param {string} mac - MAC formatado (XX:XX:XX:XX:XX:XX)
+     * @returns {Promise<Object|null>} Linha de sensor_configs (mac como gravado)
+     */
+    async findConfigByMac(mac) {
+        throw new Error('Método findConfigByMac deve ser implementado');
+    }
+
+    /**
+     * Cria a configuração de um sensor
+     * @returns {Promise<Object>} Configuração gravada
+     */
+    async insertConfig(config) {
+        throw new Error('Método insertConfig deve ser implementado');
+    }
+
+    /**
+     * Atualiza campos da configuração de um sensor
+     * @param {string} mac - MAC como gravado em sensor_configs
+     * @returns {Promise<Object|null>} Configuração atualizada ou null se não existe
+     */
+    async updateConfig(mac, campos) {
+        throw new Error('Método updateConfig deve ser implementado');
+    }
+
+    /**
+     * Remove a configuração de um sensor
+     * @param {string} mac - MAC como gravado em sensor_configs
+     * @returns {Promise<boolean>} true se a configuração existia
+     */
+    async deleteConfig(mac) {
+        throw new Error('Método deleteConfig deve ser implementado');
+    }
+
+    /**
+     * Busca janelas de manutenção que ainda não expiraram, mais antigas primeiro
+     * @param {Object} filtros - { mac, since } (since em ISO: expires_at nulo ou posterior)
+     * @returns {Promise<Array>} Linhas de maintenance_windows
+     */
+    async findMaintenanceWindows(filtros = {}) {
+        throw new Error('Método findMaintenanceWindows deve ser implementado');
+    }
+
+    /**
+     * Cria uma janela de manutenção
+     * @returns {Promise<Object>} Janela gravada
+     */
+    async insertMaintenanceWindow(janela) {
+        throw new Error('Método insertMaintenanceWindow deve ser implementado');
+    }
+
+    /**
+     * Remove uma janela de manutenção
+     * @returns {Promise<boolean>} true se a janela existia
+     */
+    async deleteMaintenanceWindow(id) {
+        throw new Error('Método deleteMaintenanceWindow deve ser implementado');
+    }
+
+    /**
+     * Busca estados de porta das últimas horas, mais recentes primeiro
+     * @returns {Promise<Array>} { sensor_mac, is_open, timestamp_read }
+     */
+    async findLastDoorStates(hours = 24) {
+        throw new Error('Método findLastDoorStates deve ser implementado');
+    }
+
+    /**
+     * Busca gateways que reportaram telemetria nas últimas horas, mais recentes primeiro
+     * @returns {Promise<Array>} { gw, ts }
+     */
+    async findKnownGateways(hours = 24) {
+        throw new Error('Método findKnownGateways deve ser implementado');
+    }
+
+    /**
+     * Busca ciclos de degelo de um sensor iniciados no intervalo, mais recentes primeiro
+     * @param {string} mac - MAC do sensor
+     * @param {string} from - Início (ISO)
+     * @param {string} to - Fim (ISO)
+     * @returns {Promise<Array>} Linhas de defrost_logs
+     */
+    async findDefrostLogs(mac, from, to, limit = 500) {
+        throw new Error('Método findDefrostLogs deve ser implementado');
+    }
+
+    /**
+     * Busca alertas com filtros, mais recentes primeiro
+     * @param {Object} filtros - { status, mac, type, from, to, limit } (from/to sobre opened_at, em ISO)
+     * @returns {Promise<Array>} Linhas de alert_logs
+     */
+    async findAlertLogs(filtros = {}) {
+        throw new Error('Método findAlertLogs deve ser implementado');
+    }
+
+    /**
+     * Busca um alerta pelo ID
+     * @returns {Promise<Object|null>}
+     */
+    async findAlertLogById(id) {
+        throw new Error('Método findAlertLogById deve ser implementado');
+    }
+
+    /**
+     * Busca chamadas auditadas, mais recentes primeiro
+     * @param {Object} filtros - { actor, from, to, limit } (from/to sobre ts, em ISO)
+     * @returns {Promise<Array>} Linhas de audit_log
+     */
+    async findAuditLogs(filtros = {}) {
+        throw new Error('Método findAuditLogs deve ser implementado');
+    }
+
+    /**
+     * Busca a telemetria persistida de um sensor no intervalo, em ordem cronológica
+     * @param {string} mac - MAC do sensor
+     * @param {string} from - Início (ISO, inclusivo)
+     * @param {string} to - Fim (ISO, exclusivo)
+     * @param {number} limit - Máximo de linhas (as mais antigas)
+     * @returns {Promise<Array>} { ts, temp, hum, is_degelo }
+     */
+    async findSensorTelemetry(mac, from, to, limit) {
+        throw new Error('Método findSensorTelemetry deve ser implementado');
+    }
+
+    /**
+     * Busca a telemetria de todos os sensores no intervalo, ordenada por sensor e instante
+     * @param {string} from - Início (ISO, inclusivo)
+     * @param {string} to - Fim (ISO, exclusivo)
+     * @returns {Promise<Array>} { mac, ts, temp, hum }
+     */
+    async findTelemetryRange(from, to) {
+        throw new Error('Método findTelemetryRange deve ser implementado');
+    }
+
+    /**
+     * Busca eventos de porta de todos os sensores no intervalo
+     * @returns {Promise<Array>} { sensor_mac, is_open, timestamp_read }
+     */
+    async findDoorLogsRange(from, to) {
+        throw new Error('Método findDoorLogsRange deve ser implementado');
+    }
+
+    /**
+     * Busca ciclos de degelo de todos os sensores que se sobrepõem ao intervalo
+     * @returns {Promise<Array>} { sensor_mac, start_ts, end_ts }
+     */
+    async findDefrostLogsOverlapping(from, to) {
+        throw new Error('Método findDefrostLogsOverlapping deve ser implementado');
+    }
+
+    /**
+     * Início do agregado mais recente do período
+     * @param {string} periodo - 'hour' ou 'day'
+     * @returns {Promise<string|null>} bucket_start em ISO ou null se a tabela está vazia
+     */
+    async findLatestRollupBucket(periodo) {
+        throw new Error('Método findLatestRollupBucket deve ser implementado');
+    }
+
+    /**
+     * Cobertura dos agregados de todos os sensores com bucket_start em [from, to)
+     * @param {string} periodo - 'hour' ou 'day'
+     * @returns {Promise<Array>} { sensor_mac, bucket_start, samples, door_open_count }
+     */
+    async findRollupCoverage(periodo, from, to) {
+        throw new Error('Método findRollupCoverage deve ser implementado');
+    }
+
+    /**
+     * Leituras de temperatura (temp não nula) por sensor e hora UTC no intervalo [from, to)
+     * @returns {Promise<Array>} { mac, hour, total }
+     */
+    async countTelemetryByHour(from, to) {
+        throw new Error('Método countTelemetryByHour deve ser implementado');
+    }
+
+    /**
+     * Aberturas de porta por sensor e hora UTC no intervalo [from, to)
+     * @returns {Promise<Array>} { sensor_mac, hour, total }
+     */
+    async countDoorOpeningsByHour(from, to) {
+        throw new Error('Método countDoorOpeningsByHour deve ser implementado');
+    }
+
+    /**
+     * Busca agregados de um sensor no intervalo, mais antigos primeiro
+     * @param {string} periodo - 'hour' ou 'day'
+     * @returns {Promise<Array>} Linhas da tabela de agregados
+     */
+    async findRollups(periodo, mac, from, to, limit = 1000) {
+        throw new Error('Método findRollups deve ser implementado');
+    }
+
+    /**
+     * Instante mais antigo da coluna na tabela
+     * @returns {Promise<string|null>} ISO ou null se a tabela está vazia
+     */
+    async findOldestTimestamp(tabela, coluna) {
+        throw new Error('Método findOldestTimestamp deve ser implementado');
+    }
+
+    /**
+     * Apaga um lote de até limite linhas com a coluna anterior a cutoff, mais antigas primeiro
+     * Linhas com a coluna nula não são apagadas
+     * @returns {Promise<number>} Linhas apagadas
+     */
+    async deleteOlderThan(tabela, coluna, cutoff, limite) {
+        throw new Error('Método deleteOlderThan deve ser implementado');
+    }
+
+    /**
+     * Insere um bloco de linhas na tabela (lança o erro do backend em caso de falha)
+     * Com conflito (nome da coluna), linhas existentes com a mesma chave são atualizadas
+     * Erros de dados devem expor code no padrão SQLSTATE (22xxx/23xxx)
+     */
+    async _insertRows(tabela, registros, conflito = null) {
+        throw new Error('Método _insertRows deve ser implementado');
+    }
+
+    /**
+     * Insere logs de telemetria em lote
+     * @returns {Promise<{inserted: number, quarantined: Array}>}
+     */
+    async insertTelemetryBatch(telemetryData) {
+        return this._insertBatch('telemetry_logs', telemetryData);
+    }
+
+    /**
+     * Insere logs de porta em lote
+     * @returns {Promise<{inserted: number, quarantined: Array}>}
+     */
+    async insertDoorBatch(doorData) {
+        return this._insertBatch('door_logs', doorData);
+    }
+
+    /**
+     * Insere ciclos de degelo em lote
+     * @returns {Promise<{inserted: number, quarantined: Array}>}
+     */
+    async insertDefrostBatch(defrostData) {
+        return this._insertBatch('defrost_logs', defrostData);
+    }
+
+    /**
+     * Insere ou atualiza alertas (chave: id) em lote
+     * @returns {Promise<{inserted: number, quarantined: Array}>}
+     */
+    async upsertAlertLogs(alertData) {
+        return this._insertBatch('alert_logs', alertData, 'id');
+    }
+
+    /**
+     * Insere chamadas auditadas em lote
+     * @returns {Promise<{inserted: number, quarantined: Array}>}
+     */
+    async insertAuditBatch(auditData) {
+        return this._insertBatch('audit_log', auditData);
+    }
+
+    /**
+     * Insere ou atualiza agregados (chave: sensor_mac + bucket_start) em lote
+     * @param {string} periodo - 'hour' ou 'day'
+     * @returns {Promise<{inserted: number, quarantined: Array}>}
+     */
+    async upsertRollups(periodo, rollups) {
+        return this._insertBatch(ROLLUP_TABLES[periodo], rollups, 'sensor_mac,bucket_start');
+    }
+
+    /**
+     * Garante que as escritas já confirmadas estão em armazenamento durável
+     * (no Supabase cada insert já é durável; o SQLite adia a gravação do arquivo)
+     */
+    async sync() {}
+
+    /**
+     * Estatísticas de escrita em lote
+     */
+    getWriteStats() {
+        return { ...this.writeStats };
+    }
+
+    /**
+     * Insere linhas em blocos de até DB_MAX_CHUNK_SIZE
+     * Erros transitórios (rede, timeout, 5xx, banco ocupado) são retentados com backoff exponencial;
+     * erros de dados (SQLSTATE classes 22/23) levam à bissecção do bloco até isolar as
+     * linhas inválidas, que são devolvidas em quarantined em vez de bloquear o lote;
+     * erros de esquema (PGRST2xx, ex.: coluna ausente) falham o bloco sem retentativas
+     *
+     * Se um bloco esgotar as tentativas, lança o erro com:
+     * - remaining: linhas ainda não gravadas (bloco atual e seguintes)
+     * - inserted / quarantined: o que já foi resolvido antes da falha
+     */
+    async _insertBatch(tabela, linhas, conflito = null) {
+        const resultado = { inserted: 0, quarantined: [] };
+
+        for (let i = 0; i < linhas.length; i += DB_MAX_CHUNK_SIZE) {
+            const bloco = linhas.slice(i, i + DB_MAX_CHUNK_SIZE);
+            try {
+                await this._insertComBisseccao(tabela, bloco, resultado, conflito);
+            } catch (e) {
+                logger.logError('REPOSITORY', `Erro ao inserir em ${tabela}`, {
+                    error: e.message,
+                    code: e.code,
+                    batch_size: linhas.length,
+                    gravadas: resultado.inserted,
+                    pendentes: linhas.length - resultado.inserted - resultado.quarantined.length
+                });
+                // Blocos e metades da bissecção são resolvidos em ordem: o que já foi
+                // gravado ou quarentenado é sempre um prefixo das linhas
+                e.remaining = linhas.slice(resultado.inserted + resultado.quarantined.length);
+                e.inserted = resultado.inserted;
+                e.quarantined = resultado.quarantined;
+                throw e;
+            }
+        }
+
+        return resultado;
+    }
+
+    async _insertComBisseccao(tabela, linhas, resultado, conflito) {
+        try {
+            await this._insertComRetry(tabela, linhas, conflito);
+            resultado.inserted += linhas.length;
+        } catch (e) {
+            if (!this._isErroDeDados(e)) throw e;
+
+            if (linhas.length === 1) {
+                this.writeStats.quarantined++;
+                resultado.quarantined.push({ row: linhas[0], error: e.message, code: e.code });
+                logger.logWarn('REPOSITORY', `Linha rejeitada por ${tabela} movida para quarentena`, {
+                    error: e.message,
+                    code: e.code,
+                    sensor: linhas[0].mac || linhas[0].sensor_mac,
+                    row: this._paraBanco(linhas[0])
+                });
+                return;
+            }
+
+            this.writeStats.bisections++;
+            const meio = Math.ceil(linhas.length / 2);
+            await this._insertComBisseccao(tabela, linhas.slice(0, meio), resultado, conflito);
+            await this._insertComBisseccao(tabela, linhas.slice(meio), resultado, conflito);
+        }
+    }
+
+    async _insertComRetry(tabela, linhas, conflito) {
+        const registros = linhas.map(linha => this._paraBanco(linha));
+
+        for (let tentativa = 1; ; tentativa++) {
+            this.writeStats.chunks++;
+            let error;
+            try {
+                await metricsService.medir(metricsService.dbInsertDuration, { table: tabela },
+                    () => this._insertRows(tabela, registros, conflito));
+                this.writeStats.rows_inserted += linhas.length;
+                return;
+            } catch (e) {
+                error = e;
+                metricsService.dbInsertFailures.inc({ table: tabela, kind: this._tipoDeFalha(e) });
+            }
+
+            if (this._isErroDeEsquema(error)) {
+                this.writeStats.failed_chunks++;
+                logger.logError('REPOSITORY', `Esquema de ${tabela} incompatível com as linhas enviadas (aplique as migrações do README)`, {
+                    error: error.message,
+                    code: error.code,
+                    hint: error.hint
+                });
+                throw error;
+            }
+
+            if (this._isErroDeDados(error) || tentativa >= DB_RETRY_ATTEMPTS) {
+                this.writeStats.failed_chunks++;
+                throw error;
+            }
+
+            this.writeStats.retries++;
+            const atraso = calcularBackoff(tentativa, DB_RETRY_BASE_MS, DB_RETRY_MAX_MS);
+            logger.logWarn('REPOSITORY', `Falha ao inserir em ${tabela}, nova tentativa em ${atraso}ms`, {
+                tentativa,
+                error: error.message,
+                code: error.code,
+                linhas: linhas.length
+            });
+            await esperar(atraso);
+        }
+    }
+
+    /**
+     * Erros causados pelo conteúdo das linhas (não adianta retentar o mesmo lote)
+     * SQLSTATE 22xxx: dados inválidos (tipo, formato, faixa); 23xxx: violação de restrição
+     */
+    _isErroDeDados(error) {
+        return typeof error?.code === 'string' && /^2[23]/.test(error.code);
+    }
+
+    /**
+     * Erros do PostgREST por esquema incompatível (PGRST2xx: coluna ou tabela ausente no cache
+     * de esquema); nenhuma linha do lote seria gravada, mas as linhas não são inválidas
+     */
+    _isErroDeEsquema(error) {
+        return typeof error?.code === 'string' && /^PGRST2/.test(error.code);
+    }
+
+    _tipoDeFalha(error) {
+        if (this._isErroDeDados(error)) return 'data';
+        if (this._isErroDeEsquema(error)) return 'schema';
+        return 'transient';
+    }
+
+    /**
+     * Remove campos internos (prefixo _) antes de enviar ao banco
+     */
+    _paraBanco(linha) {
+        return Object.fromEntries(Object.entries(linha).filter(([campo]) => !campo.startsWith('_')));
+    }
+}
@@ -0,0 +1,768 @@
+/**
+ * Repositório de sensores em SQLite embarcado (sql.js, sem dependências nativas)
+ * Permite rodar o pipeline completo sem internet: notebook, testes de integração
+ * ou sites de borda. Mesmas tabelas do Supabase: sensor_configs, telemetry_logs, door_logs,
+ * defrost_logs, alert_logs, maintenance_windows e agregados (telemetry_rollups_hourly/daily)
+ *
+ * O banco fica em memória e é regravado inteiro no arquivo (escrita atômica). Inserts em lote e
+ * limpezas da retenção apenas marcam o banco como alterado: o arquivo é gravado uma vez no sync()
+ * do ciclo de flush ou, no máximo, saveDelayMs depois da alteração. Configurações e janelas de
+ * manutenção são gravadas na hora. Com path ':memory:' nada é gravado em disco
+ */
+
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import logger from '../utils/logger.js';
+import { BaseSensorRepository, ROLLUP_TABLES, CONFIG_COLUMNS, variantesMac } from './BaseSensorRepository.js';
+import { SQLITE_SAVE_DELAY_MS } from '../config/constants.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS sensor_configs (
+        mac TEXT PRIMARY KEY,
+        sensor_porta_vinculado TEXT,
+        display_name TEXT,
+        temp_max REAL,
+        temp_min REAL,
+        hum_max REAL,
+        hum_min REAL,
+        em_manutencao INTEGER NOT NULL DEFAULT 0
+    ) STRICT;
+
+    CREATE TABLE IF NOT EXISTS telemetry_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        gw TEXT,
+        gateways TEXT,
+        mac TEXT NOT NULL,
+        ts TEXT NOT NULL,
+        ingest_ts TEXT,
+        temp REAL,
+        hum REAL,
+        batt INTEGER,
+        rssi INTEGER,
+        is_degelo INTEGER NOT NULL DEFAULT 0
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_telemetry_mac_ts ON telemetry_logs (mac, ts);
+    CREATE INDEX IF NOT EXISTS idx_telemetry_ts ON telemetry_logs (ts);
+
+    CREATE TABLE IF NOT EXISTS door_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sensor_mac TEXT NOT NULL,
+        gateway_mac TEXT,
+        is_open INTEGER NOT NULL,
+        timestamp_read TEXT NOT NULL,
+        ingest_ts TEXT,
+        alarm_code INTEGER,
+        battery_percent INTEGER,
+        rssi INTEGER
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_door_timestamp ON door_logs (timestamp_read);
+
+    CREATE TABLE IF NOT EXISTS defrost_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sensor_mac TEXT NOT NULL,
+        gateway_mac TEXT,
+        start_ts TEXT NOT NULL,
+        end_ts TEXT NOT NULL,
+        duration_s INTEGER,
+        temp_start REAL,
+        temp_peak REAL,
+        temp_end REAL,
+        criteria_start TEXT,
+        criteria_end TEXT,
+        confidence_start TEXT,
+        confidence_end TEXT,
+        ingest_ts TEXT
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_defrost_mac_start ON defrost_logs (sensor_mac, start_ts);
+
+    CREATE TABLE IF NOT EXISTS alert_logs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        priority TEXT,
+        status TEXT NOT NULL,
+        sensor_mac TEXT,
+        gateway_mac TEXT,
+        display_name TEXT,
+        message TEXT,
+        opened_at TEXT NOT NULL,
+        acknowledged_at TEXT,
+        acknowledged_by TEXT,
+        acknowledged_note TEXT,
+        resolved_at TEXT,
+        resolved_reason TEXT,
+        peak_value REAL,
+        last_value REAL,
+        duration_s INTEGER,
+        updated_at TEXT
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_alert_opened ON alert_logs (opened_at);
+    CREATE INDEX IF NOT EXISTS idx_alert_status ON alert_logs (status);
+
+    CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id TEXT PRIMARY KEY,
+        sensor_mac TEXT NOT NULL,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        recurrence TEXT,
+        recurrence_until TEXT,
+        expires_at TEXT,
+        reason TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_maintenance_expires ON maintenance_windows (expires_at);
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        ts TEXT NOT NULL,
+        actor TEXT,
+        auth_method TEXT,
+        role TEXT,
+        http_method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        ip TEXT,
+        user_agent TEXT
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_audit_ts ON audit_log (ts);
+
+    CREATE TABLE IF NOT EXISTS telemetry_rollups_hourly (
+        sensor_mac TEXT NOT NULL,
+        bucket_start TEXT NOT NULL,
+        bucket_end TEXT NOT NULL,
+        samples INTEGER NOT NULL,
+        covered_s INTEGER NOT NULL,
+        temp_min REAL,
+        temp_max REAL,
+        temp_avg REAL,
+        temp_stddev REAL,
+        time_in_range_pct REAL,
+        door_open_count INTEGER NOT NULL DEFAULT 0,
+        defrost_minutes REAL NOT NULL DEFAULT 0,
+        computed_at TEXT,
+        PRIMARY KEY (sensor_mac, bucket_start)
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_rollup_hourly_bucket ON telemetry_rollups_hourly (bucket_start);
+
+    CREATE TABLE IF NOT EXISTS telemetry_rollups_daily (
+        sensor_mac TEXT NOT NULL,
+        bucket_start TEXT NOT NULL,
+        bucket_end TEXT NOT NULL,
+        samples INTEGER NOT NULL,
+        covered_s INTEGER NOT NULL,
+        temp_min REAL,
+        temp_max REAL,
+        temp_avg REAL,
+        temp_stddev REAL,
+        time_in_range_pct REAL,
+        door_open_count INTEGER NOT NULL DEFAULT 0,
+        defrost_minutes REAL NOT NULL DEFAULT 0,
+        computed_at TEXT,
+        PRIMARY KEY (sensor_mac, bucket_start)
+    ) STRICT;
+    CREATE INDEX IF NOT EXISTS idx_rollup_daily_bucket ON telemetry_rollups_daily (bucket_start);
+`;
+
+// Colunas adicionadas depois da criação das tabelas (bancos existentes recebem ALTER TABLE na abertura)
+const COLUNAS_ADICIONADAS = [
+    { table: 'alert_logs', column: 'acknowledged_note', type: 'TEXT' }
+];
+
+export class SqliteSensorRepository extends BaseSensorRepository {
+    /**
+     * @param {string} dbPath - Arquivo do banco ou ':memory:'
+     * @param {Array} seedConfigs - Configurações inseridas quando sensor_configs está vazia
+     * @param {number} saveDelayMs - Atraso máximo da gravação do arquivo após inserts e limpezas
+     */
+    constructor(dbPath, seedConfigs = [], saveDelayMs = SQLITE_SAVE_DELAY_MS) {
+        super();
+        this.dbPath = dbPath;
+        this.seedConfigs = seedConfigs;
+        this.saveDelayMs = saveDelayMs;
+        this._db = null;
+        this._dbPromise = null;
+        this._alterado = false;
+        this._timerSalvar = null;
+    }
+
+    /**
+     * Abre o banco (lazy), cria o schema e aplica o seed de configurações
+     */
+    async getDb() {
+        if (!this._dbPromise) {
+            this._dbPromise = this._abrir().catch(e => {
+                this._dbPromise = null;
+                throw e;
+            });
+        }
+        return this._dbPromise;
+    }
+
+    async _abrir() {
+        const SQL = await initSqlJs();
+        const emMemoria = this.dbPath === ':memory:';
+        const existente = !emMemoria && fs.existsSync(this.dbPath) ? fs.readFileSync(this.dbPath) : null;
+        const db = new SQL.Database(existente);
+
+        db.exec(SCHEMA);
+        COLUNAS_ADICIONADAS.forEach(({ table, column, type }) => {
+            const existentes = this._query(db, `PRAGMA table_info(${table})`).map(c => c.name);
+            if (!existentes.includes(column)) db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        });
+
+        const [{ total }] = this._query(db, 'SELECT COUNT(*) AS total FROM sensor_configs');
+        if (total === 0 && this.seedConfigs.length > 0) {
+            this._inserirLinhas(db, 'sensor_configs', this.seedConfigs);
+            logger.logInfo('REPOSITORY', `SQLite: ${this.seedConfigs.length} configurações de sensores carregadas do seed`);
+        }
+
+        logger.logInfo('REPOSITORY', 'Banco SQLite aberto', {
+            path: this.dbPath,
+            existente: !!existente
+        });
+
+        this._db = db;
+        this._salvar();
+        return db;
+    }
+
+    async findAllConfigs() {
+        try {
+            const db = await this.getDb();
+            return this._query(db, `SELECT ${CONFIG_COLUMNS.join(', ')} FROM sensor_configs`)
+                .map(c => this._lerConfig(c));
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar configurações de sensores', {
+                error: e.message,
+                stack: e.stack
+            });
+            throw e;
+        }
+    }
+
+    async findConfigByMac(mac) {
+        try {
+            const db = await this.getDb();
+            const [config] = this._query(db, `
+                SELECT ${CONFIG_COLUMNS.join(', ')}
+                FROM sensor_configs
+                WHERE mac IN (?, ?)
+                LIMIT 1
+            `, variantesMac(mac));
+            return config ? this._lerConfig(config) : null;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar configuração do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async insertConfig(config) {
+        try {
+            const db = await this.getDb();
+            this._inserirLinhas(db, 'sensor_configs', [config]);
+            this._salvar();
+            return this.findConfigByMac(config.mac);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao criar configuração do sensor', {
+                sensor: config.mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async updateConfig(mac, campos) {
+        try {
+            const db = await this.getDb();
+            const colunas = Object.keys(campos).filter(c => c !== 'mac' && CONFIG_COLUMNS.includes(c));
+            if (colunas.length > 0) {
+                db.run(
+                    `UPDATE sensor_configs SET ${colunas.map(c => `${c} = ?`).join(', ')} WHERE mac = ?`,
+                    [...colunas.map(c => this._paraSqlite(campos[c])), mac]
+                );
+                if (db.getRowsModified() > 0) this._salvar();
+            }
+            const [config] = this._query(db, `SELECT ${CONFIG_COLUMNS.join(', ')} FROM sensor_configs WHERE mac = ?`, [mac]);
+            return config ? this._lerConfig(config) : null;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao atualizar configuração do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async deleteConfig(mac) {
+        try {
+            const db = await this.getDb();
+            db.run('DELETE FROM sensor_configs WHERE mac = ?', [mac]);
+            const removida = db.getRowsModified() > 0;
+            if (removida) this._salvar();
+            return removida;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao remover configuração do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findMaintenanceWindows({ mac, since } = {}) {
+        try {
+            const db = await this.getDb();
+            const condicoes = [];
+            const params = [];
+            if (mac) {
+                condicoes.push('sensor_mac = ?');
+                params.push(mac);
+            }
+            if (since) {
+                condicoes.push('(expires_at IS NULL OR expires_at >= ?)');
+                params.push(since);
+            }
+
+            return this._query(db, `
+                SELECT *
+                FROM maintenance_windows
+                ${condicoes.length ? `WHERE ${condicoes.join(' AND ')}` : ''}
+                ORDER BY starts_at
+            `, params);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar janelas de manutenção', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async insertMaintenanceWindow(janela) {
+        try {
+            const db = await this.getDb();
+            this._inserirLinhas(db, 'maintenance_windows', [janela]);
+            this._salvar();
+            const [gravada] = this._query(db, 'SELECT * FROM maintenance_windows WHERE id = ?', [janela.id]);
+            return gravada;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao criar janela de manutenção', {
+                sensor: janela.sensor_mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async deleteMaintenanceWindow(id) {
+        try {
+            const db = await this.getDb();
+            db.run('DELETE FROM maintenance_windows WHERE id = ?', [id]);
+            const removida = db.getRowsModified() > 0;
+            if (removida) this._salvar();
+            return removida;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao remover janela de manutenção', {
+                id,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findLastDoorStates(hours = 24) {
+        try {
+            const db = await this.getDb();
+            const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+            return this._query(db, `
+                SELECT sensor_mac, is_open, timestamp_read
+                FROM door_logs
+                WHERE timestamp_read >= ?
+                ORDER BY timestamp_read DESC
+            `, [since]).map(d => ({ ...d, is_open: !!d.is_open }));
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar estados de porta', {
+                error: e.message,
+                stack: e.stack
+            });
+            throw e;
+        }
+    }
+
+    async findKnownGateways(hours = 24) {
+        try {
+            const db = await this.getDb();
+            const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+            return this._query(db, `
+                SELECT gw, ts
+                FROM telemetry_logs
+                WHERE ts >= ?
+                ORDER BY ts DESC
+                LIMIT 2000
+            `, [since]);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar gateways conhecidos', {
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findDefrostLogs(mac, from, to, limit = 500) {
+        try {
+            const db = await this.getDb();
+            return this._query(db, `
+                SELECT *
+                FROM defrost_logs
+                WHERE sensor_mac = ? AND start_ts >= ? AND start_ts <= ?
+                ORDER BY start_ts DESC
+                LIMIT ?
+            `, [mac, from, to, limit]);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar ciclos de degelo', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findAlertLogs({ status, mac, type, from, to, limit = 100 } = {}) {
+        try {
+            const db = await this.getDb();
+            const condicoes = [];
+            const params = [];
+            [['status = ?', status], ['sensor_mac = ?', mac], ['type = ?', type],
+                ['opened_at >= ?', from], ['opened_at <= ?', to]].forEach(([condicao, valor]) => {
+                if (valor === undefined || valor === null) return;
+                condicoes.push(condicao);
+                params.push(valor);
+            });
+
+            return this._query(db, `
+                SELECT *
+                FROM alert_logs
+                ${condicoes.length ? `WHERE ${condicoes.join(' AND ')}` : ''}
+                ORDER BY opened_at DESC
+                LIMIT ?
+            `, [...params, limit]);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar alertas', {
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findAlertLogById(id) {
+        try {
+            const db = await this.getDb();
+            const [alerta] = this._query(db, 'SELECT * FROM alert_logs WHERE id = ?', [id]);
+            return alerta || null;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar alerta', {
+                id,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findAuditLogs({ actor, from, to, limit = 100 } = {}) {
+        try {
+            const db = await this.getDb();
+            const condicoes = [];
+            const params = [];
+            [['actor = ?', actor], ['ts >= ?', from], ['ts <= ?', to]].forEach(([condicao, valor]) => {
+                if (valor === undefined || valor === null) return;
+                condicoes.push(condicao);
+                params.push(valor);
+            });
+
+            return this._query(db, `
+                SELECT *
+                FROM audit_log
+                ${condicoes.length ? `WHERE ${condicoes.join(' AND ')}` : ''}
+                ORDER BY ts DESC
+                LIMIT ?
+            `, [...params, limit]);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar auditoria', {
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findSensorTelemetry(mac, from, to, limit) {
+        try {
+            const db = await this.getDb();
+            return this._query(db, `
+                SELECT ts, temp, hum, is_degelo
+                FROM telemetry_logs
+                WHERE mac = ? AND ts >= ? AND ts < ?
+                ORDER BY ts
+                LIMIT ?
+            `, [mac, from, to, limit]).map(t => ({ ...t, is_degelo: !!t.is_degelo }));
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar telemetria do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findTelemetryRange(from, to) {
+        try {
+            const db = await this.getDb();
+            return this._query(db, `
+                SELECT mac, ts, temp, hum
+                FROM telemetry_logs
+                WHERE ts >= ? AND ts < ?
+                ORDER BY mac, ts
+            `, [from, to]);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar telemetria do intervalo', {
+                from,
+                to,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findDoorLogsRange(from, to) {
+        try {
+            const db = await this.getDb();
+            return this._query(db, `
+                SELECT sensor_mac, is_open, timestamp_read
+                FROM door_logs
+                WHERE timestamp_read >= ? AND timestamp_read < ?
+                ORDER BY timestamp_read
+            `, [from, to]).map(d => ({ ...d, is_open: !!d.is_open }));
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar eventos de porta do intervalo', {
+                from,
+                to,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findDefrostLogsOverlapping(from, to) {
+        try {
+            const db = await this.getDb();
+            return this._query(db, `
+                SELECT sensor_mac, start_ts, end_ts
+                FROM defrost_logs
+                WHERE start_ts < ? AND end_ts > ?
+                ORDER BY start_ts
+            `, [to, from]);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar ciclos de degelo do intervalo', {
+                from,
+                to,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findLatestRollupBucket(periodo) {
+        try {
+            const db = await this.getDb();
+            const [linha] = this._query(db, `SELECT MAX(bucket_start) AS bucket_start FROM ${ROLLUP_TABLES[periodo]}`);
+            return linha?.bucket_start ?? null;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar último agregado', {
+                periodo,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findRollups(periodo, mac, from, to, limit = 1000) {
+        try {
+            const db = await this.getDb();
+            return this._query(db, `
+                SELECT *
+                FROM ${ROLLUP_TABLES[periodo]}
+                WHERE sensor_mac = ? AND bucket_start >= ? AND bucket_start <= ?
+                ORDER BY bucket_start
+                LIMIT ?
+            `, [mac, from, to, limit]);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar agregados', {
+                periodo,
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async findRollupCoverage(periodo, from, to) {
+        const db = await this.getDb();
+        return this._query(db, `
+            SELECT sensor_mac, bucket_start, samples, door_open_count
+            FROM ${ROLLUP_TABLES[periodo]}
+            WHERE bucket_start >= ? AND bucket_start < ?
+        `, [from, to]);
+    }
+
+    async countTelemetryByHour(from, to) {
+        const db = await this.getDb();
+        return this._query(db, `
+            SELECT mac, strftime('%Y-%m-%dT%H:00:00Z', ts) AS hour, COUNT(*) AS total
+            FROM telemetry_logs
+            WHERE ts >= ? AND ts < ? AND temp IS NOT NULL
+            GROUP BY mac, hour
+        `, [from, to]);
+    }
+
+    async countDoorOpeningsByHour(from, to) {
+        const db = await this.getDb();
+        return this._query(db, `
+            SELECT sensor_mac, strftime('%Y-%m-%dT%H:00:00Z', timestamp_read) AS hour, COUNT(*) AS total
+            FROM door_logs
+            WHERE timestamp_read >= ? AND timestamp_read < ? AND is_open = 1
+            GROUP BY sensor_mac, hour
+        `, [from, to]);
+    }
+
+    async findOldestTimestamp(tabela, coluna) {
+        const db = await this.getDb();
+        const [linha] = this._query(db, `SELECT MIN(${coluna}) AS oldest FROM ${tabela}`);
+        return linha?.oldest ?? null;
+    }
+
+    async deleteOlderThan(tabela, coluna, cutoff, limite) {
+        const db = await this.getDb();
+        db.run(`
+            DELETE FROM ${tabela}
+            WHERE rowid IN (SELECT rowid FROM ${tabela} WHERE ${coluna} < ? ORDER BY ${coluna} LIMIT ?)
+        `, [cutoff, limite]);
+        const apagadas = db.getRowsModified();
+        if (apagadas > 0) this._marcarAlterado();
+        return apagadas;
+    }
+
+    async _insertRows(tabela, registros, conflito = null) {
+        const db = await this.getDb();
+        try {
+            this._inserirLinhas(db, tabela, registros, conflito);
+        } catch (e) {
+            throw this._traduzirErro(e);
+        }
+        this._marcarAlterado();
+    }
+
+    /**
+     * Insere as linhas em uma transação (tudo ou nada, como o insert em lote do Postgres)
+     * Com conflito, atualiza a linha existente com a mesma chave (upsert)
+     */
+    _inserirLinhas(db, tabela, registros, conflito = null) {
+        db.run('BEGIN');
+        try {
+            registros.forEach(registro => {
+                const colunas = Object.keys(registro);
+                const invalida = colunas.find(coluna => !/^[a-z_][a-z0-9_]*$/i.test(coluna));
+                if (invalida) throw new Error(`Coluna inválida: ${invalida}`);
+                const upsert = conflito ?
+                    ` ON CONFLICT(${conflito}) DO UPDATE SET ${colunas.map(c => `${c} = excluded.${c}`).join(', ')}` : '';
+                db.run(
+                    `INSERT INTO ${tabela} (${colunas.join(', ')}) VALUES (${colunas.map(() => '?').join(', ')})${upsert}`,
+                    colunas.map(coluna => this._paraSqlite(registro[coluna]))
+                );
+            });
+            db.run('COMMIT');
+        } catch (e) {
+            db.run('ROLLBACK');
+            throw e;
+        }
+    }
+
+    _query(db, sql, params = []) {
+        const stmt = db.prepare(sql);
+        try {
+            stmt.bind(params);
+            const linhas = [];
+            while (stmt.step()) linhas.push(stmt.getAsObject());
+            return linhas;
+        } finally {
+            stmt.free();
+        }
+    }
+
+    _lerConfig(config) {
+        return { ...config, em_manutencao: !!config.em_manutencao };
+    }
+
+    _paraSqlite(valor) {
+        if (valor === undefined || valor === null) return null;
+        if (typeof valor === 'boolean') return valor ? 1 : 0;
+        if (valor instanceof Date) return valor.toISOString();
+        if (typeof valor === 'object') return JSON.stringify(valor);
+        return valor;
+    }
+
+    /**
+     * Mapeia erros do SQLite para SQLSTATE, para que a bissecção isole linhas inválidas
+     */
+    _traduzirErro(e) {
+        if (/constraint failed/i.test(e.message)) e.code = '23000';
+        else if (/cannot store|datatype mismatch/i.test(e.message)) e.code = '22000';
+        return e;
+    }
+
+    /**
+     * Grava no arquivo as alterações adiadas (fim do ciclo de flush e shutdown)
+     */
+    async sync() {
+        if (this._alterado) this._salvar();
+    }
+
+    /**
+     * Agenda a gravação do arquivo; alterações seguidas são gravadas juntas
+     */
+    _marcarAlterado() {
+        if (this.dbPath === ':memory:') return;
+        this._alterado = true;
+        if (this._timerSalvar) return;
+
+        this._timerSalvar = setTimeout(() => {
+            this._timerSalvar = null;
+            this.sync().catch(e => {
+                logger.logError('REPOSITORY', 'Erro ao gravar o banco SQLite', {
+                    path: this.dbPath,
+                    error: e.message
+                });
+                this._marcarAlterado();
+            });
+        }, this.saveDelayMs);
+        // Não segura o processo no shutdown (que chama sync)
+        this._timerSalvar.unref();
+    }
+
+    /**
+     * Grava o banco no arquivo (arquivo temporário + rename)
+     */
+    _salvar() {
+        if (this.dbPath === ':memory:' || !this._db) return;
+
+        clearTimeout(this._timerSalvar);
+        this._timerSalvar = null;
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        const temporario = `${this.dbPath}.tmp`;
+        fs.writeFileSync(temporario, Buffer.from(this._db.export()));
+        fs.renameSync(temporario, this.dbPath);
+        this._alterado = false;
+    }
+}
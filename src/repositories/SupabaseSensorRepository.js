@@ -0,0 +1,592 @@
+/**
+ * Repositório de sensores no Supabase (Postgres)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import logger from '../utils/logger.js';
+import { BaseSensorRepository, ROLLUP_TABLES, CONFIG_COLUMNS, variantesMac } from './BaseSensorRepository.js';
+
+const PAGE_SIZE = 1000; // Limite de linhas por requisição do PostgREST
+
+export class SupabaseSensorRepository extends BaseSensorRepository {
+    constructor() {
+        super();
+        // Lazy initialization: cliente Supabase será criado apenas quando necessário
+        this._supabase = null;
+    }
+
+    /**
+     * Getter para o cliente Supabase com lazy initialization
+     * Garante que as variáveis de ambiente estejam carregadas antes de criar o cliente
+     */
+    get supabase() {
+        if (!this._supabase) {
+            // Validação das variáveis de ambiente obrigatórias
+            const supabaseUrl = process.env.SUPABASE_URL;
+            const supabaseKey = process.env.SUPABASE_KEY;
+
+            if (!supabaseUrl || !supabaseUrl.trim()) {
+                throw new Error(
+                    'SUPABASE_URL é obrigatória. ' +
+                    'Configure a variável de ambiente SUPABASE_URL no arquivo .env. ' +
+                    'Veja o arquivo .env.example para referência.'
+                );
+            }
+
+            if (!supabaseKey || !supabaseKey.trim()) {
+                throw new Error(
+                    'SUPABASE_KEY é obrigatória. ' +
+                    'Configure a variável de ambiente SUPABASE_KEY no arquivo .env. ' +
+                    'Veja o arquivo .env.example para referência.'
+                );
+            }
+
+            this._supabase = createClient(supabaseUrl.trim(), supabaseKey.trim());
+        }
+        return this._supabase;
+    }
+
+    /**
+     * Busca todas as configurações de sensores
+     */
+    async findAllConfigs() {
+        try {
+            const { data, error } = await this.supabase
+                .from('sensor_configs')
+                .select(CONFIG_COLUMNS.join(', '));
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar configurações de sensores', {
+                error: e.message,
+                stack: e.stack
+            });
+            throw e;
+        }
+    }
+
+    async findConfigByMac(mac) {
+        try {
+            const { data, error } = await this.supabase
+                .from('sensor_configs')
+                .select(CONFIG_COLUMNS.join(', '))
+                .in('mac', variantesMac(mac))
+                .limit(1);
+
+            if (error) throw error;
+            return data?.[0] || null;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar configuração do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async insertConfig(config) {
+        try {
+            const { data, error } = await this.supabase
+                .from('sensor_configs')
+                .insert(config)
+                .select(CONFIG_COLUMNS.join(', '))
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao criar configuração do sensor', {
+                sensor: config.mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async updateConfig(mac, campos) {
+        try {
+            const { data, error } = await this.supabase
+                .from('sensor_configs')
+                .update(campos)
+                .eq('mac', mac)
+                .select(CONFIG_COLUMNS.join(', '));
+
+            if (error) throw error;
+            return data?.[0] || null;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao atualizar configuração do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async deleteConfig(mac) {
+        try {
+            const { data, error } = await this.supabase
+                .from('sensor_configs')
+                .delete()
+                .eq('mac', mac)
+                .select('mac');
+
+            if (error) throw error;
+            return (data?.length || 0) > 0;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao remover configuração do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca janelas de manutenção não expiradas
+     */
+    async findMaintenanceWindows({ mac, since } = {}) {
+        try {
+            let query = this.supabase
+                .from('maintenance_windows')
+                .select('*');
+
+            if (mac) query = query.eq('sensor_mac', mac);
+            if (since) query = query.or(`expires_at.is.null,expires_at.gte.${since}`);
+
+            const { data, error } = await query.order('starts_at', { ascending: true });
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar janelas de manutenção', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async insertMaintenanceWindow(janela) {
+        try {
+            const { data, error } = await this.supabase
+                .from('maintenance_windows')
+                .insert(janela)
+                .select('*')
+                .single();
+
+            if (error) throw error;
+            return data;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao criar janela de manutenção', {
+                sensor: janela.sensor_mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    async deleteMaintenanceWindow(id) {
+        try {
+            const { data, error } = await this.supabase
+                .from('maintenance_windows')
+                .delete()
+                .eq('id', id)
+                .select('id');
+
+            if (error) throw error;
+            return (data?.length || 0) > 0;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao remover janela de manutenção', {
+                id,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca último estado de portas
+     */
+    async findLastDoorStates(hours = 24) {
+        try {
+            const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+            const { data, error } = await this.supabase
+                .from('door_logs')
+                .select('sensor_mac, is_open, timestamp_read')
+                .gte('timestamp_read', since)
+                .order('timestamp_read', { ascending: false });
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar estados de porta', {
+                error: e.message,
+                stack: e.stack
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca gateways conhecidos das últimas 24h
+     */
+    async findKnownGateways(hours = 24) {
+        try {
+            const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+            const { data, error } = await this.supabase
+                .from('telemetry_logs')
+                .select('gw, ts')
+                .gte('ts', since)
+                .order('ts', { ascending: false })
+                .limit(2000);
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar gateways conhecidos', {
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca ciclos de degelo de um sensor
+     */
+    async findDefrostLogs(mac, from, to, limit = 500) {
+        try {
+            const { data, error } = await this.supabase
+                .from('defrost_logs')
+                .select('*')
+                .eq('sensor_mac', mac)
+                .gte('start_ts', from)
+                .lte('start_ts', to)
+                .order('start_ts', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar ciclos de degelo', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca alertas com filtros
+     */
+    async findAlertLogs({ status, mac, type, from, to, limit = 100 } = {}) {
+        try {
+            let query = this.supabase
+                .from('alert_logs')
+                .select('*');
+
+            if (status) query = query.eq('status', status);
+            if (mac) query = query.eq('sensor_mac', mac);
+            if (type) query = query.eq('type', type);
+            if (from) query = query.gte('opened_at', from);
+            if (to) query = query.lte('opened_at', to);
+
+            const { data, error } = await query
+                .order('opened_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar alertas', {
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca alerta pelo ID
+     */
+    async findAlertLogById(id) {
+        try {
+            const { data, error } = await this.supabase
+                .from('alert_logs')
+                .select('*')
+                .eq('id', id)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar alerta', {
+                id,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca chamadas auditadas com filtros
+     */
+    async findAuditLogs({ actor, from, to, limit = 100 } = {}) {
+        try {
+            let query = this.supabase
+                .from('audit_log')
+                .select('*');
+
+            if (actor) query = query.eq('actor', actor);
+            if (from) query = query.gte('ts', from);
+            if (to) query = query.lte('ts', to);
+
+            const { data, error } = await query
+                .order('ts', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar auditoria', {
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca a telemetria de um sensor no intervalo (paginado até limit)
+     */
+    async findSensorTelemetry(mac, from, to, limit) {
+        try {
+            return await this._buscarPaginado(() => this.supabase
+                .from('telemetry_logs')
+                .select('ts, temp, hum, is_degelo')
+                .eq('mac', mac)
+                .gte('ts', from)
+                .lt('ts', to)
+                .order('ts', { ascending: true }), limit);
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar telemetria do sensor', {
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca telemetria de todos os sensores no intervalo (paginado)
+     */
+    async findTelemetryRange(from, to) {
+        try {
+            return await this._buscarPaginado(() => this.supabase
+                .from('telemetry_logs')
+                .select('mac, ts, temp, hum')
+                .gte('ts', from)
+                .lt('ts', to)
+                .order('mac', { ascending: true })
+                .order('ts', { ascending: true }));
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar telemetria do intervalo', {
+                from,
+                to,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca eventos de porta no intervalo (paginado)
+     */
+    async findDoorLogsRange(from, to) {
+        try {
+            return await this._buscarPaginado(() => this.supabase
+                .from('door_logs')
+                .select('sensor_mac, is_open, timestamp_read')
+                .gte('timestamp_read', from)
+                .lt('timestamp_read', to)
+                .order('timestamp_read', { ascending: true }));
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar eventos de porta do intervalo', {
+                from,
+                to,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca ciclos de degelo que se sobrepõem ao intervalo (paginado)
+     */
+    async findDefrostLogsOverlapping(from, to) {
+        try {
+            return await this._buscarPaginado(() => this.supabase
+                .from('defrost_logs')
+                .select('sensor_mac, start_ts, end_ts')
+                .lt('start_ts', to)
+                .gt('end_ts', from)
+                .order('start_ts', { ascending: true }));
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar ciclos de degelo do intervalo', {
+                from,
+                to,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Início do agregado mais recente do período
+     */
+    async findLatestRollupBucket(periodo) {
+        try {
+            const { data, error } = await this.supabase
+                .from(ROLLUP_TABLES[periodo])
+                .select('bucket_start')
+                .order('bucket_start', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data ? data.bucket_start : null;
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar último agregado', {
+                periodo,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Busca agregados de um sensor
+     */
+    async findRollups(periodo, mac, from, to, limit = 1000) {
+        try {
+            const { data, error } = await this.supabase
+                .from(ROLLUP_TABLES[periodo])
+                .select('*')
+                .eq('sensor_mac', mac)
+                .gte('bucket_start', from)
+                .lte('bucket_start', to)
+                .order('bucket_start', { ascending: true })
+                .limit(limit);
+
+            if (error) throw error;
+            return data || [];
+        } catch (e) {
+            logger.logError('REPOSITORY', 'Erro ao buscar agregados', {
+                periodo,
+                sensor: mac,
+                error: e.message
+            });
+            throw e;
+        }
+    }
+
+    /**
+     * Cobertura dos agregados de todos os sensores no intervalo (paginado)
+     */
+    async findRollupCoverage(periodo, from, to) {
+        return this._buscarPaginado(() => this.supabase
+            .from(ROLLUP_TABLES[periodo])
+            .select('sensor_mac, bucket_start, samples, door_open_count')
+            .gte('bucket_start', from)
+            .lt('bucket_start', to)
+            .order('bucket_start', { ascending: true })
+            .order('sensor_mac', { ascending: true }));
+    }
+
+    /**
+     * Leituras por sensor e hora (função telemetry_counts_by_hour, paginado)
+     */
+    async countTelemetryByHour(from, to) {
+        return this._buscarPaginado(() => this.supabase
+            .rpc('telemetry_counts_by_hour', { p_from: from, p_to: to })
+            .order('hour', { ascending: true })
+            .order('mac', { ascending: true }));
+    }
+
+    /**
+     * Aberturas de porta por sensor e hora (função door_openings_by_hour, paginado)
+     */
+    async countDoorOpeningsByHour(from, to) {
+        return this._buscarPaginado(() => this.supabase
+            .rpc('door_openings_by_hour', { p_from: from, p_to: to })
+            .order('hour', { ascending: true })
+            .order('sensor_mac', { ascending: true }));
+    }
+
+    /**
+     * Instante mais antigo da coluna na tabela
+     */
+    async findOldestTimestamp(tabela, coluna) {
+        const { data, error } = await this.supabase
+            .from(tabela)
+            .select(coluna)
+            .not(coluna, 'is', null)
+            .order(coluna, { ascending: true })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? data[coluna] : null;
+    }
+
+    /**
+     * Apaga um lote das linhas mais antigas que cutoff
+     * O PostgREST não aceita DELETE com LIMIT: o lote é delimitado pelo maior valor
+     * da coluna entre as limite linhas mais antigas (empates podem somar algumas linhas)
+     */
+    async deleteOlderThan(tabela, coluna, cutoff, limite) {
+        const { data, error } = await this.supabase
+            .from(tabela)
+            .select(coluna)
+            .lt(coluna, cutoff)
+            .order(coluna, { ascending: true })
+            .limit(limite);
+
+        if (error) throw error;
+        if (!data || data.length === 0) return 0;
+
+        const ultimo = data[data.length - 1][coluna];
+        const { count, error: deleteError } = await this.supabase
+            .from(tabela)
+            .delete({ count: 'exact' })
+            .lte(coluna, ultimo)
+            .lt(coluna, cutoff);
+
+        if (deleteError) throw deleteError;
+        return count || 0;
+    }
+
+    /**
+     * Executa a consulta em páginas de PAGE_SIZE até esgotar os resultados
+     * @param {Function} montarQuery - Cria a consulta (nova a cada página)
+     * @param {number} maxLinhas - Máximo de linhas retornadas
+     */
+    async _buscarPaginado(montarQuery, maxLinhas = Infinity) {
+        let linhas = [];
+        for (let inicio = 0; inicio < maxLinhas; inicio += PAGE_SIZE) {
+            const fim = Math.min(inicio + PAGE_SIZE, maxLinhas) - 1;
+            const { data, error } = await montarQuery().range(inicio, fim);
+            if (error) throw error;
+
+            linhas = linhas.concat(data || []);
+            if (!data || data.length < fim - inicio + 1) return linhas;
+        }
+        return linhas;
+    }
+
+    async _insertRows(tabela, registros, conflito = null) {
+        const { error } = conflito ?
+            await this.supabase.from(tabela).upsert(registros, { onConflict: conflito }) :
+            await this.supabase.from(tabela).insert(registros);
+
+        if (error) throw error;
+    }
+}
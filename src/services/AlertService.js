@@ -0,0 +1,384 @@
+/**
+ * Serviço de ciclo de vida dos alertas (alert_logs)
+ * Cada condição de alerta (sensor/gateway + tipo) tem no máximo um alerta ativo:
+ * OPEN → ACKNOWLEDGED → RESOLVED. Reemissões da mesma condição (após o soak time)
+ * atualizam o alerta ativo em vez de abrir outro
+ *
+ * Alterações são enviadas ao buffer de persistência como snapshot completo da linha
+ * (upsert por id); o histórico consultado vem do banco, sobreposto pelo estado em memória
+ */
+
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+import { EVENT_TYPES } from './EventBus.js';
+import metricsService from './MetricsService.js';
+
+export const ALERT_TYPES = {
+    TEMP_ALTA: 'TEMP_ALTA',
+    TEMP_BAIXA: 'TEMP_BAIXA',
+    UMID_ALTA: 'UMID_ALTA',
+    UMID_BAIXA: 'UMID_BAIXA',
+    PORTA_ABERTA: 'PORTA_ABERTA',
+    GATEWAY_OFFLINE: 'GATEWAY_OFFLINE',
+    MANUTENCAO_PROLONGADA: 'MANUTENCAO_PROLONGADA'
+};
+
+export const ALERT_STATUS = {
+    OPEN: 'OPEN',
+    ACKNOWLEDGED: 'ACKNOWLEDGED',
+    RESOLVED: 'RESOLVED'
+};
+
+const MAX_RESOLVED_IN_MEMORY = 1000;
+
+export class AlertService {
+    /**
+     * @param {Object} sensorService - Para limites de temperatura e estado de porta
+     * @param {Object} repository - Repositório com findAlertLogs/findAlertLogById
+     * @param {Object} buffer - Buffer de persistência de alert_logs
+     * @param {EventBus} eventBus - Publica abertura e resolução dos alertas (opcional)
+     */
+    constructor(sensorService, repository, buffer, eventBus = null) {
+        this.sensorService = sensorService;
+        this.repository = repository;
+        this.buffer = buffer;
+        this.eventBus = eventBus;
+        this.alerts = new Map(); // id -> alerta (ativos e resolvidos recentes)
+        this.active = new Map(); // "<sensor|gateway>_<tipo>" -> id do alerta ativo
+        this.stats = { opened: 0, acknowledged: 0, resolved: 0, auto_resolved: 0 };
+    }
+
+    /**
+     * Registra um alerta emitido (SensorService ou monitor de gateways)
+     * Define alerta.alert_id com o ID do registro correspondente
+     * @returns {Object} Registro do alerta
+     */
+    registrar(alerta) {
+        const type = this._tipoDoAlerta(alerta);
+        const isGateway = type === ALERT_TYPES.GATEWAY_OFFLINE;
+        const subject = alerta.sensor_mac;
+        const key = `${subject}_${type}`;
+        const agora = new Date().toISOString();
+        const valor = this._valorNumerico(alerta.dados_contexto?.valor ?? alerta.dados_contexto?.temp_atual);
+
+        const ativo = this.alerts.get(this.active.get(key));
+        if (ativo) {
+            ativo.priority = alerta.prioridade;
+            ativo.message = alerta.mensagens?.[0] ?? ativo.message;
+            this._atualizarValor(ativo, valor);
+            ativo.updated_at = agora;
+            this._persistir(ativo);
+            alerta.alert_id = ativo.id;
+            return ativo;
+        }
+
+        const registro = {
+            id: randomUUID(),
+            type,
+            priority: alerta.prioridade,
+            status: ALERT_STATUS.OPEN,
+            sensor_mac: isGateway ? null : subject,
+            gateway_mac: isGateway ? subject : (alerta.dados_contexto?.gateway_mac ?? null),
+            display_name: alerta.sensor_nome,
+            message: alerta.mensagens?.[0] ?? null,
+            opened_at: alerta.timestamp_iso ? new Date(alerta.timestamp_iso).toISOString() : agora,
+            acknowledged_at: null,
+            acknowledged_by: null,
+            acknowledged_note: null,
+            resolved_at: null,
+            resolved_reason: null,
+            peak_value: valor,
+            last_value: valor,
+            duration_s: null,
+            updated_at: agora
+        };
+
+        this.alerts.set(registro.id, registro);
+        this.active.set(key, registro.id);
+        this.stats.opened++;
+        metricsService.alerts.inc({ type, priority: registro.priority ?? 'DESCONHECIDA' });
+        this._persistir(registro);
+        alerta.alert_id = registro.id;
+        this._publicar(EVENT_TYPES.ALERT_RAISED, registro);
+
+        logger.logInfo('ALERTA', `Alerta aberto: ${registro.display_name} - ${type}`, {
+            id: registro.id,
+            sensor: registro.sensor_mac,
+            gateway: registro.gateway_mac,
+            prioridade: registro.priority
+        });
+
+        return registro;
+    }
+
+    /**
+     * Atualiza pico e resolve automaticamente os alertas ativos do sensor que voltou ao normal
+     * @param {string} mac - MAC do sensor
+     * @param {Object} leitura - Leitura consolidada (temp, humidity, ts)
+     * @param {Object} config - Configuração do sensor
+     * @returns {number} Quantidade de alertas resolvidos
+     */
+    avaliarLeitura(mac, leitura, config) {
+        const ts = leitura.ts ?? Date.now();
+        const temp = this._valorNumerico(leitura.temp);
+        const hum = this._valorNumerico(leitura.humidity);
+        let resolvidos = 0;
+
+        [ALERT_TYPES.TEMP_ALTA, ALERT_TYPES.TEMP_BAIXA, ALERT_TYPES.UMID_ALTA,
+            ALERT_TYPES.UMID_BAIXA, ALERT_TYPES.PORTA_ABERTA].forEach(type => {
+            const alerta = this.alerts.get(this.active.get(`${mac}_${type}`));
+            if (!alerta) return;
+
+            let normalizado = false;
+            if (type === ALERT_TYPES.TEMP_ALTA || type === ALERT_TYPES.TEMP_BAIXA) {
+                if (temp === null) return;
+                const limites = this.sensorService.calcularLimitesTemperatura(config, ts);
+                normalizado = type === ALERT_TYPES.TEMP_ALTA ? temp <= limites.max : temp >= limites.min;
+                this._atualizarValor(alerta, temp);
+            } else if (type === ALERT_TYPES.UMID_ALTA || type === ALERT_TYPES.UMID_BAIXA) {
+                if (hum === null) return;
+                normalizado = type === ALERT_TYPES.UMID_ALTA ?
+                    !config.hum_max || hum <= config.hum_max :
+                    !config.hum_min || hum >= config.hum_min;
+                this._atualizarValor(alerta, hum);
+            } else {
+                const state = this.sensorService.getSensorState(mac);
+                normalizado = !!state && !state.alertControl.last_virtual_state;
+            }
+
+            if (normalizado) {
+                this._resolver(alerta, ts, 'AUTO');
+                resolvidos++;
+            }
+        });
+
+        return resolvidos;
+    }
+
+    /**
+     * Resolve o alerta de gateway offline quando o gateway volta a reportar
+     */
+    resolverGateway(gatewayMac, ts = Date.now()) {
+        const alerta = this.alerts.get(this.active.get(`${gatewayMac}_${ALERT_TYPES.GATEWAY_OFFLINE}`));
+        if (alerta) {
+            this._resolver(alerta, ts, 'AUTO');
+        }
+    }
+
+    /**
+     * Resolve o lembrete de manutenção prolongada quando o sensor sai de manutenção
+     */
+    resolverManutencao(mac, ts = Date.now()) {
+        const alerta = this.alerts.get(this.active.get(`${mac}_${ALERT_TYPES.MANUTENCAO_PROLONGADA}`));
+        if (alerta) {
+            this._resolver(alerta, ts, 'AUTO');
+        }
+    }
+
+    /**
+     * Reconhece um alerta ativo
+     * @param {string|null} by - Quem reconheceu
+     * @param {string|null} note - Observação livre (ex.: em nome de quem)
+     * @returns {Object|null} Alerta atualizado ou null se não encontrado
+     * @throws {Error} code ALERT_RESOLVED se o alerta já foi resolvido
+     */
+    async acknowledge(id, by = null, note = null) {
+        let alerta = this.alerts.get(id);
+        if (!alerta) {
+            const persistido = await this.repository.findAlertLogById(id);
+            if (!persistido) return null;
+            alerta = persistido;
+        }
+
+        if (alerta.status === ALERT_STATUS.RESOLVED) {
+            const error = new Error('Alerta já resolvido');
+            error.code = 'ALERT_RESOLVED';
+            throw error;
+        }
+
+        if (alerta.status === ALERT_STATUS.ACKNOWLEDGED) return { ...alerta };
+
+        const agora = new Date().toISOString();
+        Object.assign(alerta, {
+            status: ALERT_STATUS.ACKNOWLEDGED,
+            acknowledged_at: agora,
+            acknowledged_by: by,
+            acknowledged_note: note,
+            updated_at: agora
+        });
+        this.stats.acknowledged++;
+        this._persistir(alerta);
+
+        logger.logInfo('ALERTA', `Alerta reconhecido: ${alerta.display_name} - ${alerta.type}`, {
+            id,
+            por: by,
+            observacao: note
+        });
+
+        return { ...alerta };
+    }
+
+    /**
+     * Lista alertas do banco, sobrepostos pelas versões em memória (ainda não persistidas)
+     * @param {Object} filtros - { status, mac, type, from, to, limit }
+     */
+    async list(filtros = {}) {
+        const limit = filtros.limit || 100;
+        const persistidos = await this.repository.findAlertLogs({ ...filtros, limit });
+        const porId = new Map(persistidos.map(a => [a.id, a]));
+
+        this.alerts.forEach(alerta => {
+            if (porId.has(alerta.id) || this._atendeFiltros(alerta, filtros)) {
+                porId.set(alerta.id, alerta);
+            }
+        });
+
+        return Array.from(porId.values())
+            .filter(alerta => this._atendeFiltros(alerta, filtros))
+            .sort((a, b) => b.opened_at.localeCompare(a.opened_at))
+            .slice(0, limit)
+            .map(alerta => this._toJSON(alerta));
+    }
+
+    async get(id) {
+        const alerta = this.alerts.get(id) || await this.repository.findAlertLogById(id);
+        return alerta ? this._toJSON(alerta) : null;
+    }
+
+    /**
+     * Recarrega alertas ativos do banco (após reinício), para que continuem sendo
+     * atualizados e resolvidos automaticamente
+     */
+    async carregarAtivos() {
+        try {
+            const ativos = [
+                ...await this.repository.findAlertLogs({ status: ALERT_STATUS.OPEN, limit: 5000 }),
+                ...await this.repository.findAlertLogs({ status: ALERT_STATUS.ACKNOWLEDGED, limit: 5000 })
+            ];
+
+            ativos.forEach(alerta => {
+                const key = `${alerta.sensor_mac ?? alerta.gateway_mac}_${alerta.type}`;
+                if (this.active.has(key)) return;
+                this.alerts.set(alerta.id, { ...alerta });
+                this.active.set(key, alerta.id);
+            });
+
+            logger.logInfo('ALERTA', `${ativos.length} alertas ativos carregados`);
+        } catch (e) {
+            logger.logError('ALERTA', 'Erro ao carregar alertas ativos', {
+                error: e.message
+            });
+        }
+    }
+
+    /**
+     * Alertas ativos em memória
+     */
+    getActive() {
+        return Array.from(this.active.values()).map(id => this._toJSON(this.alerts.get(id)));
+    }
+
+    getStats() {
+        const porStatus = {};
+        this.active.forEach(id => {
+            const { status } = this.alerts.get(id);
+            porStatus[status] = (porStatus[status] || 0) + 1;
+        });
+        return {
+            active: this.active.size,
+            by_status: porStatus,
+            ...this.stats
+        };
+    }
+
+    _resolver(alerta, ts, motivo) {
+        const resolvedAt = new Date(ts);
+        Object.assign(alerta, {
+            status: ALERT_STATUS.RESOLVED,
+            resolved_at: resolvedAt.toISOString(),
+            resolved_reason: motivo,
+            duration_s: Math.max(0, Math.round((resolvedAt - new Date(alerta.opened_at)) / 1000)),
+            updated_at: new Date().toISOString()
+        });
+
+        this.active.delete(`${alerta.sensor_mac ?? alerta.gateway_mac}_${alerta.type}`);
+        this.stats.resolved++;
+        if (motivo === 'AUTO') this.stats.auto_resolved++;
+        this._persistir(alerta);
+        this._limparResolvidos();
+        this._publicar(EVENT_TYPES.ALERT_RESOLVED, alerta);
+
+        logger.logInfo('ALERTA', `Alerta resolvido: ${alerta.display_name} - ${alerta.type}`, {
+            id: alerta.id,
+            motivo,
+            duracao_min: Math.floor(alerta.duration_s / 60),
+            pico: alerta.peak_value
+        });
+    }
+
+    _publicar(type, alerta) {
+        this.eventBus?.publicar(type, {
+            sensor_mac: alerta.sensor_mac,
+            gateway_mac: alerta.gateway_mac,
+            data: this._toJSON(alerta)
+        });
+    }
+
+    _atualizarValor(alerta, valor) {
+        if (valor === null) return;
+        alerta.last_value = valor;
+        const menorPior = alerta.type === ALERT_TYPES.TEMP_BAIXA || alerta.type === ALERT_TYPES.UMID_BAIXA;
+        if (alerta.peak_value === null || alerta.peak_value === undefined ||
+            (menorPior ? valor < alerta.peak_value : valor > alerta.peak_value)) {
+            alerta.peak_value = valor;
+        }
+    }
+
+    _persistir(alerta) {
+        if (this.buffer) this.buffer.push({ ...alerta });
+    }
+
+    /**
+     * Mantém em memória apenas os resolvidos mais recentes (os demais já estão no banco)
+     */
+    _limparResolvidos() {
+        let excesso = this.alerts.size - this.active.size - MAX_RESOLVED_IN_MEMORY;
+        for (const [id, alerta] of this.alerts) {
+            if (excesso <= 0) break;
+            if (alerta.status === ALERT_STATUS.RESOLVED) {
+                this.alerts.delete(id);
+                excesso--;
+            }
+        }
+    }
+
+    _tipoDoAlerta(alerta) {
+        const tipo = alerta.dados_contexto?.tipo;
+        if (alerta.prioridade === 'SISTEMA' || tipo === 'INFRAESTRUTURA') return ALERT_TYPES.GATEWAY_OFFLINE;
+        return ALERT_TYPES[tipo] || tipo || 'DESCONHECIDO';
+    }
+
+    _atendeFiltros(alerta, { status, mac, type, from, to } = {}) {
+        return (!status || alerta.status === status) &&
+            (!mac || alerta.sensor_mac === mac) &&
+            (!type || alerta.type === type) &&
+            (!from || alerta.opened_at >= from) &&
+            (!to || alerta.opened_at <= to);
+    }
+
+    _valorNumerico(valor) {
+        const numero = Number(valor);
+        return valor === null || valor === undefined || !Number.isFinite(numero) ? null : numero;
+    }
+
+    /**
+     * Duração calculada até agora para alertas ainda ativos
+     */
+    _toJSON(alerta) {
+        if (alerta.status === ALERT_STATUS.RESOLVED) return { ...alerta };
+        return {
+            ...alerta,
+            duration_s: Math.max(0, Math.round((Date.now() - new Date(alerta.opened_at)) / 1000))
+        };
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Auditoria das chamadas que alteram dados pela API HTTP
+ * Cada chamada (inclusive as recusadas por autenticação, papel ou corpo inválido) vira uma linha em audit_log
+ * com o chamador, o papel e o resultado. As linhas passam pelo buffer com journal e são
+ * gravadas pelo PersistenceService, como os demais logs
+ */
+
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+export class AuditService {
+    /**
+     * @param {Object} repository - Repositório com findAuditLogs
+     * @param {JournaledBuffer} buffer - Linhas aguardando gravação
+     */
+    constructor(repository, buffer) {
+        this.repository = repository;
+        this.buffer = buffer;
+        this.stats = { recorded: 0, denied: 0 };
+    }
+
+    /**
+     * Registra uma chamada
+     * @param {Object} chamada - { actor, auth_method, role, http_method, path, status, ip, user_agent }
+     * @returns {Object} Linha registrada
+     */
+    registrar(chamada) {
+        const registro = {
+            id: crypto.randomUUID(),
+            ts: new Date().toISOString(),
+            actor: chamada.actor ?? null,
+            auth_method: chamada.auth_method ?? null,
+            role: chamada.role ?? null,
+            http_method: chamada.http_method,
+            path: chamada.path,
+            status: chamada.status,
+            ip: chamada.ip ?? null,
+            user_agent: chamada.user_agent ? String(chamada.user_agent).substring(0, 200) : null
+        };
+
+        this.buffer.push(registro);
+        this.stats.recorded++;
+        if (registro.status === 401 || registro.status === 403) this.stats.denied++;
+
+        logger.logInfo('AUDITORIA', `${registro.http_method} ${registro.path} → ${registro.status}`, {
+            actor: registro.actor,
+            role: registro.role,
+            ip: registro.ip
+        });
+        return registro;
+    }
+
+    /**
+     * Chamadas auditadas, mais recentes primeiro (inclui as ainda não gravadas no banco)
+     * @param {Object} filtros - { actor, from, to, limit }
+     */
+    async listar({ actor, from, to, limit = 100 } = {}) {
+        const pendentes = this.buffer.toArray().filter(r =>
+            (!actor || r.actor === actor) && (!from || r.ts >= from) && (!to || r.ts <= to));
+        const gravados = await this.repository.findAuditLogs({ actor, from, to, limit });
+
+        const porId = new Map([...gravados, ...pendentes].map(r => [r.id, r]));
+        return Array.from(porId.values())
+            .sort((a, b) => b.ts.localeCompare(a.ts))
+            .slice(0, limit);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.buffer.length
+        };
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Autenticação e autorização da API HTTP
+ * Identifica o chamador por chave de API (X-API-Key ou Authorization: Bearer) ou por JWT
+ * bearer e compara o papel dele com o exigido pela rota. Os papéis são hierárquicos:
+ * admin inclui operator, que inclui viewer
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import {
+    AUTH_ENABLED,
+    API_KEYS,
+    JWT_SECRET,
+    JWT_PUBLIC_KEY,
+    JWT_ISSUER,
+    JWT_AUDIENCE,
+    JWT_ROLE_CLAIM
+} from '../config/constants.js';
+
+export const ROLES = {
+    VIEWER: 'viewer',
+    OPERATOR: 'operator',
+    ADMIN: 'admin'
+};
+
+const NIVEL = { [ROLES.VIEWER]: 1, [ROLES.OPERATOR]: 2, [ROLES.ADMIN]: 3 };
+const ALGORITMOS_HMAC = ['HS256', 'HS384', 'HS512'];
+const ALGORITMOS_CHAVE_PUBLICA = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const sha256 = (valor) => crypto.createHash('sha256').update(valor).digest();
+
+const erroAuth = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// PEM no próprio valor ou caminho de arquivo
+const lerChavePublica = (valor) => {
+    if (!valor) return null;
+    return valor.includes('-----BEGIN') ? valor.replace(/\\n/g, '\n') : fs.readFileSync(valor, 'utf8');
+};
+
+export class AuthService {
+    /**
+     * @param {Array} apiKeys - [{ name, key | key_sha256, role }]
+     * @param {Object} jwtConfig - { secret, publicKey, issuer, audience, roleClaim }
+     * @param {boolean} enabled - false libera todas as rotas (sem identificação do chamador)
+     * @throws {Error} Quando alguma chave está mal configurada
+     */
+    constructor(apiKeys = API_KEYS, jwtConfig = {}, enabled = AUTH_ENABLED) {
+        this.enabled = enabled;
+        this.jwt = {
+            secret: JWT_SECRET,
+            publicKey: lerChavePublica(JWT_PUBLIC_KEY),
+            issuer: JWT_ISSUER,
+            audience: JWT_AUDIENCE,
+            roleClaim: JWT_ROLE_CLAIM,
+            ...jwtConfig
+        };
+        this.keys = apiKeys.map((entrada, i) => this._validarChave(entrada, i));
+        this.stats = { authenticated: 0, unauthorized: 0, forbidden: 0 };
+    }
+
+    /**
+     * Identifica o chamador
+     * @param {Object} credenciais - { authorization, apiKey, accessToken (query, apenas streams) }
+     * @returns {{ actor: string, method: 'api_key'|'jwt', role: string }}
+     * @throws {Error} code UNAUTHORIZED
+     */
+    autenticar({ authorization, apiKey, accessToken } = {}) {
+        try {
+            const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1]?.trim();
+            const token = apiKey || bearer || accessToken;
+            if (!token) throw erroAuth('UNAUTHORIZED', 'Credenciais ausentes (X-API-Key ou Authorization: Bearer)');
+
+            const chave = this._buscarChave(token);
+            const principal = chave ?
+                { actor: chave.name, method: 'api_key', role: chave.role } :
+                this._verificarJwt(token, !!apiKey);
+
+            this.stats.authenticated++;
+            return principal;
+        } catch (e) {
+            this.stats.unauthorized++;
+            throw e;
+        }
+    }
+
+    /**
+     * O papel do chamador atende ao exigido?
+     */
+    autorizar(principal, papel) {
+        const permitido = (NIVEL[principal?.role] || 0) >= NIVEL[papel];
+        if (!permitido) this.stats.forbidden++;
+        return permitido;
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            api_keys: this.keys.length,
+            jwt: !!(this.jwt.secret || this.jwt.publicKey),
+            ...this.stats
+        };
+    }
+
+    _validarChave(entrada, i) {
+        const nome = entrada?.name;
+        if (typeof nome !== 'string' || !nome.trim()) {
+            throw new Error(`API_KEYS[${i}]: name obrigatório`);
+        }
+        if (!NIVEL[entrada.role]) {
+            throw new Error(`API_KEYS[${i}] (${nome}): role inválido (use ${Object.values(ROLES).join(', ')})`);
+        }
+
+        let hash;
+        if (typeof entrada.key === 'string' && entrada.key) {
+            hash = sha256(entrada.key);
+        } else if (typeof entrada.key_sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entrada.key_sha256)) {
+            hash = Buffer.from(entrada.key_sha256, 'hex');
+        } else {
+            throw new Error(`API_KEYS[${i}] (${nome}): informe key ou key_sha256 (64 dígitos hexadecimais)`);
+        }
+
+        return { name: nome.trim(), role: entrada.role, hash };
+    }
+
+    // Compara pelo hash em tempo constante (não revela o prefixo correto da chave)
+    _buscarChave(token) {
+        const hash = sha256(token);
+        return this.keys.find(chave => crypto.timingSafeEqual(chave.hash, hash)) || null;
+    }
+
+    _verificarJwt(token, informadoComoChave) {
+        const { secret, publicKey, issuer, audience, roleClaim } = this.jwt;
+        if (informadoComoChave || (!secret && !publicKey)) {
+            throw erroAuth('UNAUTHORIZED', 'Chave de API inválida');
+        }
+
+        const alg = jwt.decode(token, { complete: true })?.header?.alg;
+        if (!alg) throw erroAuth('UNAUTHORIZED', 'Token inválido');
+
+        const hmac = ALGORITMOS_HMAC.includes(alg);
+        const chave = hmac ? secret : publicKey;
+        if (!chave) throw erroAuth('UNAUTHORIZED', `Algoritmo de token não aceito: ${alg}`);
+
+        let payload;
+        try {
+            payload = jwt.verify(token, chave, {
+                algorithms: hmac ? ALGORITMOS_HMAC : ALGORITMOS_CHAVE_PUBLICA,
+                ...(issuer ? { issuer } : {}),
+                ...(audience ? { audience } : {})
+            });
+        } catch (e) {
+            throw erroAuth('UNAUTHORIZED', `Token inválido: ${e.message}`);
+        }
+
+        // Claim com um papel ou lista de papéis: vale o mais alto reconhecido
+        const papeis = [].concat(payload[roleClaim] ?? []).filter(papel => NIVEL[papel]);
+        const role = papeis.sort((a, b) => NIVEL[b] - NIVEL[a])[0];
+        if (!role) throw erroAuth('UNAUTHORIZED', `Token sem papel reconhecido na claim ${roleClaim}`);
+
+        return { actor: String(payload.sub || payload.email || 'jwt'), method: 'jwt', role };
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Serviço de dead-letter para mensagens rejeitadas na ingestão
+ * Mantém, em memória e com tamanho limitado, o payload completo e o motivo de cada rejeição
+ * para inspeção e reenvio após a correção do problema (ex.: sensor cadastrado)
+ *
+ * Rejeições repetidas do mesmo dispositivo pelo mesmo motivo são agregadas em uma única
+ * entrada (occurrences), evitando que um sensor não cadastrado esvazie o armazenamento
+ */
+
+import { randomUUID } from 'crypto';
+import logger from '../utils/logger.js';
+
+export const REJECTION_REASONS = {
+    PARSE_ERROR: 'PARSE_ERROR',
+    UNKNOWN_FORMAT: 'UNKNOWN_FORMAT',
+    NO_ROUTE: 'NO_ROUTE',
+    UNKNOWN_DECODER: 'UNKNOWN_DECODER',
+    DECODER_ERROR: 'DECODER_ERROR',
+    SCHEMA_INVALID: 'SCHEMA_INVALID',
+    UNKNOWN_SENSOR: 'UNKNOWN_SENSOR',
+    BLOCKLISTED: 'BLOCKLISTED',
+    STALE_READING: 'STALE_READING'
+};
+
+export class DeadLetterService {
+    constructor(maxEntries = 1000) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // id -> entrada (ordem de inserção = ordem de atualização)
+        this.keys = new Map();    // chave de agregação -> id
+        this.totals = {};
+        this.evicted = 0;
+    }
+
+    /**
+     * Registra uma mensagem rejeitada
+     * @param {Object} rejeicao - { reason, detail, source, topic, decoder, gateway, sensor, payload, payload_format, error }
+     *                            payload_format: 'raw' (mensagem antes da decodificação) ou 'items' (formato interno)
+     */
+    add(rejeicao) {
+        const now = new Date().toISOString();
+        const key = [rejeicao.reason, rejeicao.topic || '', rejeicao.gateway || '', rejeicao.sensor || '']
+            .join('|');
+
+        this.totals[rejeicao.reason] = (this.totals[rejeicao.reason] || 0) + 1;
+
+        const existenteId = this.keys.get(key);
+        if (existenteId && this.entries.has(existenteId)) {
+            const entry = this.entries.get(existenteId);
+            this.entries.delete(existenteId);
+            Object.assign(entry, {
+                payload: rejeicao.payload,
+                error: rejeicao.error || entry.error,
+                last_seen: now,
+                occurrences: entry.occurrences + 1
+            });
+            this.entries.set(existenteId, entry);
+            return entry;
+        }
+
+        const entry = {
+            id: randomUUID(),
+            reason: rejeicao.reason,
+            detail: rejeicao.detail || null,
+            source: rejeicao.source || null,
+            topic: rejeicao.topic || null,
+            decoder: rejeicao.decoder || null,
+            gateway: rejeicao.gateway || null,
+            sensor: rejeicao.sensor || null,
+            payload_format: rejeicao.payload_format || 'items',
+            payload: rejeicao.payload,
+            error: rejeicao.error || null,
+            first_seen: now,
+            last_seen: now,
+            occurrences: 1
+        };
+
+        this.entries.set(entry.id, entry);
+        this.keys.set(key, entry.id);
+        entry._key = key;
+
+        while (this.entries.size > this.maxEntries) {
+            const [oldestId, oldest] = this.entries.entries().next().value;
+            this.entries.delete(oldestId);
+            this.keys.delete(oldest._key);
+            this.evicted++;
+        }
+
+        logger.logDebug('DEAD_LETTER', 'Mensagem rejeitada armazenada', {
+            reason: entry.reason,
+            sensor: entry.sensor,
+            gateway: entry.gateway,
+            total: this.entries.size
+        });
+
+        return entry;
+    }
+
+    /**
+     * Lista entradas, mais recentes primeiro
+     * @param {Object} filtros - { reason, gateway, sensor, limit }
+     */
+    list({ reason, gateway, sensor, limit = 100 } = {}) {
+        return Array.from(this.entries.values())
+            .reverse()
+            .filter(e => !reason || e.reason === reason)
+            .filter(e => !gateway || e.gateway === gateway)
+            .filter(e => !sensor || e.sensor === sensor)
+            .slice(0, limit)
+            .map(e => this._toJSON(e));
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        return entry ? this._toJSON(entry) : null;
+    }
+
+    /**
+     * Remove entrada (ex.: antes de reenviar)
+     * @returns {Object|null} Entrada removida
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+        this.entries.delete(id);
+        this.keys.delete(entry._key);
+        return this._toJSON(entry);
+    }
+
+    /**
+     * Estatísticas para o health report
+     */
+    getStats() {
+        const porMotivo = {};
+        this.entries.forEach(e => {
+            porMotivo[e.reason] = (porMotivo[e.reason] || 0) + 1;
+        });
+        return {
+            size: this.entries.size,
+            max_entries: this.maxEntries,
+            evicted: this.evicted,
+            by_reason: porMotivo,
+            total_rejected: { ...this.totals }
+        };
+    }
+
+    _toJSON(entry) {
+        const { _key, ...json } = entry;
+        return json;
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Serviço de deduplicação de leituras entre gateways
+ * Um sensor no alcance de vários gateways gera cópias da mesma amostra; elas são
+ * agrupadas por MAC numa janela curta e entregues uma única vez, com o gateway
+ * de melhor RSSI como gateway de reporte e a lista de gateways que ouviram a amostra
+ */
+
+import logger from '../utils/logger.js';
+
+export class DeduplicationService {
+    /**
+     * @param {number} windowMs - Janela de agrupamento (0 desativa a deduplicação)
+     * @param {Function} onReading - Callback (mac, leitura, gateway, gateways, extra) para a leitura consolidada
+     */
+    constructor(windowMs, onReading) {
+        this.windowMs = windowMs;
+        this.onReading = onReading;
+        this.pending = new Map();
+        this.stats = {
+            received: 0,
+            emitted: 0,
+            duplicates: 0
+        };
+    }
+
+    /**
+     * Submete uma cópia da leitura
+     * @param {string} mac - MAC do sensor
+     * @param {Object} leitura - Leitura normalizada (com ts e rssi)
+     * @param {Object} gateway - { mac, raw } do gateway que ouviu a leitura
+     * @param {Object} extra - Dados repassados ao callback (ex.: config, source)
+     */
+    submit(mac, leitura, gateway, extra = {}) {
+        this.stats.received++;
+
+        if (this.windowMs <= 0) {
+            this._emit(mac, { leitura, gateway, gateways: new Map([[gateway.mac, leitura.rssi]]), extra });
+            return;
+        }
+
+        const entry = this.pending.get(mac);
+
+        if (entry && Math.abs(leitura.ts - entry.leitura.ts) <= this.windowMs) {
+            this.stats.duplicates++;
+            entry.gateways.set(gateway.mac, leitura.rssi);
+
+            if (this._rssi(leitura) > this._rssi(entry.leitura)) {
+                entry.leitura = { ...leitura, ts: entry.leitura.ts };
+                entry.gateway = gateway;
+            }
+            return;
+        }
+
+        // Amostra diferente da pendente: entrega a anterior antes de abrir nova janela
+        if (entry) {
+            this._flush(mac);
+        }
+
+        const novo = {
+            leitura,
+            gateway,
+            gateways: new Map([[gateway.mac, leitura.rssi]]),
+            extra,
+            timer: setTimeout(() => this._flush(mac), this.windowMs)
+        };
+        this.pending.set(mac, novo);
+    }
+
+    /**
+     * Entrega imediatamente todas as leituras pendentes (ex.: no shutdown)
+     */
+    flushAll() {
+        for (const mac of Array.from(this.pending.keys())) {
+            this._flush(mac);
+        }
+    }
+
+    /**
+     * Estatísticas de deduplicação
+     */
+    getStats() {
+        return {
+            window_ms: this.windowMs,
+            pending: this.pending.size,
+            ...this.stats
+        };
+    }
+
+    _flush(mac) {
+        const entry = this.pending.get(mac);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        this.pending.delete(mac);
+        this._emit(mac, entry);
+    }
+
+    _emit(mac, entry) {
+        this.stats.emitted++;
+        const gateways = Array.from(entry.gateways.keys()).filter(Boolean);
+
+        if (gateways.length > 1) {
+            logger.logDebug('DEDUP', 'Leitura consolidada de múltiplos gateways', {
+                sensor: mac,
+                gateway: entry.gateway.mac,
+                gateways
+            });
+        }
+
+        try {
+            this.onReading(mac, entry.leitura, entry.gateway, gateways, entry.extra);
+        } catch (e) {
+            logger.logError('DEDUP', 'Erro ao processar leitura consolidada', {
+                sensor: mac,
+                error: e.message,
+                stack: e.stack
+            });
+        }
+    }
+
+    _rssi(leitura) {
+        return Number.isFinite(Number(leitura.rssi)) ? Number(leitura.rssi) : -Infinity;
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Escalonamento de alertas não reconhecidos
+ * Cada política (ESCALATION_POLICIES) atende alertas de determinados sites e prioridades e define
+ * uma cadeia de níveis: enquanto o alerta continuar aberto sem reconhecimento, ao completar o
+ * after_ms de um nível (contado da abertura) o alerta é encaminhado aos canais desse nível
+ * (ex.: operador do turno, depois supervisor, depois webhook de ligação telefônica)
+ *
+ * O reconhecimento (POST /alerts/:id/ack) ou a resolução encerram o escalonamento. Os níveis já
+ * disparados ficam em um buffer com journal, para não repetir avisos após um reinício
+ */
+
+import { ALERT_STATUS } from './AlertService.js';
+import { PRIORIDADES } from './NotificationService.js';
+import { normalizarMac } from './SensorConfigService.js';
+import { JournaledBuffer } from '../utils/JournaledBuffer.js';
+import logger from '../utils/logger.js';
+import {
+    ESCALATION_POLICIES,
+    ESCALATION_CHECK_INTERVAL_MS,
+    CALL_PERSISTENCE_MS
+} from '../config/constants.js';
+
+const PRIORIDADES_PADRAO = ['CRITICA', 'ALTA'];
+
+export class EscalationService {
+    /**
+     * @param {AlertService} alertService - Alertas ativos e status de reconhecimento
+     * @param {NotificationService} notificationService - Canais dos níveis e site dos alertas
+     * @param {Array} politicas - [{ name, sites, priorities, levels: [{ after_ms, channels }] }]
+     * @param {Object} opcoes - { journalDir, fsync, intervalMs }
+     * @throws {Error} Quando alguma política está mal configurada
+     */
+    constructor(alertService, notificationService, politicas = ESCALATION_POLICIES, opcoes = {}) {
+        this.alertService = alertService;
+        this.notificationService = notificationService;
+        this.intervalMs = opcoes.intervalMs ?? ESCALATION_CHECK_INTERVAL_MS;
+        this.policies = (politicas || []).map((config, i) => this._validarPolitica(config, i));
+        this.timer = null;
+        this.stats = { escalations: 0, stopped_by_ack: 0, stopped_by_resolution: 0 };
+
+        // Último nível disparado por alerta (alert_id -> registro)
+        this.journal = new JournaledBuffer('escalations', opcoes.journalDir ?? null, { fsync: opcoes.fsync || false });
+        this.journal.load();
+        this.levels = new Map();
+        this.journal.toArray().forEach(registro => {
+            const atual = this.levels.get(registro.alert_id);
+            if (!atual || registro.level > atual.level) this.levels.set(registro.alert_id, registro);
+        });
+    }
+
+    iniciar() {
+        if (this.timer || this.policies.length === 0) return;
+        this.timer = setInterval(() => this.verificar(), this.intervalMs);
+        logger.logInfo('ESCALONAMENTO', `${this.policies.length} políticas de escalonamento ativas`, {
+            politicas: this.policies.map(p => ({
+                nome: p.name,
+                sites: p.sites ? [...p.sites] : 'todos',
+                prioridades: [...p.priorities],
+                niveis: p.levels.map(n => ({ apos_min: Math.round(n.after_ms / 60000), canais: n.channels }))
+            }))
+        });
+    }
+
+    parar() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Dispara os níveis vencidos dos alertas abertos e encerra o escalonamento dos reconhecidos ou resolvidos
+     */
+    verificar(now = Date.now()) {
+        const ativos = new Map(this.alertService.getActive().map(alerta => [alerta.id, alerta]));
+
+        ativos.forEach(alerta => {
+            if (alerta.status !== ALERT_STATUS.OPEN) return;
+            const politica = this._politicaDoAlerta(alerta);
+            if (politica) this._escalonar(alerta, politica, now);
+        });
+
+        this._encerrar(ativos);
+    }
+
+    /**
+     * O alerta ainda deve ser escalonado? (validação antes do envio dos avisos já enfileirados)
+     */
+    pendente(alertId) {
+        return this.alertService.getActive().some(a => a.id === alertId && a.status === ALERT_STATUS.OPEN);
+    }
+
+    /**
+     * Métricas para o health report
+     */
+    getStats() {
+        const now = Date.now();
+        return {
+            policies: this.policies.length,
+            ...this.stats,
+            escalated: Array.from(this.levels.values()).map(registro => {
+                const politica = this.policies.find(p => p.name === registro.policy);
+                const proximo = politica?.levels[registro.level];
+                return {
+                    alert_id: registro.alert_id,
+                    policy: registro.policy,
+                    level: registro.level,
+                    escalated_at: registro.escalated_at,
+                    next_level_in_ms: proximo ? Math.max(0, Date.parse(registro.opened_at) + proximo.after_ms - now) : null
+                };
+            })
+        };
+    }
+
+    _escalonar(alerta, politica, now) {
+        const decorrido = now - Date.parse(alerta.opened_at);
+        const atual = this.levels.get(alerta.id)?.level ?? 0;
+
+        // Após uma pausa longa (ex.: reinício), dispara apenas o nível mais alto vencido
+        let nivel = atual;
+        while (nivel < politica.levels.length && decorrido >= politica.levels[nivel].after_ms) nivel++;
+        if (nivel === atual) return;
+
+        const { channels } = politica.levels[nivel - 1];
+        const minutos = Math.floor(decorrido / 60000);
+        const canais = this.notificationService.encaminhar(channels, {
+            sensor_nome: alerta.display_name,
+            sensor_mac: alerta.sensor_mac ?? alerta.gateway_mac,
+            prioridade: alerta.priority,
+            mensagens: [
+                `ESCALONAMENTO nível ${nivel}: alerta sem reconhecimento há ${minutos} minutos`,
+                ...(alerta.message ? [alerta.message] : [])
+            ],
+            timestamp_iso: new Date(now).toISOString(),
+            dados_contexto: {
+                tipo: alerta.type,
+                gateway_mac: alerta.gateway_mac,
+                escalonamento: { politica: politica.name, nivel, niveis: politica.levels.length, sem_reconhecimento_min: minutos }
+            },
+            alert_id: alerta.id
+        });
+
+        const registro = {
+            alert_id: alerta.id,
+            policy: politica.name,
+            level: nivel,
+            opened_at: alerta.opened_at,
+            escalated_at: new Date(now).toISOString(),
+            channels: canais
+        };
+        this.journal.push(registro);
+        this.levels.set(alerta.id, registro);
+        this.stats.escalations++;
+
+        logger.logWarn('ESCALONAMENTO', `${alerta.display_name} - ${alerta.type}: nível ${nivel} de ${politica.levels.length}`, {
+            id: alerta.id,
+            politica: politica.name,
+            canais,
+            niveis_pulados: nivel - atual - 1,
+            sem_reconhecimento_min: minutos
+        });
+    }
+
+    // Remove do journal os alertas reconhecidos ou resolvidos (o journal é reescrito só quando há remoções)
+    _encerrar(ativos) {
+        const encerrados = Array.from(this.levels.keys())
+            .filter(id => ativos.get(id)?.status !== ALERT_STATUS.OPEN);
+        if (encerrados.length === 0) return;
+
+        encerrados.forEach(id => {
+            const alerta = ativos.get(id);
+            if (alerta?.status === ALERT_STATUS.ACKNOWLEDGED) {
+                this.stats.stopped_by_ack++;
+                logger.logInfo('ESCALONAMENTO', 'Escalonamento encerrado por reconhecimento', {
+                    id,
+                    nivel: this.levels.get(id).level,
+                    por: alerta.acknowledged_by
+                });
+            } else {
+                this.stats.stopped_by_resolution++;
+            }
+            this.levels.delete(id);
+        });
+
+        const lote = this.journal.drain();
+        this.journal.push(...lote.records.filter(r => this.levels.has(r.alert_id)));
+        lote.commit();
+    }
+
+    _politicaDoAlerta(alerta) {
+        const { site, gateway } = this.notificationService.localizarSite(alerta.sensor_mac ?? alerta.gateway_mac, alerta.gateway_mac);
+        return this.policies.find(p =>
+            p.priorities.has(alerta.priority) &&
+            (!p.sites || p.sites.has(site?.toLowerCase()) || p.sites.has(gateway?.toLowerCase())));
+    }
+
+    _validarPolitica(config, i) {
+        const nome = config?.name;
+        if (typeof nome !== 'string' || !nome.trim()) {
+            throw new Error(`ESCALATION_POLICIES[${i}]: name obrigatório`);
+        }
+
+        const prioridades = [].concat(config.priorities ?? PRIORIDADES_PADRAO).map(p => String(p).toUpperCase());
+        const invalida = prioridades.find(p => !PRIORIDADES.includes(p));
+        if (invalida) {
+            throw new Error(`ESCALATION_POLICIES[${i}] (${nome}): prioridade inválida ${invalida} (use ${PRIORIDADES.join(', ')})`);
+        }
+
+        if (!Array.isArray(config.levels) || config.levels.length === 0) {
+            throw new Error(`ESCALATION_POLICIES[${i}] (${nome}): levels deve ter ao menos um nível`);
+        }
+
+        // after_ms ausente: CALL_PERSISTENCE_MS depois do nível anterior
+        const canaisConfigurados = this.notificationService.channels.map(c => c.name);
+        let anterior = 0;
+        const niveis = config.levels.map((nivel, n) => {
+            const afterMs = nivel.after_ms ?? anterior + CALL_PERSISTENCE_MS;
+            if (!Number.isFinite(afterMs) || afterMs <= anterior) {
+                throw new Error(`ESCALATION_POLICIES[${i}] (${nome}): levels[${n}].after_ms deve ser maior que o do nível anterior`);
+            }
+            const canais = [].concat(nivel.channels ?? []);
+            const desconhecido = canais.find(c => !canaisConfigurados.includes(c));
+            if (canais.length === 0 || desconhecido) {
+                throw new Error(`ESCALATION_POLICIES[${i}] (${nome}): levels[${n}].channels ${desconhecido ? `com canal desconhecido ${desconhecido}` : 'vazio'} (canais em NOTIFIERS: ${canaisConfigurados.join(', ')})`);
+            }
+            anterior = afterMs;
+            return { after_ms: afterMs, channels: canais };
+        });
+
+        return {
+            name: nome.trim(),
+            // Site pelo nome (GATEWAY_SITES) ou pelo MAC do gateway
+            sites: config.sites ? new Set([].concat(config.sites).flatMap(s => [String(s).toLowerCase(), normalizarMac(String(s))?.toLowerCase()]).filter(Boolean)) : null,
+            priorities: new Set(prioridades),
+            levels: niveis
+        };
+    }
+}
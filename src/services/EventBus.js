@@ -0,0 +1,156 @@
+/**
+ * Barramento de eventos em tempo real
+ * Recebe os eventos produzidos na ingestão, nos alertas e no monitor de gateways e os entrega
+ * aos assinantes (SSE e WebSocket), com filtro por sensor, site e tipo. Os últimos
+ * EVENT_REPLAY_SIZE eventos ficam em memória para replay na conexão
+ */
+
+import logger from '../utils/logger.js';
+import { normalizarMac } from './SensorConfigService.js';
+import { EVENT_REPLAY_SIZE, GATEWAY_SITES } from '../config/constants.js';
+
+export const EVENT_TYPES = {
+    READING: 'reading',
+    DOOR_OPEN: 'door.open',
+    DOOR_CLOSE: 'door.close',
+    DEFROST_START: 'defrost.start',
+    DEFROST_END: 'defrost.end',
+    ALERT_RAISED: 'alert.raised',
+    ALERT_RESOLVED: 'alert.resolved',
+    GATEWAY_ONLINE: 'gateway.online',
+    GATEWAY_OFFLINE: 'gateway.offline'
+};
+
+/**
+ * Monta o filtro de assinatura a partir da query (valores separados por vírgula)
+ * @param {Object} query - { mac, site, type }
+ * @returns {{ filtro: Object|null, erro: string|null }}
+ */
+export const lerFiltroEventos = (query = {}) => {
+    const lista = valor => valor === undefined || valor === '' ? null :
+        String(valor).split(',').map(v => v.trim()).filter(Boolean);
+
+    const tipos = lista(query.type);
+    const invalido = tipos?.find(tipo => !Object.values(EVENT_TYPES).includes(tipo));
+    if (invalido) {
+        return { filtro: null, erro: `type inválido: ${invalido} (use ${Object.values(EVENT_TYPES).join(', ')})` };
+    }
+
+    const macs = lista(query.mac);
+    const macInvalido = macs?.find(mac => !normalizarMac(mac));
+    if (macInvalido) {
+        return { filtro: null, erro: `mac inválido: ${macInvalido}` };
+    }
+
+    const sites = lista(query.site);
+    return {
+        filtro: {
+            macs: macs ? new Set(macs.map(normalizarMac)) : null,
+            // Site pelo nome (GATEWAY_SITES) ou pelo MAC do gateway; sem entradas vazias, que
+            // atenderiam os eventos sem gateway
+            sites: sites ? new Set(sites.flatMap(s => [s.toLowerCase(), normalizarMac(s)?.toLowerCase()]).filter(Boolean)) : null,
+            types: tipos ? new Set(tipos) : null
+        },
+        erro: null
+    };
+};
+
+export class EventBus {
+    /**
+     * @param {number} replaySize - Eventos mantidos para replay
+     * @param {Object} gatewaySites - Site de cada gateway (MAC -> nome)
+     */
+    constructor(replaySize = EVENT_REPLAY_SIZE, gatewaySites = GATEWAY_SITES) {
+        this.replaySize = replaySize;
+        this.sites = new Map(Object.entries(gatewaySites || {}).map(([mac, site]) => [normalizarMac(mac) || mac, site]));
+        this.recent = [];
+        this.subscribers = new Set();
+        this.sequence = 0;
+        this.stats = { published: 0, delivered: 0, by_type: {} };
+    }
+
+    /**
+     * Publica um evento para os assinantes
+     * @param {string} type - Um de EVENT_TYPES
+     * @param {Object} origem - { sensor_mac, gateway_mac, data }
+     * @returns {Object} Evento publicado
+     */
+    publicar(type, { sensor_mac = null, gateway_mac = null, data = {} } = {}) {
+        const gateway = gateway_mac && gateway_mac !== 'GW-UNKNOWN' ? gateway_mac : null;
+        const evento = {
+            id: ++this.sequence,
+            type,
+            ts: new Date().toISOString(),
+            sensor_mac,
+            gateway_mac: gateway,
+            site: gateway ? this.sites.get(gateway) ?? null : null,
+            data
+        };
+
+        this.recent.push(evento);
+        if (this.recent.length > this.replaySize) this.recent.shift();
+        this.stats.published++;
+        this.stats.by_type[type] = (this.stats.by_type[type] || 0) + 1;
+
+        this.subscribers.forEach(assinante => {
+            if (!this._atende(evento, assinante.filtro)) return;
+            try {
+                assinante.callback(evento);
+                this.stats.delivered++;
+            } catch (e) {
+                logger.logError('EVENTOS', 'Erro ao entregar evento ao assinante', {
+                    tipo: type,
+                    error: e.message
+                });
+            }
+        });
+
+        return evento;
+    }
+
+    /**
+     * Assina os eventos que atendem ao filtro
+     * @returns {Function} Cancela a assinatura
+     */
+    assinar(filtro, callback) {
+        const assinante = { filtro, callback };
+        this.subscribers.add(assinante);
+        return () => this.subscribers.delete(assinante);
+    }
+
+    /**
+     * Eventos recentes que atendem ao filtro, em ordem cronológica
+     * @param {Object} filtro
+     * @param {Object} opcoes - { limite: últimos N, aposId: apenas com id maior (Last-Event-ID) }
+     */
+    recentes(filtro, { limite = this.replaySize, aposId = null } = {}) {
+        // ID maior que o último publicado: cliente conectado antes de um reinício, recebe todo o buffer
+        if (aposId !== null && aposId > this.sequence) aposId = null;
+        const eventos = this.recent.filter(e => (aposId === null || e.id > aposId) && this._atende(e, filtro));
+        return limite > 0 ? eventos.slice(-limite) : [];
+    }
+
+    /**
+     * Métricas para o health report
+     */
+    getStats() {
+        return {
+            subscribers: this.subscribers.size,
+            replay_buffer: this.recent.length,
+            last_event_id: this.sequence,
+            ...this.stats
+        };
+    }
+
+    _atende(evento, filtro) {
+        if (!filtro) return true;
+        if (filtro.types && !filtro.types.has(evento.type)) return false;
+        if (filtro.macs && !filtro.macs.has(evento.sensor_mac) && !filtro.macs.has(evento.gateway_mac)) return false;
+        if (filtro.sites) {
+            const site = evento.site?.toLowerCase();
+            const gateway = evento.gateway_mac?.toLowerCase();
+            if (!filtro.sites.has(site) && !filtro.sites.has(gateway)) return false;
+        }
+        return true;
+    }
+}
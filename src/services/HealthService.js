@@ -5,15 +5,27 @@
 
 import { formatarTempoDecorrido } from '../utils/formatters.js';
 import thermalAnalysisService from './ThermalAnalysisService.js';
+import decoderRegistry from '../decoders/DecoderRegistry.js';
 import { MIN_DATA_POINTS } from '../config/constants.js';
 import logger from '../utils/logger.js';
+import metricsService from './MetricsService.js';
+import { timestampRegistro } from './PersistenceService.js';
 
 export class HealthService {
-    constructor(sensorService, configCache, gatewayHeartbeats, buffers) {
+    constructor(sensorService, configCache, gatewayHeartbeats, buffers, ingestionService = null, persistenceService = null, snapshotService = null, rollupService = null, eventBus = null, maintenanceService = null, readinessService = null, notificationService = null, escalationService = null) {
         this.sensorService = sensorService;
         this.configCache = configCache;
         this.gatewayHeartbeats = gatewayHeartbeats;
         this.buffers = buffers;
+        this.ingestionService = ingestionService;
+        this.persistenceService = persistenceService;
+        this.snapshotService = snapshotService;
+        this.rollupService = rollupService;
+        this.eventBus = eventBus;
+        this.maintenanceService = maintenanceService;
+        this.readinessService = readinessService;
+        this.notificationService = notificationService;
+        this.escalationService = escalationService;
     }
 
     /**
@@ -24,6 +36,7 @@ export class HealthService {
         const sensorsDetail = [];
         const systemMetrics = this._calculateSystemMetrics(now);
         const performanceMetrics = this._calculatePerformanceMetrics(now);
+        const readiness = this.readinessService ? this.readinessService.verificar(now) : null;
 
         // Detalhes de cada sensor
         this.configCache.forEach((config, mac) => {
@@ -35,7 +48,9 @@ export class HealthService {
         sensorsDetail.sort((a, b) => a.nome.localeCompare(b.nome));
 
         return {
-            status: 'UP',
+            // DEGRADED: processo vivo, mas alguma verificação de prontidão falhou
+            status: readiness && readiness.failing.length > 0 ? 'DEGRADED' : 'UP',
+            readiness,
             timestamp: new Date().toISOString(),
             uptime: {
                 seconds: Math.floor(process.uptime()),
@@ -71,19 +86,43 @@ export class HealthService {
                 telemetry: {
                     size: this.buffers.telemetry.length,
                     oldest_entry: this.buffers.telemetry.length > 0 ? 
-                        this._getOldestTimestamp(this.buffers.telemetry) : null
+                        this._getOldestTimestamp(this.buffers.telemetry) : null,
+                    ...this._bufferStats(this.buffers.telemetry)
                 },
                 door: {
                     size: this.buffers.door.length,
                     oldest_entry: this.buffers.door.length > 0 ? 
-                        this._getOldestTimestamp(this.buffers.door) : null
+                        this._getOldestTimestamp(this.buffers.door) : null,
+                    ...this._bufferStats(this.buffers.door)
+                },
+                defrost: {
+                    size: this.buffers.defrost.length,
+                    oldest_entry: this.buffers.defrost.length > 0 ?
+                        this._getOldestTimestamp(this.buffers.defrost) : null,
+                    ...this._bufferStats(this.buffers.defrost)
+                },
+                alert_logs: {
+                    size: this.buffers.alertLogs.length,
+                    oldest_entry: this.buffers.alertLogs.length > 0 ?
+                        this._getOldestTimestamp(this.buffers.alertLogs) : null,
+                    ...this._bufferStats(this.buffers.alertLogs)
                 },
                 alerts: {
                     size: this.buffers.alerts.length,
                     oldest_entry: this.buffers.alerts.length > 0 ? 
-                        this._getOldestTimestamp(this.buffers.alerts) : null
+                        this._getOldestTimestamp(this.buffers.alerts) : null,
+                    ...this._bufferStats(this.buffers.alerts)
                 }
             },
+            decoders: decoderRegistry.getStats(),
+            ingestion: this.ingestionService ? this.ingestionService.getStats() : null,
+            persistence: this.persistenceService ? this.persistenceService.getStats() : null,
+            snapshot: this.snapshotService ? this.snapshotService.getStats() : null,
+            rollups: this.rollupService ? this.rollupService.getStats() : null,
+            events: this.eventBus ? this.eventBus.getStats() : null,
+            maintenance: this.maintenanceService ? this.maintenanceService.getStats(now) : null,
+            notifications: this.notificationService ? this.notificationService.getStats() : null,
+            escalation: this.escalationService ? this.escalationService.getStats() : null,
             performance: performanceMetrics,
             alerts: {
                 watchlist_size: systemMetrics.watchlistSize,
@@ -92,19 +131,31 @@ export class HealthService {
         };
     }
 
+    /**
+     * Estado ao vivo de um sensor (mesmo formato do detalhe em /health)
+     * @returns {Object|null} null se o sensor não está configurado
+     */
+    getSensorDetail(mac) {
+        const config = this.configCache.get(mac);
+        if (!config) return null;
+        return this._getSensorInfo(mac, config, this.sensorService.getSensorState(mac), Date.now());
+    }
+
     /**
      * Obtém informações detalhadas de um sensor
      */
     _getSensorInfo(mac, config, state, now) {
         const hasData = state && state.lastReading && state.lastReading.ts > 0;
         const isUltra = (config.temp_min && config.temp_min < -15);
+        const janelaManutencao = this.maintenanceService?.janelaAtiva(mac, now) ?? null;
+        const emManutencao = !!config.em_manutencao || !!janelaManutencao;
         
         let statusGeral = 'OK 🟢';
         if (state?.alertControl?.is_defrosting) {
             statusGeral = 'DEGELO ❄️';
         } else if (state?.alertControl?.last_virtual_state) {
             statusGeral = 'PORTA ABERTA 🔓';
-        } else if (config.em_manutencao) {
+        } else if (emManutencao) {
             statusGeral = 'MANUTENÇÃO 🔧';
         }
 
@@ -121,7 +172,8 @@ export class HealthService {
                     mac, 
                     tempAtual, 
                     isUltra, 
-                    state.history
+                    state.history,
+                    state.lastReading.ts
                 );
 
                 if (stats.ready) {
@@ -161,7 +213,8 @@ export class HealthService {
                 duracao_min: duration,
                 temp_inicio: state.alertControl.defrost_start_temp || null,
                 temp_pico: state.alertControl.defrost_peak_temp || null,
-                temp_atual: hasData ? state.lastReading.db_temp : null
+                temp_atual: hasData ? state.lastReading.db_temp : null,
+                criterio_inicio: state.alertControl.defrost_start_criteria || null
             };
         }
 
@@ -198,7 +251,13 @@ export class HealthService {
                 hum_max: config.hum_max,
                 hum_min: config.hum_min,
                 is_ultra: isUltra,
-                em_manutencao: config.em_manutencao || false
+                em_manutencao: emManutencao,
+                maintenance_window: janelaManutencao ? {
+                    id: janelaManutencao.id,
+                    reason: janelaManutencao.reason,
+                    created_by: janelaManutencao.created_by,
+                    recurrence: janelaManutencao.recurrence
+                } : null
             }
         };
     }
@@ -211,8 +270,8 @@ export class HealthService {
         const sensoresComDados = allStates.filter(s => s.lastReading.ts > 0).length;
         const sensoresEmDegelo = allStates.filter(s => s.alertControl.is_defrosting).length;
         const sensoresPortaAberta = allStates.filter(s => s.alertControl.last_virtual_state).length;
-        const sensoresEmManutencao = Array.from(this.configCache.values())
-            .filter(c => c.em_manutencao).length;
+        const sensoresEmManutencao = Array.from(this.configCache.entries())
+            .filter(([mac, c]) => c.em_manutencao || this.maintenanceService?.janelaAtiva(mac, now)).length;
         const ultracongeladores = Array.from(this.configCache.values())
             .filter(c => c.temp_min && c.temp_min < -15).length;
 
@@ -252,24 +311,30 @@ export class HealthService {
      * Calcula métricas de performance
      */
     _calculatePerformanceMetrics(now) {
+        // Atraso do event loop medido no último minuto (ms)
+        const lag = metricsService.getEventLoopLag();
         return {
-            event_loop_lag: process.hrtime()[1] / 1000000, // Aproximação
+            event_loop_lag: lag.mean_ms,
+            event_loop_lag_p99: lag.p99_ms,
+            event_loop_lag_max: lag.max_ms,
             active_handles: process._getActiveHandles ? process._getActiveHandles().length : 'N/A',
             active_requests: process._getActiveRequests ? process._getActiveRequests().length : 'N/A'
         };
     }
 
+    /**
+     * Capacidade, descartes e segmentos do journal de um buffer
+     */
+    _bufferStats(buffer) {
+        const { size, ...stats } = buffer.getStats();
+        return stats;
+    }
+
     /**
      * Obtém timestamp mais antigo de um buffer
      */
     _getOldestTimestamp(buffer) {
         if (!buffer || buffer.length === 0) return null;
-        
-        // Tenta encontrar timestamp em diferentes formatos
-        const first = buffer[0];
-        if (first.timestamp_read) return first.timestamp_read;
-        if (first.timestamp_iso) return first.timestamp_iso;
-        if (first.ts) return first.ts;
-        return null;
+        return timestampRegistro(buffer.peek());
     }
 }
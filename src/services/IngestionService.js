@@ -0,0 +1,581 @@
+/**
+ * Serviço de ingestão de leituras
+ * Pipeline único compartilhado pelos transportes MQTT e HTTP:
+ * blocklist, cache de configuração, deduplicação entre gateways, detecção,
+ * alertas e buffer de telemetria
+ *
+ * Mensagens rejeitadas (JSON inválido, formato desconhecido, schema inválido,
+ * sensor não cadastrado, dispositivo na blocklist, leitura antiga) vão para o dead-letter
+ */
+
+import {
+    HARDCODED_BLOCKLIST,
+    DB_HEARTBEAT_MS,
+    SDT_DEVIATION,
+    PREDICT_WINDOW_MINS,
+    MAX_CLOCK_SKEW_MS,
+    DEDUP_WINDOW_MS
+} from '../config/constants.js';
+import { formatarMac, calcularBateria } from '../utils/formatters.js';
+import { avaliarPonto, forcarPonto, liberarPendente } from '../utils/swingingDoor.js';
+import decoderRegistry from '../decoders/DecoderRegistry.js';
+import { DeduplicationService } from './DeduplicationService.js';
+import { REJECTION_REASONS } from './DeadLetterService.js';
+import { EVENT_TYPES } from './EventBus.js';
+import metricsService from './MetricsService.js';
+import logger from '../utils/logger.js';
+
+export class IngestionService {
+    constructor(sensorService, configCache, secondarySensorsBlocklist, gatewayHeartbeats, buffers, deadLetterService = null, alertService = null, eventBus = null, maintenanceService = null) {
+        this.sensorService = sensorService;
+        this.configCache = configCache;
+        this.secondarySensorsBlocklist = secondarySensorsBlocklist;
+        this.gatewayHeartbeats = gatewayHeartbeats;
+        this.buffers = buffers;
+        this.deadLetterService = deadLetterService;
+        this.alertService = alertService;
+        this.eventBus = eventBus;
+        this.maintenanceService = maintenanceService;
+        this.deduplicator = new DeduplicationService(
+            DEDUP_WINDOW_MS,
+            (mac, leitura, gateway, gateways, extra) => this._processReading(mac, leitura, gateway, gateways, extra)
+        );
+        this.stats = {
+            late_readings: 0,
+            stale_rejected: 0
+        };
+        this.lastMessageAt = null;
+        this.sensorGateways = new Map(); // Gateway da última leitura de cada sensor (site das notificações)
+    }
+
+    /**
+     * Processa mensagem MQTT bruta usando o decodificador da rota do tópico
+     * @throws {DecodeError} Quando o tópico não tem rota ou o formato não é reconhecido
+     */
+    processMessage(topic, message, source = 'MQTT') {
+        metricsService.messagesReceived.inc({ source });
+        let items;
+        try {
+            items = decoderRegistry.decode(topic, message);
+        } catch (e) {
+            this._reject(e.reason || REJECTION_REASONS.UNKNOWN_FORMAT, {
+                source,
+                topic,
+                payload_format: 'raw',
+                payload: message.toString(),
+                error: e.message
+            });
+            throw e;
+        }
+        return this.processItems(items, { source, topic });
+    }
+
+    /**
+     * Processa payload já convertido de JSON com um decodificador nomeado (padrão: alcateia)
+     * @param {Object|Array} payload - Payload do gateway
+     * @param {Object} context - Origem da mensagem ({ source, decoder })
+     * @throws {DecodeError} Quando o formato não é reconhecido
+     */
+    processPayload(payload, context = {}) {
+        const decoder = context.decoder || 'alcateia';
+        metricsService.messagesReceived.inc({ source: context.source || 'HTTP' });
+        let items;
+        try {
+            items = decoderRegistry.decodeWith(decoder, payload, context);
+        } catch (e) {
+            this._reject(e.reason || REJECTION_REASONS.UNKNOWN_FORMAT, {
+                source: context.source,
+                decoder,
+                payload_format: 'raw',
+                payload,
+                error: e.message
+            });
+            throw e;
+        }
+        return this.processItems(items, context);
+    }
+
+    /**
+     * Registra corpo HTTP recusado pelo parser JSON (não chega a ser decodificado)
+     * Sem o corpo (acima do limite) não há o que inspecionar ou reenviar: conta só nas métricas
+     * @param {string|null} corpo - Texto recebido (null quando excede o limite)
+     * @param {string} erro - Mensagem do parser
+     * @param {Object} context - { source, decoder, detail }
+     */
+    rejeitarCorpo(corpo, erro, context = {}) {
+        const source = context.source || 'HTTP';
+        metricsService.messagesReceived.inc({ source });
+        if (corpo === null || corpo === undefined) {
+            metricsService.messagesRejected.inc({ source, reason: REJECTION_REASONS.PARSE_ERROR });
+            return;
+        }
+        this._reject(REJECTION_REASONS.PARSE_ERROR, {
+            source,
+            decoder: context.decoder,
+            detail: context.detail,
+            payload_format: 'raw',
+            payload: corpo,
+            error: erro
+        });
+    }
+
+    /**
+     * Reenvia uma entrada do dead-letter ao pipeline
+     * A entrada é removida antes do reprocessamento; se for rejeitada de novo, volta ao dead-letter
+     * @returns {Object|null} Resumo do processamento ou null se a entrada não existe
+     */
+    resubmit(id) {
+        const entry = this.deadLetterService?.remove(id);
+        if (!entry) return null;
+
+        logger.logInfo('DEAD_LETTER', 'Reenviando mensagem rejeitada', {
+            id,
+            reason: entry.reason,
+            sensor: entry.sensor,
+            gateway: entry.gateway
+        });
+
+        if (entry.payload_format === 'raw') {
+            return entry.topic ?
+                this.processMessage(entry.topic, Buffer.from(entry.payload), 'REPLAY') :
+                this.processPayload(entry.payload, { source: 'REPLAY', decoder: entry.decoder });
+        }
+        metricsService.messagesReceived.inc({ source: 'REPLAY' });
+        return this.processItems([entry.payload], { source: 'REPLAY', topic: entry.topic });
+    }
+
+    /**
+     * Processa itens no formato interno [{ gmac, obj[] }]
+     * @param {Array} items - Itens normalizados pelo decodificador
+     * @param {Object} context - Origem da mensagem ({ source, topic })
+     * @returns {Object} Resumo: { items, sensores_aceitos, sensores_rejeitados, gateways }
+     */
+    processItems(items, context = {}) {
+        const source = context.source || 'MQTT';
+        const now = Date.now();
+        // Reenvios do dead-letter não indicam tráfego dos gateways
+        if (source !== 'REPLAY') this.lastMessageAt = now;
+
+        let sensoresAceitos = 0;
+        let sensoresRejeitados = 0;
+        const gatewaysProcessados = new Set();
+
+        items.forEach(item => {
+            if (!item || typeof item !== 'object') {
+                logger.logDebug(source, 'Item inválido ignorado');
+                this._reject(REJECTION_REASONS.SCHEMA_INVALID, {
+                    ...context,
+                    detail: 'Item do payload não é um objeto',
+                    payload: item
+                });
+                return;
+            }
+
+            const gatewayMac = formatarMac(item.gmac);
+
+            if (HARDCODED_BLOCKLIST.includes(gatewayMac)) {
+                logger.logDebug(source, 'Gateway na blocklist ignorado', { gateway: gatewayMac });
+                this._reject(REJECTION_REASONS.BLOCKLISTED, {
+                    ...context,
+                    detail: 'Gateway na blocklist',
+                    gateway: gatewayMac,
+                    payload: item
+                });
+                return;
+            }
+
+            if (gatewayMac) {
+                const anterior = this.gatewayHeartbeats.get(gatewayMac);
+                if (!anterior || anterior.offline) {
+                    this.eventBus?.publicar(EVENT_TYPES.GATEWAY_ONLINE, {
+                        gateway_mac: gatewayMac,
+                        data: { offline_since: anterior ? new Date(anterior.last_seen).toISOString() : null }
+                    });
+                }
+                this.gatewayHeartbeats.set(gatewayMac, { last_seen: now });
+                this.alertService?.resolverGateway(gatewayMac, now);
+                gatewaysProcessados.add(gatewayMac);
+            }
+
+            if (!item.obj || !Array.isArray(item.obj)) {
+                logger.logDebug(source, 'Item sem sensores', { gateway: gatewayMac });
+                return;
+            }
+
+            item.obj.forEach(sensor => {
+                if (this._processSensor(sensor, item, gatewayMac, now, context)) {
+                    sensoresAceitos++;
+                } else {
+                    sensoresRejeitados++;
+                }
+            });
+        });
+
+        // Processada: ao menos uma leitura aceita
+        if (sensoresAceitos > 0) metricsService.messagesProcessed.inc({ source });
+
+        const resumo = {
+            items: items.length,
+            // Aceitas: validadas e entregues à deduplicação (a detecção e a gravação ocorrem
+            // quando a janela fecha; cópias do mesmo sensor por outros gateways são consolidadas)
+            sensores_aceitos: sensoresAceitos,
+            sensores_rejeitados: sensoresRejeitados,
+            gateways: Array.from(gatewaysProcessados)
+        };
+
+        logger.logDebug(source, 'Mensagem processada', {
+            ...resumo,
+            buffer_telemetry: this.buffers.telemetry.length,
+            buffer_alertas: this.buffers.alerts.length
+        });
+
+        return resumo;
+    }
+
+    /**
+     * Valida a leitura de um único sensor e a encaminha para a deduplicação
+     * @returns {boolean} true se a leitura foi aceita
+     */
+    _processSensor(sensor, item, gatewayMac, now, context) {
+        const source = context.source || 'MQTT';
+        const mac = formatarMac(sensor?.dmac);
+        const rejeitar = (reason, detail) => {
+            const { obj, ...gatewayInfo } = item;
+            this._reject(reason, {
+                ...context,
+                detail,
+                gateway: gatewayMac,
+                sensor: mac,
+                payload: { ...gatewayInfo, obj: [sensor] }
+            });
+            return false;
+        };
+
+        if (!mac) {
+            return rejeitar(REJECTION_REASONS.SCHEMA_INVALID, 'Leitura sem dmac');
+        }
+
+        if (sensor.temp === undefined || sensor.temp === null || !Number.isFinite(Number(sensor.temp))) {
+            logger.logDebug(source, 'Leitura sem temperatura válida', { sensor: mac, temp: sensor.temp });
+            return rejeitar(REJECTION_REASONS.SCHEMA_INVALID, 'Leitura sem temperatura numérica');
+        }
+
+        if (HARDCODED_BLOCKLIST.includes(mac)) {
+            logger.logDebug(source, 'Sensor na blocklist ignorado', { sensor: mac });
+            return rejeitar(REJECTION_REASONS.BLOCKLISTED, 'Sensor na blocklist');
+        }
+
+        if (this.secondarySensorsBlocklist.has(mac)) {
+            logger.logDebug(source, 'Sensor secundário ignorado', { sensor: mac });
+            return rejeitar(REJECTION_REASONS.BLOCKLISTED, 'Sensor secundário (porta vinculada)');
+        }
+
+        const config = this.configCache.get(mac);
+        if (!config) {
+            logger.logDebug(source, 'Sensor não encontrado no cache', { sensor: mac });
+            return rejeitar(REJECTION_REASONS.UNKNOWN_SENSOR, 'Sensor não cadastrado em sensor_configs');
+        }
+
+        const measuredAt = this._resolverInstanteMedicao(sensor, mac, now, source);
+        if (measuredAt === null) {
+            this.stats.stale_rejected++;
+            return rejeitar(REJECTION_REASONS.STALE_READING, 'Leitura mais antiga que a janela de análise');
+        }
+
+        // Cópias da mesma amostra ouvidas por outros gateways são consolidadas antes da detecção
+        this.deduplicator.submit(
+            mac,
+            { ...sensor, ts: measuredAt },
+            { mac: gatewayMac, raw: item.gmac },
+            { config, source, ingestTs: now }
+        );
+        return true;
+    }
+
+    /**
+     * Processa leitura consolidada: detecção, alertas, eventos de porta e telemetria
+     */
+    _processReading(mac, leitura, gateway, gateways, { config, ingestTs }) {
+        // Em manutenção (janela ativa ou flag) a leitura é analisada e gravada, mas não gera alertas
+        const emManutencao = this.maintenanceService ?
+            this.maintenanceService.emManutencao(mac, config, leitura.ts) :
+            !!config.em_manutencao;
+        const result = this.sensorService.verificarSensor(mac, leitura, gateway.mac, config, emManutencao);
+        if (gateway.mac) this.sensorGateways.set(mac, gateway.mac);
+
+        if (result?.late) {
+            this.stats.late_readings++;
+        }
+
+        metricsService.readings.inc({ sensor: mac });
+        if (result?.door) {
+            metricsService.detectionEvents.inc({ type: result.door.is_open ? 'door_open' : 'door_close' });
+        }
+        if (result?.defrost?.detected && result.defrost.action === 'START') {
+            metricsService.detectionEvents.inc({ type: 'defrost_start' });
+        }
+        if (result?.defrostLog) {
+            metricsService.detectionEvents.inc({ type: 'defrost_end' });
+        }
+
+        // Processa alerta (registra no ciclo de vida antes de enfileirar a notificação)
+        if (result?.alert) {
+            this.alertService?.registrar(result.alert);
+            this.buffers.alerts.push(result.alert);
+            logger.logWarn('ALERTA', `${config.display_name}: ${result.alert.mensagens[0]}`, {
+                sensor: mac,
+                prioridade: result.alert.prioridade,
+                buffer_size: this.buffers.alerts.length
+            });
+        }
+
+        // Processa evento de porta
+        if (result?.door) {
+            this.buffers.door.push(result.door);
+            logger.logDebug('DB', 'Evento de porta adicionado ao buffer', {
+                sensor: mac,
+                is_open: result.door.is_open,
+                buffer_size: this.buffers.door.length
+            });
+        }
+
+        // Atualiza pico e resolve alertas do sensor que voltou ao normal
+        const alertasResolvidos = !result?.late ? (this.alertService?.avaliarLeitura(mac, leitura, config) || 0) : 0;
+
+        // Registra ciclo de degelo concluído
+        if (result?.defrostLog && this.buffers.defrost) {
+            this.buffers.defrost.push(result.defrostLog);
+            logger.logDebug('DB', 'Ciclo de degelo adicionado ao buffer', {
+                sensor: mac,
+                duration_s: result.defrostLog.duration_s,
+                buffer_size: this.buffers.defrost.length
+            });
+        }
+
+        // Transições sempre geram ponto persistido na telemetria
+        const transicao = !!(result?.alert || result?.door || result?.defrost?.detected || alertasResolvidos > 0);
+        this._bufferTelemetry(mac, leitura, gateway, gateways, ingestTs, config, result?.late, transicao);
+
+        this._publicarEventos(mac, leitura, gateway, config, result);
+    }
+
+    /**
+     * Publica a leitura e as transições de porta e degelo no barramento de eventos
+     */
+    _publicarEventos(mac, leitura, gateway, config, result) {
+        if (!this.eventBus) return;
+        const origem = { sensor_mac: mac, gateway_mac: gateway.mac };
+        const nome = config.display_name || mac;
+
+        this.eventBus.publicar(EVENT_TYPES.READING, {
+            ...origem,
+            data: {
+                display_name: nome,
+                temp: leitura.temp ?? null,
+                humidity: leitura.humidity ?? null,
+                battery: leitura.battery_percent ?? calcularBateria(leitura.vbatt),
+                rssi: leitura.rssi ?? null,
+                measured_at: new Date(leitura.ts).toISOString(),
+                late: !!result?.late
+            }
+        });
+
+        if (result?.door) {
+            this.eventBus.publicar(result.door.is_open ? EVENT_TYPES.DOOR_OPEN : EVENT_TYPES.DOOR_CLOSE, {
+                ...origem,
+                data: { display_name: nome, timestamp_read: result.door.timestamp_read }
+            });
+        }
+
+        if (result?.defrost?.detected && result.defrost.action === 'START') {
+            this.eventBus.publicar(EVENT_TYPES.DEFROST_START, {
+                ...origem,
+                data: {
+                    display_name: nome,
+                    temp: leitura.temp ?? null,
+                    criteria: result.defrost.criteria ?? null,
+                    confidence: result.defrost.confidence ?? null
+                }
+            });
+        }
+
+        if (result?.defrostLog) {
+            this.eventBus.publicar(EVENT_TYPES.DEFROST_END, {
+                ...origem,
+                data: { display_name: nome, ...result.defrostLog }
+            });
+        }
+    }
+
+    /**
+     * Registra rejeição no dead-letter (quando configurado)
+     */
+    _reject(reason, dados) {
+        metricsService.messagesRejected.inc({ source: dados.source || 'MQTT', reason });
+        if (!this.deadLetterService) return;
+        this.deadLetterService.add({
+            reason,
+            detail: dados.detail,
+            source: dados.source,
+            topic: dados.topic,
+            decoder: dados.decoder,
+            gateway: dados.gateway,
+            sensor: dados.sensor,
+            payload_format: dados.payload_format,
+            payload: dados.payload,
+            error: dados.error
+        });
+    }
+
+    /**
+     * Entrega leituras retidas na janela de deduplicação e persiste os pontos
+     * retidos pela compressão de telemetria (ex.: no shutdown)
+     */
+    flushPending() {
+        this.deduplicator.flushAll();
+        this._liberarTelemetriaRetida();
+    }
+
+    /**
+     * Gateway que entregou a última leitura do sensor
+     * @returns {string|null}
+     */
+    gatewayDoSensor(mac) {
+        return this.sensorGateways.get(mac) ?? null;
+    }
+
+    /**
+     * Estatísticas de ingestão
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            last_message_at: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null,
+            deduplication: this.deduplicator.getStats(),
+            dead_letter: this.deadLetterService ? this.deadLetterService.getStats() : null
+        };
+    }
+
+    /**
+     * Define o instante da medição: usa o timestamp do dispositivo quando presente,
+     * descarta timestamps no futuro (relógio adiantado) e rejeita leituras mais antigas
+     * que a janela de análise
+     * @returns {number|null} Timestamp em ms ou null se a leitura deve ser rejeitada
+     */
+    _resolverInstanteMedicao(sensor, mac, now, source) {
+        const ts = sensor.ts;
+        if (ts === undefined || ts === null) return now;
+
+        if (ts > now + MAX_CLOCK_SKEW_MS) {
+            logger.logDebug(source, 'Timestamp do dispositivo no futuro - usando horário de chegada', {
+                sensor: mac,
+                device_ts: new Date(ts).toISOString()
+            });
+            return now;
+        }
+
+        if (now - ts > PREDICT_WINDOW_MINS * 60 * 1000) {
+            logger.logWarn(source, 'Leitura mais antiga que a janela de análise rejeitada', {
+                sensor: mac,
+                measured_at: new Date(ts).toISOString(),
+                atraso_min: Math.floor((now - ts) / 60000)
+            });
+            return null;
+        }
+
+        return Math.min(ts, now);
+    }
+
+    /**
+     * Decide, pela compressão swinging door do sensor, quais leituras vão para o banco
+     * A série persistida reconstrói as leituras por interpolação linear com erro ≤ SDT_DEVIATION;
+     * em transições (alerta aberto/resolvido, porta, degelo, cruzamento de limite) o ponto é sempre persistido
+     */
+    _bufferTelemetry(mac, sensor, gateway, gateways, now, config, isLate = false, transicao = false) {
+        const state = this.sensorService.getSensorState(mac);
+        if (!state || sensor.temp === undefined) return;
+
+        // Verifica se o sensor está em estado de degelo
+        const isDefrosting = state.alertControl?.is_defrosting || false;
+
+        const limites = this.sensorService.calcularLimitesTemperatura(config, sensor.ts);
+        const excursao = sensor.temp < limites.min || sensor.temp > limites.max;
+        const desvios = SDT_DEVIATION[this.sensorService.isUltra(config) ? 'ULTRA' : 'NORMAL'];
+
+        const ponto = {
+            ts: sensor.ts,
+            values: {
+                temp: Number(sensor.temp),
+                hum: sensor.humidity !== undefined && sensor.humidity !== null ? Number(sensor.humidity) : null
+            },
+            row: {
+                gw: gateway.raw,
+                gateways,
+                mac: mac,
+                ts: new Date(sensor.ts).toISOString(),
+                ingest_ts: new Date(now).toISOString(),
+                temp: sensor.temp,
+                hum: sensor.humidity,
+                batt: sensor.battery_percent ?? calcularBateria(sensor.vbatt),
+                rssi: sensor.rssi,
+                is_degelo: isDefrosting,
+                _write_reason: excursao ? 'EXCURSION' : null
+            }
+        };
+
+        const compressao = state.compression;
+
+        // Leituras atrasadas ficam fora da compressão (já passou do ponto retido):
+        // são persistidas apenas se desviarem do último ponto persistido
+        if (isLate) {
+            if (this._desviaDoArquivado(compressao, ponto, desvios)) {
+                this._enfileirarTelemetria(ponto.row, 'LATE', isDefrosting);
+            }
+            return;
+        }
+
+        const cruzouLimite = excursao !== compressao.excursion;
+        compressao.excursion = excursao;
+
+        const pontos = (transicao || cruzouLimite) ?
+            forcarPonto(compressao, ponto) :
+            avaliarPonto(compressao, ponto, desvios, DB_HEARTBEAT_MS);
+
+        pontos.forEach(({ row, motivo }) => this._enfileirarTelemetria(row, motivo, isDefrosting));
+    }
+
+    /**
+     * Persiste os pontos retidos pela compressão de todos os sensores (ex.: no shutdown)
+     */
+    _liberarTelemetriaRetida() {
+        this.sensorService.getAllSensorStates().forEach(state => {
+            liberarPendente(state.compression).forEach(({ row, motivo }) => {
+                this._enfileirarTelemetria(row, motivo, row.is_degelo);
+            });
+        });
+    }
+
+    _desviaDoArquivado(compressao, ponto, desvios) {
+        const base = compressao.archived;
+        if (!base) return true;
+        return Object.entries(desvios).some(([grandeza, desvio]) =>
+            Number.isFinite(ponto.values[grandeza]) && Number.isFinite(base.values[grandeza]) &&
+            Math.abs(ponto.values[grandeza] - base.values[grandeza]) >= desvio
+        );
+    }
+
+    _enfileirarTelemetria(row, motivo, isDefrosting) {
+        // Excursões mantêm o motivo (nunca descartadas quando o buffer enche)
+        if (row._write_reason !== 'EXCURSION') row._write_reason = motivo;
+        this.buffers.telemetry.push(row);
+
+        logger.logDebug('DB', 'Telemetria adicionada ao buffer', {
+            sensor: row.mac,
+            temp: row.temp,
+            ts: row.ts,
+            is_degelo: isDefrosting,
+            write_reason: row._write_reason,
+            buffer_size: this.buffers.telemetry.length
+        });
+    }
+}
@@ -0,0 +1,406 @@
+/**
+ * Serviço de janelas de manutenção (maintenance_windows)
+ * Uma janela, única ou recorrente (diária/semanal), suprime os alertas do sensor no período;
+ * detecções e telemetria continuam. As janelas expiram sozinhas no fim do período e a
+ * manutenção contínua além de MAINTENANCE_MAX_HOURS gera um lembrete (MANUTENCAO_PROLONGADA),
+ * repetido a cada MAINTENANCE_MAX_HOURS até o sensor sair de manutenção
+ *
+ * O flag em_manutencao de sensor_configs continua valendo como manutenção sem prazo,
+ * contada a partir de quando o flag foi visto ligado
+ */
+
+import { randomUUID } from 'crypto';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import { converterTimestamp } from '../utils/formatters.js';
+import { normalizarMac } from './SensorConfigService.js';
+import { ALERT_TYPES } from './AlertService.js';
+import { MAINTENANCE_MAX_HOURS, TIMEZONE_CONFIG } from '../config/constants.js';
+
+// Recorrência -> unidade do moment (ocorrências no mesmo horário local)
+export const MAINTENANCE_RECURRENCES = {
+    DAILY: 'days',
+    WEEKLY: 'weeks'
+};
+
+const PERIODO_MS = {
+    DAILY: 24 * 60 * 60 * 1000,
+    WEEKLY: 7 * 24 * 60 * 60 * 1000
+};
+const CAMPOS = ['sensor_mac', 'starts_at', 'ends_at', 'recurrence', 'recurrence_until', 'reason', 'created_by'];
+const MAX_REASON = 500;
+const MAX_CREATED_BY = 100;
+
+const erroValidacao = (detalhes) => {
+    const error = new Error('Janela de manutenção inválida');
+    error.code = 'INVALID_MAINTENANCE';
+    error.details = detalhes;
+    return error;
+};
+
+export class MaintenanceService {
+    /**
+     * @param {Object} repository - Repositório de sensores
+     * @param {Map} configCache - Configurações atuais (mac -> config)
+     * @param {AlertService} alertService - Registra e resolve os lembretes (opcional)
+     * @param {Object} alertBuffer - Buffer de notificação dos alertas (opcional)
+     * @param {number} maxHoras - Manutenção contínua máxima antes do lembrete
+     */
+    constructor(repository, configCache, alertService = null, alertBuffer = null, maxHoras = MAINTENANCE_MAX_HOURS) {
+        this.repository = repository;
+        this.configCache = configCache;
+        this.alertService = alertService;
+        this.alertBuffer = alertBuffer;
+        this.maxHoras = maxHoras;
+        this.maxMs = maxHoras * 60 * 60 * 1000;
+        this.janelas = new Map(); // id -> janela não expirada
+        this.flagDesde = new Map(); // mac -> quando em_manutencao foi visto ligado
+        this.lembretes = new Map(); // mac -> instante do último lembrete
+        this.continuaDesde = new Map(); // mac -> { inicio, verificadoEm } da manutenção contínua em andamento
+        this.stats = { created: 0, removed: 0, expired: 0, reminders: 0 };
+    }
+
+    /**
+     * Carrega do banco as janelas que ainda não expiraram (boot e sincronização periódica)
+     */
+    async carregar() {
+        try {
+            const janelas = await this.repository.findMaintenanceWindows({ since: new Date().toISOString() });
+            this.janelas.clear();
+            janelas.forEach(janela => this.janelas.set(janela.id, janela));
+
+            logger.logInfo('MANUTENCAO', `${janelas.length} janelas de manutenção carregadas`);
+        } catch (e) {
+            logger.logError('MANUTENCAO', 'Erro ao carregar janelas de manutenção', {
+                error: e.message
+            });
+        }
+    }
+
+    /**
+     * Janelas não expiradas, com a ocorrência atual e a próxima
+     * @param {Object} filtros - { mac }
+     */
+    listar({ mac } = {}, now = Date.now()) {
+        const macFormatado = mac ? normalizarMac(mac) : null;
+        return Array.from(this.janelas.values())
+            .filter(janela => !macFormatado || janela.sensor_mac === macFormatado)
+            .sort((a, b) => a.starts_at.localeCompare(b.starts_at))
+            .map(janela => this._formatar(janela, now));
+    }
+
+    /**
+     * Cria uma janela de manutenção
+     * @param {Object} dados - { sensor_mac, starts_at, ends_at, recurrence, recurrence_until, reason, created_by }
+     * @returns {Promise<Object>} Janela gravada
+     * @throws {Error} code INVALID_MAINTENANCE (details com os erros)
+     */
+    async criar(dados, now = Date.now()) {
+        const janela = this._validar(dados || {}, now);
+        const gravada = await this.repository.insertMaintenanceWindow(janela);
+
+        this.janelas.set(gravada.id, gravada);
+        this.stats.created++;
+
+        logger.logInfo('MANUTENCAO', `Janela de manutenção criada: ${gravada.sensor_mac}`, {
+            id: gravada.id,
+            inicio: gravada.starts_at,
+            fim: gravada.ends_at,
+            recorrencia: gravada.recurrence,
+            motivo: gravada.reason,
+            por: gravada.created_by
+        });
+
+        return this._formatar(gravada, now);
+    }
+
+    /**
+     * Remove uma janela (se estiver em andamento, a manutenção termina na hora)
+     * @returns {Promise<boolean>} true se a janela existia
+     */
+    async remover(id) {
+        if (!(await this.repository.deleteMaintenanceWindow(id))) return false;
+
+        const janela = this.janelas.get(id);
+        this.janelas.delete(id);
+        this.stats.removed++;
+
+        logger.logInfo('MANUTENCAO', `Janela de manutenção removida: ${janela?.sensor_mac ?? id}`, { id });
+        return true;
+    }
+
+    /**
+     * Janela que cobre o instante para o sensor
+     * @returns {Object|null}
+     */
+    janelaAtiva(mac, ts = Date.now()) {
+        for (const janela of this.janelas.values()) {
+            if (janela.sensor_mac === mac && this._ocorrencia(janela, ts)) return janela;
+        }
+        return null;
+    }
+
+    /**
+     * Sensor em manutenção no instante (janela ativa ou flag em_manutencao)
+     */
+    emManutencao(mac, config, ts = Date.now()) {
+        return !!config?.em_manutencao || !!this.janelaAtiva(mac, ts);
+    }
+
+    /**
+     * Expira janelas encerradas e emite/resolve os lembretes de manutenção prolongada
+     * Executado periodicamente (MAINTENANCE_CHECK_INTERVAL_MS)
+     */
+    verificar(now = Date.now()) {
+        this.janelas.forEach((janela, id) => {
+            const expiraEm = converterTimestamp(janela.expires_at);
+            if (expiraEm === null || expiraEm > now) return;
+
+            this.janelas.delete(id);
+            this.stats.expired++;
+            logger.logInfo('MANUTENCAO', `Janela de manutenção expirada: ${janela.sensor_mac}`, {
+                id,
+                motivo: janela.reason
+            });
+        });
+
+        Array.from(this.flagDesde.keys())
+            .filter(mac => !this.configCache.get(mac)?.em_manutencao)
+            .forEach(mac => this.flagDesde.delete(mac));
+
+        this.configCache.forEach((config, mac) => {
+            if (config.em_manutencao && !this.flagDesde.has(mac)) this.flagDesde.set(mac, now);
+
+            let inicio = this._inicioManutencao(mac, config, now);
+            if (inicio === null) {
+                // Também resolve lembretes recarregados do banco após reinício
+                this.continuaDesde.delete(mac);
+                this.lembretes.delete(mac);
+                this.alertService?.resolverManutencao(mac, now);
+                return;
+            }
+
+            // Janelas anteriores do encadeamento já expiraram: mantém o início visto na verificação anterior
+            const anterior = this.continuaDesde.get(mac);
+            if (anterior && anterior.verificadoEm >= inicio) inicio = Math.min(inicio, anterior.inicio);
+            this.continuaDesde.set(mac, { inicio, verificadoEm: now });
+
+            const ultimoLembrete = this.lembretes.get(mac);
+            if (now - inicio < this.maxMs || (ultimoLembrete && now - ultimoLembrete < this.maxMs)) return;
+
+            this._emitirLembrete(mac, config, inicio, now);
+        });
+    }
+
+    /**
+     * Métricas para o health report
+     */
+    getStats(now = Date.now()) {
+        let emManutencao = 0;
+        this.configCache.forEach((config, mac) => {
+            if (this.emManutencao(mac, config, now)) emManutencao++;
+        });
+
+        return {
+            windows: this.janelas.size,
+            sensors_in_maintenance: emManutencao,
+            reminders_active: this.lembretes.size,
+            max_hours: this.maxHoras,
+            ...this.stats
+        };
+    }
+
+    _emitirLembrete(mac, config, inicio, now) {
+        const horas = Math.floor((now - inicio) / (60 * 60 * 1000));
+        const janela = this.janelaAtiva(mac, now);
+        const alerta = {
+            sensor_nome: config.display_name || mac,
+            sensor_mac: mac,
+            prioridade: 'MEDIA',
+            mensagens: [`EM MANUTENÇÃO há ${horas} horas (máximo ${this.maxHoras}h). Verifique se a manutenção terminou.`],
+            timestamp_iso: moment(now).tz(TIMEZONE_CONFIG).format(),
+            dados_contexto: {
+                tipo: ALERT_TYPES.MANUTENCAO_PROLONGADA,
+                em_manutencao_desde: new Date(inicio).toISOString(),
+                janela_id: janela?.id ?? null,
+                motivo: janela?.reason ?? null,
+                flag_em_manutencao: !!config.em_manutencao
+            }
+        };
+
+        this.alertService?.registrar(alerta);
+        this.alertBuffer?.push(alerta);
+        this.lembretes.set(mac, now);
+        this.stats.reminders++;
+
+        logger.logWarn('MANUTENCAO', `${alerta.sensor_nome} em manutenção há ${horas} horas`, {
+            sensor: mac,
+            desde: alerta.dados_contexto.em_manutencao_desde,
+            janela: alerta.dados_contexto.janela_id
+        });
+    }
+
+    /**
+     * Início da manutenção contínua que inclui o instante (janelas encadeadas ou sobrepostas e o flag)
+     * @returns {number|null} ms ou null se o sensor não está em manutenção
+     */
+    _inicioManutencao(mac, config, now) {
+        const janelas = Array.from(this.janelas.values()).filter(j => j.sensor_mac === mac);
+        const coberturaEm = (ts) => {
+            let inicio = null;
+            janelas.forEach(janela => {
+                const ocorrencia = this._ocorrencia(janela, ts);
+                if (ocorrencia && (inicio === null || ocorrencia.inicio < inicio)) inicio = ocorrencia.inicio;
+            });
+            return inicio;
+        };
+
+        let inicio = coberturaEm(now);
+        if (config.em_manutencao) {
+            const desde = this.flagDesde.get(mac) ?? now;
+            inicio = inicio === null ? desde : Math.min(inicio, desde);
+        }
+        if (inicio === null) return null;
+
+        // Recua enquanto outra ocorrência cobre o instante anterior ao início
+        for (let i = 0; i < 1000; i++) {
+            const anterior = coberturaEm(inicio - 1);
+            if (anterior === null || anterior >= inicio) break;
+            inicio = anterior;
+        }
+        return inicio;
+    }
+
+    /**
+     * Ocorrência da janela que cobre o instante
+     * @returns {{ inicio: number, fim: number }|null}
+     */
+    _ocorrencia(janela, ts) {
+        const inicio = converterTimestamp(janela.starts_at);
+        const fim = converterTimestamp(janela.ends_at);
+        if (ts < inicio) return null;
+        if (!janela.recurrence) return ts < fim ? { inicio, fim } : null;
+
+        const duracao = fim - inicio;
+        const ate = converterTimestamp(janela.recurrence_until);
+        const n = Math.floor((ts - inicio) / PERIODO_MS[janela.recurrence]);
+
+        for (const k of [n, n - 1]) {
+            if (k < 0) continue;
+            const ocorrencia = this._inicioOcorrencia(janela, inicio, k);
+            if (ate !== null && ocorrencia > ate) continue;
+            if (ts >= ocorrencia && ts < ocorrencia + duracao) return { inicio: ocorrencia, fim: ocorrencia + duracao };
+        }
+        return null;
+    }
+
+    /**
+     * Próxima ocorrência da janela que começa depois do instante
+     * @returns {{ inicio: number, fim: number }|null}
+     */
+    _proximaOcorrencia(janela, ts) {
+        const inicio = converterTimestamp(janela.starts_at);
+        const fim = converterTimestamp(janela.ends_at);
+        if (ts < inicio) return { inicio, fim };
+        if (!janela.recurrence) return null;
+
+        const duracao = fim - inicio;
+        const ate = converterTimestamp(janela.recurrence_until);
+        const n = Math.floor((ts - inicio) / PERIODO_MS[janela.recurrence]);
+
+        for (let k = Math.max(0, n - 1); k <= n + 2; k++) {
+            const ocorrencia = this._inicioOcorrencia(janela, inicio, k);
+            if (ate !== null && ocorrencia > ate) return null;
+            if (ocorrencia > ts) return { inicio: ocorrencia, fim: ocorrencia + duracao };
+        }
+        return null;
+    }
+
+    _inicioOcorrencia(janela, inicio, k) {
+        return moment(inicio).tz(TIMEZONE_CONFIG).add(k, MAINTENANCE_RECURRENCES[janela.recurrence]).valueOf();
+    }
+
+    /**
+     * Valida os dados da API e monta a linha de maintenance_windows
+     * @throws {Error} code INVALID_MAINTENANCE
+     */
+    _validar(dados, now) {
+        const erros = [];
+
+        Object.keys(dados)
+            .filter(campo => !CAMPOS.includes(campo))
+            .forEach(campo => erros.push(`campo desconhecido: ${campo}`));
+
+        const mac = normalizarMac(dados.sensor_mac);
+        if (!mac) {
+            erros.push('sensor_mac inválido (esperado 12 dígitos hexadecimais)');
+        } else if (!this.configCache.has(mac)) {
+            erros.push('sensor_mac não cadastrado em sensor_configs');
+        }
+
+        const inicio = converterTimestamp(dados.starts_at);
+        const fim = converterTimestamp(dados.ends_at);
+        if (inicio === null) erros.push('starts_at deve ser uma data (ISO 8601 ou epoch)');
+        if (fim === null) erros.push('ends_at deve ser uma data (ISO 8601 ou epoch)');
+        if (inicio !== null && fim !== null && inicio >= fim) erros.push('starts_at deve ser anterior a ends_at');
+
+        const recorrencia = dados.recurrence ?? null;
+        let ate = null;
+        if (recorrencia !== null && !MAINTENANCE_RECURRENCES[recorrencia]) {
+            erros.push(`recurrence deve ser ${Object.keys(MAINTENANCE_RECURRENCES).join(' ou ')} ou null`);
+        } else if (recorrencia !== null) {
+            if (inicio !== null && fim !== null && fim - inicio >= PERIODO_MS[recorrencia]) {
+                erros.push('a duração da janela deve ser menor que o período da recorrência');
+            }
+            if (dados.recurrence_until !== undefined && dados.recurrence_until !== null) {
+                ate = converterTimestamp(dados.recurrence_until);
+                if (ate === null) erros.push('recurrence_until deve ser uma data (ISO 8601 ou epoch) ou null');
+                else if (inicio !== null && ate < inicio) erros.push('recurrence_until deve ser posterior a starts_at');
+            }
+        } else if (dados.recurrence_until !== undefined && dados.recurrence_until !== null) {
+            erros.push('recurrence_until exige recurrence');
+        }
+
+        // Fim da última ocorrência possível (null: recorrência sem data final)
+        const expiraEm = recorrencia === null ? fim : (ate !== null && fim !== null ? ate + (fim - inicio) : null);
+        if (expiraEm !== null && expiraEm <= now) erros.push('a janela já terminou');
+
+        [['reason', MAX_REASON], ['created_by', MAX_CREATED_BY]].forEach(([campo, maximo]) => {
+            const valor = dados[campo];
+            if (typeof valor !== 'string' || valor.trim() === '' || valor.trim().length > maximo) {
+                erros.push(`${campo} é obrigatório (texto com até ${maximo} caracteres)`);
+            }
+        });
+
+        if (erros.length > 0) throw erroValidacao(erros);
+
+        return {
+            id: randomUUID(),
+            sensor_mac: mac,
+            starts_at: new Date(inicio).toISOString(),
+            ends_at: new Date(fim).toISOString(),
+            recurrence: recorrencia,
+            recurrence_until: ate !== null ? new Date(ate).toISOString() : null,
+            expires_at: expiraEm !== null ? new Date(expiraEm).toISOString() : null,
+            reason: dados.reason.trim(),
+            created_by: dados.created_by.trim(),
+            created_at: new Date(now).toISOString()
+        };
+    }
+
+    _formatar(janela, now) {
+        const atual = this._ocorrencia(janela, now);
+        const proxima = this._proximaOcorrencia(janela, now);
+        const iso = ocorrencia => ocorrencia ? {
+            starts_at: new Date(ocorrencia.inicio).toISOString(),
+            ends_at: new Date(ocorrencia.fim).toISOString()
+        } : null;
+
+        return {
+            ...janela,
+            active: !!atual,
+            current_occurrence: iso(atual),
+            next_occurrence: iso(proxima)
+        };
+    }
+}
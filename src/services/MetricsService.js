@@ -0,0 +1,124 @@
+/**
+ * Métricas no formato Prometheus (GET /metrics)
+ * Contadores e histogramas alimentados pelo pipeline (ingestão, detecção, alertas, banco
+ * e notificações) e gauges lidos no momento da coleta (buffers e alertas ativos). Inclui as
+ * métricas padrão do Node (process_*, nodejs_*), entre elas o lag real do event loop
+ *
+ * Singleton: os serviços registram as ocorrências direto na instância exportada
+ */
+
+import { monitorEventLoopDelay } from 'perf_hooks';
+import client from 'prom-client';
+
+const PREFIXO = 'coldchain_';
+const JANELA_LAG_MS = 60 * 1000;
+const RESOLUCAO_LAG_MS = 10;
+
+class MetricsService {
+    constructor() {
+        this.registry = new client.Registry();
+        this.fontes = { buffers: {}, alertService: null };
+        client.collectDefaultMetrics({ register: this.registry });
+
+        const fontes = this.fontes;
+        const metrica = (Tipo, nome, help, labelNames = [], extra = {}) =>
+            new Tipo({ name: PREFIXO + nome, help, labelNames, registers: [this.registry], ...extra });
+
+        this.messagesReceived = metrica(client.Counter, 'messages_received_total',
+            'Mensagens recebidas pela ingestão', ['source']);
+        this.messagesProcessed = metrica(client.Counter, 'messages_processed_total',
+            'Mensagens decodificadas e processadas', ['source']);
+        this.messagesRejected = metrica(client.Counter, 'messages_rejected_total',
+            'Mensagens e leituras rejeitadas (enviadas ao dead-letter)', ['source', 'reason']);
+        this.readings = metrica(client.Counter, 'readings_total',
+            'Leituras processadas por sensor (após deduplicação)', ['sensor']);
+        this.detectionEvents = metrica(client.Counter, 'detection_events_total',
+            'Eventos detectados (porta e degelo)', ['type']);
+        this.alerts = metrica(client.Counter, 'alerts_total',
+            'Alertas abertos', ['type', 'priority']);
+        this.dbInsertDuration = metrica(client.Histogram, 'db_insert_duration_seconds',
+            'Duração de cada insert em lote no banco', ['table', 'result'],
+            { buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] });
+        this.dbInsertFailures = metrica(client.Counter, 'db_insert_failures_total',
+            'Inserts em lote que falharam (transient: retentado; data: linhas inválidas; schema: esquema incompatível)', ['table', 'kind']);
+        this.notificationDeliveries = metrica(client.Counter, 'notification_deliveries_total',
+            'Envios de lotes de alertas por canal de notificação', ['channel', 'result']);
+        this.notificationDuration = metrica(client.Histogram, 'notification_delivery_duration_seconds',
+            'Duração dos envios por canal de notificação', ['channel', 'result'],
+            { buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30] });
+        this.notificationDiscarded = metrica(client.Counter, 'notification_discarded_alerts_total',
+            'Alertas descartados antes do envio (condição já normalizada)', ['channel']);
+        this.notificationDeadLettered = metrica(client.Counter, 'notification_dead_lettered_total',
+            'Entregas enviadas ao dead-letter após esgotar as tentativas', ['channel']);
+        this.mqttConnected = metrica(client.Gauge, 'mqtt_connected',
+            'Conexão com o broker MQTT (1 conectado, 0 desconectado)');
+
+        metrica(client.Gauge, 'buffer_depth', 'Registros aguardando persistência ou envio por buffer', ['buffer'], {
+            collect() {
+                Object.entries(fontes.buffers).forEach(([nome, buffer]) => this.set({ buffer: nome }, buffer.length));
+            }
+        });
+        metrica(client.Gauge, 'alerts_active', 'Alertas ativos (abertos ou reconhecidos) por tipo', ['type'], {
+            collect() {
+                this.reset();
+                fontes.alertService?.getActive().forEach(alerta => this.inc({ type: alerta.type }));
+            }
+        });
+
+        // Lag do event loop para o /health (janela deslizante de JANELA_LAG_MS)
+        this.eventLoopDelay = monitorEventLoopDelay({ resolution: RESOLUCAO_LAG_MS });
+        this.eventLoopDelay.enable();
+        setInterval(() => this.eventLoopDelay.reset(), JANELA_LAG_MS).unref();
+    }
+
+    /**
+     * Define as fontes dos gauges lidos na coleta
+     * @param {Object} fontes - { buffers: { nome: buffer }, alertService }
+     */
+    configurar({ buffers, alertService } = {}) {
+        if (buffers) this.fontes.buffers = buffers;
+        if (alertService) this.fontes.alertService = alertService;
+    }
+
+    /**
+     * Mede uma operação assíncrona no histograma (label result: ok ou error)
+     */
+    async medir(histograma, labels, operacao) {
+        const fim = histograma.startTimer(labels);
+        try {
+            const resultado = await operacao();
+            fim({ result: 'ok' });
+            return resultado;
+        } catch (e) {
+            fim({ result: 'error' });
+            throw e;
+        }
+    }
+
+    /**
+     * Lag do event loop no último minuto, em ms
+     * O histograma mede o intervalo entre amostras; o lag é o que excede a resolução
+     */
+    getEventLoopLag() {
+        const ms = valor => Number(Math.max(0, valor / 1e6 - RESOLUCAO_LAG_MS).toFixed(2));
+        const h = this.eventLoopDelay;
+        return {
+            mean_ms: Number.isFinite(h.mean) ? ms(h.mean) : null,
+            p99_ms: h.count > 0 ? ms(h.percentile(99)) : null,
+            max_ms: h.count > 0 ? ms(h.max) : null
+        };
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    /**
+     * Texto de exposição do Prometheus
+     */
+    async exportar() {
+        return this.registry.metrics();
+    }
+}
+
+export default new MetricsService();
@@ -0,0 +1,515 @@
+/**
+ * Serviço de notificação de alertas
+ * Distribui os alertas enfileirados (buffer de alertas) entre os canais configurados em NOTIFIERS,
+ * filtrando por site e prioridade. Cada canal tem buffer com journal, intervalo de lote, tamanho
+ * máximo de lote e política de retentativa próprios, de modo que um destino fora do ar não
+ * atrasa os demais
+ *
+ * Ao vencer o intervalo, o lote de alertas validados (ex.: temperatura ainda fora do limite) vira
+ * uma entrega com ID fixo, gravada na fila de saída do canal e retentada com backoff até
+ * max_attempts; o destino recebe o mesmo ID e o mesmo corpo em todas as tentativas. Esgotadas
+ * as tentativas, a entrega vai para o dead-letter de entregas, de onde pode ser reenviada
+ */
+
+import crypto from 'crypto';
+
+import { Notifier } from '../notifiers/Notifier.js';
+import { WebhookNotifier } from '../notifiers/WebhookNotifier.js';
+import { SlackNotifier } from '../notifiers/SlackNotifier.js';
+import { TelegramNotifier } from '../notifiers/TelegramNotifier.js';
+import { EmailNotifier } from '../notifiers/EmailNotifier.js';
+import { SmsNotifier } from '../notifiers/SmsNotifier.js';
+import { JournaledBuffer } from '../utils/JournaledBuffer.js';
+import { calcularBackoff } from '../utils/retry.js';
+import { normalizarMac } from './SensorConfigService.js';
+import metricsService from './MetricsService.js';
+import logger from '../utils/logger.js';
+import {
+    NOTIFIERS,
+    N8N_WEBHOOK_URL,
+    NOTIFY_RETRY_BASE_MS,
+    NOTIFY_RETRY_MAX_MS,
+    NOTIFY_MAX_ATTEMPTS,
+    NOTIFY_DEAD_LETTER_MAX_ENTRIES,
+    NOTIFY_DELIVERY_HISTORY,
+    BATCH_ALERT_INTERVAL_MS,
+    GATEWAY_SITES
+} from '../config/constants.js';
+
+export const PRIORIDADES = ['CRITICA', 'ALTA', 'MEDIA', 'SISTEMA'];
+
+export const DELIVERY_STATUS = {
+    PENDING: 'PENDING',
+    DELIVERED: 'DELIVERED',
+    FAILED: 'FAILED'
+};
+
+const TICK_MS = 1000;
+
+const erroEntrega = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Sem NOTIFIERS: o webhook do n8n de antes, com o mesmo intervalo de lote
+const CANAIS_PADRAO = [{ name: 'n8n', type: 'webhook', url: N8N_WEBHOOK_URL }];
+
+export class NotificationService {
+    /**
+     * @param {JournaledBuffer} intake - Buffer onde os alertas são enfileirados
+     * @param {Array|null} canais - Configuração dos canais (null: webhook do n8n)
+     * @param {Object} opcoes - { journalDir, fsync, gatewaySites, deadLetterMax, historySize,
+     *                            validar(alerta): false descarta antes do envio,
+     *                            localizarGateway(mac): último gateway do sensor (site dos alertas) }
+     * @throws {Error} Quando algum canal está mal configurado
+     */
+    constructor(intake, canais = NOTIFIERS, opcoes = {}) {
+        this.intake = intake;
+        this.journalDir = opcoes.journalDir ?? null;
+        this.fsync = opcoes.fsync || false;
+        this.validar = opcoes.validar || (() => true);
+        this.localizarGateway = opcoes.localizarGateway || (() => null);
+        this.sites = new Map(Object.entries(opcoes.gatewaySites ?? GATEWAY_SITES ?? {})
+            .map(([mac, site]) => [normalizarMac(mac) || mac, site]));
+        this.notifierTypes = new Map();
+        this.timer = null;
+        this.stats = { routed: 0, unrouted: 0, resent: 0 };
+
+        // Entregas que esgotaram as tentativas (com journal) e entregas concluídas recentes (memória)
+        this.deadLetter = new JournaledBuffer('notify-dead-letter', this.journalDir, {
+            fsync: this.fsync,
+            maxSize: opcoes.deadLetterMax ?? NOTIFY_DEAD_LETTER_MAX_ENTRIES
+        });
+        this.deadLetter.load();
+        this.historySize = opcoes.historySize ?? NOTIFY_DELIVERY_HISTORY;
+        this.delivered = new Map();
+
+        this.registerType('webhook', WebhookNotifier);
+        this.registerType('slack', SlackNotifier);
+        this.registerType('telegram', TelegramNotifier);
+        this.registerType('email', EmailNotifier);
+        this.registerType('sms', SmsNotifier);
+
+        this.channels = (canais || CANAIS_PADRAO).map((config, i) => this._criarCanal(config, i));
+        const nomes = this.channels.map(c => c.name);
+        const repetido = nomes.find((nome, i) => nomes.indexOf(nome) !== i);
+        if (repetido) throw new Error(`NOTIFIERS: canal ${repetido} repetido`);
+    }
+
+    /**
+     * Registra um tipo de canal pelo nome
+     */
+    registerType(name, NotifierClass) {
+        if (!(NotifierClass.prototype instanceof Notifier)) {
+            throw new Error(`Canal ${name} deve estender Notifier`);
+        }
+        this.notifierTypes.set(name, NotifierClass);
+    }
+
+    /**
+     * Inicia a distribuição e os envios (verificados a cada segundo)
+     */
+    iniciar() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.processar(), TICK_MS);
+        logger.logInfo('NOTIFICACAO', `${this.channels.length} canais de notificação ativos`, {
+            canais: this.channels.map(c => ({
+                nome: c.name,
+                tipo: c.type,
+                sites: c.sites ? [...c.sites] : 'todos',
+                prioridades: c.escalationOnly ? 'escalonamento' : c.priorities ? [...c.priorities] : 'todas',
+                intervalo_ms: c.intervalMs
+            }))
+        });
+    }
+
+    parar() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Distribui os alertas pendentes, forma as entregas dos canais cujo intervalo venceu
+     * e envia as entregas cuja próxima tentativa chegou
+     */
+    async processar(now = Date.now()) {
+        this.rotear();
+        await Promise.all(this.channels
+            .filter(canal => !canal.sending)
+            .map(canal => this._processarCanal(canal, now)));
+    }
+
+    /**
+     * Move os alertas do buffer de entrada para os buffers dos canais que os atendem
+     */
+    rotear() {
+        if (this.intake.length === 0) return;
+
+        const lote = this.intake.drain();
+        lote.records.forEach(alerta => {
+            const { site, gateway } = this.localizarSite(alerta.sensor_mac, alerta.dados_contexto?.gateway_mac);
+            const destinos = this.channels.filter(canal => this._atende(canal, alerta, site, gateway));
+
+            if (destinos.length === 0) {
+                this.stats.unrouted++;
+                logger.logWarn('NOTIFICACAO', 'Alerta sem canal de notificação', {
+                    sensor: alerta.sensor_mac,
+                    prioridade: alerta.prioridade,
+                    site
+                });
+                return;
+            }
+
+            this.stats.routed++;
+            destinos.forEach(canal => canal.buffer.push({ ...alerta, site }));
+        });
+        lote.commit();
+    }
+
+    /**
+     * Site de um sensor (ou gateway) pelo gateway informado ou pelo último que o reportou
+     * @returns {{ site: string|null, gateway: string }}
+     */
+    localizarSite(mac, gatewayMac = null) {
+        const gateway = gatewayMac || this.localizarGateway(mac) || mac;
+        return { site: this.sites.get(gateway) ?? null, gateway };
+    }
+
+    /**
+     * Enfileira um alerta direto nos canais informados, sem filtro de site ou prioridade,
+     * antecipando o próximo lote desses canais (ex.: escalonamento)
+     * @returns {Array<string>} Canais que receberam o alerta
+     */
+    encaminhar(nomes, alerta) {
+        const { site } = this.localizarSite(alerta.sensor_mac, alerta.dados_contexto?.gateway_mac);
+        const destinos = this.channels.filter(canal => nomes.includes(canal.name));
+        destinos.forEach(canal => {
+            canal.buffer.push({ ...alerta, site });
+            canal.nextBatchAt = Math.min(canal.nextBatchAt, Date.now());
+        });
+        return destinos.map(canal => canal.name);
+    }
+
+    /**
+     * Entregas pendentes, concluídas (recentes) e com falha, mais recentes primeiro
+     * @param {Object} filtros - { status, channel, limit }
+     */
+    listarEntregas({ status, channel, limit = 100 } = {}) {
+        return this._entregas()
+            .filter(e => !status || e.status === status)
+            .filter(e => !channel || e.channel === channel)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit)
+            .map(({ alertas, ...resumo }) => ({
+                ...resumo,
+                total_alertas: alertas.length,
+                alert_ids: alertas.map(a => a.alert_id).filter(Boolean)
+            }));
+    }
+
+    /**
+     * Entrega completa (com os alertas)
+     */
+    obterEntrega(id) {
+        return this._entregas().find(e => e.id === id) || null;
+    }
+
+    /**
+     * Coloca de novo na fila de saída uma entrega com falha ou já concluída, com o mesmo ID
+     * @returns {Object|null} Entrega reenfileirada ou null se não encontrada
+     * @throws {Error} code DELIVERY_PENDING (já na fila) ou CHANNEL_NOT_CONFIGURED (canal removido)
+     */
+    reenviar(id, por = null) {
+        const atual = this.obterEntrega(id);
+        if (!atual) return null;
+
+        if (atual.status === DELIVERY_STATUS.PENDING) {
+            throw erroEntrega('DELIVERY_PENDING', 'Entrega já está na fila de envio');
+        }
+        const canal = this.channels.find(c => c.name === atual.channel);
+        if (!canal) {
+            throw erroEntrega('CHANNEL_NOT_CONFIGURED', `Canal ${atual.channel} não está configurado`);
+        }
+
+        if (atual.status === DELIVERY_STATUS.FAILED) {
+            const lote = this.deadLetter.drain();
+            this.deadLetter.push(...lote.records.filter(e => e.id !== id));
+            lote.commit();
+        } else {
+            this.delivered.delete(id);
+        }
+
+        const { status, failed_at, delivered_at, ...entrega } = atual;
+        if (canal.outbox.length === 0) canal.nextAttemptAt = Date.now();
+        canal.outbox.push({
+            ...entrega,
+            attempts: 0,
+            next_attempt_at: null,
+            last_error: null,
+            resends: (entrega.resends || 0) + 1
+        });
+        this.stats.resent++;
+
+        logger.logInfo('NOTIFICACAO', 'Entrega reenfileirada', {
+            id,
+            canal: canal.name,
+            status_anterior: status,
+            total: entrega.alertas.length,
+            por
+        });
+        return this.obterEntrega(id);
+    }
+
+    /**
+     * Métricas para o health report
+     */
+    getStats() {
+        const now = Date.now();
+        return {
+            ...this.stats,
+            dead_letter: this.deadLetter.length,
+            channels: this.channels.map(canal => {
+                const proxima = canal.outbox.peek();
+                return {
+                    name: canal.name,
+                    type: canal.type,
+                    pending: canal.buffer.length,
+                    pending_deliveries: canal.outbox.length,
+                    consecutive_failures: proxima ? proxima.attempts : 0,
+                    next_send_at: proxima ? new Date(Math.max(canal.nextAttemptAt, now)).toISOString() :
+                        canal.buffer.length > 0 ? new Date(Math.max(canal.nextBatchAt, now)).toISOString() : null,
+                    ...canal.stats
+                };
+            })
+        };
+    }
+
+    _criarCanal(config, i) {
+        const nome = config?.name;
+        if (typeof nome !== 'string' || !/^[a-z0-9_-]+$/i.test(nome)) {
+            throw new Error(`NOTIFIERS[${i}]: name obrigatório (letras, números, _ e -)`);
+        }
+
+        const NotifierClass = this.notifierTypes.get(config.type);
+        if (!NotifierClass) {
+            throw new Error(`NOTIFIERS[${i}] (${nome}): tipo desconhecido ${config.type} (use ${[...this.notifierTypes.keys()].join(', ')})`);
+        }
+
+        const prioridades = config.priorities ? [].concat(config.priorities).map(p => String(p).toUpperCase()) : null;
+        const invalida = prioridades?.find(p => !PRIORIDADES.includes(p));
+        if (invalida) {
+            throw new Error(`NOTIFIERS[${i}] (${nome}): prioridade inválida ${invalida} (use ${PRIORIDADES.join(', ')})`);
+        }
+
+        let notifier;
+        try {
+            notifier = new NotifierClass(config);
+        } catch (e) {
+            throw new Error(`NOTIFIERS[${i}] (${nome}): ${e.message}`);
+        }
+
+        const buffer = new JournaledBuffer(`notify-${nome}`, this.journalDir, { fsync: this.fsync });
+        buffer.load();
+        // Entregas já formadas (ID e corpo fixos) aguardando confirmação do destino
+        const outbox = new JournaledBuffer(`notify-${nome}-outbox`, this.journalDir, { fsync: this.fsync });
+        outbox.load();
+        const intervalMs = config.batch_interval_ms ?? BATCH_ALERT_INTERVAL_MS;
+
+        return {
+            name: nome,
+            type: config.type,
+            notifier,
+            buffer,
+            outbox,
+            // Site pelo nome (GATEWAY_SITES) ou pelo MAC do gateway
+            sites: config.sites ? new Set([].concat(config.sites).flatMap(s => [String(s).toLowerCase(), normalizarMac(String(s))?.toLowerCase()]).filter(Boolean)) : null,
+            priorities: prioridades ? new Set(prioridades) : null,
+            // Só recebe alertas encaminhados (níveis de escalonamento), nunca pela distribuição normal
+            escalationOnly: config.escalation_only === true,
+            intervalMs,
+            maxBatch: config.max_batch || 0,
+            retry: {
+                baseMs: config.retry?.base_ms || NOTIFY_RETRY_BASE_MS,
+                maxMs: config.retry?.max_ms || NOTIFY_RETRY_MAX_MS,
+                maxAttempts: config.retry?.max_attempts ?? NOTIFY_MAX_ATTEMPTS
+            },
+            nextBatchAt: Date.now() + intervalMs,
+            nextAttemptAt: Date.now(),
+            sending: false,
+            stats: {
+                deliveries_sent: 0,
+                alerts_sent: 0,
+                failed_attempts: 0,
+                discarded: 0,
+                dead_lettered: 0,
+                last_success: null,
+                last_error: null
+            }
+        };
+    }
+
+    _atende(canal, alerta, site, gateway) {
+        if (canal.escalationOnly) return false;
+        if (canal.priorities && !canal.priorities.has(alerta.prioridade)) return false;
+        if (canal.sites && !canal.sites.has(site?.toLowerCase()) && !canal.sites.has(gateway?.toLowerCase())) return false;
+        return true;
+    }
+
+    async _processarCanal(canal, now) {
+        // Novo lote só depois que a fila de saída esvazia (os alertas seguem validados até lá)
+        if (canal.outbox.length === 0 && canal.buffer.length > 0 && now >= canal.nextBatchAt) {
+            this._formarEntrega(canal);
+        }
+        if (canal.outbox.length > 0 && now >= canal.nextAttemptAt) {
+            await this._enviarEntrega(canal);
+        }
+    }
+
+    _formarEntrega(canal) {
+        const lote = canal.buffer.drain();
+
+        // Valida alertas antes de enviar - remove os que já não são mais relevantes
+        const validos = lote.records.filter(alerta => this.validar(alerta));
+        const descartados = lote.records.length - validos.length;
+        if (descartados > 0) {
+            canal.stats.discarded += descartados;
+            metricsService.notificationDiscarded.inc({ channel: canal.name }, descartados);
+            logger.logInfo('NOTIFICACAO', `${descartados} alertas descartados por validação`, {
+                canal: canal.name,
+                total_original: lote.records.length,
+                validos: validos.length
+            });
+        }
+
+        const alertas = canal.maxBatch > 0 ? validos.slice(0, canal.maxBatch) : validos;
+        const resto = validos.slice(alertas.length);
+
+        if (alertas.length > 0) {
+            canal.outbox.push({
+                id: crypto.randomUUID(),
+                channel: canal.name,
+                type: canal.type,
+                created_at: new Date().toISOString(),
+                attempts: 0,
+                last_attempt_at: null,
+                next_attempt_at: null,
+                last_error: null,
+                resends: 0,
+                alertas
+            });
+            canal.nextAttemptAt = Date.now();
+        }
+        // O restante volta ao journal antes de apagar o lote e sai no próximo ciclo
+        if (resto.length > 0) canal.buffer.push(...resto);
+        lote.commit();
+        canal.nextBatchAt = resto.length > 0 ? Date.now() : Date.now() + canal.intervalMs;
+    }
+
+    async _enviarEntrega(canal) {
+        canal.sending = true;
+        const lote = canal.outbox.drain();
+        const [entrega, ...resto] = lote.records;
+        entrega.attempts++;
+        entrega.last_attempt_at = new Date().toISOString();
+
+        try {
+            await this._entregar(canal, entrega);
+            this._registrarConcluida({ ...entrega, next_attempt_at: null, delivered_at: new Date().toISOString() });
+            canal.outbox.push(...resto);
+            lote.commit();
+            canal.nextAttemptAt = Date.now();
+        } catch (e) {
+            entrega.last_error = e.message;
+            canal.stats.failed_attempts++;
+            canal.stats.last_error = e.message;
+
+            if (canal.retry.maxAttempts > 0 && entrega.attempts >= canal.retry.maxAttempts) {
+                this.deadLetter.push({ ...entrega, next_attempt_at: null, failed_at: new Date().toISOString() });
+                canal.stats.dead_lettered++;
+                metricsService.notificationDeadLettered.inc({ channel: canal.name });
+                logger.logError('NOTIFICACAO', `Entrega enviada ao dead-letter após ${entrega.attempts} tentativas`, {
+                    id: entrega.id,
+                    canal: canal.name,
+                    total: entrega.alertas.length,
+                    error: e.message
+                });
+                canal.outbox.push(...resto);
+                canal.nextAttemptAt = Date.now();
+            } else {
+                // Regrava a entrega com as tentativas e o último erro, mantendo a posição na fila
+                canal.nextAttemptAt = Date.now() + calcularBackoff(entrega.attempts, canal.retry.baseMs, canal.retry.maxMs);
+                entrega.next_attempt_at = new Date(canal.nextAttemptAt).toISOString();
+                canal.outbox.push(entrega, ...resto);
+                logger.logError('NOTIFICACAO', 'Falha ao enviar alertas', {
+                    id: entrega.id,
+                    canal: canal.name,
+                    total: entrega.alertas.length,
+                    tentativa: entrega.attempts,
+                    proxima_tentativa: entrega.next_attempt_at,
+                    error: e.message
+                });
+            }
+            lote.commit();
+        } finally {
+            canal.sending = false;
+        }
+    }
+
+    async _entregar(canal, entrega) {
+        const { alertas } = entrega;
+        const prioridades = alertas.reduce((acc, a) => {
+            acc[a.prioridade] = (acc[a.prioridade] || 0) + 1;
+            return acc;
+        }, {});
+
+        logger.logInfo('NOTIFICACAO', `Enviando ${alertas.length} alertas validados`, {
+            id: entrega.id,
+            canal: canal.name,
+            tipo: canal.type,
+            tentativa: entrega.attempts,
+            prioridades,
+            sensores_unicos: new Set(alertas.map(a => a.sensor_mac)).size
+        });
+
+        const fimEnvio = metricsService.notificationDuration.startTimer({ channel: canal.name });
+        try {
+            await canal.notifier.enviar(alertas, {
+                id: entrega.id,
+                attempt: entrega.attempts,
+                created_at: entrega.created_at
+            });
+        } catch (e) {
+            fimEnvio({ result: 'failure' });
+            metricsService.notificationDeliveries.inc({ channel: canal.name, result: 'failure' });
+            throw e;
+        }
+
+        fimEnvio({ result: 'success' });
+        metricsService.notificationDeliveries.inc({ channel: canal.name, result: 'success' });
+        canal.stats.deliveries_sent++;
+        canal.stats.alerts_sent += alertas.length;
+        canal.stats.last_success = new Date().toISOString();
+        logger.logInfo('NOTIFICACAO', 'Alertas enviados com sucesso', {
+            id: entrega.id,
+            canal: canal.name,
+            total: alertas.length
+        });
+    }
+
+    _registrarConcluida(entrega) {
+        this.delivered.set(entrega.id, entrega);
+        while (this.delivered.size > this.historySize) {
+            this.delivered.delete(this.delivered.keys().next().value);
+        }
+    }
+
+    _entregas() {
+        return [
+            ...this.channels.flatMap(canal => canal.outbox.toArray()
+                .map(e => ({ ...e, status: DELIVERY_STATUS.PENDING }))),
+            ...Array.from(this.delivered.values(), e => ({ ...e, status: DELIVERY_STATUS.DELIVERED })),
+            ...this.deadLetter.toArray().map(e => ({ ...e, status: DELIVERY_STATUS.FAILED }))
+        ];
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * Serviço de persistência dos buffers de telemetria, portas, ciclos de degelo e alertas
+ * Esvazia os buffers em lote no repositório, aplicando backoff exponencial entre
+ * flushes que falharam e mantendo em quarentena as linhas rejeitadas pelo banco
+ *
+ * A quarentena tem journal próprio: as linhas entram nela antes de o lote sair do journal
+ * do buffer de origem e sobrevivem a reinícios. Acima de DB_QUARANTINE_MAX_ENTRIES as mais
+ * antigas são descartadas, com o conteúdo registrado no log
+ */
+
+import logger from '../utils/logger.js';
+import { JournaledBuffer } from '../utils/JournaledBuffer.js';
+import { calcularBackoff } from '../utils/retry.js';
+import { DB_FLUSH_INTERVAL_MS, DB_RETRY_MAX_MS, DB_QUARANTINE_MAX_ENTRIES } from '../config/constants.js';
+
+/**
+ * Política de descarte do buffer de telemetria quando atinge o limite:
+ * primeiro os heartbeats mais antigos, depois as demais linhas mais antigas;
+ * excursões (temperatura fora dos limites) e pontos de transição nunca são descartados
+ * @returns {Set} Registros a descartar
+ */
+export const selecionarDescarteTelemetria = (items, excesso) => {
+    const descartar = new Set();
+    const ordemDescarte = [
+        r => r._write_reason === 'HEARTBEAT',
+        r => r._write_reason !== 'EXCURSION' && r._write_reason !== 'TRANSITION'
+    ];
+
+    for (const criterio of ordemDescarte) {
+        for (const registro of items) {
+            if (descartar.size >= excesso) return descartar;
+            if (criterio(registro)) descartar.add(registro);
+        }
+    }
+    return descartar;
+};
+
+/**
+ * Instante de um registro bufferizado (cada tabela usa uma coluna diferente)
+ * @returns {string|null}
+ */
+export const timestampRegistro = (registro) => {
+    if (!registro) return null;
+    return registro.timestamp_read || registro.timestamp_iso || registro.ts ||
+        registro.end_ts || registro.updated_at || null;
+};
+
+export class PersistenceService {
+    /**
+     * @param {Object} repository - Repositório com insertTelemetryBatch/insertDoorBatch/insertDefrostBatch/upsertAlertLogs/insertAuditBatch
+     * @param {Object} buffers - { telemetry, door, defrost, alertLogs, audit } (JournaledBuffer; ausentes são ignorados)
+     * @param {Object} opcoes - { journalDir, fsync, quarantineMax } (journal da quarentena)
+     */
+    constructor(repository, buffers, opcoes = {}) {
+        this.repository = repository;
+        this.quarantineMax = opcoes.quarantineMax ?? DB_QUARANTINE_MAX_ENTRIES;
+        this.quarantine = new JournaledBuffer('quarantine', opcoes.journalDir ?? null, {
+            fsync: opcoes.fsync || false,
+            maxSize: this.quarantineMax,
+            selectEvictions: (items, excesso) => this._descartarQuarentena(items, excesso)
+        });
+        this.quarantine.load();
+        this.quarantineTotal = 0;
+
+        this.targets = [
+            {
+                name: 'telemetry',
+                buffer: buffers.telemetry,
+                insert: rows => this.repository.insertTelemetryBatch(rows),
+                descrever: batch => ({
+                    sensores_unicos: new Set(batch.map(b => b.mac)).size,
+                    gateways_unicos: new Set(batch.map(b => b.gw)).size
+                })
+            },
+            {
+                name: 'door',
+                buffer: buffers.door,
+                insert: rows => this.repository.insertDoorBatch(rows),
+                descrever: batch => ({
+                    aberturas: batch.filter(b => b.is_open).length,
+                    fechamentos: batch.filter(b => !b.is_open).length
+                })
+            },
+            {
+                name: 'defrost',
+                buffer: buffers.defrost,
+                insert: rows => this.repository.insertDefrostBatch(rows),
+                descrever: batch => ({
+                    sensores_unicos: new Set(batch.map(b => b.sensor_mac)).size
+                })
+            },
+            {
+                name: 'alert_logs',
+                buffer: buffers.alertLogs,
+                insert: rows => this.repository.upsertAlertLogs(rows),
+                // Cada alteração do alerta é um snapshot completo: basta o mais recente por id
+                preparar: batch => Array.from(new Map(batch.map(a => [a.id, a])).values()),
+                descrever: batch => ({
+                    resolvidos: batch.filter(a => a.status === 'RESOLVED').length
+                })
+            },
+            {
+                name: 'audit',
+                buffer: buffers.audit,
+                insert: rows => this.repository.insertAuditBatch(rows),
+                descrever: batch => ({
+                    atores: new Set(batch.map(a => a.actor)).size
+                })
+            }
+        ].filter(target => target.buffer).map(target => ({
+            ...target,
+            flushing: false,
+            failures: 0,
+            nextAttemptAt: 0,
+            stats: {
+                flushes: 0,
+                failed_flushes: 0,
+                rows_persisted: 0,
+                rows_quarantined: 0,
+                last_success: null,
+                last_error: null
+            }
+        }));
+    }
+
+    /**
+     * Persiste todos os buffers
+     * @param {Object} options - { force: ignora o backoff (ex.: no shutdown) }
+     */
+    async flush({ force = false } = {}) {
+        const gravados = [];
+        for (const target of this.targets) {
+            const gravado = await this._flushTarget(target, force);
+            if (gravado) gravados.push(gravado);
+        }
+        if (gravados.length === 0) return;
+
+        // Backends com gravação adiada (SQLite) gravam o arquivo uma vez por ciclo, antes de os lotes saírem do journal
+        try {
+            await this.repository.sync?.();
+        } catch (e) {
+            gravados.forEach(({ target, lote, batch, resultado }) => {
+                const quarentenadas = new Set(resultado.quarantined.map(q => q.row));
+                e.remaining = batch.filter(linha => !quarentenadas.has(linha));
+                this._registrarFalha(target, lote, batch, e);
+            });
+            return;
+        }
+
+        gravados.forEach(gravado => this._confirmar(gravado));
+    }
+
+    /**
+     * Linhas em quarentena, mais recentes primeiro
+     */
+    getQuarantine({ table, limit = 100 } = {}) {
+        return this.quarantine.toArray()
+            .filter(q => !table || q.table === table)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Métricas para o health report
+     */
+    getStats() {
+        const buffers = {};
+        this.targets.forEach(target => {
+            buffers[target.name] = {
+                ...target.stats,
+                consecutive_failures: target.failures,
+                next_attempt_at: target.nextAttemptAt > Date.now() ?
+                    new Date(target.nextAttemptAt).toISOString() : null
+            };
+        });
+
+        return {
+            buffers,
+            writes: this.repository.getWriteStats ? this.repository.getWriteStats() : null,
+            quarantine: {
+                size: this.quarantine.length,
+                max_entries: this.quarantineMax,
+                total: this.quarantineTotal
+            }
+        };
+    }
+
+    /**
+     * Buffers com registros aguardando persistência, com o último flush bem-sucedido e
+     * o registro mais antigo (readiness)
+     */
+    getPending() {
+        return this.targets
+            .filter(target => target.buffer.length > 0)
+            .map(target => ({
+                name: target.name,
+                rows: target.buffer.length,
+                oldest_entry: timestampRegistro(target.buffer.peek()),
+                last_success: target.stats.last_success,
+                last_error: target.stats.last_error
+            }));
+    }
+
+    /**
+     * Insere o lote do buffer; o lote só sai do journal em _confirmar, depois do sync do repositório
+     * @returns {Object|null} { target, lote, batch, resultado } quando o insert foi concluído
+     */
+    async _flushTarget(target, force) {
+        if (target.flushing || target.buffer.length === 0) return null;
+        if (!force && Date.now() < target.nextAttemptAt) return null;
+
+        target.flushing = true;
+        const lote = target.buffer.drain();
+        const batch = target.preparar ? target.preparar(lote.records) : lote.records;
+
+        try {
+            const resultado = await target.insert(batch);
+            // Quarentena gravada antes de apagar o lote do journal de origem
+            this._quarentenar(target, resultado.quarantined);
+            return { target, lote, batch, resultado };
+        } catch (e) {
+            // Devolve ao buffer apenas o que não foi gravado nem quarentenado
+            this._quarentenar(target, e.quarantined || []);
+            this._registrarFalha(target, lote, batch, e);
+            return null;
+        }
+    }
+
+    _confirmar({ target, lote, batch, resultado }) {
+        lote.commit();
+        target.flushing = false;
+
+        target.failures = 0;
+        target.nextAttemptAt = 0;
+        target.stats.flushes++;
+        target.stats.rows_persisted += resultado.inserted;
+        target.stats.last_success = new Date().toISOString();
+
+        logger.logInfo('DB', `Salvos ${resultado.inserted} logs de ${target.name}`, {
+            total: resultado.inserted,
+            quarentena: resultado.quarantined.length,
+            ...target.descrever(batch)
+        });
+    }
+
+    _registrarFalha(target, lote, batch, e) {
+        lote.rollback(e.remaining || batch);
+        target.flushing = false;
+
+        target.failures++;
+        target.nextAttemptAt = Date.now() + calcularBackoff(target.failures, DB_FLUSH_INTERVAL_MS, DB_RETRY_MAX_MS);
+        target.stats.failed_flushes++;
+        target.stats.rows_persisted += e.inserted || 0;
+        target.stats.last_error = e.message;
+
+        logger.logError('DB', `Erro ao salvar logs de ${target.name}`, {
+            batch_size: batch.length,
+            gravadas: e.inserted || 0,
+            pendentes: (e.remaining || batch).length,
+            falhas_consecutivas: target.failures,
+            proxima_tentativa: new Date(target.nextAttemptAt).toISOString(),
+            error: e.message
+        });
+    }
+
+    _quarentenar(target, linhas) {
+        if (linhas.length === 0) return;
+
+        const agora = new Date().toISOString();
+        this.quarantine.push(...linhas.map(({ row, error, code }) =>
+            ({ table: target.name, quarantined_at: agora, error, code, row })));
+        target.stats.rows_quarantined += linhas.length;
+        this.quarantineTotal += linhas.length;
+    }
+
+    // Mais antigas primeiro; o conteúdo vai para o log, já que sai do journal
+    _descartarQuarentena(items, excesso) {
+        const descartar = items.slice(0, excesso);
+        logger.logError('DB', `Quarentena cheia: ${descartar.length} linhas mais antigas descartadas`, {
+            max_entries: this.quarantineMax,
+            linhas: descartar
+        });
+        return new Set(descartar);
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Verificações de prontidão para o orquestrador (GET /health/ready)
+ * Cada verificação compara o estado real de uma dependência com o seu limite: conexão MQTT,
+ * tempo desde a última mensagem, tempo sem flush bem-sucedido com registros pendentes,
+ * idade do registro mais antigo nos buffers e idade do cache de configurações
+ */
+
+import {
+    READY_REQUIRE_MQTT,
+    READY_MAX_MESSAGE_AGE_MS,
+    READY_MAX_FLUSH_AGE_MS,
+    READY_MAX_BUFFER_AGE_MS,
+    READY_MAX_CONFIG_AGE_MS
+} from '../config/constants.js';
+
+export class ReadinessService {
+    /**
+     * @param {Object} mqttState - { connected, since } atualizado pelos eventos do cliente MQTT
+     * @param {IngestionService} ingestionService - Última mensagem recebida
+     * @param {PersistenceService} persistenceService - Buffers pendentes e último flush
+     * @param {SensorConfigService} sensorConfigService - Última carga do cache
+     * @param {Object} limites - Limites em ms (0 desativa a verificação)
+     */
+    constructor(mqttState, ingestionService, persistenceService, sensorConfigService, limites = {}) {
+        this.mqttState = mqttState;
+        this.ingestionService = ingestionService;
+        this.persistenceService = persistenceService;
+        this.sensorConfigService = sensorConfigService;
+        this.limites = {
+            requireMqtt: READY_REQUIRE_MQTT,
+            messageAgeMs: READY_MAX_MESSAGE_AGE_MS,
+            flushAgeMs: READY_MAX_FLUSH_AGE_MS,
+            bufferAgeMs: READY_MAX_BUFFER_AGE_MS,
+            configAgeMs: READY_MAX_CONFIG_AGE_MS,
+            ...limites
+        };
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Executa todas as verificações
+     * @returns {{ status: 'READY'|'NOT_READY', timestamp: string, checks: Array, failing: Array }}
+     */
+    verificar(now = Date.now()) {
+        const checks = [
+            this._verificarMqtt(),
+            this._verificarMensagens(now),
+            this._verificarFlush(now),
+            this._verificarBuffers(now),
+            this._verificarConfig(now)
+        ].filter(Boolean);
+
+        const failing = checks.filter(c => !c.ok).map(c => c.name);
+        return {
+            status: failing.length === 0 ? 'READY' : 'NOT_READY',
+            timestamp: new Date(now).toISOString(),
+            checks,
+            failing
+        };
+    }
+
+    _verificarMqtt() {
+        if (!this.limites.requireMqtt) return null;
+        const { connected, since } = this.mqttState;
+        return {
+            name: 'mqtt',
+            ok: connected,
+            connected,
+            since: since ? new Date(since).toISOString() : null,
+            message: connected ? null : 'Cliente MQTT desconectado do broker'
+        };
+    }
+
+    // Sem nenhuma mensagem desde o boot, conta a partir da inicialização
+    _verificarMensagens(now) {
+        if (!this.limites.messageAgeMs) return null;
+        const ultima = this.ingestionService.lastMessageAt;
+        return this._idade('last_message', now - Math.max(ultima || 0, this.startedAt), this.limites.messageAgeMs, {
+            last_message_at: ultima ? new Date(ultima).toISOString() : null,
+            message: 'Nenhuma mensagem recebida dos gateways'
+        });
+    }
+
+    // Buffers vazios não dependem do banco; com pendências, conta desde o último sucesso
+    _verificarFlush(now) {
+        if (!this.limites.flushAgeMs) return null;
+        const pendentes = this.persistenceService.getPending().map(p => ({
+            ...p,
+            age_ms: now - Math.max(p.last_success ? Date.parse(p.last_success) : 0, this.startedAt)
+        }));
+        const pior = pendentes.reduce((a, b) => (!a || b.age_ms > a.age_ms ? b : a), null);
+
+        return this._idade('db_flush', pior ? pior.age_ms : 0, this.limites.flushAgeMs, {
+            buffer: pior ? pior.name : null,
+            last_success: pior ? pior.last_success : null,
+            last_error: pior ? pior.last_error : null,
+            message: 'Registros pendentes sem flush bem-sucedido no banco'
+        });
+    }
+
+    _verificarBuffers(now) {
+        if (!this.limites.bufferAgeMs) return null;
+        const pendentes = this.persistenceService.getPending()
+            .filter(p => p.oldest_entry)
+            .map(p => ({ ...p, age_ms: Math.max(0, now - Date.parse(p.oldest_entry)) }));
+        const pior = pendentes.reduce((a, b) => (!a || b.age_ms > a.age_ms ? b : a), null);
+
+        return this._idade('buffer_age', pior ? pior.age_ms : 0, this.limites.bufferAgeMs, {
+            buffer: pior ? pior.name : null,
+            rows: pior ? pior.rows : 0,
+            oldest_entry: pior ? pior.oldest_entry : null,
+            message: 'Registro antigo aguardando persistência'
+        });
+    }
+
+    // O cache precisa ter sido carregado ao menos uma vez
+    _verificarConfig(now) {
+        if (!this.limites.configAgeMs) return null;
+        const carga = this.sensorConfigService.lastLoadAt;
+        if (!carga) {
+            return {
+                name: 'config_cache',
+                ok: false,
+                age_ms: null,
+                limit_ms: this.limites.configAgeMs,
+                loaded_at: null,
+                message: 'Cache de configurações ainda não carregado'
+            };
+        }
+
+        return this._idade('config_cache', now - carga, this.limites.configAgeMs, {
+            loaded_at: new Date(carga).toISOString(),
+            message: 'Cache de configurações desatualizado'
+        });
+    }
+
+    _idade(name, ageMs, limitMs, { message, ...detalhes }) {
+        const ok = ageMs <= limitMs;
+        return {
+            name,
+            ok,
+            age_ms: Math.round(ageMs),
+            limit_ms: limitMs,
+            ...detalhes,
+            message: ok ? null : message
+        };
+    }
+}
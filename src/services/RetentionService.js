@@ -0,0 +1,250 @@
+/**
+ * Serviço de retenção de dados
+ * Apaga periodicamente, em lotes pequenos, as linhas mais antigas que a retenção de cada tabela
+ *
+ * - Retenções abaixo de RETENTION_MIN_DAYS são elevadas ao piso (retenção mínima da auditoria)
+ * - Telemetria bruta só é apagada nas horas em que os agregados horários e diários de cada sensor
+ *   já contabilizam todas as leituras; a primeira hora descoberta interrompe a limpeza da tabela
+ * - Alertas: apenas os resolvidos (pela data de resolução)
+ */
+
+import cron from 'node-cron';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import { esperar } from '../utils/retry.js';
+import { ROLLUP_TABLES } from '../repositories/BaseSensorRepository.js';
+import {
+    TIMEZONE_CONFIG,
+    RETENTION_CRON,
+    RETENTION_DAYS,
+    RETENTION_MIN_DAYS,
+    RETENTION_BATCH_SIZE,
+    RETENTION_BATCH_PAUSE_MS,
+    RETENTION_MAX_BATCHES
+} from '../config/constants.js';
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const MAX_RELATORIOS = 10;
+
+// Coluna de referência de cada tabela
+const TABELAS = [
+    { table: 'telemetry_logs', column: 'ts', requiresRollups: true },
+    { table: 'door_logs', column: 'timestamp_read' },
+    { table: 'defrost_logs', column: 'start_ts' },
+    { table: 'alert_logs', column: 'resolved_at' },
+    { table: ROLLUP_TABLES.hour, column: 'bucket_start' },
+    { table: ROLLUP_TABLES.day, column: 'bucket_start' },
+    { table: 'audit_log', column: 'ts' }
+];
+
+/**
+ * Primeira hora com leituras de um sensor não contabilizadas nos agregados do dia
+ * @param {Array} leituras - { mac, hour, total } (countTelemetryByHour)
+ * @param {Array} horarios - Cobertura dos agregados horários do dia (findRollupCoverage)
+ * @param {Array} diarios - Cobertura do agregado diário
+ * @returns {Object|null} { hour (ms), mac, period, raw_rows, rollup_samples }
+ */
+export const primeiraHoraDescoberta = (leituras, horarios, diarios) => {
+    const inicioHora = valor => moment(valor).tz(TIMEZONE_CONFIG).startOf('hour').valueOf();
+    const porHora = new Map(horarios.map(a => [`${a.sensor_mac}|${inicioHora(a.bucket_start)}`, a.samples]));
+    const porDia = new Map(diarios.map(a => [a.sensor_mac, a.samples]));
+
+    // Leituras do dia por sensor (comparadas com o agregado diário)
+    const totalDia = new Map();
+    leituras.forEach(l => totalDia.set(l.mac, (totalDia.get(l.mac) || 0) + Number(l.total)));
+
+    let primeira = null;
+    leituras.forEach(l => {
+        const hour = inicioHora(l.hour);
+        const total = Number(l.total);
+        const horario = porHora.get(`${l.mac}|${hour}`) ?? 0;
+        const diario = porDia.get(l.mac) ?? 0;
+
+        let descoberta = null;
+        if (horario < total) descoberta = { period: 'hour', raw_rows: total, rollup_samples: horario };
+        else if (diario < totalDia.get(l.mac)) descoberta = { period: 'day', raw_rows: totalDia.get(l.mac), rollup_samples: diario };
+
+        if (descoberta && (!primeira || hour < primeira.hour)) primeira = { hour, mac: l.mac, ...descoberta };
+    });
+    return primeira;
+};
+
+export class RetentionService {
+    /**
+     * @param {Object} repository - Repositório de sensores
+     * @param {Object} retencaoDias - Dias por tabela (0 mantém para sempre)
+     */
+    constructor(repository, retencaoDias = RETENTION_DAYS) {
+        this.repository = repository;
+        this.task = null;
+        this.running = false;
+        this.reports = [];
+        this.policy = TABELAS.map(tabela => {
+            const configurado = retencaoDias[tabela.table] ?? 0;
+            const dias = configurado > 0 ? Math.max(configurado, RETENTION_MIN_DAYS) : 0;
+
+            if (configurado > 0 && dias !== configurado) {
+                logger.logWarn('RETENCAO', `Retenção de ${tabela.table} abaixo do piso: usando ${dias} dias`, {
+                    configurado,
+                    piso: RETENTION_MIN_DAYS
+                });
+            }
+            return { ...tabela, retention_days: dias };
+        });
+    }
+
+    /**
+     * Agenda a limpeza (fuso TIMEZONE_CONFIG)
+     */
+    iniciar() {
+        this.task = cron.schedule(RETENTION_CRON, () => this.executar(), { name: 'retention', timezone: TIMEZONE_CONFIG });
+        logger.logInfo('RETENCAO', 'Limpeza de dados agendada', {
+            cron: RETENTION_CRON,
+            politica: Object.fromEntries(this.policy.map(p => [p.table, p.retention_days || 'sempre']))
+        });
+    }
+
+    parar() {
+        if (this.task) this.task.stop();
+        this.task = null;
+    }
+
+    /**
+     * Aplica a política em todas as tabelas
+     * @returns {Promise<Object|null>} Relatório da execução (null se já havia uma em andamento)
+     */
+    async executar() {
+        if (this.running) return null;
+        this.running = true;
+
+        const agora = Date.now();
+        const relatorio = { started_at: new Date(agora).toISOString(), finished_at: null, tables: [] };
+        try {
+            for (const politica of this.policy) {
+                if (!politica.retention_days) continue;
+                relatorio.tables.push(await this._purgarTabela(politica, agora));
+            }
+        } finally {
+            relatorio.finished_at = new Date().toISOString();
+            this.reports.push(relatorio);
+            if (this.reports.length > MAX_RELATORIOS) this.reports.shift();
+            this.running = false;
+        }
+
+        logger.logInfo('RETENCAO', `Limpeza concluída: ${relatorio.tables.reduce((s, t) => s + t.deleted, 0)} linhas apagadas`, {
+            tabelas: Object.fromEntries(relatorio.tables.map(t => [t.table, t.deleted])),
+            bloqueadas: relatorio.tables.filter(t => t.blocked).map(t => t.table),
+            erros: relatorio.tables.filter(t => t.error).map(t => t.table)
+        });
+        return relatorio;
+    }
+
+    /**
+     * Política efetiva e relatórios das últimas execuções (mais recente primeiro)
+     */
+    getStatus() {
+        return {
+            enabled: !!this.task,
+            schedule: RETENTION_CRON,
+            next_run: this.task ? this.task.getNextRun() : null,
+            min_days: RETENTION_MIN_DAYS,
+            batch_size: RETENTION_BATCH_SIZE,
+            policy: this.policy.map(({ table, column, retention_days }) => ({
+                table,
+                column,
+                retention_days: retention_days || null
+            })),
+            running: this.running,
+            reports: [...this.reports].reverse()
+        };
+    }
+
+    async _purgarTabela(politica, agora) {
+        const inicio = Date.now();
+        const cutoff = agora - politica.retention_days * DIA_MS;
+        const resultado = {
+            table: politica.table,
+            retention_days: politica.retention_days,
+            cutoff: new Date(cutoff).toISOString(),
+            purged_until: null,
+            deleted: 0,
+            batches: 0,
+            blocked: null,
+            error: null,
+            duration_ms: null
+        };
+
+        try {
+            const limite = politica.requiresRollups ? await this._limiteComAgregados(politica, cutoff, resultado) : cutoff;
+            resultado.purged_until = new Date(limite).toISOString();
+
+            while (resultado.batches < RETENTION_MAX_BATCHES) {
+                const apagadas = await this.repository.deleteOlderThan(
+                    politica.table, politica.column, resultado.purged_until, RETENTION_BATCH_SIZE
+                );
+                resultado.deleted += apagadas;
+                resultado.batches++;
+                if (apagadas < RETENTION_BATCH_SIZE) break;
+                await esperar(RETENTION_BATCH_PAUSE_MS);
+            }
+
+            if (resultado.deleted > 0) {
+                logger.logInfo('RETENCAO', `${resultado.deleted} linhas apagadas de ${politica.table}`, {
+                    ate: resultado.purged_until,
+                    lotes: resultado.batches
+                });
+            }
+        } catch (e) {
+            resultado.error = e.message;
+            logger.logError('RETENCAO', `Erro ao aplicar retenção em ${politica.table}`, {
+                apagadas: resultado.deleted,
+                error: e.message
+            });
+        }
+
+        resultado.duration_ms = Date.now() - inicio;
+        return resultado;
+    }
+
+    /**
+     * Limite de limpeza da telemetria bruta: avança dia a dia (fuso TIMEZONE_CONFIG) a partir do dado
+     * mais antigo e para na primeira hora em que algum sensor tem leituras não contabilizadas nos
+     * agregados: sem agregado horário ou diário, ou com menos amostras que as leituras do banco
+     * (leituras atrasadas ou reenviadas pelo journal depois do cálculo)
+     * @returns {Promise<number>} Instante até onde a limpeza é permitida
+     */
+    async _limiteComAgregados(politica, cutoff, resultado) {
+        const maisAntigo = await this.repository.findOldestTimestamp(politica.table, politica.column);
+        if (!maisAntigo || new Date(maisAntigo).getTime() >= cutoff) return cutoff;
+
+        let dia = moment(maisAntigo).tz(TIMEZONE_CONFIG).startOf('day').valueOf();
+        while (dia < cutoff) {
+            const fimDia = moment(dia).tz(TIMEZONE_CONFIG).add(1, 'day').valueOf();
+            const [de, ate] = [new Date(dia).toISOString(), new Date(fimDia).toISOString()];
+
+            const leituras = await this.repository.countTelemetryByHour(de, ate);
+            if (leituras.length > 0) {
+                const [horarios, diarios] = await Promise.all([
+                    this.repository.findRollupCoverage('hour', de, ate),
+                    this.repository.findRollupCoverage('day', de, ate)
+                ]);
+
+                const descoberta = primeiraHoraDescoberta(leituras, horarios, diarios);
+                if (descoberta && descoberta.hour < cutoff) {
+                    const hora = new Date(descoberta.hour).toISOString();
+                    resultado.blocked = { reason: 'ROLLUP_MISSING', hour: hora, sensor: descoberta.mac, raw_rows: descoberta.raw_rows };
+                    logger.logWarn('RETENCAO', `Limpeza de ${politica.table} interrompida: hora sem agregados`, {
+                        hora,
+                        sensor: descoberta.mac,
+                        periodo: descoberta.period,
+                        linhas_brutas: descoberta.raw_rows,
+                        amostras_agregadas: descoberta.rollup_samples
+                    });
+                    return descoberta.hour;
+                }
+            }
+            dia = fimDia;
+        }
+        return cutoff;
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Serviço de agregados (rollups) horários e diários da telemetria
+ * Calcula por sensor: min/max/média/desvio padrão da temperatura, % do tempo dentro dos limites,
+ * aberturas de porta e minutos em degelo, gravando em telemetry_rollups_hourly/daily
+ *
+ * As estatísticas são ponderadas no tempo sobre a série persistida reconstruída por interpolação
+ * linear (a mesma garantida pela compressão swinging door); intervalos entre pontos maiores que
+ * ROLLUP_MAX_GAP_MS são lacunas e não contam como cobertura
+ *
+ * Cada execução recalcula do agregado mais recente até o último período completo, o que também
+ * faz o backfill dos períodos que faltam no boot (limitado a ROLLUP_BACKFILL_DAYS). Dentro dessa
+ * janela, os períodos anteriores são conferidos por sensor contra as contagens brutas por hora:
+ * agregado ausente (lacuna) ou com menos leituras/aberturas de porta do que o banco tem hoje
+ * (dados atrasados, journal reenviado após uma falha do banco) é recalculado
+ */
+
+import cron from 'node-cron';
+import moment from 'moment-timezone';
+import logger from '../utils/logger.js';
+import {
+    TIMEZONE_CONFIG,
+    ROLLUP_HOURLY_CRON,
+    ROLLUP_DAILY_CRON,
+    ROLLUP_BACKFILL_DAYS,
+    ROLLUP_MAX_GAP_MS
+} from '../config/constants.js';
+
+export const ROLLUP_PERIODS = ['hour', 'day'];
+
+/**
+ * Fração (0 a 1) de um segmento linear de v1 a v2 dentro de [min, max]
+ */
+const fracaoDentroDosLimites = (v1, v2, min, max) => {
+    if (v1 === v2) return v1 >= min && v1 <= max ? 1 : 0;
+    const a = (min - v1) / (v2 - v1);
+    const b = (max - v1) / (v2 - v1);
+    return Math.max(0, Math.min(1, Math.max(a, b)) - Math.max(0, Math.min(a, b)));
+};
+
+const arredondar = (valor, casas = 2) => valor === null ? null : Number(valor.toFixed(casas));
+
+/**
+ * Estatísticas de temperatura de um sensor no período [inicio, fim)
+ * @param {Array} pontos - { ts, temp } ordenados por ts (incluindo vizinhos fora do período)
+ * @param {Object|null} limites - { min, max } para o tempo dentro dos limites
+ * @returns {Object} { samples, covered_s, temp_min, temp_max, temp_avg, temp_stddev, time_in_range_pct }
+ */
+export const calcularEstatisticas = (pontos, inicio, fim, limites) => {
+    let min = Infinity;
+    let max = -Infinity;
+    let cobertura = 0;
+    let integral = 0;
+    let integralQuadrado = 0;
+    let tempoDentro = 0;
+    const amostras = [];
+
+    pontos.forEach((p, i) => {
+        if (p.ts >= inicio && p.ts < fim) {
+            amostras.push(p.temp);
+            min = Math.min(min, p.temp);
+            max = Math.max(max, p.temp);
+        }
+
+        const q = pontos[i + 1];
+        if (!q || q.ts <= p.ts || q.ts - p.ts > ROLLUP_MAX_GAP_MS) return;
+
+        const t1 = Math.max(p.ts, inicio);
+        const t2 = Math.min(q.ts, fim);
+        if (t2 <= t1) return;
+
+        const interpolar = t => p.temp + (q.temp - p.temp) * (t - p.ts) / (q.ts - p.ts);
+        const v1 = interpolar(t1);
+        const v2 = interpolar(t2);
+        const duracao = t2 - t1;
+
+        min = Math.min(min, v1, v2);
+        max = Math.max(max, v1, v2);
+        cobertura += duracao;
+        integral += duracao * (v1 + v2) / 2;
+        integralQuadrado += duracao * (v1 * v1 + v1 * v2 + v2 * v2) / 3;
+        if (limites) tempoDentro += duracao * fracaoDentroDosLimites(v1, v2, limites.min, limites.max);
+    });
+
+    if (cobertura === 0 && amostras.length === 0) {
+        return { samples: 0, covered_s: 0, temp_min: null, temp_max: null, temp_avg: null, temp_stddev: null, time_in_range_pct: null };
+    }
+
+    let media;
+    let variancia;
+    let dentroPct = null;
+    if (cobertura > 0) {
+        media = integral / cobertura;
+        variancia = integralQuadrado / cobertura - media * media;
+        if (limites) dentroPct = 100 * tempoDentro / cobertura;
+    } else {
+        // Pontos isolados (sem vizinhos dentro de ROLLUP_MAX_GAP_MS): estatística simples das amostras
+        media = amostras.reduce((s, v) => s + v, 0) / amostras.length;
+        variancia = amostras.reduce((s, v) => s + v * v, 0) / amostras.length - media * media;
+        if (limites) dentroPct = 100 * amostras.filter(v => v >= limites.min && v <= limites.max).length / amostras.length;
+    }
+
+    return {
+        samples: amostras.length,
+        covered_s: Math.round(cobertura / 1000),
+        temp_min: arredondar(min),
+        temp_max: arredondar(max),
+        temp_avg: arredondar(media),
+        temp_stddev: arredondar(Math.sqrt(Math.max(0, variancia)), 3),
+        time_in_range_pct: arredondar(dentroPct, 1)
+    };
+};
+
+export class RollupService {
+    /**
+     * @param {Object} repository - Repositório de sensores
+     * @param {Map} configCache - Configurações atuais (mac -> config), para os limites
+     * @param {SensorService} sensorService - Cálculo dos limites de temperatura
+     */
+    constructor(repository, configCache, sensorService) {
+        this.repository = repository;
+        this.configCache = configCache;
+        this.sensorService = sensorService;
+        this.tasks = [];
+        this.running = {};
+        this.stats = {};
+        ROLLUP_PERIODS.forEach(periodo => {
+            this.stats[periodo] = {
+                runs: 0,
+                failed_runs: 0,
+                buckets_computed: 0,
+                stale_buckets: 0,
+                rows_written: 0,
+                last_run: null,
+                last_bucket: null,
+                last_duration_ms: null,
+                last_error: null
+            };
+        });
+    }
+
+    /**
+     * Agenda os jobs (fuso TIMEZONE_CONFIG) e faz o backfill dos períodos que faltam
+     */
+    async iniciar() {
+        this.tasks = [
+            cron.schedule(ROLLUP_HOURLY_CRON, () => this.executar('hour'), { name: 'rollup-hourly', timezone: TIMEZONE_CONFIG }),
+            cron.schedule(ROLLUP_DAILY_CRON, () => this.executar('day'), { name: 'rollup-daily', timezone: TIMEZONE_CONFIG })
+        ];
+
+        logger.logInfo('ROLLUP', 'Jobs de agregados agendados', {
+            horario: ROLLUP_HOURLY_CRON,
+            diario: ROLLUP_DAILY_CRON,
+            timezone: TIMEZONE_CONFIG
+        });
+
+        for (const periodo of ROLLUP_PERIODS) {
+            await this.executar(periodo);
+        }
+    }
+
+    parar() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    /**
+     * Calcula os agregados do período, do mais recente já gravado até o último período completo,
+     * e recalcula os períodos anteriores da janela de backfill com lacunas ou dados novos
+     * @param {string} periodo - 'hour' ou 'day'
+     */
+    async executar(periodo) {
+        if (this.running[periodo]) return;
+        this.running[periodo] = true;
+
+        const stats = this.stats[periodo];
+        const agora = Date.now();
+        try {
+            const ultimoCompleto = this._inicioPeriodo(periodo, agora);
+            const limiteBackfill = this._inicioPeriodo(periodo, agora - ROLLUP_BACKFILL_DAYS * 24 * 60 * 60 * 1000);
+            const ultimoGravado = await this.repository.findLatestRollupBucket(periodo);
+
+            // O mais recente é recalculado: pode ter recebido dados atrasados (journal, leituras atrasadas)
+            const continuarDe = ultimoGravado ? Math.max(new Date(ultimoGravado).getTime(), limiteBackfill) : limiteBackfill;
+            const desatualizados = await this.periodosDesatualizados(periodo, limiteBackfill, Math.min(continuarDe, ultimoCompleto));
+
+            const inicios = [...desatualizados];
+            for (let inicio = continuarDe; inicio < ultimoCompleto; inicio = this._proximoPeriodo(periodo, inicio)) {
+                inicios.push(inicio);
+            }
+
+            let linhas = 0;
+            for (const inicio of inicios) {
+                linhas += await this.calcularPeriodo(periodo, inicio, this._proximoPeriodo(periodo, inicio));
+                stats.last_bucket = new Date(inicio).toISOString();
+            }
+            const periodos = inicios.length;
+
+            stats.runs++;
+            stats.buckets_computed += periodos;
+            stats.stale_buckets += desatualizados.length;
+            stats.rows_written += linhas;
+            stats.last_run = new Date(agora).toISOString();
+            stats.last_duration_ms = Date.now() - agora;
+            stats.last_error = null;
+
+            logger.logInfo('ROLLUP', `Agregados (${periodo}) atualizados: ${periodos} períodos`, {
+                periodos,
+                desatualizados: desatualizados.map(inicio => new Date(inicio).toISOString()),
+                linhas,
+                ultimo_periodo: stats.last_bucket,
+                duracao_ms: stats.last_duration_ms
+            });
+        } catch (e) {
+            stats.failed_runs++;
+            stats.last_error = e.message;
+            logger.logError('ROLLUP', `Erro ao calcular agregados (${periodo})`, {
+                error: e.message,
+                stack: e.stack
+            });
+        } finally {
+            this.running[periodo] = false;
+        }
+    }
+
+    /**
+     * Períodos em [de, ate) com dados brutos não contabilizados nos agregados gravados: algum sensor
+     * sem agregado ou com menos leituras de temperatura ou aberturas de porta que as contagens atuais.
+     * Agregados com mais leituras que o banco (brutos já apagados pela retenção) não são recalculados
+     * @returns {Promise<Array<number>>} Inícios dos períodos, em ordem
+     */
+    async periodosDesatualizados(periodo, de, ate) {
+        if (de >= ate) return [];
+
+        const [deIso, ateIso] = [new Date(de).toISOString(), new Date(ate).toISOString()];
+        const [leituras, aberturas, agregados] = await Promise.all([
+            this.repository.countTelemetryByHour(deIso, ateIso),
+            this.repository.countDoorOpeningsByHour(deIso, ateIso),
+            this.repository.findRollupCoverage(periodo, deIso, ateIso)
+        ]);
+
+        // Contagens por hora somadas no período de cada sensor (sensor|início -> contagens)
+        const brutos = new Map();
+        const somar = (mac, hora, campo, total) => {
+            const inicio = this._inicioPeriodo(periodo, new Date(hora).getTime());
+            const chave = `${mac}|${inicio}`;
+            if (!brutos.has(chave)) brutos.set(chave, { inicio, samples: 0, door_open_count: 0 });
+            brutos.get(chave)[campo] += Number(total);
+        };
+        leituras.forEach(l => somar(l.mac, l.hour, 'samples', l.total));
+        aberturas.forEach(a => somar(a.sensor_mac, a.hour, 'door_open_count', a.total));
+
+        const gravados = new Map(agregados.map(a => [`${a.sensor_mac}|${new Date(a.bucket_start).getTime()}`, a]));
+        const periodos = new Set();
+        brutos.forEach((contagem, chave) => {
+            const agregado = gravados.get(chave);
+            if (!agregado || agregado.samples < contagem.samples || agregado.door_open_count < contagem.door_open_count) {
+                periodos.add(contagem.inicio);
+            }
+        });
+
+        return [...periodos].sort((a, b) => a - b);
+    }
+
+    /**
+     * Calcula e grava os agregados de todos os sensores no período [inicio, fim)
+     * @returns {Promise<number>} Linhas gravadas
+     */
+    async calcularPeriodo(periodo, inicio, fim) {
+        const iso = ts => new Date(ts).toISOString();
+        const [telemetria, portas, degelos] = await Promise.all([
+            this.repository.findTelemetryRange(iso(inicio - ROLLUP_MAX_GAP_MS), iso(fim + ROLLUP_MAX_GAP_MS)),
+            this.repository.findDoorLogsRange(iso(inicio), iso(fim)),
+            this.repository.findDefrostLogsOverlapping(iso(inicio), iso(fim))
+        ]);
+
+        const sensores = new Map();
+        const obter = mac => {
+            if (!sensores.has(mac)) sensores.set(mac, { pontos: [], aberturas: 0, degeloMs: 0 });
+            return sensores.get(mac);
+        };
+
+        telemetria.forEach(t => {
+            const temp = Number(t.temp);
+            if (t.temp === null || !Number.isFinite(temp)) return;
+            obter(t.mac).pontos.push({ ts: new Date(t.ts).getTime(), temp });
+        });
+        portas.forEach(p => {
+            if (p.is_open) obter(p.sensor_mac).aberturas++;
+        });
+        degelos.forEach(d => {
+            const sobreposicao = Math.min(fim, new Date(d.end_ts).getTime()) - Math.max(inicio, new Date(d.start_ts).getTime());
+            if (sobreposicao > 0) obter(d.sensor_mac).degeloMs += sobreposicao;
+        });
+
+        const computedAt = new Date().toISOString();
+        const linhas = [];
+        sensores.forEach((dados, mac) => {
+            const config = this.configCache.get(mac);
+            const limites = config ? this.sensorService.calcularLimitesTemperatura(config, inicio) : null;
+            const estatisticas = calcularEstatisticas(dados.pontos, inicio, fim, limites);
+
+            if (estatisticas.samples === 0 && estatisticas.covered_s === 0 && dados.aberturas === 0 && dados.degeloMs === 0) {
+                return;
+            }
+
+            linhas.push({
+                sensor_mac: mac,
+                bucket_start: iso(inicio),
+                bucket_end: iso(fim),
+                ...estatisticas,
+                door_open_count: dados.aberturas,
+                defrost_minutes: arredondar(dados.degeloMs / 60000, 1),
+                computed_at: computedAt
+            });
+        });
+
+        if (linhas.length === 0) return 0;
+
+        const resultado = await this.repository.upsertRollups(periodo, linhas);
+        if (resultado.quarantined.length > 0) {
+            logger.logWarn('ROLLUP', `${resultado.quarantined.length} agregados rejeitados pelo banco`, {
+                periodo,
+                bucket_start: iso(inicio),
+                erros: resultado.quarantined.slice(0, 3).map(q => q.error)
+            });
+        }
+        return resultado.inserted;
+    }
+
+    /**
+     * Métricas para o health report
+     */
+    getStats() {
+        return {
+            schedules: { hour: ROLLUP_HOURLY_CRON, day: ROLLUP_DAILY_CRON },
+            ...this.stats
+        };
+    }
+
+    _inicioPeriodo(periodo, ts) {
+        return moment(ts).tz(TIMEZONE_CONFIG).startOf(periodo).valueOf();
+    }
+
+    _proximoPeriodo(periodo, inicio) {
+        return moment(inicio).tz(TIMEZONE_CONFIG).add(1, periodo).valueOf();
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Serviço de configurações de sensores (sensor_configs)
+ * Mantém o cache em memória (configCache e blocklist de sensores secundários) e grava
+ * as alterações da API no repositório, aplicando-as no cache na hora, sem esperar a
+ * sincronização periódica
+ */
+
+import logger from '../utils/logger.js';
+import { formatarMac } from '../utils/formatters.js';
+import { CONFIG_COLUMNS } from '../repositories/BaseSensorRepository.js';
+import { ULTRA_TEMP_MIN, ULTRA_TEMP_MAX_LIMIT } from '../config/constants.js';
+
+const CAMPOS_NUMERICOS = ['temp_max', 'temp_min', 'hum_max', 'hum_min'];
+const MAX_DISPLAY_NAME = 100;
+
+/**
+ * Normaliza um MAC com ou sem separadores (AABBCCDDEEFF, aa:bb:..., AA-BB-...)
+ * @returns {string|null} MAC formatado (XX:XX:XX:XX:XX:XX) ou null se inválido
+ */
+export const normalizarMac = (mac) => {
+    if (typeof mac !== 'string' || !/^[0-9a-f:\-.\s]+$/i.test(mac)) return null;
+    const hex = mac.replace(/[^0-9a-f]/gi, '').toUpperCase();
+    return hex.length === 12 ? formatarMac(hex) : null;
+};
+
+const erroValidacao = (detalhes) => {
+    const error = new Error('Configuração inválida');
+    error.code = 'INVALID_CONFIG';
+    error.details = detalhes;
+    return error;
+};
+
+export class SensorConfigService {
+    /**
+     * @param {Object} repository - Repositório de sensores
+     * @param {Map} configCache - Configurações atuais (mac -> config)
+     * @param {Set} secondarySensorsBlocklist - Sensores de porta vinculados (ignorados na ingestão)
+     * @param {SensorService} sensorService - Perfil ULTRA e estado dos sensores
+     */
+    constructor(repository, configCache, secondarySensorsBlocklist, sensorService) {
+        this.repository = repository;
+        this.configCache = configCache;
+        this.secondarySensorsBlocklist = secondarySensorsBlocklist;
+        this.sensorService = sensorService;
+        this.lastLoadAt = null; // Última carga bem-sucedida do banco (readiness)
+    }
+
+    /**
+     * Recarrega o cache a partir do banco (sincronização periódica)
+     */
+    async recarregar() {
+        try {
+            logger.logDebug('CACHE', 'Iniciando atualização de cache de sensores...');
+            const configs = await this.repository.findAllConfigs();
+
+            const novoCache = new Map();
+            configs.forEach(c => {
+                const macFormatted = formatarMac(c.mac);
+                if (macFormatted) novoCache.set(macFormatted, c);
+            });
+
+            const removidos = this.configCache.size - novoCache.size;
+            this.configCache.clear();
+            novoCache.forEach((v, k) => this.configCache.set(k, v));
+            this._reconstruirBlocklist();
+            this.lastLoadAt = Date.now();
+
+            const valores = Array.from(this.configCache.values());
+            logger.logInfo('CACHE', `Cache atualizado: ${this.configCache.size} sensores ativos`, {
+                total: this.configCache.size,
+                ultracongeladores: valores.filter(c => this.sensorService.isUltra(c)).length,
+                em_manutencao: valores.filter(c => c.em_manutencao).length,
+                sensores_secundarios: this.secondarySensorsBlocklist.size,
+                removidos: removidos > 0 ? removidos : 0
+            });
+        } catch (e) {
+            logger.logError('CACHE', 'Erro ao atualizar cache', {
+                error: e.message,
+                stack: e.stack
+            });
+        }
+    }
+
+    /**
+     * Configurações em uso (cache), ordenadas por MAC
+     */
+    listar() {
+        return Array.from(this.configCache.entries())
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([mac, config]) => this._formatar(mac, config));
+    }
+
+    /**
+     * Configuração em uso de um sensor
+     * @returns {Object|null}
+     */
+    obter(mac) {
+        const macFormatado = normalizarMac(mac);
+        const config = macFormatado ? this.configCache.get(macFormatado) : null;
+        return config ? this._formatar(macFormatado, config) : null;
+    }
+
+    /**
+     * Cadastra um sensor
+     * @returns {Promise<Object>} Configuração gravada
+     * @throws {Error} code INVALID_CONFIG (details com os erros) ou CONFIG_EXISTS
+     */
+    async criar(dados) {
+        const mac = normalizarMac(dados?.mac);
+        if (!mac) throw erroValidacao(['mac inválido (esperado 12 dígitos hexadecimais)']);
+
+        const config = this._validar(mac, { ...this._padrao(), ...dados, mac });
+
+        if (await this.repository.findConfigByMac(mac)) {
+            const error = new Error('Sensor já cadastrado');
+            error.code = 'CONFIG_EXISTS';
+            throw error;
+        }
+
+        const gravada = await this.repository.insertConfig(config);
+        this._aplicarNoCache(mac, gravada);
+
+        logger.logInfo('CONFIG', `Sensor cadastrado: ${mac}`, { config: gravada });
+        return this._formatar(mac, gravada);
+    }
+
+    /**
+     * Atualiza a configuração de um sensor (campos ausentes mantêm o valor atual; null limpa)
+     * @returns {Promise<Object|null>} Configuração atualizada ou null se o sensor não existe
+     * @throws {Error} code INVALID_CONFIG
+     */
+    async atualizar(mac, dados) {
+        const macFormatado = normalizarMac(mac);
+        if (!macFormatado) throw erroValidacao(['mac inválido (esperado 12 dígitos hexadecimais)']);
+
+        if (dados?.mac !== undefined && normalizarMac(dados.mac) !== macFormatado) {
+            throw erroValidacao(['mac não pode ser alterado']);
+        }
+
+        const atual = await this.repository.findConfigByMac(macFormatado);
+        if (!atual) return null;
+
+        const { mac: _mac, ...campos } = this._validar(macFormatado, { ...atual, ...dados, mac: macFormatado });
+        const gravada = await this.repository.updateConfig(atual.mac, campos);
+        if (!gravada) return null;
+
+        this._aplicarNoCache(macFormatado, gravada);
+
+        logger.logInfo('CONFIG', `Configuração atualizada: ${macFormatado}`, {
+            alterados: Object.keys(dados || {}).filter(c => c !== 'mac'),
+            config: gravada
+        });
+        return this._formatar(macFormatado, gravada);
+    }
+
+    /**
+     * Remove a configuração de um sensor (as leituras passam a ser rejeitadas como não cadastradas)
+     * @returns {Promise<boolean>} true se o sensor existia
+     */
+    async remover(mac) {
+        const macFormatado = normalizarMac(mac);
+        if (!macFormatado) throw erroValidacao(['mac inválido (esperado 12 dígitos hexadecimais)']);
+
+        const atual = await this.repository.findConfigByMac(macFormatado);
+        if (!atual || !(await this.repository.deleteConfig(atual.mac))) return false;
+
+        this._aplicarNoCache(macFormatado, null);
+        this.sensorService.sensorStates.delete(macFormatado);
+
+        logger.logInfo('CONFIG', `Sensor removido: ${macFormatado}`);
+        return true;
+    }
+
+    /**
+     * Valida e normaliza a configuração completa
+     * @returns {Object} Configuração com apenas as colunas de sensor_configs
+     * @throws {Error} code INVALID_CONFIG
+     */
+    _validar(mac, dados) {
+        const erros = [];
+
+        Object.keys(dados)
+            .filter(campo => !CONFIG_COLUMNS.includes(campo))
+            .forEach(campo => erros.push(`campo desconhecido: ${campo}`));
+
+        const config = { mac };
+
+        CAMPOS_NUMERICOS.forEach(campo => {
+            const valor = dados[campo];
+            if (valor === null || valor === undefined || valor === '') {
+                config[campo] = null;
+            } else if (typeof valor !== 'number' || !Number.isFinite(valor)) {
+                erros.push(`${campo} deve ser numérico ou null`);
+            } else {
+                config[campo] = valor;
+            }
+        });
+
+        [['temp_min', 'temp_max'], ['hum_min', 'hum_max']].forEach(([min, max]) => {
+            if (typeof config[min] === 'number' && typeof config[max] === 'number' && config[min] >= config[max]) {
+                erros.push(`${min} deve ser menor que ${max}`);
+            }
+        });
+
+        ['hum_min', 'hum_max'].forEach(campo => {
+            if (typeof config[campo] === 'number' && (config[campo] < 0 || config[campo] > 100)) {
+                erros.push(`${campo} deve estar entre 0 e 100`);
+            }
+        });
+
+        // Perfil ULTRA (tuning de detecção) é definido por temp_min; os limites devem ser coerentes com ele
+        if (typeof config.temp_max === 'number' && config.temp_max < ULTRA_TEMP_MIN && typeof config.temp_min !== 'number') {
+            erros.push(`temp_max abaixo de ${ULTRA_TEMP_MIN}°C exige temp_min (perfil ULTRA)`);
+        }
+        if (this.sensorService.isUltra(config) && typeof config.temp_max === 'number' && config.temp_max > ULTRA_TEMP_MAX_LIMIT) {
+            erros.push(`perfil ULTRA (temp_min abaixo de ${ULTRA_TEMP_MIN}°C) exige temp_max até ${ULTRA_TEMP_MAX_LIMIT}°C`);
+        }
+
+        const nome = dados.display_name;
+        if (nome === null || nome === undefined || nome === '') {
+            config.display_name = null;
+        } else if (typeof nome !== 'string' || nome.trim().length > MAX_DISPLAY_NAME) {
+            erros.push(`display_name deve ser texto com até ${MAX_DISPLAY_NAME} caracteres`);
+        } else {
+            config.display_name = nome.trim();
+        }
+
+        const porta = dados.sensor_porta_vinculado;
+        if (porta === null || porta === undefined || porta === '') {
+            config.sensor_porta_vinculado = null;
+        } else {
+            config.sensor_porta_vinculado = normalizarMac(porta);
+            if (!config.sensor_porta_vinculado) {
+                erros.push('sensor_porta_vinculado deve ser um MAC válido ou null');
+            } else if (config.sensor_porta_vinculado === mac) {
+                erros.push('sensor_porta_vinculado não pode ser o próprio sensor');
+            }
+        }
+
+        if (dados.em_manutencao === undefined || dados.em_manutencao === null) {
+            config.em_manutencao = false;
+        } else if (typeof dados.em_manutencao !== 'boolean') {
+            erros.push('em_manutencao deve ser booleano');
+        } else {
+            config.em_manutencao = dados.em_manutencao;
+        }
+
+        if (erros.length > 0) throw erroValidacao(erros);
+        return config;
+    }
+
+    _padrao() {
+        return Object.fromEntries(CONFIG_COLUMNS.map(c => [c, null]));
+    }
+
+    _aplicarNoCache(mac, config) {
+        if (config) this.configCache.set(mac, config);
+        else this.configCache.delete(mac);
+        this._reconstruirBlocklist();
+    }
+
+    /**
+     * Sensores de porta vinculados não são processados como sensores de temperatura
+     */
+    _reconstruirBlocklist() {
+        this.secondarySensorsBlocklist.clear();
+        this.configCache.forEach(c => {
+            if (c.sensor_porta_vinculado && c.sensor_porta_vinculado.length > 5) {
+                this.secondarySensorsBlocklist.add(formatarMac(c.sensor_porta_vinculado));
+            }
+        });
+    }
+
+    _formatar(mac, config) {
+        return {
+            ...config,
+            mac,
+            perfil: this.sensorService.isUltra(config) ? 'ULTRA' : 'NORMAL'
+        };
+    }
+}
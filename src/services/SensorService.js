@@ -8,7 +8,7 @@ import { DoorDetectionStrategy } from '../strategies/DoorDetectionStrategy.js';
 import { DefrostDetectionStrategy } from '../strategies/DefrostDetectionStrategy.js';
 import thermalAnalysisService from './ThermalAnalysisService.js';
 import { formatarMac, calcularBateria } from '../utils/formatters.js';
-import { TUNING_NORMAL, TUNING_ULTRA, EXTREME_DEVIATION_C, ALERT_SOAK_TIME_MS, CALL_PERSISTENCE_MS, DOOR_DETECTION, TEMP_MIN_THRESHOLD, TEMP_MAX_THRESHOLD } from '../config/constants.js';
+import { TUNING_NORMAL, TUNING_ULTRA, EXTREME_DEVIATION_C, ALERT_SOAK_TIME_MS, CALL_PERSISTENCE_MS, DOOR_DETECTION, TEMP_MIN_THRESHOLD, TEMP_MAX_THRESHOLD, ULTRA_TEMP_MIN } from '../config/constants.js';
 import moment from 'moment-timezone';
 import { TIMEZONE_CONFIG } from '../config/constants.js';
 import logger from '../utils/logger.js';
@@ -23,15 +23,12 @@ export class SensorService {
 
     /**
      * Processa leitura de sensor
+     * O instante de referência é o da medição (leitura.ts) quando informado pelo dispositivo
+     * @param {boolean} emManutencao - Sensor em manutenção: detecções continuam, alertas são suprimidos
      */
-    verificarSensor(sensorMac, leitura, gatewayMac, config) {
+    verificarSensor(sensorMac, leitura, gatewayMac, config, emManutencao = !!config.em_manutencao) {
         const nome = config.display_name || sensorMac;
-        const now = Date.now();
-
-        // Ignora sensores em manutenção
-        if (config.em_manutencao) {
-            return null;
-        }
+        const now = leitura.ts ?? Date.now();
 
         // Obtém ou cria estado do sensor
         let state = this.sensorStates.get(sensorMac);
@@ -40,12 +37,25 @@ export class SensorService {
             this.sensorStates.set(sensorMac, state);
         }
 
-        // Atualiza leitura
         const val = Number(leitura.temp);
+
+        // Leitura atrasada (fora de ordem): entra no histórico na posição correta,
+        // mas não altera a última leitura nem dispara detecções/alertas
+        if (state.isLateReading(now)) {
+            state.addHistoryPoint(val, now);
+            logger.logDebug('ANALISE', 'Leitura atrasada inserida no histórico', {
+                mac: sensorMac,
+                measured_at: new Date(now).toISOString(),
+                atraso_seg: Math.floor((state.lastReading.ts - now) / 1000)
+            });
+            return { late: true, defrost: null, door: null, alert: null };
+        }
+
+        // Atualiza leitura
         state.updateReading(val, leitura.humidity, now);
 
         // Define perfil (NORMAL vs ULTRA)
-        const isUltra = (config.temp_min && config.temp_min < -15);
+        const isUltra = this.isUltra(config);
         const TUNING = isUltra ? TUNING_ULTRA : TUNING_NORMAL;
 
         // Análise térmica
@@ -53,7 +63,8 @@ export class SensorService {
             sensorMac, 
             val, 
             isUltra, 
-            state.history
+            state.history,
+            now
         );
 
         // Atualiza histórico
@@ -62,19 +73,20 @@ export class SensorService {
         state.cleanHistory(windowStart);
 
         // Detecção de degelo
-        const defrostResult = this._processDefrostDetection(iaStats, TUNING, state, isUltra, val, now, nome);
+        const defrostResult = this._processDefrostDetection(iaStats, TUNING, state, isUltra, val, now, nome, gatewayMac);
 
         // Detecção de porta
         const doorResult = this._processDoorDetection(iaStats, TUNING, state, val, now, nome, gatewayMac, leitura);
 
-        // Processa alertas de temperatura/umidade
-        const alerta = this._processAlerts(iaStats, state, config, val, leitura, isUltra, now, nome);
+        // Processa alertas de temperatura/umidade (não emitidos durante manutenção)
+        const alerta = emManutencao ? null : this._processAlerts(iaStats, state, config, val, leitura, isUltra, now, nome);
 
         // Processa alerta de porta aberta por muito tempo
-        const alertaPorta = this._processDoorOpenAlert(state, now, nome);
+        const alertaPorta = emManutencao ? null : this._processDoorOpenAlert(state, now, nome);
 
         return {
             defrost: defrostResult,
+            defrostLog: defrostResult?.log || null,
             door: doorResult,
             alert: alerta || alertaPorta // Retorna qualquer um dos alertas
         };
@@ -82,8 +94,9 @@ export class SensorService {
 
     /**
      * Processa detecção de degelo
+     * No fim do ciclo, result.log traz o registro para defrost_logs
      */
-    _processDefrostDetection(iaStats, tuning, state, isUltra, tempAtual, now, nome) {
+    _processDefrostDetection(iaStats, tuning, state, isUltra, tempAtual, now, nome, gatewayMac) {
         if (!iaStats.ready) return null;
 
         const result = this.defrostStrategy.detect(iaStats, tuning, state);
@@ -95,6 +108,8 @@ export class SensorService {
                 state.alertControl.defrost_start_temp = tempAtual;
                 state.alertControl.defrost_peak_temp = tempAtual;
                 state.alertControl.defrost_just_started = true;
+                state.alertControl.defrost_start_criteria = result.criteria;
+                state.alertControl.defrost_start_confidence = result.confidence;
 
                 logger.info(`❄️ [DEGELO INICIO] ${nome}`, {
                     criterio: result.criteria,
@@ -110,10 +125,14 @@ export class SensorService {
                     ...result.metrics
                 });
 
+                result.log = this._criarRegistroDegelo(state, tempAtual, now, gatewayMac, result);
+
                 // Limpa dados do ciclo
                 delete state.alertControl.defrost_start_ts;
                 delete state.alertControl.defrost_start_temp;
                 delete state.alertControl.defrost_peak_temp;
+                delete state.alertControl.defrost_start_criteria;
+                delete state.alertControl.defrost_start_confidence;
             }
         } else if (state.alertControl.defrost_just_started) {
             // Remove flag após primeiro ciclo
@@ -123,6 +142,30 @@ export class SensorService {
         return result;
     }
 
+    /**
+     * Monta o registro de um ciclo de degelo concluído (tabela defrost_logs)
+     */
+    _criarRegistroDegelo(state, tempAtual, now, gatewayMac, result) {
+        const ac = state.alertControl;
+        const inicio = ac.defrost_start_ts ?? now;
+
+        return {
+            sensor_mac: state.mac,
+            gateway_mac: gatewayMac || "GW-UNKNOWN",
+            start_ts: new Date(inicio).toISOString(),
+            end_ts: new Date(now).toISOString(),
+            duration_s: Math.round((now - inicio) / 1000),
+            temp_start: ac.defrost_start_temp ?? null,
+            temp_peak: ac.defrost_peak_temp ?? null,
+            temp_end: tempAtual,
+            criteria_start: ac.defrost_start_criteria ?? null,
+            criteria_end: result.criteria,
+            confidence_start: ac.defrost_start_confidence ?? null,
+            confidence_end: result.confidence,
+            ingest_ts: new Date().toISOString()
+        };
+    }
+
     /**
      * Processa detecção de porta
      */
@@ -149,9 +192,10 @@ export class SensorService {
                 is_open: result.newState,
                 gateway_mac: gatewayMac || "GW-UNKNOWN",
                 sensor_mac: state.mac,
-                timestamp_read: new Date().toISOString(),
+                timestamp_read: new Date(now).toISOString(),
+                ingest_ts: new Date().toISOString(),
                 alarm_code: result.newState ? 1 : 0,
-                battery_percent: calcularBateria(leitura.vbatt),
+                battery_percent: leitura.battery_percent ?? calcularBateria(leitura.vbatt),
                 rssi: leitura.rssi
             };
         }
@@ -159,6 +203,27 @@ export class SensorService {
         return null;
     }
 
+    /**
+     * Perfil ULTRA (ultracongelador, mínimo abaixo de -15°C) ou NORMAL
+     */
+    isUltra(config) {
+        return !!(config.temp_min && config.temp_min < ULTRA_TEMP_MIN);
+    }
+
+    /**
+     * Limites de temperatura do sensor no instante informado
+     * Sem limite configurado, usa o padrão (máximo mais tolerante em dias de alto fluxo)
+     * @returns {{ min: number, max: number }}
+     */
+    calcularLimitesTemperatura(config, now) {
+        const diaHoje = moment(now).tz(TIMEZONE_CONFIG).day();
+        const isAltoFluxo = [3, 4].includes(diaHoje);
+        return {
+            max: config.temp_max !== null ? config.temp_max : (isAltoFluxo ? -2.0 : -5.0),
+            min: config.temp_min !== null ? config.temp_min : -30.0
+        };
+    }
+
     /**
      * Processa alertas de temperatura/umidade
      * 
@@ -173,10 +238,7 @@ export class SensorService {
         }
 
         // Limites de temperatura
-        const diaHoje = moment(now).tz(TIMEZONE_CONFIG).day();
-        const isAltoFluxo = [3, 4].includes(diaHoje);
-        const LIMIT_TEMP_MAX = config.temp_max !== null ? config.temp_max : (isAltoFluxo ? -2.0 : -5.0);
-        const LIMIT_TEMP_MIN = config.temp_min !== null ? config.temp_min : -30.0;
+        const { max: LIMIT_TEMP_MAX, min: LIMIT_TEMP_MIN } = this.calcularLimitesTemperatura(config, now);
 
         // Primeiro verifica se está dentro do range válido
         // Range válido: LIMIT_TEMP_MIN <= temp <= LIMIT_TEMP_MAX
@@ -240,6 +302,8 @@ export class SensorService {
 
         if (!mensagemProblema) return null;
 
+        const valorAlerta = tipoAlerta.startsWith('UMID') ? Number(leitura.humidity) : val;
+
         // Gestão de watchlist e soak time
         // Verifica se já existe alerta recente do mesmo tipo para este sensor
         if (this.alertWatchlist) {
@@ -273,6 +337,8 @@ export class SensorService {
             prioridade,
             now,
             {
+                tipo: tipoAlerta,
+                valor: valorAlerta,
                 temp_atual: val,
                 limites: { max: LIMIT_TEMP_MAX, min: LIMIT_TEMP_MIN },
                 status_operacional: state.alertControl.is_defrosting ? "EM_DEGELO" : "NORMAL",
@@ -396,6 +462,58 @@ export class SensorService {
         }
         return state;
     }
+
+    /**
+     * Exporta o estado de todos os sensores, das estratégias de detecção e da watchlist
+     * (histórico da janela de análise, degelo em andamento, confirmações de porta, soak time)
+     */
+    exportarEstado() {
+        return {
+            sensors: this.getAllSensorStates().map(state => state.toSnapshot()),
+            strategies: {
+                door: this.doorStrategy.exportarEstado(),
+                defrost: this.defrostStrategy.exportarEstado()
+            },
+            watchlist: this.alertWatchlist ? Array.from(this.alertWatchlist.entries()) : []
+        };
+    }
+
+    /**
+     * Restaura o estado exportado por exportarEstado()
+     * Sensores sem configuração atual ou que já receberam leituras neste processo são ignorados
+     * (também no histórico das estratégias); entradas da watchlist já expiradas ou já presentes são descartadas
+     * @param {Object} estado - Resultado de exportarEstado()
+     * @param {Map} configs - Configurações atuais (mac -> config)
+     * @returns {{ sensores: number, ignorados: number, watchlist: number }}
+     */
+    restaurarEstado(estado, configs, now = Date.now()) {
+        let sensores = 0;
+        let ignorados = 0;
+        (estado.sensors || []).forEach(snapshot => {
+            const config = configs.get(snapshot.mac);
+            const atual = this.sensorStates.get(snapshot.mac);
+            if (!config || (atual && atual.lastReading.ts > 0)) {
+                ignorados++;
+                return;
+            }
+            this.sensorStates.set(snapshot.mac, SensorState.fromSnapshot(snapshot, config));
+            sensores++;
+        });
+
+        this.doorStrategy.restaurarEstado(estado.strategies?.door);
+        this.defrostStrategy.restaurarEstado(estado.strategies?.defrost);
+
+        let watchlist = 0;
+        if (this.alertWatchlist) {
+            (estado.watchlist || []).forEach(([key, timestamp]) => {
+                if ((now - timestamp) >= ALERT_SOAK_TIME_MS || this.alertWatchlist.has(key)) return;
+                this.alertWatchlist.set(key, timestamp);
+                watchlist++;
+            });
+        }
+
+        return { sensores, ignorados, watchlist };
+    }
 }
 
 // Exporta a classe para permitir instanciação com watchlist
@@ -0,0 +1,142 @@
+/**
+ * Serviço de snapshot do estado em memória dos sensores (warm restart)
+ * Grava periodicamente em disco o estado de cada sensor (janela de análise, degelo em andamento,
+ * confirmações de porta) e a watchlist de alertas, e restaura no boot se o snapshot for recente,
+ * evitando o período cego de MIN_DATA_POINTS leituras e alertas duplicados após cada deploy
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+const SNAPSHOT_VERSION = 1;
+
+export class SnapshotService {
+    /**
+     * @param {SensorService} sensorService
+     * @param {Map} configCache - Configurações atuais (mac -> config)
+     * @param {string} filePath - Arquivo do snapshot
+     * @param {number} maxAgeMs - Idade máxima para restaurar
+     */
+    constructor(sensorService, configCache, filePath, maxAgeMs) {
+        this.sensorService = sensorService;
+        this.configCache = configCache;
+        this.filePath = filePath;
+        this.maxAgeMs = maxAgeMs;
+        this.restauracaoConcluida = false; // Até o boot restaurar, gravar sobrescreveria o snapshot com estado vazio
+        this.stats = {
+            saves: 0,
+            failed_saves: 0,
+            last_saved_at: null,
+            last_save_ms: null,
+            last_size_bytes: null,
+            last_error: null,
+            restored: null
+        };
+    }
+
+    /**
+     * Grava o snapshot (arquivo temporário + rename, nunca deixa um arquivo parcial)
+     */
+    salvar() {
+        if (!this.restauracaoConcluida) return;
+
+        const inicio = Date.now();
+        try {
+            const conteudo = JSON.stringify({
+                version: SNAPSHOT_VERSION,
+                saved_at: new Date(inicio).toISOString(),
+                ...this.sensorService.exportarEstado()
+            });
+
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const temporario = `${this.filePath}.tmp`;
+            fs.writeFileSync(temporario, conteudo);
+            fs.renameSync(temporario, this.filePath);
+
+            this.stats.saves++;
+            this.stats.last_saved_at = new Date(inicio).toISOString();
+            this.stats.last_save_ms = Date.now() - inicio;
+            this.stats.last_size_bytes = Buffer.byteLength(conteudo);
+
+            logger.logDebug('SNAPSHOT', 'Snapshot do estado gravado', {
+                sensores: this.sensorService.sensorStates.size,
+                bytes: this.stats.last_size_bytes,
+                duracao_ms: this.stats.last_save_ms
+            });
+        } catch (e) {
+            this.stats.failed_saves++;
+            this.stats.last_error = e.message;
+            logger.logError('SNAPSHOT', 'Erro ao gravar snapshot do estado', {
+                path: this.filePath,
+                error: e.message
+            });
+        }
+    }
+
+    /**
+     * Restaura o snapshot no boot (deve ser chamado após carregar o cache de configurações)
+     * @returns {boolean} true se o estado foi restaurado
+     */
+    restaurar() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                logger.logInfo('SNAPSHOT', 'Nenhum snapshot encontrado, iniciando com estado vazio');
+                return false;
+            }
+
+            const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const idadeMs = Date.now() - new Date(snapshot.saved_at).getTime();
+
+            if (snapshot.version !== SNAPSHOT_VERSION) {
+                logger.logWarn('SNAPSHOT', 'Snapshot ignorado: versão incompatível', {
+                    versao: snapshot.version,
+                    esperada: SNAPSHOT_VERSION
+                });
+                return false;
+            }
+
+            if (!Number.isFinite(idadeMs) || idadeMs > this.maxAgeMs) {
+                logger.logWarn('SNAPSHOT', 'Snapshot ignorado: muito antigo', {
+                    salvo_em: snapshot.saved_at,
+                    idade_min: Math.floor(idadeMs / 60000),
+                    max_min: Math.floor(this.maxAgeMs / 60000)
+                });
+                return false;
+            }
+
+            const resultado = this.sensorService.restaurarEstado(snapshot, this.configCache);
+            this.stats.restored = {
+                at: new Date().toISOString(),
+                saved_at: snapshot.saved_at,
+                age_s: Math.floor(idadeMs / 1000),
+                sensors: resultado.sensores,
+                skipped_sensors: resultado.ignorados,
+                watchlist: resultado.watchlist
+            };
+
+            logger.logInfo('SNAPSHOT', `Estado restaurado: ${resultado.sensores} sensores`, {
+                salvo_em: snapshot.saved_at,
+                idade_seg: this.stats.restored.age_s,
+                sensores_ignorados: resultado.ignorados,
+                watchlist: resultado.watchlist
+            });
+            return true;
+        } catch (e) {
+            logger.logError('SNAPSHOT', 'Erro ao restaurar snapshot, iniciando com estado vazio', {
+                path: this.filePath,
+                error: e.message
+            });
+            return false;
+        } finally {
+            this.restauracaoConcluida = true;
+        }
+    }
+
+    /**
+     * Métricas para o health report
+     */
+    getStats() {
+        return { path: this.filePath, ...this.stats };
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Serviço de consulta da telemetria persistida de um sensor
+ * Retorna as leituras de telemetry_logs ou, com resolução, uma série reduzida no servidor:
+ * um ponto por intervalo com mínima/média/máxima ponderadas no tempo (mesmo cálculo dos
+ * agregados), para que a série comprimida (swinging door) não distorça as médias
+ */
+
+import { calcularEstatisticas } from './RollupService.js';
+import { ROLLUP_MAX_GAP_MS, TELEMETRY_QUERY_MAX_ROWS, TELEMETRY_MAX_POINTS } from '../config/constants.js';
+
+const UNIDADES_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const RESOLUCAO_MIN_MS = 10 * 1000;
+const RESOLUCAO_MAX_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Converte a resolução da query (ex.: 30s, 5m, 1h, 1d) em milissegundos
+ * @returns {number|null} ms, 0 para leituras brutas (ausente ou 'raw') ou null se inválida
+ */
+export const lerResolucao = (valor) => {
+    if (valor === undefined || valor === '' || valor === 'raw') return 0;
+    const match = /^(\d+)(s|m|h|d)$/.exec(String(valor));
+    if (!match) return null;
+
+    const ms = Number(match[1]) * UNIDADES_MS[match[2]];
+    return ms >= RESOLUCAO_MIN_MS && ms <= RESOLUCAO_MAX_MS ? ms : null;
+};
+
+/**
+ * Primeiro índice com ts >= alvo (pontos ordenados por ts)
+ */
+const primeiroIndice = (pontos, alvo) => {
+    let inicio = 0;
+    let fim = pontos.length;
+    while (inicio < fim) {
+        const meio = (inicio + fim) >> 1;
+        if (pontos[meio].ts < alvo) inicio = meio + 1;
+        else fim = meio;
+    }
+    return inicio;
+};
+
+/**
+ * Pontos do intervalo [inicio, fim) mais um vizinho de cada lado (para a interpolação nas bordas)
+ */
+const vizinhanca = (pontos, inicio, fim) => {
+    return pontos.slice(Math.max(0, primeiroIndice(pontos, inicio) - 1), primeiroIndice(pontos, fim) + 1);
+};
+
+export class TelemetryService {
+    /**
+     * @param {Object} repository - Repositório de sensores
+     */
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * Telemetria do sensor no intervalo [from, to)
+     * @param {string} mac - MAC do sensor
+     * @param {number} from - Início (ms)
+     * @param {number} to - Fim (ms)
+     * @param {Object} opcoes - { resolucaoMs (0 = bruta), limit (leituras brutas) }
+     * @returns {Promise<Object>} { resolution_s, total, truncated, points }
+     * @throws {Error} code TOO_MANY_POINTS se a resolução gera mais de TELEMETRY_MAX_POINTS intervalos
+     */
+    async consultar(mac, from, to, { resolucaoMs = 0, limit = TELEMETRY_MAX_POINTS } = {}) {
+        const iso = ts => new Date(ts).toISOString();
+
+        if (!resolucaoMs) {
+            const linhas = await this.repository.findSensorTelemetry(mac, iso(from), iso(to), limit);
+            return {
+                resolution_s: null,
+                total: linhas.length,
+                truncated: linhas.length >= limit,
+                points: linhas
+            };
+        }
+
+        const inicio = Math.floor(from / resolucaoMs) * resolucaoMs;
+        if ((to - inicio) / resolucaoMs > TELEMETRY_MAX_POINTS) {
+            const error = new Error(`Resolução muito fina para o período (máximo ${TELEMETRY_MAX_POINTS} pontos)`);
+            error.code = 'TOO_MANY_POINTS';
+            throw error;
+        }
+
+        // Margem para interpolar as bordas do período, como nos agregados
+        const linhas = await this.repository.findSensorTelemetry(
+            mac, iso(inicio - ROLLUP_MAX_GAP_MS), iso(to + ROLLUP_MAX_GAP_MS), TELEMETRY_QUERY_MAX_ROWS
+        );
+        const points = this._reduzir(linhas, inicio, to, resolucaoMs);
+
+        return {
+            resolution_s: resolucaoMs / 1000,
+            total: points.length,
+            truncated: linhas.length >= TELEMETRY_QUERY_MAX_ROWS,
+            points
+        };
+    }
+
+    /**
+     * Um ponto por intervalo de resolucaoMs (intervalos sem dados são omitidos)
+     */
+    _reduzir(linhas, inicio, fim, resolucaoMs) {
+        const serie = campo => linhas
+            .filter(l => l[campo] !== null && Number.isFinite(Number(l[campo])))
+            .map(l => ({ ts: new Date(l.ts).getTime(), temp: Number(l[campo]) }));
+        const temperatura = serie('temp');
+        const umidade = serie('hum');
+
+        const pontos = [];
+        for (let intervalo = inicio; intervalo < fim; intervalo += resolucaoMs) {
+            const fimIntervalo = Math.min(intervalo + resolucaoMs, fim);
+            const temp = calcularEstatisticas(vizinhanca(temperatura, intervalo, fimIntervalo), intervalo, fimIntervalo, null);
+            const hum = calcularEstatisticas(vizinhanca(umidade, intervalo, fimIntervalo), intervalo, fimIntervalo, null);
+
+            if (temp.samples === 0 && temp.covered_s === 0 && hum.samples === 0 && hum.covered_s === 0) continue;
+
+            pontos.push({
+                ts: new Date(intervalo).toISOString(),
+                samples: temp.samples,
+                covered_s: temp.covered_s,
+                temp_min: temp.temp_min,
+                temp_avg: temp.temp_avg,
+                temp_max: temp.temp_max,
+                hum_avg: hum.temp_avg
+            });
+        }
+        return pontos;
+    }
+}
@@ -10,9 +10,10 @@ import logger from '../utils/logger.js';
 export class ThermalAnalysisService {
     /**
      * Analisa tendência térmica do sensor
+     * @param {number} ts - Instante da medição (padrão: agora)
      */
-    analisarTendencia(mac, tempAtual, isUltra = false, history) {
-        const now = Date.now();
+    analisarTendencia(mac, tempAtual, isUltra = false, history, ts = Date.now()) {
+        const now = ts;
         const TUNING = isUltra ? TUNING_ULTRA : TUNING_NORMAL;
 
         // Controle de amostragem
@@ -21,7 +21,7 @@ export class DefrostDetectionStrategy extends DetectionStrategy {
         }
 
         const mac = state.mac;
-        const now = Date.now();
+        const now = state.lastReading.ts || Date.now(); // Instante da medição
         const isDefrosting = state.alertControl.is_defrosting;
         const tempAtual = state.lastReading.db_temp;
 
@@ -206,4 +206,18 @@ export class DefrostDetectionStrategy extends DetectionStrategy {
             minTemp: stats.cicloDegelo.minTemp
         };
     }
+
+    /**
+     * Histórico de ciclos de degelo por sensor (snapshot)
+     */
+    exportarEstado() {
+        return Object.fromEntries(this.defrostHistory);
+    }
+
+    // Sensores com histórico já registrado neste processo mantêm o estado ao vivo
+    restaurarEstado(estado) {
+        Object.entries(estado || {}).forEach(([mac, historico]) => {
+            if (!this.defrostHistory.has(mac)) this.defrostHistory.set(mac, historico);
+        });
+    }
 }
@@ -14,4 +14,18 @@ export class DetectionStrategy {
     detect(stats, tuning, state) {
         throw new Error('Método detect deve ser implementado');
     }
+
+    /**
+     * Estado interno da estratégia (por sensor) para snapshot
+     * @returns {Object|null} Objeto serializável em JSON ou null se a estratégia não tem estado
+     */
+    exportarEstado() {
+        return null;
+    }
+
+    /**
+     * Restaura o estado exportado por exportarEstado()
+     */
+    restaurarEstado(estado) {
+    }
 }
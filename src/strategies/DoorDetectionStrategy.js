@@ -21,7 +21,7 @@ export class DoorDetectionStrategy extends DetectionStrategy {
         }
 
         const mac = state.mac;
-        const now = Date.now();
+        const now = state.lastReading.ts || Date.now(); // Instante da medição
         const currentState = state.alertControl.last_virtual_state;
         const tempAtual = state.lastReading.db_temp;
         
@@ -243,4 +243,18 @@ export class DoorDetectionStrategy extends DetectionStrategy {
             }
         }
     }
+
+    /**
+     * Histórico de detecções pendentes de confirmação por sensor (snapshot)
+     */
+    exportarEstado() {
+        return Object.fromEntries(this.doorStateHistory);
+    }
+
+    // Sensores com histórico já registrado neste processo mantêm o estado ao vivo
+    restaurarEstado(estado) {
+        Object.entries(estado || {}).forEach(([mac, historico]) => {
+            if (!this.doorStateHistory.has(mac)) this.doorStateHistory.set(mac, historico);
+        });
+    }
 }
@@ -0,0 +1,264 @@
+/**
+ * Buffer em memória com journal append-only em disco (write-ahead)
+ * Cada registro é gravado no journal antes de entrar no buffer; o journal só é
+ * apagado depois que o lote que o contém é confirmado (commit), de modo que um
+ * crash ou reinício durante uma falha do banco não perde registros
+ *
+ * Layout no diretório do journal:
+ * - <nome>.active.jsonl: segmento recebendo novos registros
+ * - <nome>.<ts>-<seq>.sealed.jsonl: segmentos selados por drain() aguardando commit
+ *
+ * A entrega é at-least-once: um crash entre o insert e o commit reenvia o lote no próximo boot
+ *
+ * Com maxSize, ao exceder o limite o buffer descarta registros até 90% da capacidade
+ * (selecionados por selectEvictions, padrão: os mais antigos) e compacta o journal
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+export class JournaledBuffer {
+    /**
+     * @param {string} name - Nome do buffer (prefixo dos arquivos)
+     * @param {string|null} directory - Diretório do journal (null = somente memória)
+     * @param {Object} options - { fsync: força fsync a cada gravação, maxSize: limite de registros,
+     *                            selectEvictions(items, excesso): Set de registros a descartar }
+     */
+    constructor(name, directory, options = {}) {
+        this.name = name;
+        this.directory = directory;
+        this.fsync = options.fsync || false;
+        this.maxSize = options.maxSize || 0;
+        this.selectEvictions = options.selectEvictions || ((items, excesso) => new Set(items.slice(0, excesso)));
+        this.stats = { evicted: 0, overflow_events: 0, last_eviction: null };
+        this.items = [];
+        this.evictionFloor = 0; // Tamanho a partir do qual a próxima tentativa de descarte é feita
+        this.fd = null;
+        this.sealSeq = 0;
+        this.claimed = new Set(); // Segmentos retidos por um drain() ainda não finalizado
+
+        if (this.directory) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    /**
+     * Primeiro (mais antigo) registro do buffer
+     */
+    peek() {
+        return this.items[0];
+    }
+
+    toArray() {
+        return [...this.items];
+    }
+
+    /**
+     * Grava registros no journal e depois os adiciona ao buffer
+     */
+    push(...records) {
+        if (this.directory && records.length > 0) {
+            const linhas = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+            fs.writeSync(this._activeFd(), linhas);
+            if (this.fsync) fs.fsyncSync(this.fd);
+        }
+        this.items.push(...records);
+        if (this.maxSize && this.items.length > Math.max(this.maxSize, this.evictionFloor)) this._evict();
+        return this.items.length;
+    }
+
+    /**
+     * Retira todos os registros para persistência
+     * O segmento ativo é selado; commit() apaga os segmentos selados e rollback()
+     * devolve os registros (ou apenas os informados) ao início do buffer, mantendo os segmentos em disco
+     * Segmentos já retidos por outro drain em andamento não são incluídos
+     * @returns {{ records: Array, commit: Function, rollback: Function }}
+     */
+    drain() {
+        const records = this.items;
+        this.items = [];
+        this.evictionFloor = 0;
+        const segmentos = this._seal().filter(arquivo => !this.claimed.has(arquivo));
+        segmentos.forEach(arquivo => this.claimed.add(arquivo));
+        let finalizado = false;
+
+        return {
+            records,
+            commit: () => {
+                if (finalizado) return;
+                finalizado = true;
+                segmentos.forEach(arquivo => {
+                    this._unlink(arquivo);
+                    this.claimed.delete(arquivo);
+                });
+            },
+            rollback: (devolver = records) => {
+                if (finalizado) return;
+                finalizado = true;
+                segmentos.forEach(arquivo => this.claimed.delete(arquivo));
+                this.items = devolver.concat(this.items);
+            }
+        };
+    }
+
+    /**
+     * Recarrega no buffer os registros de segmentos deixados por uma execução anterior
+     * @returns {number} Quantidade de registros recuperados
+     */
+    load() {
+        if (!this.directory) return 0;
+
+        const arquivos = this._segmentFiles();
+        const ativo = path.join(this.directory, `${this.name}.active.jsonl`);
+        if (fs.existsSync(ativo)) arquivos.push(ativo);
+
+        let recuperados = 0;
+        let corrompidos = 0;
+        const registros = [];
+
+        arquivos.forEach(arquivo => {
+            fs.readFileSync(arquivo, 'utf8').split('\n').forEach(linha => {
+                if (!linha.trim()) return;
+                try {
+                    registros.push(JSON.parse(linha));
+                    recuperados++;
+                } catch (e) {
+                    // Última linha pode estar truncada se o processo caiu durante a gravação
+                    corrompidos++;
+                }
+            });
+        });
+
+        // O conteúdo do segmento ativo anterior passa a ser selado para não ser reescrito
+        if (fs.existsSync(ativo)) this._seal();
+
+        this.items = registros.concat(this.items);
+        if (this.maxSize && this.items.length > this.maxSize) this._evict();
+
+        if (recuperados > 0 || corrompidos > 0) {
+            logger.logInfo('JOURNAL', `Journal ${this.name}: ${recuperados} registros recuperados`, {
+                buffer: this.name,
+                recuperados,
+                linhas_corrompidas: corrompidos,
+                segmentos: arquivos.length
+            });
+        }
+
+        return recuperados;
+    }
+
+    /**
+     * Informações do journal para o health report
+     */
+    getStats() {
+        return {
+            size: this.items.length,
+            max_size: this.maxSize || null,
+            ...this.stats,
+            journal: this.directory ? {
+                directory: this.directory,
+                sealed_segments: this._segmentFiles().length
+            } : null
+        };
+    }
+
+    /**
+     * Descarta registros até 90% da capacidade e reescreve o journal sem eles
+     * Se a política não liberar espaço suficiente (registros que nunca podem ser
+     * descartados), o buffer permanece acima do limite e a próxima tentativa só ocorre
+     * depois de crescer mais 10% da capacidade (sem reavaliar o buffer a cada push)
+     */
+    _evict() {
+        this.stats.overflow_events++;
+        const excesso = this.items.length - Math.floor(this.maxSize * 0.9);
+        const descartar = this.selectEvictions(this.items, excesso);
+
+        if (descartar.size > 0) {
+            this.items = this.items.filter(r => !descartar.has(r));
+            this.stats.evicted += descartar.size;
+            this.stats.last_eviction = new Date().toISOString();
+            this._compact();
+        }
+
+        this.evictionFloor = this.items.length > this.maxSize ?
+            this.items.length + Math.max(1, Math.floor(this.maxSize * 0.1)) : 0;
+
+        logger.logWarn('JOURNAL', `Buffer ${this.name} excedeu o limite: ${descartar.size} registros descartados`, {
+            buffer: this.name,
+            max_size: this.maxSize,
+            descartados: descartar.size,
+            excesso,
+            size: this.items.length,
+            proxima_tentativa_em: this.evictionFloor || null
+        });
+    }
+
+    /**
+     * Reescreve em um único segmento os registros em memória, removendo os segmentos
+     * antigos não retidos por um drain em andamento (cujos registros estão todos em memória)
+     */
+    _compact() {
+        if (!this.directory) return;
+
+        const antigos = this._seal().filter(arquivo => !this.claimed.has(arquivo));
+        const sufixo = `${Date.now()}-${String(this.sealSeq++).padStart(6, '0')}`;
+        const destino = path.join(this.directory, `${this.name}.${sufixo}.sealed.jsonl`);
+        const temporario = `${destino}.tmp`;
+
+        fs.writeFileSync(temporario, this.items.map(r => JSON.stringify(r) + '\n').join(''));
+        fs.renameSync(temporario, destino);
+        antigos.forEach(arquivo => this._unlink(arquivo));
+    }
+
+    _activeFd() {
+        if (this.fd === null) {
+            this.fd = fs.openSync(path.join(this.directory, `${this.name}.active.jsonl`), 'a');
+        }
+        return this.fd;
+    }
+
+    /**
+     * Sela o segmento ativo e retorna todos os segmentos selados existentes
+     */
+    _seal() {
+        if (!this.directory) return [];
+
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+
+        const ativo = path.join(this.directory, `${this.name}.active.jsonl`);
+        if (fs.existsSync(ativo) && fs.statSync(ativo).size > 0) {
+            const sufixo = `${Date.now()}-${String(this.sealSeq++).padStart(6, '0')}`;
+            fs.renameSync(ativo, path.join(this.directory, `${this.name}.${sufixo}.sealed.jsonl`));
+        }
+
+        return this._segmentFiles();
+    }
+
+    _segmentFiles() {
+        return fs.readdirSync(this.directory)
+            .filter(f => f.startsWith(`${this.name}.`) && f.endsWith('.sealed.jsonl'))
+            .sort()
+            .map(f => path.join(this.directory, f));
+    }
+
+    _unlink(arquivo) {
+        try {
+            fs.unlinkSync(arquivo);
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                logger.logError('JOURNAL', 'Erro ao remover segmento do journal', {
+                    arquivo,
+                    error: e.message
+                });
+            }
+        }
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * Parser de anúncios BLE (advertising data em hexadecimal)
+ * Decodifica os frames de sensores usados em campo para os campos esperados
+ * por verificarSensor (temp, humidity, vbatt)
+ *
+ * Frames suportados:
+ * - Minew HT (service data 0xFFE1, frame 0xA1/0x01): bateria %, temperatura e umidade
+ * - Environmental Sensing (service data 0x181A): formatos ATC1441 e pvvx dos termo-higrômetros
+ * - Eddystone-TLM (service data 0xFEAA, frame 0x20): bateria (mV), temperatura e contadores
+ * - iBeacon (manufacturer data 0x004C, 0x02 0x15): UUID, major, minor e potência de TX
+ */
+
+const AD_TYPE_SERVICE_DATA_16 = 0x16;
+const AD_TYPE_MANUFACTURER_DATA = 0xFF;
+
+const UUID_EDDYSTONE = 0xFEAA;
+const UUID_MINEW = 0xFFE1;
+const UUID_ENVIRONMENTAL_SENSING = 0x181A;
+const COMPANY_APPLE = 0x004C;
+
+/**
+ * Converte string hexadecimal em Buffer (aceita prefixo 0x, espaços e separadores)
+ */
+const hexParaBuffer = (hex) => {
+    if (!hex || typeof hex !== 'string') return null;
+    const limpo = hex.replace(/^0x/i, '').replace(/[^0-9a-f]/gi, '');
+    if (limpo.length === 0 || limpo.length % 2 !== 0) return null;
+    return Buffer.from(limpo, 'hex');
+};
+
+/**
+ * Separa o advertising data em estruturas AD { type, data }
+ */
+export const separarEstruturasAD = (buffer) => {
+    const estruturas = [];
+    let i = 0;
+    while (i < buffer.length) {
+        const len = buffer[i];
+        if (len === 0 || i + 1 + len > buffer.length) break;
+        estruturas.push({
+            type: buffer[i + 1],
+            data: buffer.subarray(i + 2, i + 1 + len)
+        });
+        i += 1 + len;
+    }
+    return estruturas;
+};
+
+/**
+ * Minew HT: [0xA1][0x01][bateria %][temp int8.8][umid uint8.8][MAC invertido]
+ */
+const decodificarMinew = (data) => {
+    if (data.length < 7 || data[0] !== 0xA1 || data[1] !== 0x01) return null;
+    return {
+        frame: 'MINEW_HT',
+        battery_percent: data[2],
+        temp: Number((data.readInt16BE(3) / 256).toFixed(2)),
+        humidity: Number((data.readUInt16BE(5) / 256).toFixed(2))
+    };
+};
+
+/**
+ * Environmental Sensing (0x181A)
+ * ATC1441 (13 bytes): [MAC 6][temp int16 BE 0,1°C][umid %][bateria %][bateria mV BE][contador]
+ * pvvx (15 bytes): [MAC 6 LE][temp int16 LE 0,01°C][umid uint16 LE 0,01%][bateria mV LE][bateria %][contador][flags]
+ */
+const decodificarEnvironmentalSensing = (data) => {
+    if (data.length === 13) {
+        return {
+            frame: 'ATC1441',
+            temp: data.readInt16BE(6) / 10,
+            humidity: data[8],
+            battery_percent: data[9],
+            vbatt: data.readUInt16BE(10)
+        };
+    }
+    if (data.length === 15) {
+        return {
+            frame: 'PVVX',
+            temp: data.readInt16LE(6) / 100,
+            humidity: data.readUInt16LE(8) / 100,
+            vbatt: data.readUInt16LE(10),
+            battery_percent: data[12]
+        };
+    }
+    return null;
+};
+
+/**
+ * Eddystone-TLM não criptografado:
+ * [0x20][versão 0x00][bateria mV BE][temp int8.8 BE][contador de anúncios u32][tempo ligado u32 em 0,1s]
+ */
+const decodificarEddystoneTlm = (data) => {
+    if (data.length < 14 || data[0] !== 0x20 || data[1] !== 0x00) return null;
+    const vbatt = data.readUInt16BE(2);
+    const tempRaw = data.readInt16BE(4);
+    return {
+        frame: 'EDDYSTONE_TLM',
+        vbatt: vbatt > 0 ? vbatt : undefined,
+        // 0x8000 indica temperatura não suportada
+        temp: tempRaw === -0x8000 ? undefined : Number((tempRaw / 256).toFixed(2)),
+        tlm: {
+            adv_count: data.readUInt32BE(6),
+            uptime_s: Math.floor(data.readUInt32BE(10) / 10)
+        }
+    };
+};
+
+/**
+ * iBeacon: [0x4C 0x00][0x02][0x15][UUID 16][major BE][minor BE][tx power int8]
+ */
+const decodificarIBeacon = (data) => {
+    if (data.length < 25 || data.readUInt16LE(0) !== COMPANY_APPLE ||
+        data[2] !== 0x02 || data[3] !== 0x15) return null;
+    const uuid = data.subarray(4, 20).toString('hex').toUpperCase()
+        .replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    return {
+        frame: 'IBEACON',
+        ibeacon: {
+            uuid,
+            major: data.readUInt16BE(20),
+            minor: data.readUInt16BE(22),
+            tx_power: data.readInt8(24)
+        }
+    };
+};
+
+/**
+ * Decodifica advertising data em hexadecimal
+ * @param {string} hex - Advertising data bruto (rawData)
+ * @returns {Object|null} Campos decodificados ({ temp, humidity, vbatt, battery_percent, ibeacon, tlm, frames })
+ *                        ou null se nenhum frame conhecido foi encontrado
+ */
+export const decodificarAnuncioBle = (hex) => {
+    const buffer = hexParaBuffer(hex);
+    if (!buffer) return null;
+
+    const resultado = { frames: [] };
+
+    separarEstruturasAD(buffer).forEach(({ type, data }) => {
+        let frame = null;
+
+        if (type === AD_TYPE_SERVICE_DATA_16 && data.length >= 2) {
+            const uuid = data.readUInt16LE(0);
+            const payload = data.subarray(2);
+            if (uuid === UUID_MINEW) frame = decodificarMinew(payload);
+            else if (uuid === UUID_ENVIRONMENTAL_SENSING) frame = decodificarEnvironmentalSensing(payload);
+            else if (uuid === UUID_EDDYSTONE) frame = decodificarEddystoneTlm(payload);
+        } else if (type === AD_TYPE_MANUFACTURER_DATA) {
+            frame = decodificarIBeacon(data);
+        }
+
+        if (!frame) return;
+
+        const { frame: nome, ...campos } = frame;
+        resultado.frames.push(nome);
+        // O primeiro frame que informa um campo prevalece
+        Object.entries(campos).forEach(([campo, valor]) => {
+            if (valor !== undefined && resultado[campo] === undefined) {
+                resultado[campo] = valor;
+            }
+        });
+    });
+
+    return resultado.frames.length > 0 ? resultado : null;
+};
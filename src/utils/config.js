@@ -0,0 +1,26 @@
+/**
+ * Utilitários de configuração
+ * Leitura de configurações estruturadas (JSON) vindas de variáveis de ambiente
+ */
+
+import fs from 'fs';
+
+/**
+ * Lê configuração JSON de uma variável de ambiente
+ * O valor pode ser o próprio JSON ou o caminho de um arquivo .json
+ * @param {string} valor - Conteúdo da variável de ambiente
+ * @param {*} padrao - Valor usado quando a variável não está definida
+ */
+export const lerConfigJson = (valor, padrao) => {
+    if (!valor || !valor.trim()) return padrao;
+
+    const texto = valor.trim();
+    const conteudo = (texto.startsWith('[') || texto.startsWith('{')) ?
+        texto : fs.readFileSync(texto, 'utf8');
+
+    try {
+        return JSON.parse(conteudo);
+    } catch (e) {
+        throw new Error(`Configuração JSON inválida (${texto.substring(0, 50)}): ${e.message}`);
+    }
+};
@@ -28,3 +28,24 @@ export const formatarTempoDecorrido = (ms) => {
     if (ms < 3600000) return `${Math.floor(ms / 60000)}min`;
     return `${Math.floor(ms / 3600000)}h ${Math.floor((ms % 3600000) / 60000)}min`;
 };
+
+/**
+ * Converte timestamp informado pelo dispositivo/gateway em milissegundos (epoch)
+ * Aceita epoch em segundos ou milissegundos e strings ISO 8601 ("YYYY-MM-DD HH:mm:ss" sem fuso é tratado como UTC)
+ * @returns {number|null} Timestamp em ms ou null se ausente/inválido
+ */
+export const converterTimestamp = (valor) => {
+    if (valor === undefined || valor === null || valor === '') return null;
+
+    if (typeof valor === 'number' || /^\d+(\.\d+)?$/.test(String(valor))) {
+        const numero = Number(valor);
+        if (!Number.isFinite(numero) || numero <= 0) return null;
+        // Valores abaixo de 1e12 estão em segundos
+        return Math.round(numero < 1e12 ? numero * 1000 : numero);
+    }
+
+    let texto = String(valor).trim().replace(' ', 'T');
+    if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(texto)) texto += 'Z';
+    const ms = Date.parse(texto);
+    return Number.isFinite(ms) ? ms : null;
+};
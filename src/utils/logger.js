@@ -15,6 +15,7 @@ class Logger {
 
         this.logger = winston.createLogger({
             level: process.env.LOG_LEVEL || 'debug',
+            silent: process.env.LOG_LEVEL === 'silent', // Ex.: npm test
             format: winston.format.combine(
                 winston.format.timestamp({ 
                     format: () => moment().tz(TIMEZONE_CONFIG).format('HH:mm:ss') 
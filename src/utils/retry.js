@@ -0,0 +1,22 @@
+/**
+ * Utilitários de retentativa
+ * Backoff exponencial com jitter para operações de rede/banco
+ */
+
+/**
+ * Calcula o atraso antes da próxima tentativa
+ * Usa "equal jitter": metade fixa do backoff exponencial mais uma parte aleatória de até
+ * a outra metade (atraso entre metade e o total), evitando que várias instâncias retentem em sincronia
+ * @param {number} tentativa - Número da tentativa que falhou (1 = primeira)
+ * @param {number} baseMs - Atraso base
+ * @param {number} maxMs - Atraso máximo
+ */
+export const calcularBackoff = (tentativa, baseMs, maxMs) => {
+    const exponencial = Math.min(maxMs, baseMs * 2 ** Math.max(0, tentativa - 1));
+    return Math.round(exponencial / 2 + Math.random() * exponencial / 2);
+};
+
+/**
+ * Aguarda o tempo informado
+ */
+export const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,117 @@
+/**
+ * Compressão swinging door trending (SDT) para persistência de telemetria
+ *
+ * A partir do último ponto arquivado, mantém duas "portas" (retas pivotando em valor ± desvio):
+ * as inclinações entre elas são as que passam a no máximo desvio de todos os pontos recebidos.
+ * Enquanto a reta do último arquivado até o novo ponto estiver entre as portas, ele fica retido;
+ * caso contrário, o ponto retido anterior é arquivado e vira o novo pivô. Assim a reta entre dois
+ * pontos arquivados reconstrói todos os pontos intermediários com erro ≤ desvio. Várias grandezas
+ * (temp, hum) são avaliadas juntas: basta uma violar para arquivar.
+ *
+ * O estado é um objeto simples (serializável em JSON) guardado em SensorState.compression
+ * Pontos: { ts, values: { temp, hum }, row } — row é o registro a persistir
+ */
+
+/**
+ * Cria o estado de compressão de um sensor
+ */
+export const criarEstadoCompressao = () => ({
+    archived: null, // { ts, values } do último ponto persistido
+    held: null,     // Último ponto recebido ainda não persistido
+    slopes: {},     // grandeza -> { upper, lower } (inclinação das portas)
+    excursion: false // Último ponto fora dos limites (mantido pela ingestão para detectar cruzamentos)
+});
+
+/**
+ * Avalia um novo ponto
+ * @param {Object} estado - Estado de compressão do sensor
+ * @param {Object} ponto - { ts, values, row }
+ * @param {Object} desvios - Desvio máximo por grandeza, ex.: { temp: 0.2, hum: 2 }
+ * @param {number} maxIntervaloMs - Intervalo máximo entre pontos persistidos (heartbeat)
+ * @returns {Array<{row, motivo}>} Pontos a persistir (motivo: CHANGE ou HEARTBEAT)
+ */
+export const avaliarPonto = (estado, ponto, desvios, maxIntervaloMs) => {
+    if (!estado.archived) {
+        return [arquivar(estado, ponto, 'HEARTBEAT')];
+    }
+    if (ponto.ts <= estado.archived.ts) return [];
+
+    const saida = [];
+    let slopes = calcularPortas(estado, ponto, desvios);
+
+    if (estado.held && violaPortas(slopes, estado, ponto)) {
+        saida.push(arquivar(estado, estado.held, 'CHANGE'));
+        slopes = calcularPortas(estado, ponto, desvios);
+    }
+
+    if (ponto.ts - estado.archived.ts >= maxIntervaloMs) {
+        saida.push(arquivar(estado, ponto, 'HEARTBEAT'));
+        return saida;
+    }
+
+    estado.slopes = slopes;
+    estado.held = ponto;
+    return saida;
+};
+
+/**
+ * Força a persistência do ponto (transições de alerta, porta, degelo)
+ * O ponto retido é persistido antes, fechando o segmento anterior dentro do erro garantido
+ * @returns {Array<{row, motivo}>}
+ */
+export const forcarPonto = (estado, ponto, motivo = 'TRANSITION') => {
+    const saida = liberarPendente(estado);
+    if (!estado.archived || ponto.ts >= estado.archived.ts) {
+        saida.push(arquivar(estado, ponto, motivo));
+    }
+    return saida;
+};
+
+/**
+ * Persiste o ponto retido, se houver (ex.: no shutdown)
+ * @returns {Array<{row, motivo}>}
+ */
+export const liberarPendente = (estado) => {
+    return estado.held ? [arquivar(estado, estado.held, 'CHANGE')] : [];
+};
+
+const arquivar = (estado, ponto, motivo) => {
+    estado.archived = { ts: ponto.ts, values: ponto.values };
+    estado.held = null;
+    estado.slopes = {};
+    return { row: ponto.row, motivo };
+};
+
+/**
+ * Inclinações das portas incluindo o novo ponto, relativas ao último arquivado
+ */
+const calcularPortas = (estado, ponto, desvios) => {
+    const { archived } = estado;
+    const dt = ponto.ts - archived.ts;
+    const slopes = {};
+
+    Object.entries(desvios).forEach(([grandeza, desvio]) => {
+        const valor = ponto.values[grandeza];
+        const base = archived.values[grandeza];
+        if (!Number.isFinite(valor) || !Number.isFinite(base)) return;
+
+        const anterior = estado.slopes[grandeza] || { upper: -Infinity, lower: Infinity };
+        slopes[grandeza] = {
+            upper: Math.max(anterior.upper, (valor - (base + desvio)) / dt),
+            lower: Math.min(anterior.lower, (valor - (base - desvio)) / dt)
+        };
+    });
+
+    return slopes;
+};
+
+/**
+ * A reta do último arquivado até o ponto sai de alguma porta
+ */
+const violaPortas = (slopes, estado, ponto) => {
+    const dt = ponto.ts - estado.archived.ts;
+    return Object.entries(slopes).some(([grandeza, { upper, lower }]) => {
+        const inclinacao = (ponto.values[grandeza] - estado.archived.values[grandeza]) / dt;
+        return inclinacao > lower || inclinacao < upper;
+    });
+};
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertController } from '../../src/controllers/AlertController.js';
+import { AlertService, ALERT_STATUS } from '../../src/services/AlertService.js';
+
+const respostaFake = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+const alertaAberto = (persistidos = []) => {
+    const repository = { findAlertLogById: async (id) => persistidos.find(a => a.id === id) ?? null };
+    const service = new AlertService(null, repository, null);
+    const registro = service.registrar({
+        sensor_mac: 'AA:AA:AA:AA:AA:AA',
+        sensor_nome: 'Câmara 1',
+        prioridade: 'ALTA',
+        dados_contexto: { tipo: 'TEMP_ALTA' },
+        mensagens: ['Temperatura acima do limite']
+    });
+    return { service, id: registro.id };
+};
+
+const reconhecer = async (controller, id, body, auth) => {
+    const res = respostaFake();
+    await controller.acknowledgeAlert({ params: { id }, body, auth }, res);
+    return res;
+};
+
+test('com autenticação ativa o reconhecimento é do chamador e a observação é guardada à parte', async () => {
+    const { service, id } = alertaAberto();
+    const controller = new AlertController(service, { enabled: true });
+
+    const res = await reconhecer(controller, id, { note: '  em nome do turno B ' }, { actor: 'maria' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, ALERT_STATUS.ACKNOWLEDGED);
+    assert.equal(res.body.acknowledged_by, 'maria');
+    assert.equal(res.body.acknowledged_note, 'em nome do turno B');
+});
+
+test('com autenticação ativa by no corpo é rejeitado sem reconhecer o alerta', async () => {
+    const { service, id } = alertaAberto();
+    const controller = new AlertController(service, { enabled: true });
+
+    const res = await reconhecer(controller, id, { by: 'outra pessoa' }, { actor: 'maria' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.status, 'ERROR');
+    assert.equal((await service.get(id)).status, ALERT_STATUS.OPEN);
+});
+
+test('sem autenticação by identifica quem reconheceu', async () => {
+    const { service, id } = alertaAberto();
+    const controller = new AlertController(service, { enabled: false });
+
+    const res = await reconhecer(controller, id, { by: 'operador' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.acknowledged_by, 'operador');
+    assert.equal(res.body.acknowledged_note, null);
+});
+
+test('observação que não é texto ou é longa demais retorna 400', async () => {
+    const { service, id } = alertaAberto();
+    const controller = new AlertController(service, { enabled: true });
+
+    assert.equal((await reconhecer(controller, id, { note: 42 }, { actor: 'maria' })).statusCode, 400);
+    assert.equal((await reconhecer(controller, id, { note: 'x'.repeat(501) }, { actor: 'maria' })).statusCode, 400);
+});
+
+test('alerta inexistente retorna 404 e resolvido retorna 409', async () => {
+    const resolvido = { id: 'resolvido', status: ALERT_STATUS.RESOLVED };
+    const { service } = alertaAberto([resolvido]);
+    const controller = new AlertController(service, { enabled: true });
+
+    assert.equal((await reconhecer(controller, 'inexistente', {}, { actor: 'maria' })).statusCode, 404);
+    assert.equal((await reconhecer(controller, 'resolvido', {}, { actor: 'maria' })).statusCode, 409);
+});
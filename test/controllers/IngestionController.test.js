@@ -0,0 +1,132 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { IngestionController } from '../../src/controllers/IngestionController.js';
+import { IngestionService } from '../../src/services/IngestionService.js';
+import { DeadLetterService } from '../../src/services/DeadLetterService.js';
+import { SensorService } from '../../src/services/SensorService.js';
+import { tratarErroCorpo } from '../../src/middlewares/bodyErrors.js';
+import { JournaledBuffer } from '../../src/utils/JournaledBuffer.js';
+
+const GATEWAY_A = 'AABBCCDDEEFF';
+const GATEWAY_B = 'AABBCCDDEE00';
+const SENSOR = '112233445566';
+const MAC = '11:22:33:44:55:66';
+
+const deadLetter = new DeadLetterService(100);
+const ingestionService = new IngestionService(
+    new SensorService(new Map()),
+    new Map([[MAC, { mac: MAC, display_name: 'Câmara 1', temp_max: -5, temp_min: -30 }]]),
+    new Set(),
+    new Map(),
+    {
+        telemetry: new JournaledBuffer('telemetry', null),
+        door: new JournaledBuffer('door', null),
+        defrost: new JournaledBuffer('defrost', null),
+        alerts: new JournaledBuffer('alerts', null)
+    },
+    deadLetter
+);
+const controller = new IngestionController(ingestionService, deadLetter);
+const liberar = (req, res, next) => next();
+
+const app = express();
+app.use(express.json({ limit: '300b' }));
+app.post('/ingest', liberar, (req, res) => controller.postIngest(req, res));
+app.post('/outra', liberar, (req, res) => res.json({ ok: true }));
+app.use(tratarErroCorpo(ingestionService, liberar));
+
+const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+});
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => {
+    ingestionService.flushPending();
+    return new Promise(resolve => server.close(resolve));
+});
+
+const postar = async (caminho, corpo) => {
+    const res = await fetch(`${base}${caminho}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof corpo === 'string' ? corpo : JSON.stringify(corpo)
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+test('POST /ingest responde 202 com as leituras aceitas e rejeitadas', async () => {
+    const { status, body } = await postar('/ingest', {
+        gmac: GATEWAY_A,
+        obj: [
+            { dmac: SENSOR, temp: -18, rssi: -60 },
+            { dmac: '999999999999', temp: -18 },
+            { dmac: SENSOR, temp: -18, ts: Date.now() - 24 * 60 * 60 * 1000 }
+        ]
+    });
+
+    assert.equal(status, 202);
+    assert.deepEqual(body, {
+        status: 'ACCEPTED',
+        items: 1,
+        sensores_aceitos: 1,
+        sensores_rejeitados: 2,
+        gateways: ['AA:BB:CC:DD:EE:FF']
+    });
+    assert.deepEqual(deadLetter.list({ sensor: '99:99:99:99:99:99' }).map(e => e.reason), ['UNKNOWN_SENSOR']);
+    assert.equal(deadLetter.list({ reason: 'STALE_READING' }).length, 1);
+});
+
+test('cópias da mesma amostra por outro gateway contam como aceitas e são consolidadas depois', async () => {
+    ingestionService.flushPending();
+    const antes = ingestionService.deduplicator.getStats();
+
+    const { body } = await postar('/ingest', [
+        { gmac: GATEWAY_A, obj: [{ dmac: SENSOR, temp: -17, rssi: -70 }] },
+        { gmac: GATEWAY_B, obj: [{ dmac: SENSOR, temp: -17, rssi: -50 }] }
+    ]);
+    ingestionService.flushPending();
+
+    assert.equal(body.sensores_aceitos, 2);
+    const depois = ingestionService.deduplicator.getStats();
+    assert.equal(depois.emitted - antes.emitted, 1);
+    assert.equal(depois.duplicates - antes.duplicates, 1);
+});
+
+test('decodificador desconhecido retorna 400 com o motivo', async () => {
+    const { status, body } = await postar('/ingest?decoder=inexistente', { gmac: GATEWAY_A, obj: [] });
+
+    assert.equal(status, 400);
+    assert.equal(body.reason, 'UNKNOWN_DECODER');
+});
+
+test('corpo inválido em POST /ingest retorna 400 em JSON e vai ao dead-letter', async () => {
+    const { status, body } = await postar('/ingest', '{"gmac": "AABB", "obj": [');
+
+    assert.equal(status, 400);
+    assert.equal(body.status, 'ERROR');
+    assert.equal(body.message, 'Corpo da requisição não é um JSON válido');
+    const [rejeitada] = deadLetter.list({ reason: 'PARSE_ERROR' });
+    assert.equal(rejeitada.payload, '{"gmac": "AABB", "obj": [');
+    assert.equal(rejeitada.payload_format, 'raw');
+});
+
+test('corpo acima do limite retorna 413 sem entrar no dead-letter', async () => {
+    const antes = deadLetter.getStats().size;
+
+    const { status, body } = await postar('/ingest', { gmac: GATEWAY_A, obj: [], preenchimento: 'x'.repeat(500) });
+
+    assert.equal(status, 413);
+    assert.equal(body.status, 'ERROR');
+    assert.equal(deadLetter.getStats().size, antes);
+});
+
+test('corpo inválido em outras rotas retorna 400 sem registrar rejeição de ingestão', async () => {
+    const antes = deadLetter.getStats().total_rejected.PARSE_ERROR;
+
+    const { status, body } = await postar('/outra', '{quebrado');
+
+    assert.equal(status, 400);
+    assert.equal(body.status, 'ERROR');
+    assert.equal(deadLetter.getStats().total_rejected.PARSE_ERROR, antes);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MaintenanceController } from '../../src/controllers/MaintenanceController.js';
+
+const respostaFake = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+// Serviço que devolve a janela recebida, para verificar o que o controller repassou
+const servicoFake = () => ({
+    criadas: [],
+    async criar(dados) {
+        this.criadas.push(dados);
+        return { id: 'w1', ...dados };
+    }
+});
+
+const JANELA = {
+    sensor_mac: '112233445566',
+    starts_at: '2026-01-01T02:00:00.000Z',
+    ends_at: '2026-01-01T04:00:00.000Z',
+    reason: 'Troca do compressor'
+};
+
+const criar = async (service, body, auth) => {
+    const res = respostaFake();
+    await new MaintenanceController(service).createWindow({ body, auth }, res);
+    return res;
+};
+
+test('com chamador autenticado a janela é registrada em nome dele', async () => {
+    const service = servicoFake();
+
+    const res = await criar(service, JANELA, { actor: 'maria' });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(service.criadas[0].created_by, 'maria');
+});
+
+test('created_by diferente do chamador autenticado retorna 400 sem criar a janela', async () => {
+    const service = servicoFake();
+
+    const res = await criar(service, { ...JANELA, created_by: 'outra pessoa' }, { actor: 'maria' });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.status, 'ERROR');
+    assert.equal(service.criadas.length, 0);
+});
+
+test('created_by igual ao chamador autenticado é aceito', async () => {
+    const service = servicoFake();
+
+    const res = await criar(service, { ...JANELA, created_by: 'maria' }, { actor: 'maria' });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(service.criadas[0].created_by, 'maria');
+});
+
+test('sem autenticação created_by vem do corpo', async () => {
+    const service = servicoFake();
+
+    const res = await criar(service, { ...JANELA, created_by: 'operador' });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(service.criadas[0].created_by, 'operador');
+});
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SensorConfigController } from '../../src/controllers/SensorConfigController.js';
+import { SensorConfigService, normalizarMac } from '../../src/services/SensorConfigService.js';
+import { SensorService } from '../../src/services/SensorService.js';
+import { SqliteSensorRepository } from '../../src/repositories/SqliteSensorRepository.js';
+
+const respostaFake = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+});
+
+// Cache e blocklist como no index.js: o service os altera no lugar
+const montar = (seed = []) => {
+    const configCache = new Map();
+    const blocklist = new Set();
+    const sensorService = new SensorService(new Map());
+    const repository = new SqliteSensorRepository(':memory:', seed);
+    const service = new SensorConfigService(repository, configCache, blocklist, sensorService);
+    return { service, controller: new SensorConfigController(service), configCache, blocklist, sensorService, repository };
+};
+
+const chamar = async (controller, handler, req) => {
+    const res = respostaFake();
+    await controller[handler]({ params: {}, body: {}, ...req }, res);
+    return res;
+};
+
+test('normalizarMac aceita separadores e caixa variados e recusa tamanhos inválidos', () => {
+    assert.equal(normalizarMac('aabbccddeeff'), 'AA:BB:CC:DD:EE:FF');
+    assert.equal(normalizarMac('aa-bb-cc-dd-ee-ff'), 'AA:BB:CC:DD:EE:FF');
+    assert.equal(normalizarMac('AA:BB:CC:DD:EE:FF'), 'AA:BB:CC:DD:EE:FF');
+    assert.equal(normalizarMac('AABBCCDDEE'), null);
+    assert.equal(normalizarMac('ZZBBCCDDEEFF'), null);
+    assert.equal(normalizarMac(42), null);
+});
+
+test('POST /sensors cadastra com MAC normalizado e aplica no cache sem recarregar', async () => {
+    const { controller, configCache } = montar();
+
+    const res = await chamar(controller, 'createConfig', {
+        body: { mac: 'aa-bb-cc-dd-ee-ff', display_name: ' Câmara 1 ', temp_max: -5, temp_min: -25 }
+    });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.mac, 'AA:BB:CC:DD:EE:FF');
+    assert.equal(res.body.display_name, 'Câmara 1');
+    assert.equal(res.body.perfil, 'ULTRA');
+    assert.equal(configCache.get('AA:BB:CC:DD:EE:FF').temp_max, -5);
+});
+
+test('temp_min e hum_min devem ser menores que os máximos', async () => {
+    const { controller, configCache } = montar();
+
+    const res = await chamar(controller, 'createConfig', {
+        body: { mac: 'AABBCCDDEEFF', temp_max: -20, temp_min: -10, hum_max: 40, hum_min: 40 }
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.ok(res.body.errors.includes('temp_min deve ser menor que temp_max'));
+    assert.ok(res.body.errors.includes('hum_min deve ser menor que hum_max'));
+    assert.equal(configCache.size, 0);
+});
+
+test('limites coerentes com o perfil ULTRA', async () => {
+    const { controller } = montar();
+
+    const semMinimo = await chamar(controller, 'createConfig', { body: { mac: 'AABBCCDDEEFF', temp_max: -18 } });
+    const ultraQuente = await chamar(controller, 'createConfig', { body: { mac: 'AABBCCDDEEFF', temp_max: 5, temp_min: -30 } });
+    const normal = await chamar(controller, 'createConfig', { body: { mac: 'AABBCCDDEEFF', temp_max: 8, temp_min: 2 } });
+
+    assert.equal(semMinimo.statusCode, 400);
+    assert.match(semMinimo.body.errors[0], /exige temp_min/);
+    assert.equal(ultraQuente.statusCode, 400);
+    assert.match(ultraQuente.body.errors[0], /perfil ULTRA/);
+    assert.equal(normal.statusCode, 201);
+    assert.equal(normal.body.perfil, 'NORMAL');
+});
+
+test('campos desconhecidos, MAC inválido e tipos errados retornam 400 com a lista de erros', async () => {
+    const { controller } = montar();
+
+    const macInvalido = await chamar(controller, 'createConfig', { body: { mac: 'xyz' } });
+    const campos = await chamar(controller, 'createConfig', {
+        body: { mac: 'AABBCCDDEEFF', temp_max: '5', cor: 'azul', em_manutencao: 'sim' }
+    });
+
+    assert.equal(macInvalido.statusCode, 400);
+    assert.deepEqual(campos.body.errors.sort(), [
+        'campo desconhecido: cor',
+        'em_manutencao deve ser booleano',
+        'temp_max deve ser numérico ou null'
+    ]);
+});
+
+test('sensor já cadastrado (com outro formato de MAC) retorna 409', async () => {
+    const { controller } = montar([{ mac: 'AABBCCDDEEFF', display_name: 'Seed', temp_max: -5, temp_min: -30 }]);
+
+    const res = await chamar(controller, 'createConfig', { body: { mac: 'aa:bb:cc:dd:ee:ff', temp_max: 8, temp_min: 2 } });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.status, 'CONFLICT');
+});
+
+test('PUT atualiza a blocklist de sensores de porta vinculados na hora', async () => {
+    const { controller, blocklist, configCache } = montar();
+    await chamar(controller, 'createConfig', { body: { mac: 'AABBCCDDEEFF', temp_max: 8, temp_min: 2 } });
+
+    const res = await chamar(controller, 'updateConfig', {
+        params: { mac: 'aabbccddeeff' },
+        body: { sensor_porta_vinculado: '11-22-33-44-55-66' }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.temp_max, 8);
+    assert.deepEqual([...blocklist], ['11:22:33:44:55:66']);
+    assert.equal(configCache.get('AA:BB:CC:DD:EE:FF').sensor_porta_vinculado, '11:22:33:44:55:66');
+
+    await chamar(controller, 'updateConfig', { params: { mac: 'AABBCCDDEEFF' }, body: { sensor_porta_vinculado: null } });
+    assert.equal(blocklist.size, 0);
+});
+
+test('PUT recusa troca de MAC e sensor vinculado a si mesmo, e retorna 404 para sensor inexistente', async () => {
+    const { controller } = montar();
+    await chamar(controller, 'createConfig', { body: { mac: 'AABBCCDDEEFF', temp_max: 8, temp_min: 2 } });
+
+    const troca = await chamar(controller, 'updateConfig', { params: { mac: 'AABBCCDDEEFF' }, body: { mac: '112233445566' } });
+    const proprio = await chamar(controller, 'updateConfig', { params: { mac: 'AABBCCDDEEFF' }, body: { sensor_porta_vinculado: 'aabbccddeeff' } });
+    const inexistente = await chamar(controller, 'updateConfig', { params: { mac: '112233445566' }, body: { temp_max: 1 } });
+
+    assert.equal(troca.statusCode, 400);
+    assert.equal(proprio.statusCode, 400);
+    assert.equal(inexistente.statusCode, 404);
+});
+
+test('DELETE remove do cache, da blocklist e do estado em memória sem recarregar', async () => {
+    const { controller, configCache, blocklist, sensorService, repository } = montar();
+    await chamar(controller, 'createConfig', {
+        body: { mac: 'AABBCCDDEEFF', temp_max: 8, temp_min: 2, sensor_porta_vinculado: '112233445566' }
+    });
+    sensorService.getOrCreateSensorState('AA:BB:CC:DD:EE:FF', configCache.get('AA:BB:CC:DD:EE:FF'));
+
+    const res = await chamar(controller, 'deleteConfig', { params: { mac: 'aa-bb-cc-dd-ee-ff' } });
+
+    assert.equal(res.statusCode, 204);
+    assert.equal(configCache.size, 0);
+    assert.equal(blocklist.size, 0);
+    assert.equal(sensorService.getSensorState('AA:BB:CC:DD:EE:FF'), undefined);
+    assert.equal(await repository.findConfigByMac('AABBCCDDEEFF'), null);
+    assert.equal((await chamar(controller, 'deleteConfig', { params: { mac: 'AABBCCDDEEFF' } })).statusCode, 404);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SensorController } from '../../src/controllers/SensorController.js';
+import { TelemetryService } from '../../src/services/TelemetryService.js';
+import { TELEMETRY_MAX_POINTS } from '../../src/config/constants.js';
+
+const MAC = 'AA:BB:CC:DD:EE:FF';
+const DIA = 24 * 60 * 60 * 1000;
+
+const respostaFake = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+// Repositório que guarda os argumentos de cada consulta
+const montar = () => {
+    const consultas = [];
+    const repository = {
+        async findSensorTelemetry(mac, from, to, limit) {
+            consultas.push({ tipo: 'telemetry', mac, from, to, limit });
+            return [];
+        },
+        async findDefrostLogs(mac, from, to, limit) {
+            consultas.push({ tipo: 'defrosts', mac, from, to, limit });
+            return [];
+        },
+        async findRollups(period, mac, from, to, limit) {
+            consultas.push({ tipo: 'rollups', period, mac, from, to, limit });
+            return [];
+        }
+    };
+    const sensorConfigService = { obter: mac => mac === MAC ? { mac, display_name: 'Câmara 1' } : null };
+    const controller = new SensorController(repository, sensorConfigService, null, null, new TelemetryService(repository));
+    return { controller, consultas };
+};
+
+const chamar = async (controller, handler, mac, query = {}) => {
+    const res = respostaFake();
+    await controller[handler]({ params: { mac }, query }, res);
+    return res;
+};
+
+test('from/to em ISO, ISO sem fuso (UTC) e epoch em segundos ou milissegundos', async () => {
+    const { controller, consultas } = montar();
+
+    const iso = await chamar(controller, 'getTelemetry', 'aabbccddeeff', { from: '2026-01-01 00:00:00', to: '2026-01-01T06:00:00-03:00' });
+    const epoch = await chamar(controller, 'getDefrosts', MAC, { from: '1767225600', to: '1767312000000' });
+
+    assert.equal(iso.statusCode, 200);
+    assert.equal(iso.body.sensor, MAC);
+    assert.equal(iso.body.from, '2026-01-01T00:00:00.000Z');
+    assert.equal(iso.body.to, '2026-01-01T09:00:00.000Z');
+    assert.deepEqual(consultas[0], {
+        tipo: 'telemetry', mac: MAC, from: '2026-01-01T00:00:00.000Z', to: '2026-01-01T09:00:00.000Z', limit: TELEMETRY_MAX_POINTS
+    });
+    assert.equal(epoch.body.from, '2026-01-01T00:00:00.000Z');
+    assert.equal(epoch.body.to, '2026-01-02T00:00:00.000Z');
+});
+
+test('sem from/to usa o período padrão de cada endpoint terminando agora', async () => {
+    const { controller } = montar();
+    const duracao = res => Date.parse(res.body.to) - Date.parse(res.body.from);
+
+    const antes = Date.now();
+    const telemetria = await chamar(controller, 'getTelemetry', MAC);
+    const degelos = await chamar(controller, 'getDefrosts', MAC, { to: '2026-01-08T00:00:00Z' });
+    const diarios = await chamar(controller, 'getRollups', MAC, { period: 'day' });
+
+    assert.ok(Date.parse(telemetria.body.to) >= antes - 1000);
+    assert.equal(duracao(telemetria), DIA);
+    assert.equal(degelos.body.from, '2026-01-01T00:00:00.000Z');
+    assert.equal(duracao(diarios), 90 * DIA);
+});
+
+test('from/to inválidos ou invertidos retornam 400 sem consultar o banco', async () => {
+    const { controller, consultas } = montar();
+
+    const invalido = await chamar(controller, 'getTelemetry', MAC, { from: 'ontem' });
+    const invertido = await chamar(controller, 'getDefrosts', MAC, { from: '2026-01-02T00:00:00Z', to: '2026-01-01T00:00:00Z' });
+    const zero = await chamar(controller, 'getRollups', MAC, { from: '0' });
+
+    [invalido, invertido, zero].forEach(res => {
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Parâmetros from/to inválidos');
+    });
+    assert.equal(consultas.length, 0);
+});
+
+test('limit é reduzido ao máximo de cada endpoint e valores inválidos usam o padrão', async () => {
+    const { controller, consultas } = montar();
+
+    await chamar(controller, 'getTelemetry', MAC, { limit: '999999' });
+    await chamar(controller, 'getTelemetry', MAC, { limit: '-3' });
+    await chamar(controller, 'getDefrosts', MAC, { limit: '999999' });
+    await chamar(controller, 'getDefrosts', MAC, { limit: 'abc' });
+    await chamar(controller, 'getRollups', MAC, { limit: '999999' });
+    await chamar(controller, 'getRollups', MAC, { limit: '25' });
+
+    assert.deepEqual(consultas.map(c => [c.tipo, c.limit]), [
+        ['telemetry', TELEMETRY_MAX_POINTS],
+        ['telemetry', TELEMETRY_MAX_POINTS],
+        ['defrosts', 5000],
+        ['defrosts', 500],
+        ['rollups', 10000],
+        ['rollups', 25]
+    ]);
+});
+
+test('MAC sem cadastro retorna 404 nas três consultas', async () => {
+    const { controller, consultas } = montar();
+
+    for (const handler of ['getTelemetry', 'getDefrosts', 'getRollups']) {
+        const res = await chamar(controller, handler, '11:22:33:44:55:66');
+        assert.equal(res.statusCode, 404, handler);
+        assert.equal(res.body.status, 'NOT_FOUND');
+    }
+    assert.equal(consultas.length, 0);
+});
+
+test('resolution e period inválidos retornam 400', async () => {
+    const { controller } = montar();
+
+    const resolucao = await chamar(controller, 'getTelemetry', MAC, { resolution: '5s' });
+    const pontos = await chamar(controller, 'getTelemetry', MAC, { resolution: '10s', from: '2026-01-01T00:00:00Z', to: '2026-01-08T00:00:00Z' });
+    const periodo = await chamar(controller, 'getRollups', MAC, { period: 'week' });
+
+    assert.equal(resolucao.statusCode, 400);
+    assert.match(resolucao.body.message, /resolution inválida/);
+    assert.equal(pontos.statusCode, 400);
+    assert.match(pontos.body.message, /Resolução muito fina/);
+    assert.equal(periodo.statusCode, 400);
+});
@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import WebSocket from 'ws';
+import { StreamController } from '../../src/controllers/StreamController.js';
+import { EventBus, EVENT_TYPES } from '../../src/services/EventBus.js';
+import { AuthService } from '../../src/services/AuthService.js';
+
+const ORIGEM = 'https://painel.exemplo.com';
+const SENSOR_A = '11:22:33:44:55:66';
+const SENSOR_B = '11:22:33:44:55:77';
+
+const eventBus = new EventBus(10, {});
+const authService = new AuthService([
+    { name: 'painel', key: 'chave-viewer', role: 'viewer' }
+], {}, true);
+const controller = new StreamController(eventBus, authService, [ORIGEM]);
+
+const server = http.createServer((req, res) => res.end());
+controller.attachWebSocket(server);
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `ws://127.0.0.1:${server.address().port}`;
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Abre o WebSocket e resolve com o status da recusa ou com as primeiras `esperar` mensagens
+ */
+const conectar = (caminho, headers = {}, esperar = 0) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${base}${caminho}`, { headers });
+    const mensagens = [];
+    ws.on('unexpected-response', (req, res) => {
+        resolve({ status: res.statusCode });
+        req.destroy();
+    });
+    ws.on('open', () => {
+        if (esperar === 0) {
+            ws.close();
+            resolve({ status: 101, mensagens });
+        }
+    });
+    ws.on('message', dados => {
+        mensagens.push(JSON.parse(dados));
+        if (mensagens.length === esperar) {
+            ws.close();
+            resolve({ status: 101, mensagens });
+        }
+    });
+    ws.on('error', reject);
+});
+
+test('upgrade sem credenciais é recusado com 401', async () => {
+    const { status } = await conectar('/stream/ws', { Origin: ORIGEM });
+
+    assert.equal(status, 401);
+    assert.equal(controller.clients.websocket, 0);
+});
+
+test('upgrade com chave inválida é recusado com 401', async () => {
+    const { status } = await conectar('/stream/ws?access_token=errada', { Origin: ORIGEM });
+
+    assert.equal(status, 401);
+});
+
+test('upgrade de origem não permitida é recusado com 403 mesmo com credenciais válidas', async () => {
+    const { status } = await conectar('/stream/ws', { Origin: 'https://outro.exemplo.com', 'X-API-Key': 'chave-viewer' });
+
+    assert.equal(status, 403);
+});
+
+test('filtro inválido no upgrade retorna 400', async () => {
+    const { status } = await conectar('/stream/ws?type=porta', { 'X-API-Key': 'chave-viewer' });
+
+    assert.equal(status, 400);
+});
+
+test('upgrade autenticado por access_token recebe o replay filtrado após last_event_id', async () => {
+    eventBus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_A });
+    eventBus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_B });
+    eventBus.publicar(EVENT_TYPES.DOOR_OPEN, { sensor_mac: SENSOR_A });
+    eventBus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_A });
+
+    const { status, mensagens } = await conectar(
+        `/stream/ws?access_token=chave-viewer&mac=112233445566&type=reading&last_event_id=1`,
+        { Origin: ORIGEM },
+        1
+    );
+
+    assert.equal(status, 101);
+    assert.deepEqual(mensagens.map(e => [e.id, e.type, e.sensor_mac]), [[4, 'reading', SENSOR_A]]);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DecoderRegistry } from '../../src/decoders/DecoderRegistry.js';
+import { DecodeError } from '../../src/decoders/PayloadDecoder.js';
+import { REJECTION_REASONS } from '../../src/services/DeadLetterService.js';
+
+const TS = Date.parse('2026-01-01T00:00:00.000Z');
+
+test('matchTopic: + corresponde a um nível e devolve o valor', () => {
+    assert.deepEqual(DecoderRegistry.matchTopic('gw/+/dados', 'gw/AABB/dados'), ['AABB']);
+    assert.deepEqual(DecoderRegistry.matchTopic('gw/+/+', 'gw/AABB/dados'), ['AABB', 'dados']);
+    assert.equal(DecoderRegistry.matchTopic('gw/+/dados', 'gw/AABB/x/dados'), null);
+    assert.equal(DecoderRegistry.matchTopic('gw/+/dados', 'gw/dados'), null);
+});
+
+test('matchTopic: # corresponde ao restante do tópico, inclusive vazio', () => {
+    assert.deepEqual(DecoderRegistry.matchTopic('gw/#', 'gw/AABB/dados/ble'), ['AABB/dados/ble']);
+    assert.deepEqual(DecoderRegistry.matchTopic('gw/+/#', 'gw/AABB/dados'), ['AABB', 'dados']);
+    assert.deepEqual(DecoderRegistry.matchTopic('gw/#', 'gw'), ['']);
+    assert.equal(DecoderRegistry.matchTopic('gw/#', 'outro/AABB'), null);
+});
+
+test('matchTopic: tópico sem curingas exige igualdade exata', () => {
+    assert.deepEqual(DecoderRegistry.matchTopic('a/b/c', 'a/b/c'), []);
+    assert.equal(DecoderRegistry.matchTopic('a/b/c', 'a/b'), null);
+    assert.equal(DecoderRegistry.matchTopic('a/b', 'a/b/c'), null);
+});
+
+test('decodeWith alcateia: normaliza o timestamp e mantém o formato interno', () => {
+    const registry = new DecoderRegistry();
+    const [item] = registry.decodeWith('alcateia', JSON.stringify({
+        gmac: 'AABBCCDDEEFF',
+        time: TS / 1000,
+        obj: [{ dmac: '112233445566', temp: -18.5, humidity: 40, vbatt: 3000, rssi: -60 }]
+    }));
+
+    assert.equal(item.gmac, 'AABBCCDDEEFF');
+    assert.deepEqual(item.obj, [{ dmac: '112233445566', temp: -18.5, humidity: 40, vbatt: 3000, rssi: -60, ts: TS }]);
+    assert.equal(registry.getStats().decoded, 1);
+});
+
+test('decodeWith alcateia: payload sem gmac/obj é UNKNOWN_FORMAT e JSON inválido é PARSE_ERROR', () => {
+    const registry = new DecoderRegistry();
+
+    assert.throws(() => registry.decodeWith('alcateia', { foo: 1 }), { reason: 'UNKNOWN_FORMAT' });
+    assert.throws(() => registry.decodeWith('alcateia', Buffer.from('{quebrado')), { reason: 'PARSE_ERROR' });
+    assert.deepEqual(registry.getStats().rejected, { UNKNOWN_FORMAT: 1, PARSE_ERROR: 1 });
+});
+
+test('decodeWith flat: agrupa por gateway e converte os campos', () => {
+    const registry = new DecoderRegistry();
+    const itens = registry.decodeWith('flat', [
+        { gateway: 'aa:bb:cc:dd:ee:ff', mac: '11:22:33:44:55:66', temperature: '-18', battery: 3000, timestamp: TS },
+        { gateway: 'aa:bb:cc:dd:ee:ff', mac: '11-22-33-44-55-77', temperature: -19 },
+        { gateway: '001122334455', mac: '112233445588', temperature: -20 }
+    ]);
+
+    assert.deepEqual(itens.map(i => [i.gmac, i.obj.map(o => o.dmac)]), [
+        ['AABBCCDDEEFF', ['112233445566', '112233445577']],
+        ['001122334455', ['112233445588']]
+    ]);
+    assert.equal(itens[0].obj[0].temp, -18);
+    assert.equal(itens[0].obj[0].vbatt, 3000);
+    assert.equal(itens[0].obj[0].ts, TS);
+});
+
+test('decodeWith flat: usa os campos e o gateway do curinga configurados na rota', () => {
+    const registry = new DecoderRegistry([{
+        topic: 'sites/+/leituras',
+        decoder: 'flat',
+        options: { fields: { dmac: 'id', temp: 't', readings: 'dados' }, gatewayFromTopic: 0 }
+    }]);
+
+    const [item] = registry.decode('sites/AABBCCDDEEFF/leituras', JSON.stringify({ dados: [{ id: '112233445566', t: -5 }] }));
+
+    assert.equal(item.gmac, 'AABBCCDDEEFF');
+    assert.deepEqual(item.obj.map(o => [o.dmac, o.temp]), [['112233445566', -5]]);
+    assert.equal(registry.getStats().routes[0].decoded, 1);
+});
+
+test('decodeWith flat: leitura sem MAC é UNKNOWN_FORMAT', () => {
+    const registry = new DecoderRegistry();
+
+    assert.throws(() => registry.decodeWith('flat', [{ temperature: -18 }]), { reason: 'UNKNOWN_FORMAT' });
+    assert.throws(() => registry.decodeWith('flat', { outra: [] }), { reason: 'UNKNOWN_FORMAT' });
+});
+
+test('decodificador desconhecido: UNKNOWN_DECODER é um motivo do dead-letter e é contabilizado', () => {
+    const registry = new DecoderRegistry();
+
+    assert.throws(() => registry.decodeWith('inexistente', {}), erro =>
+        erro instanceof DecodeError && erro.reason === REJECTION_REASONS.UNKNOWN_DECODER);
+    assert.equal(registry.getStats().rejected.UNKNOWN_DECODER, 1);
+});
+
+test('tópico sem rota é NO_ROUTE e rota com decodificador desconhecido é recusada na criação', () => {
+    const registry = new DecoderRegistry([{ topic: 'gw/+/dados', decoder: 'alcateia' }]);
+
+    assert.throws(() => registry.decode('outro/topico', '{}'), { reason: REJECTION_REASONS.NO_ROUTE });
+    assert.throws(() => new DecoderRegistry([{ topic: 'gw/#', decoder: 'nao-existe' }]), /Decodificador desconhecido: nao-existe/);
+});
+
+test('todo motivo emitido pelos decodificadores existe em REJECTION_REASONS', () => {
+    const registry = new DecoderRegistry([{ topic: 'gw/#', decoder: 'alcateia' }]);
+    registry.registerType('quebrado', class extends registry.decoderTypes.get('flat') {
+        decode() { throw new TypeError('bug'); }
+    });
+    const motivos = [];
+    const capturar = fn => { try { fn(); } catch (e) { motivos.push(e.reason); } };
+
+    capturar(() => registry.decode('gw/x', 'não é json'));
+    capturar(() => registry.decode('gw/x', '{"a":1}'));
+    capturar(() => registry.decode('sem/rota', '{}'));
+    capturar(() => registry.decodeWith('inexistente', {}));
+    capturar(() => registry.decodeWith('quebrado', {}));
+
+    assert.deepEqual(motivos, ['PARSE_ERROR', 'UNKNOWN_FORMAT', 'NO_ROUTE', 'UNKNOWN_DECODER', 'DECODER_ERROR']);
+    motivos.forEach(motivo => assert.ok(Object.values(REJECTION_REASONS).includes(motivo), motivo));
+});
@@ -0,0 +1,75 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { auditar } from '../../src/middlewares/audit.js';
+import { exigirPapel } from '../../src/middlewares/auth.js';
+import { tratarErroCorpo } from '../../src/middlewares/bodyErrors.js';
+import { AuditService } from '../../src/services/AuditService.js';
+import { AuthService, ROLES } from '../../src/services/AuthService.js';
+import { JournaledBuffer } from '../../src/utils/JournaledBuffer.js';
+
+const auditService = new AuditService(null, new JournaledBuffer('audit', null));
+const authService = new AuthService([{ name: 'integracao', key: 'chave-operador', role: 'operator' }], {}, true);
+const rejeitados = [];
+const ingestionService = { rejeitarCorpo: (...args) => rejeitados.push(args) };
+const exigir = papel => exigirPapel(authService, papel);
+
+// Mesma ordem do index.js: auditoria, parser, rotas e tratamento dos erros do corpo
+const app = express();
+app.use(auditar(auditService));
+app.use(express.json({ limit: '100b' }));
+app.post('/ingest', exigir(ROLES.OPERATOR), (req, res) => res.status(202).json({ status: 'ACCEPTED' }));
+app.put('/sensors/:mac', exigir(ROLES.ADMIN), (req, res) => res.json({}));
+app.get('/sensors', exigir(ROLES.VIEWER), (req, res) => res.json([]));
+app.use(tratarErroCorpo(ingestionService, exigir(ROLES.OPERATOR)));
+
+const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+});
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const chamar = async (method, caminho, corpo, headers = {}) => {
+    const res = await fetch(`${base}${caminho}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: corpo
+    });
+    await res.text();
+    // O registro acontece no 'finish' da resposta
+    await new Promise(resolve => setImmediate(resolve));
+    return res.status;
+};
+
+const ultimo = () => auditService.buffer.toArray().at(-1);
+
+test('corpo JSON inválido recusado pelo parser é auditado com o chamador', async () => {
+    const status = await chamar('POST', '/ingest?decoder=flat', '{quebrado', { 'X-API-Key': 'chave-operador' });
+
+    assert.equal(status, 400);
+    assert.equal(rejeitados.length, 1);
+    const { actor, role, http_method, path, status: auditado } = ultimo();
+    assert.deepEqual({ actor, role, http_method, path, status: auditado },
+        { actor: 'integracao', role: 'operator', http_method: 'POST', path: '/ingest', status: 400 });
+});
+
+test('corpo acima do limite é auditado com 413 mesmo em rota não de ingestão', async () => {
+    const status = await chamar('PUT', '/sensors/AABBCCDDEEFF', JSON.stringify({ display_name: 'x'.repeat(200) }));
+
+    assert.equal(status, 413);
+    assert.equal(ultimo().path, '/sensors/AABBCCDDEEFF');
+    assert.equal(ultimo().status, 413);
+    assert.equal(ultimo().actor, null);
+});
+
+test('chamadas recusadas por autenticação são auditadas e leituras não', async () => {
+    const antes = auditService.stats.recorded;
+
+    assert.equal(await chamar('POST', '/ingest', '{}'), 401);
+    assert.equal(await chamar('GET', '/sensors', undefined, { 'X-API-Key': 'chave-operador' }), 200);
+
+    assert.equal(auditService.stats.recorded - antes, 1);
+    assert.equal(ultimo().status, 401);
+    assert.equal(auditService.stats.denied, 1);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmailNotifier } from '../../src/notifiers/EmailNotifier.js';
+
+const ALERTAS = [
+    { sensor_nome: 'Câmara 1', sensor_mac: 'AA:AA:AA:AA:AA:AA', prioridade: 'ALTA', mensagens: ['Temperatura alta', 'Porta aberta'], site: 'Sao Paulo' },
+    { sensor_nome: 'Câmara 2', sensor_mac: 'BB:BB:BB:BB:BB:BB', prioridade: 'MEDIA', mensagens: ['Bateria baixa'], site: null }
+];
+
+// Troca o transporte SMTP por um que guarda as mensagens
+const montar = (opcoes = {}) => {
+    const notifier = new EmailNotifier({ host: 'smtp.exemplo.com', from: 'frio@exemplo.com', to: ['a@exemplo.com', 'b@exemplo.com'], ...opcoes });
+    const enviados = [];
+    notifier.transport = { sendMail: async mensagem => enviados.push(mensagem) };
+    return { notifier, enviados };
+};
+
+test('assunto com o total por prioridade e corpo com uma linha por alerta', async () => {
+    const { notifier, enviados } = montar();
+
+    await notifier.enviar([...ALERTAS, { ...ALERTAS[0], sensor_nome: 'Câmara 3', site: null }]);
+
+    assert.deepEqual(enviados, [{
+        from: 'frio@exemplo.com',
+        to: 'a@exemplo.com, b@exemplo.com',
+        subject: '[ColdChain] 3 alertas (ALTA: 2, MEDIA: 1)',
+        text: [
+            'ColdChain: 3 alertas',
+            '',
+            '[ALTA] Câmara 1 (Sao Paulo): Temperatura alta | Porta aberta',
+            '[MEDIA] Câmara 2: Bateria baixa',
+            '[ALTA] Câmara 3: Temperatura alta | Porta aberta'
+        ].join('\n')
+    }]);
+});
+
+test('alerta único no singular e título configurado', async () => {
+    const { notifier, enviados } = montar({ title: 'Loja 12', to: 'c@exemplo.com' });
+
+    await notifier.enviar([ALERTAS[1]]);
+
+    assert.equal(enviados[0].subject, '[Loja 12] 1 alerta (MEDIA: 1)');
+    assert.equal(enviados[0].to, 'c@exemplo.com');
+    assert.match(enviados[0].text, /^Loja 12: 1 alerta\n/);
+});
+
+test('host, from e to são obrigatórios', () => {
+    assert.throws(() => new EmailNotifier({ host: 'smtp.exemplo.com' }), /Campos obrigatórios ausentes: from, to/);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { SlackNotifier } from '../../src/notifiers/SlackNotifier.js';
+
+const ALERTAS = [
+    { sensor_nome: 'Câmara 1', sensor_mac: 'AA:AA:AA:AA:AA:AA', prioridade: 'ALTA', mensagens: ['Temperatura alta', 'Porta aberta'], site: 'Sao Paulo' },
+    { sensor_nome: 'Câmara 2', sensor_mac: 'BB:BB:BB:BB:BB:BB', prioridade: 'MEDIA', mensagens: ['Bateria baixa'], site: null }
+];
+
+// Destino local que guarda as requisições recebidas
+const destino = async () => {
+    const recebidas = [];
+    const server = http.createServer((req, res) => {
+        let corpo = '';
+        req.on('data', parte => { corpo += parte; });
+        req.on('end', () => {
+            recebidas.push({ url: req.url, headers: req.headers, corpo: JSON.parse(corpo) });
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        recebidas,
+        fechar: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+test('envia o lote em mrkdwn, uma linha por alerta, com usuário e canal configurados', async () => {
+    const hook = await destino();
+    try {
+        const notifier = new SlackNotifier({ url: `${hook.url}/services/x`, username: 'coldchain', channel: '#frio', title: 'Frio' });
+        await notifier.enviar(ALERTAS);
+
+        assert.equal(hook.recebidas.length, 1);
+        assert.deepEqual(hook.recebidas[0].corpo, {
+            text: [
+                'Frio: 2 alertas',
+                '',
+                '• *[ALTA] Câmara 1* (Sao Paulo): Temperatura alta | Porta aberta',
+                '• *[MEDIA] Câmara 2*: Bateria baixa'
+            ].join('\n'),
+            username: 'coldchain',
+            channel: '#frio'
+        });
+    } finally {
+        await hook.fechar();
+    }
+});
+
+test('url é obrigatória', () => {
+    assert.throws(() => new SlackNotifier({}), /Campos obrigatórios ausentes: url/);
+});
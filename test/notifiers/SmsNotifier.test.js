@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { SmsNotifier } from '../../src/notifiers/SmsNotifier.js';
+
+const ALERTAS = [
+    { sensor_nome: 'Câmara 1', sensor_mac: 'AA:AA:AA:AA:AA:AA', prioridade: 'ALTA', mensagens: ['Temperatura alta', 'Porta aberta'], site: 'Sao Paulo' },
+    { sensor_nome: 'Câmara 2', sensor_mac: 'BB:BB:BB:BB:BB:BB', prioridade: 'MEDIA', mensagens: ['Bateria baixa'], site: null }
+];
+
+// Destino local que guarda as requisições recebidas
+const destino = async () => {
+    const recebidas = [];
+    const server = http.createServer((req, res) => {
+        let corpo = '';
+        req.on('data', parte => { corpo += parte; });
+        req.on('end', () => {
+            recebidas.push({ url: req.url, headers: req.headers, corpo: JSON.parse(corpo) });
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        recebidas,
+        fechar: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+test('uma requisição por destinatário com o resumo do lote no modelo padrão', async () => {
+    const gateway = await destino();
+    try {
+        const notifier = new SmsNotifier({ url: `${gateway.url}/sms`, to: ['+5511999990000', 5521988880000], headers: { 'X-Token': 'abc' } });
+        await notifier.enviar(ALERTAS);
+
+        assert.deepEqual(gateway.recebidas.map(r => r.corpo), [
+            { to: '+5511999990000', message: 'ColdChain: 2 alertas; [ALTA] Câmara 1: Temperatura alta; [MEDIA] Câmara 2: Bateria baixa' },
+            { to: '5521988880000', message: 'ColdChain: 2 alertas; [ALTA] Câmara 1: Temperatura alta; [MEDIA] Câmara 2: Bateria baixa' }
+        ]);
+        assert.equal(gateway.recebidas[0].headers['x-token'], 'abc');
+    } finally {
+        await gateway.fechar();
+    }
+});
+
+test('modelo de corpo configurado é preenchido e a mensagem truncada em max_length', async () => {
+    const gateway = await destino();
+    try {
+        const notifier = new SmsNotifier({
+            url: gateway.url,
+            to: '+5511999990000',
+            max_length: 30,
+            body: { destino: { numero: '{{to}}' }, partes: ['{{message}}'], fixo: 1 }
+        });
+        await notifier.enviar([ALERTAS[0]]);
+
+        const [{ corpo }] = gateway.recebidas;
+        assert.deepEqual(corpo.destino, { numero: '+5511999990000' });
+        assert.equal(corpo.fixo, 1);
+        assert.equal(corpo.partes[0], 'ColdChain: [ALTA] Câmara 1: T…');
+        assert.equal(corpo.partes[0].length, 30);
+    } finally {
+        await gateway.fechar();
+    }
+});
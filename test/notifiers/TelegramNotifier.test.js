@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { TelegramNotifier } from '../../src/notifiers/TelegramNotifier.js';
+
+const ALERTAS = [
+    { sensor_nome: 'Câmara 1', sensor_mac: 'AA:AA:AA:AA:AA:AA', prioridade: 'ALTA', mensagens: ['Temperatura alta', 'Porta aberta'], site: 'Sao Paulo' },
+    { sensor_nome: 'Câmara 2', sensor_mac: 'BB:BB:BB:BB:BB:BB', prioridade: 'MEDIA', mensagens: ['Bateria baixa'], site: null }
+];
+
+// Destino local que guarda as requisições recebidas
+const destino = async () => {
+    const recebidas = [];
+    const server = http.createServer((req, res) => {
+        let corpo = '';
+        req.on('data', parte => { corpo += parte; });
+        req.on('end', () => {
+            recebidas.push({ url: req.url, headers: req.headers, corpo: JSON.parse(corpo) });
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        recebidas,
+        fechar: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+test('envia o texto do lote a cada chat pelo sendMessage do bot', async () => {
+    const api = await destino();
+    try {
+        const notifier = new TelegramNotifier({ bot_token: '123:abc', chat_id: ['-100', 200], api_url: `${api.url}/` });
+        await notifier.enviar(ALERTAS);
+
+        assert.deepEqual(api.recebidas.map(r => [r.url, r.corpo.chat_id]), [
+            ['/bot123:abc/sendMessage', '-100'],
+            ['/bot123:abc/sendMessage', '200']
+        ]);
+        assert.equal(api.recebidas[0].corpo.text, [
+            'ColdChain: 2 alertas',
+            '',
+            '[ALTA] Câmara 1 (Sao Paulo): Temperatura alta | Porta aberta',
+            '[MEDIA] Câmara 2: Bateria baixa'
+        ].join('\n'));
+        assert.equal(api.recebidas[0].corpo.disable_web_page_preview, true);
+    } finally {
+        await api.fechar();
+    }
+});
+
+test('lote acima de 4096 caracteres é dividido entre linhas em várias mensagens', async () => {
+    const api = await destino();
+    try {
+        const muitos = Array.from({ length: 100 }, (_, i) => ({ ...ALERTAS[0], sensor_nome: `Câmara ${i}`, mensagens: ['x'.repeat(60)] }));
+        await new TelegramNotifier({ bot_token: 't', chat_id: '1', api_url: api.url }).enviar(muitos);
+
+        assert.ok(api.recebidas.length > 1);
+        api.recebidas.forEach(r => assert.ok(r.corpo.text.length <= 4096));
+        const linhas = api.recebidas.flatMap(r => r.corpo.text.split('\n'));
+        assert.equal(linhas.filter(l => l.startsWith('[ALTA]')).length, 100);
+    } finally {
+        await api.fechar();
+    }
+});
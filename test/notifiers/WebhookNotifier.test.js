@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { WebhookNotifier } from '../../src/notifiers/WebhookNotifier.js';
+
+const SEGREDO = 'segredo-de-teste';
+const ALERTA = { sensor_nome: 'Câmara 1', sensor_mac: 'AA:AA:AA:AA:AA:AA', prioridade: 'ALTA', mensagens: ['Temperatura alta'] };
+
+// Destino local que guarda as requisições recebidas e responde com os status informados, em ordem
+const destino = async (respostas = []) => {
+    const recebidas = [];
+    const server = http.createServer((req, res) => {
+        let corpo = '';
+        req.on('data', parte => { corpo += parte; });
+        req.on('end', () => {
+            recebidas.push({ headers: req.headers, corpo });
+            res.statusCode = respostas.shift() ?? 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        recebidas,
+        fechar: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+test('assina "<timestamp>.<corpo>" com HMAC-SHA256 e envia o ID da entrega', async () => {
+    const hook = await destino();
+    try {
+        const notifier = new WebhookNotifier({ url: hook.url, secret: SEGREDO });
+        await notifier.enviar([ALERTA], { id: 'entrega-1', attempt: 1, created_at: '2026-01-01T00:00:00.000Z' });
+
+        const [{ headers, corpo }] = hook.recebidas;
+        const esperada = crypto.createHmac('sha256', SEGREDO).update(`${headers['x-coldchain-timestamp']}.${corpo}`).digest('hex');
+        assert.equal(headers['x-coldchain-signature'], `sha256=${esperada}`);
+        assert.ok(Math.abs(Number(headers['x-coldchain-timestamp']) - Date.now() / 1000) < 60);
+        assert.equal(headers['x-coldchain-delivery'], 'entrega-1');
+        assert.equal(headers['idempotency-key'], 'entrega-1');
+        assert.equal(headers['x-coldchain-attempt'], '1');
+        assert.deepEqual(JSON.parse(corpo), {
+            delivery_id: 'entrega-1',
+            timestamp: '2026-01-01T00:00:00.000Z',
+            total_alertas: 1,
+            is_batched: true,
+            alertas: [ALERTA]
+        });
+    } finally {
+        await hook.fechar();
+    }
+});
+
+test('o corpo é idêntico em todas as tentativas da mesma entrega', async () => {
+    const hook = await destino([500]);
+    try {
+        const notifier = new WebhookNotifier({ url: hook.url, secret: SEGREDO });
+        const entrega = { id: 'entrega-2', created_at: '2026-01-01T00:00:00.000Z' };
+
+        await assert.rejects(notifier.enviar([ALERTA], { ...entrega, attempt: 1 }), /HTTP 500/);
+        await notifier.enviar([ALERTA], { ...entrega, attempt: 2 });
+
+        const [primeira, segunda] = hook.recebidas;
+        assert.equal(primeira.corpo, segunda.corpo);
+        assert.equal(primeira.headers['x-coldchain-delivery'], segunda.headers['x-coldchain-delivery']);
+        assert.deepEqual([primeira.headers['x-coldchain-attempt'], segunda.headers['x-coldchain-attempt']], ['1', '2']);
+    } finally {
+        await hook.fechar();
+    }
+});
+
+test('sem segredo não envia assinatura', async () => {
+    const hook = await destino();
+    try {
+        await new WebhookNotifier({ url: hook.url, secret: '' }).enviar([ALERTA], { id: 'entrega-3', attempt: 1 });
+
+        const [{ headers }] = hook.recebidas;
+        assert.equal(headers['x-coldchain-signature'], undefined);
+        assert.equal(headers['x-coldchain-timestamp'], undefined);
+    } finally {
+        await hook.fechar();
+    }
+});
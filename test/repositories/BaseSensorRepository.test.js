@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Retentativas rápidas: as constantes são lidas na importação
+process.env.DB_RETRY_BASE_MS = '1';
+process.env.DB_MAX_CHUNK_SIZE = '4';
+const { BaseSensorRepository } = await import('../../src/repositories/BaseSensorRepository.js');
+
+const erroCodigo = (code) => Object.assign(new Error(`erro ${code}`), { code });
+
+class RepositorioFake extends BaseSensorRepository {
+    constructor(falhar) {
+        super();
+        this.falhar = falhar;
+        this.gravadas = [];
+    }
+
+    async _insertRows(tabela, registros) {
+        const erro = this.falhar(registros);
+        if (erro) throw erro;
+        this.gravadas.push(...registros);
+    }
+}
+
+test('bissecção isola as linhas inválidas e grava as demais', async () => {
+    const linhas = Array.from({ length: 10 }, (_, n) => ({ n, _write_reason: 'SLOPE' }));
+    const repo = new RepositorioFake(registros => registros.some(r => r.n === 3 || r.n === 8) ? erroCodigo('23502') : null);
+
+    const resultado = await repo.insertTelemetryBatch(linhas);
+
+    assert.equal(resultado.inserted, 8);
+    assert.deepEqual(resultado.quarantined.map(q => q.row.n), [3, 8]);
+    assert.deepEqual(repo.gravadas.map(r => r.n).sort((a, b) => a - b), [0, 1, 2, 4, 5, 6, 7, 9]);
+    assert.ok(repo.gravadas.every(r => !('_write_reason' in r)));
+});
+
+test('erro transitório esgotado informa o que ainda não foi gravado', async () => {
+    let tentativas = 0;
+    const repo = new RepositorioFake(registros => {
+        if (registros[0].n < 4) return null;
+        tentativas++;
+        return erroCodigo('ECONNRESET');
+    });
+    const linhas = Array.from({ length: 10 }, (_, n) => ({ n }));
+
+    await assert.rejects(repo.insertTelemetryBatch(linhas), erro => {
+        assert.equal(erro.inserted, 4);
+        assert.deepEqual(erro.remaining.map(r => r.n), [4, 5, 6, 7, 8, 9]);
+        return true;
+    });
+    assert.equal(tentativas, 3);
+    assert.equal(repo.getWriteStats().retries, 2);
+});
+
+test('erro de esquema do PostgREST falha sem retentativas nem quarentena', async () => {
+    let tentativas = 0;
+    const repo = new RepositorioFake(() => {
+        tentativas++;
+        return erroCodigo('PGRST204');
+    });
+    const linhas = Array.from({ length: 10 }, (_, n) => ({ n }));
+
+    await assert.rejects(repo.insertTelemetryBatch(linhas), erro => {
+        assert.equal(erro.code, 'PGRST204');
+        assert.equal(erro.inserted, 0);
+        assert.deepEqual(erro.quarantined, []);
+        assert.equal(erro.remaining.length, 10);
+        return true;
+    });
+    assert.equal(tentativas, 1);
+    assert.equal(repo.getWriteStats().retries, 0);
+    assert.equal(repo.getWriteStats().bisections, 0);
+});
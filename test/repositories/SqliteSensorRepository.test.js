@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { SqliteSensorRepository } from '../../src/repositories/SqliteSensorRepository.js';
+import { PersistenceService } from '../../src/services/PersistenceService.js';
+import { JournaledBuffer } from '../../src/utils/JournaledBuffer.js';
+
+const CONFIG = { mac: '112233445566', display_name: 'Camara 1', temp_max: -5, temp_min: -30 };
+
+test('seed de configurações e busca pelo MAC com separadores', async () => {
+    const repo = new SqliteSensorRepository(':memory:', [CONFIG]);
+    const config = await repo.findConfigByMac('11:22:33:44:55:66');
+
+    assert.equal(config.display_name, 'Camara 1');
+    assert.equal(config.em_manutencao, false);
+});
+
+test('linha com tipo inválido vai para a quarentena sem bloquear o lote', async () => {
+    const repo = new SqliteSensorRepository(':memory:');
+    const ts = '2026-01-01T00:00:00.000Z';
+    const resultado = await repo.insertTelemetryBatch([
+        { mac: 'AA', ts, temp: -10 },
+        { mac: 'BB', ts, temp: 'quente' },
+        { mac: 'CC', ts, temp: -12, _write_reason: 'SLOPE' }
+    ]);
+
+    assert.equal(resultado.inserted, 2);
+    assert.equal(resultado.quarantined.length, 1);
+    assert.equal(resultado.quarantined[0].row.mac, 'BB');
+    assert.equal(resultado.quarantined[0].code, '22000');
+    assert.deepEqual((await repo.findTelemetryRange(ts, '2026-01-02')).map(t => t.mac), ['AA', 'CC']);
+});
+
+test('upsertAlertLogs atualiza o alerta existente pelo id', async () => {
+    const repo = new SqliteSensorRepository(':memory:');
+    const alerta = { id: 'a1', type: 'TEMP_HIGH', status: 'OPEN', opened_at: '2026-01-01T00:00:00.000Z' };
+    await repo.upsertAlertLogs([alerta]);
+    await repo.upsertAlertLogs([{ ...alerta, status: 'RESOLVED', resolved_reason: 'NORMALIZED' }]);
+
+    const gravados = await repo.findAlertLogs();
+    assert.equal(gravados.length, 1);
+    assert.equal(gravados[0].status, 'RESOLVED');
+});
+
+test('o banco é gravado no arquivo e reaberto com os dados', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-'));
+    try {
+        const arquivo = path.join(dir, 'coldchain.sqlite');
+        const repo = new SqliteSensorRepository(arquivo);
+        await repo.insertDoorBatch([
+            { sensor_mac: 'AA', is_open: true, timestamp_read: new Date().toISOString() }
+        ]);
+        await repo.sync();
+
+        const [porta] = await new SqliteSensorRepository(arquivo).findLastDoorStates();
+        assert.equal(porta.sensor_mac, 'AA');
+        assert.equal(porta.is_open, true);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('arquivo criado antes de acknowledged_note recebe a coluna ao abrir', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-'));
+    try {
+        const arquivo = path.join(dir, 'coldchain.sqlite');
+        const SQL = await initSqlJs();
+        const antigo = new SQL.Database();
+        antigo.run('CREATE TABLE alert_logs (id TEXT PRIMARY KEY, type TEXT, status TEXT, opened_at TEXT, acknowledged_by TEXT, updated_at TEXT) STRICT');
+        fs.writeFileSync(arquivo, Buffer.from(antigo.export()));
+        antigo.close();
+
+        const repo = new SqliteSensorRepository(arquivo);
+        await repo.upsertAlertLogs([{
+            id: 'a1', type: 'TEMP_HIGH', status: 'ACKNOWLEDGED', opened_at: '2026-01-01T00:00:00.000Z',
+            acknowledged_by: 'maria', acknowledged_note: 'em nome do turno B'
+        }]);
+
+        assert.equal((await repo.findAlertLogById('a1')).acknowledged_note, 'em nome do turno B');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('inserts de um mesmo flush gravam o arquivo uma única vez', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-'));
+    try {
+        const arquivo = path.join(dir, 'coldchain.sqlite');
+        const repo = new SqliteSensorRepository(arquivo, [], 60 * 60 * 1000);
+        await repo.getDb();
+        let gravacoes = 0;
+        const salvar = repo._salvar.bind(repo);
+        repo._salvar = () => { gravacoes++; salvar(); };
+
+        const ts = new Date().toISOString();
+        const persistence = new PersistenceService(repo, {
+            telemetry: new JournaledBuffer('telemetry', null),
+            door: new JournaledBuffer('door', null)
+        });
+        persistence.targets.forEach(t => t.buffer.push(...Array.from({ length: 3 }, (_, n) =>
+            t.name === 'telemetry' ? { mac: `M${n}`, ts, temp: -18 } : { sensor_mac: `M${n}`, is_open: true, timestamp_read: ts })));
+        await persistence.flush();
+
+        assert.equal(gravacoes, 1);
+        const reaberto = new SqliteSensorRepository(arquivo);
+        assert.equal((await reaberto.findLastDoorStates()).length, 3);
+
+        // Sem alterações novas, o próximo ciclo não regrava o arquivo
+        await persistence.flush();
+        assert.equal(gravacoes, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('alterações fora do ciclo de flush são gravadas após o atraso configurado', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-'));
+    try {
+        const arquivo = path.join(dir, 'coldchain.sqlite');
+        const repo = new SqliteSensorRepository(arquivo, [], 20);
+        const rollup = (mac) => ({
+            sensor_mac: mac, bucket_start: '2026-01-01T00:00:00.000Z', bucket_end: '2026-01-01T01:00:00.000Z', samples: 1, covered_s: 60
+        });
+        await repo.upsertRollups('hour', [rollup('AA')]);
+        await repo.upsertRollups('hour', [rollup('BB')]);
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const reaberto = new SqliteSensorRepository(arquivo);
+        const cobertura = await reaberto.findRollupCoverage('hour', '2026-01-01T00:00:00.000Z', '2026-01-02T00:00:00.000Z');
+        assert.deepEqual(cobertura.map(c => c.sensor_mac).sort(), ['AA', 'BB']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EscalationService } from '../../src/services/EscalationService.js';
+import { ALERT_STATUS } from '../../src/services/AlertService.js';
+
+const MINUTO = 60 * 1000;
+const ABERTURA = Date.parse('2026-01-01T00:00:00.000Z');
+const POLITICA = {
+    name: 'camaras',
+    priorities: ['CRITICA'],
+    levels: [
+        { after_ms: 15 * MINUTO, channels: ['turno'] },
+        { after_ms: 30 * MINUTO, channels: ['supervisor'] },
+        { after_ms: 60 * MINUTO, channels: ['telefone'] }
+    ]
+};
+
+const notificacoesFake = () => ({
+    channels: [{ name: 'turno' }, { name: 'supervisor' }, { name: 'telefone' }],
+    encaminhados: [],
+    localizarSite: (mac, gateway) => ({ site: null, gateway: gateway || mac }),
+    encaminhar(nomes, alerta) {
+        this.encaminhados.push({ nomes, alerta });
+        return nomes;
+    }
+});
+
+const alertasFake = (alertas) => ({ getActive: () => alertas });
+
+const alerta = (extra = {}) => ({
+    id: 'a1',
+    type: 'TEMP_ALTA',
+    priority: 'CRITICA',
+    status: ALERT_STATUS.OPEN,
+    sensor_mac: 'AA:AA:AA:AA:AA:AA',
+    display_name: 'Câmara 1',
+    opened_at: new Date(ABERTURA).toISOString(),
+    ...extra
+});
+
+test('dispara cada nível ao vencer o after_ms, uma única vez', () => {
+    const notificacoes = notificacoesFake();
+    const service = new EscalationService(alertasFake([alerta()]), notificacoes, [POLITICA]);
+
+    service.verificar(ABERTURA + 10 * MINUTO);
+    assert.equal(notificacoes.encaminhados.length, 0);
+
+    service.verificar(ABERTURA + 16 * MINUTO);
+    service.verificar(ABERTURA + 20 * MINUTO);
+    service.verificar(ABERTURA + 31 * MINUTO);
+
+    assert.deepEqual(notificacoes.encaminhados.map(e => e.nomes), [['turno'], ['supervisor']]);
+    assert.equal(notificacoes.encaminhados[1].alerta.dados_contexto.escalonamento.nivel, 2);
+    assert.equal(service.getStats().escalations, 2);
+});
+
+test('após uma pausa longa dispara apenas o nível mais alto vencido', () => {
+    const notificacoes = notificacoesFake();
+    const service = new EscalationService(alertasFake([alerta()]), notificacoes, [POLITICA]);
+
+    service.verificar(ABERTURA + 61 * MINUTO);
+
+    assert.deepEqual(notificacoes.encaminhados.map(e => e.nomes), [['telefone']]);
+    assert.equal(service.getStats().escalated[0].level, 3);
+    assert.equal(service.getStats().escalated[0].next_level_in_ms, null);
+});
+
+test('reconhecimento encerra o escalonamento', () => {
+    const notificacoes = notificacoesFake();
+    const ativo = alerta();
+    const service = new EscalationService(alertasFake([ativo]), notificacoes, [POLITICA]);
+
+    service.verificar(ABERTURA + 16 * MINUTO);
+    Object.assign(ativo, { status: ALERT_STATUS.ACKNOWLEDGED, acknowledged_by: 'maria' });
+    service.verificar(ABERTURA + 61 * MINUTO);
+
+    assert.equal(notificacoes.encaminhados.length, 1);
+    assert.equal(service.getStats().stopped_by_ack, 1);
+    assert.deepEqual(service.getStats().escalated, []);
+});
+
+test('alertas de outra prioridade não são escalonados', () => {
+    const notificacoes = notificacoesFake();
+    const service = new EscalationService(alertasFake([alerta({ priority: 'MEDIA' })]), notificacoes, [POLITICA]);
+
+    service.verificar(ABERTURA + 61 * MINUTO);
+
+    assert.equal(notificacoes.encaminhados.length, 0);
+});
+
+test('após reinício os níveis já disparados não se repetem', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'escalation-'));
+    try {
+        const antes = notificacoesFake();
+        new EscalationService(alertasFake([alerta()]), antes, [POLITICA], { journalDir: dir }).verificar(ABERTURA + 31 * MINUTO);
+
+        const depois = notificacoesFake();
+        const reiniciado = new EscalationService(alertasFake([alerta()]), depois, [POLITICA], { journalDir: dir });
+        reiniciado.verificar(ABERTURA + 40 * MINUTO);
+        assert.equal(depois.encaminhados.length, 0);
+
+        reiniciado.verificar(ABERTURA + 61 * MINUTO);
+        assert.deepEqual(depois.encaminhados.map(e => e.nomes), [['telefone']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('políticas mal configuradas são rejeitadas', () => {
+    const criar = (politica) => () => new EscalationService(alertasFake([]), notificacoesFake(), [politica]);
+
+    assert.throws(criar({ ...POLITICA, name: '' }), /name obrigatório/);
+    assert.throws(criar({ ...POLITICA, priorities: ['URGENTE'] }), /prioridade inválida URGENTE/);
+    assert.throws(criar({ ...POLITICA, levels: [] }), /ao menos um nível/);
+    assert.throws(criar({ ...POLITICA, levels: [{ after_ms: 30 * MINUTO, channels: ['turno'] }, { after_ms: 15 * MINUTO, channels: ['supervisor'] }] }),
+        /levels\[1\]\.after_ms deve ser maior/);
+    assert.throws(criar({ ...POLITICA, levels: [{ after_ms: MINUTO, channels: ['pager'] }] }), /canal desconhecido pager/);
+    assert.throws(criar({ ...POLITICA, levels: [{ after_ms: MINUTO, channels: [] }] }), /channels vazio/);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, EVENT_TYPES, lerFiltroEventos } from '../../src/services/EventBus.js';
+
+const SENSOR_A = '11:22:33:44:55:66';
+const SENSOR_B = '11:22:33:44:55:77';
+const GATEWAY_SP = 'AA:BB:CC:DD:EE:FF';
+const GATEWAY_RJ = 'AA:BB:CC:DD:EE:00';
+
+const montar = (replaySize = 10) => {
+    const bus = new EventBus(replaySize, { aabbccddeeff: 'Sao Paulo', [GATEWAY_RJ]: 'Rio' });
+    bus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_A, gateway_mac: GATEWAY_SP });
+    bus.publicar(EVENT_TYPES.DOOR_OPEN, { sensor_mac: SENSOR_B, gateway_mac: GATEWAY_RJ });
+    bus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_B, gateway_mac: GATEWAY_RJ });
+    bus.publicar(EVENT_TYPES.ALERT_RAISED, { sensor_mac: SENSOR_A, gateway_mac: 'GW-UNKNOWN' });
+    return bus;
+};
+
+const filtro = query => {
+    const { filtro: lido, erro } = lerFiltroEventos(query);
+    assert.equal(erro, null);
+    return lido;
+};
+
+test('lerFiltroEventos normaliza MACs e recusa tipo ou MAC inválido', () => {
+    const lido = filtro({ mac: '112233445566, 11-22-33-44-55-77', type: 'reading,door.open' });
+
+    assert.deepEqual([...lido.macs], [SENSOR_A, SENSOR_B]);
+    assert.deepEqual([...lido.types], ['reading', 'door.open']);
+    assert.equal(lido.sites, null);
+    assert.match(lerFiltroEventos({ type: 'reading,porta' }).erro, /type inválido: porta/);
+    assert.match(lerFiltroEventos({ mac: 'xyz' }).erro, /mac inválido: xyz/);
+});
+
+test('evento recebe o site do gateway; gateway desconhecido fica sem site', () => {
+    const eventos = montar().recentes(null);
+
+    assert.deepEqual(eventos.map(e => e.id), [1, 2, 3, 4]);
+    assert.deepEqual(eventos.map(e => e.site), ['Sao Paulo', 'Rio', 'Rio', null]);
+    assert.equal(eventos[3].gateway_mac, null);
+});
+
+test('filtro por MAC aceita o sensor ou o gateway', () => {
+    const bus = montar();
+
+    assert.deepEqual(bus.recentes(filtro({ mac: SENSOR_A })).map(e => e.id), [1, 4]);
+    assert.deepEqual(bus.recentes(filtro({ mac: GATEWAY_RJ })).map(e => e.id), [2, 3]);
+});
+
+test('filtro por site aceita o nome (sem diferenciar caixa) ou o MAC do gateway', () => {
+    const bus = montar();
+
+    assert.deepEqual(bus.recentes(filtro({ site: 'sao paulo' })).map(e => e.id), [1]);
+    assert.deepEqual(bus.recentes(filtro({ site: 'aa-bb-cc-dd-ee-00' })).map(e => e.id), [2, 3]);
+});
+
+test('filtro por tipo combinado com MAC', () => {
+    const bus = montar();
+
+    assert.deepEqual(bus.recentes(filtro({ type: 'reading' })).map(e => e.id), [1, 3]);
+    assert.deepEqual(bus.recentes(filtro({ type: 'reading', mac: SENSOR_B })).map(e => e.id), [3]);
+});
+
+test('assinante recebe só os eventos do filtro e para de receber ao cancelar', () => {
+    const bus = new EventBus(10, {});
+    const recebidos = [];
+    const cancelar = bus.assinar(filtro({ mac: SENSOR_A, type: 'reading' }), e => recebidos.push(e.id));
+
+    bus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_A });
+    bus.publicar(EVENT_TYPES.DOOR_OPEN, { sensor_mac: SENSOR_A });
+    bus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_B });
+    cancelar();
+    bus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_A });
+
+    assert.deepEqual(recebidos, [1]);
+    assert.equal(bus.getStats().delivered, 1);
+    assert.equal(bus.getStats().subscribers, 0);
+});
+
+test('assinante com erro não impede a entrega aos demais', () => {
+    const bus = new EventBus(10, {});
+    const recebidos = [];
+    bus.assinar(null, () => { throw new Error('falhou'); });
+    bus.assinar(null, e => recebidos.push(e.id));
+
+    bus.publicar(EVENT_TYPES.READING, { sensor_mac: SENSOR_A });
+
+    assert.deepEqual(recebidos, [1]);
+});
+
+test('replay: últimos N eventos do filtro e buffer limitado a replaySize', () => {
+    const bus = montar(3);
+
+    assert.deepEqual(bus.recentes(null).map(e => e.id), [2, 3, 4]);
+    assert.deepEqual(bus.recentes(null, { limite: 2 }).map(e => e.id), [3, 4]);
+    assert.deepEqual(bus.recentes(filtro({ mac: SENSOR_B }), { limite: 1 }).map(e => e.id), [3]);
+    assert.deepEqual(bus.recentes(null, { limite: 0 }), []);
+});
+
+test('replay após last_event_id devolve só os eventos perdidos; ID futuro (reinício) devolve todo o buffer', () => {
+    const bus = montar();
+
+    assert.deepEqual(bus.recentes(null, { aposId: 2 }).map(e => e.id), [3, 4]);
+    assert.deepEqual(bus.recentes(filtro({ type: 'reading' }), { aposId: 1 }).map(e => e.id), [3]);
+    assert.deepEqual(bus.recentes(null, { aposId: 4 }), []);
+    assert.deepEqual(bus.recentes(null, { aposId: 99 }).map(e => e.id), [1, 2, 3, 4]);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import moment from 'moment-timezone';
+import { MaintenanceService } from '../../src/services/MaintenanceService.js';
+import { SqliteSensorRepository } from '../../src/repositories/SqliteSensorRepository.js';
+import { TIMEZONE_CONFIG } from '../../src/config/constants.js';
+
+const HORA = 60 * 60 * 1000;
+const MAC = '11:22:33:44:55:66';
+const configs = () => new Map([[MAC, { mac: MAC, display_name: 'Camara 1', em_manutencao: false }]]);
+
+// Meia-noite local de amanhã
+const AMANHA = moment().tz(TIMEZONE_CONFIG).startOf('day').add(1, 'day').valueOf();
+const AGORA = AMANHA - HORA;
+const iso = (ts) => new Date(ts).toISOString();
+
+const criarServico = (opcoes = {}) => {
+    const alertas = { registrados: [], resolvidos: [] };
+    const alertService = {
+        registrar: alerta => alertas.registrados.push(alerta),
+        resolverManutencao: (mac, now) => alertas.resolvidos.push({ mac, now })
+    };
+    const service = new MaintenanceService(new SqliteSensorRepository(':memory:'), opcoes.configs ?? configs(),
+        alertService, null, opcoes.maxHoras ?? 8);
+    return { service, alertas };
+};
+
+const janela = (campos = {}) => ({
+    sensor_mac: '112233445566',
+    starts_at: iso(AMANHA + 2 * HORA),
+    ends_at: iso(AMANHA + 4 * HORA),
+    reason: 'Troca do compressor',
+    created_by: 'operador',
+    ...campos
+});
+
+test('janela diária cobre o mesmo horário local nos dias seguintes até recurrence_until', async () => {
+    const { service } = criarServico();
+    const criada = await service.criar(janela({ recurrence: 'DAILY', recurrence_until: iso(AMANHA + 3 * 24 * HORA) }), AGORA);
+
+    assert.equal(criada.sensor_mac, MAC);
+    assert.equal(criada.active, false);
+    assert.equal(criada.next_occurrence.starts_at, iso(AMANHA + 2 * HORA));
+    assert.equal(criada.expires_at, iso(AMANHA + 3 * 24 * HORA + 2 * HORA));
+
+    assert.ok(service.emManutencao(MAC, {}, AMANHA + 2 * 24 * HORA + 3 * HORA));
+    assert.ok(!service.emManutencao(MAC, {}, AMANHA + 2 * 24 * HORA + 5 * HORA));
+    assert.ok(!service.emManutencao(MAC, {}, AMANHA + 4 * 24 * HORA + 3 * HORA));
+});
+
+test('janela semanal só cobre o mesmo dia da semana', async () => {
+    const { service } = criarServico();
+    await service.criar(janela({ recurrence: 'WEEKLY' }), AGORA);
+
+    assert.ok(service.janelaAtiva(MAC, AMANHA + 14 * 24 * HORA + 3 * HORA));
+    assert.equal(service.janelaAtiva(MAC, AMANHA + 24 * HORA + 3 * HORA), null);
+
+    const [listada] = service.listar({ mac: '112233445566' }, AMANHA + 3 * HORA);
+    assert.equal(listada.active, true);
+    assert.equal(listada.next_occurrence.starts_at, iso(AMANHA + 7 * 24 * HORA + 2 * HORA));
+});
+
+test('rejeita janelas inválidas com todos os erros', async () => {
+    const { service } = criarServico();
+
+    await assert.rejects(service.criar(janela({
+        sensor_mac: 'AA:AA:AA:AA:AA:AA',
+        ends_at: iso(AMANHA + 30 * HORA),
+        recurrence: 'DAILY',
+        extra: true
+    }), AGORA), erro => {
+        assert.equal(erro.code, 'INVALID_MAINTENANCE');
+        assert.deepEqual(erro.details, [
+            'campo desconhecido: extra',
+            'sensor_mac não cadastrado em sensor_configs',
+            'a duração da janela deve ser menor que o período da recorrência'
+        ]);
+        return true;
+    });
+
+    await assert.rejects(service.criar(janela({ ends_at: iso(AGORA - HORA), starts_at: iso(AGORA - 2 * HORA) }), AGORA),
+        erro => erro.details.includes('a janela já terminou'));
+});
+
+test('janelas encadeadas contam como manutenção contínua para o lembrete', async () => {
+    const { service, alertas } = criarServico({ maxHoras: 3 });
+    await service.criar(janela({ starts_at: iso(AMANHA), ends_at: iso(AMANHA + 2 * HORA) }), AGORA);
+    await service.criar(janela({ starts_at: iso(AMANHA + HORA), ends_at: iso(AMANHA + 5 * HORA) }), AGORA);
+
+    service.verificar(AMANHA + HORA);
+    // A primeira janela expira aqui; o início da manutenção contínua continua sendo o dela
+    service.verificar(AMANHA + 2 * HORA);
+    assert.equal(alertas.registrados.length, 0);
+    assert.equal(service.getStats(AMANHA + 2 * HORA).windows, 1);
+
+    service.verificar(AMANHA + 3 * HORA);
+    assert.equal(alertas.registrados.length, 1);
+    assert.equal(alertas.registrados[0].dados_contexto.em_manutencao_desde, iso(AMANHA));
+
+    service.verificar(AMANHA + 4 * HORA);
+    assert.equal(alertas.registrados.length, 1, 'lembrete repetido só depois de maxHoras');
+
+    service.verificar(AMANHA + 5 * HORA);
+    assert.equal(service.getStats(AMANHA + 5 * HORA).windows, 0);
+    assert.deepEqual(alertas.resolvidos.at(-1), { mac: MAC, now: AMANHA + 5 * HORA });
+});
+
+test('flag em_manutencao conta a partir de quando foi visto ligado', () => {
+    const cache = configs();
+    cache.get(MAC).em_manutencao = true;
+    const { service, alertas } = criarServico({ configs: cache, maxHoras: 2 });
+
+    service.verificar(AGORA);
+    service.verificar(AGORA + HORA);
+    assert.equal(alertas.registrados.length, 0);
+
+    service.verificar(AGORA + 2 * HORA);
+    assert.equal(alertas.registrados.length, 1);
+    assert.equal(alertas.registrados[0].dados_contexto.flag_em_manutencao, true);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Retentativas rápidas: as constantes são lidas na importação
+process.env.DB_RETRY_BASE_MS = '1';
+const { default: metricsService } = await import('../../src/services/MetricsService.js');
+const { BaseSensorRepository } = await import('../../src/repositories/BaseSensorRepository.js');
+
+const erroCodigo = (code) => Object.assign(new Error(`erro ${code}`), { code });
+
+class RepositorioFake extends BaseSensorRepository {
+    constructor(falhar) {
+        super();
+        this.falhar = falhar;
+    }
+
+    async _insertRows(tabela, registros) {
+        const erro = this.falhar(registros);
+        if (erro) throw erro;
+    }
+}
+
+// Valor atual da série com exatamente esses labels (0 se ainda não existe)
+const valor = async (metrica, labels, sufixo = '') => {
+    const { values } = await metrica.get();
+    const serie = values.find(v => (!sufixo || v.metricName.endsWith(sufixo)) &&
+        Object.entries(labels).every(([chave, esperado]) => v.labels[chave] === esperado) &&
+        Object.keys(v.labels).filter(chave => chave !== 'le').length === Object.keys(labels).length);
+    return serie?.value ?? 0;
+};
+
+const falhas = kind => valor(metricsService.dbInsertFailures, { table: 'telemetry_logs', kind });
+const insertsMedidos = result => valor(metricsService.dbInsertDuration, { table: 'telemetry_logs', result }, '_count');
+
+test('contadores, histogramas e gauges são exportados com o prefixo coldchain_', async () => {
+    metricsService.configurar({ buffers: { telemetry: { length: 7 } } });
+
+    const texto = await metricsService.exportar();
+
+    [
+        'messages_received_total', 'messages_processed_total', 'messages_rejected_total', 'readings_total',
+        'detection_events_total', 'alerts_total', 'db_insert_duration_seconds', 'db_insert_failures_total',
+        'notification_deliveries_total', 'notification_delivery_duration_seconds', 'notification_discarded_alerts_total',
+        'notification_dead_lettered_total', 'mqtt_connected', 'buffer_depth', 'alerts_active'
+    ].forEach(nome => assert.match(texto, new RegExp(`^# TYPE coldchain_${nome} `, 'm'), nome));
+    assert.match(texto, /^coldchain_buffer_depth\{buffer="telemetry"\} 7$/m);
+    assert.match(texto, /^nodejs_eventloop_lag_seconds /m);
+    assert.match(metricsService.contentType, /^text\/plain/);
+});
+
+test('erro transitório conta uma falha transient por tentativa', async () => {
+    const antes = { transient: await falhas('transient'), data: await falhas('data'), erro: await insertsMedidos('error') };
+    const repo = new RepositorioFake(() => erroCodigo('ECONNRESET'));
+
+    await assert.rejects(repo.insertTelemetryBatch([{ n: 1 }]));
+
+    assert.equal(await falhas('transient') - antes.transient, 3);
+    assert.equal(await falhas('data') - antes.data, 0);
+    assert.equal(await insertsMedidos('error') - antes.erro, 3);
+});
+
+test('falha transitória recuperada conta a falha e o insert bem-sucedido', async () => {
+    const antes = { transient: await falhas('transient'), ok: await insertsMedidos('ok') };
+    let tentativas = 0;
+    const repo = new RepositorioFake(() => ++tentativas === 1 ? erroCodigo('57014') : null);
+
+    await repo.insertTelemetryBatch([{ n: 1 }]);
+
+    assert.equal(await falhas('transient') - antes.transient, 1);
+    assert.equal(await insertsMedidos('ok') - antes.ok, 1);
+});
+
+test('linha inválida conta falhas data no lote e na bissecção, sem retentativas', async () => {
+    const antes = { transient: await falhas('transient'), data: await falhas('data') };
+    const repo = new RepositorioFake(registros => registros.some(r => r.n === 1) ? erroCodigo('22P02') : null);
+
+    const resultado = await repo.insertTelemetryBatch([{ n: 0 }, { n: 1 }]);
+
+    assert.equal(resultado.quarantined.length, 1);
+    // Lote inteiro + a linha isolada
+    assert.equal(await falhas('data') - antes.data, 2);
+    assert.equal(await falhas('transient') - antes.transient, 0);
+});
+
+test('esquema incompatível conta uma falha schema', async () => {
+    const antes = await falhas('schema');
+    const repo = new RepositorioFake(() => erroCodigo('PGRST204'));
+
+    await assert.rejects(repo.insertTelemetryBatch([{ n: 0 }, { n: 1 }]));
+
+    assert.equal(await falhas('schema') - antes, 1);
+});
@@ -0,0 +1,278 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { NotificationService, DELIVERY_STATUS } from '../../src/services/NotificationService.js';
+import { JournaledBuffer } from '../../src/utils/JournaledBuffer.js';
+
+const ALERTA = { sensor_nome: 'Câmara 1', sensor_mac: 'AA:AA:AA:AA:AA:AA', prioridade: 'ALTA', mensagens: ['Temperatura alta'] };
+const DEPOIS = 60 * 60 * 1000; // Além de qualquer backoff configurado nos testes
+
+const destino = async (respostas = []) => {
+    const recebidas = [];
+    const server = http.createServer((req, res) => {
+        let corpo = '';
+        req.on('data', parte => { corpo += parte; });
+        req.on('end', () => {
+            recebidas.push({ headers: req.headers, corpo });
+            res.statusCode = respostas.shift() ?? 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        recebidas,
+        fechar: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+const canalWebhook = (url, maxAttempts) => ({
+    name: 'hook',
+    type: 'webhook',
+    url,
+    secret: 'segredo',
+    batch_interval_ms: 0,
+    retry: { base_ms: 1, max_ms: 1, max_attempts: maxAttempts }
+});
+
+const comJournal = async (fn) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+    try {
+        await fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+test('esgotadas as tentativas a entrega vai para o dead-letter com o mesmo ID em todas elas', async () => {
+    const hook = await destino([500, 503]);
+    try {
+        const intake = new JournaledBuffer('alerts', null);
+        const service = new NotificationService(intake, [canalWebhook(hook.url, 2)]);
+        intake.push(ALERTA);
+
+        await service.processar(Date.now() + DEPOIS);
+        await service.processar(Date.now() + DEPOIS);
+
+        assert.equal(hook.recebidas.length, 2);
+        const [primeira, segunda] = hook.recebidas;
+        assert.equal(primeira.corpo, segunda.corpo);
+        assert.equal(primeira.headers['idempotency-key'], segunda.headers['idempotency-key']);
+
+        const [falha] = service.listarEntregas({ status: DELIVERY_STATUS.FAILED });
+        assert.equal(falha.id, primeira.headers['idempotency-key']);
+        assert.equal(falha.attempts, 2);
+        assert.match(falha.last_error, /HTTP 503/);
+        assert.equal(service.getStats().channels[0].dead_lettered, 1);
+
+        // Mais nenhuma tentativa depois do dead-letter
+        await service.processar(Date.now() + DEPOIS);
+        assert.equal(hook.recebidas.length, 2);
+    } finally {
+        await hook.fechar();
+    }
+});
+
+test('reenviar recoloca a entrega com falha na fila com o mesmo ID e o mesmo corpo', async () => {
+    const hook = await destino([500]);
+    try {
+        const intake = new JournaledBuffer('alerts', null);
+        const service = new NotificationService(intake, [canalWebhook(hook.url, 1)]);
+        intake.push(ALERTA);
+        await service.processar(Date.now() + DEPOIS);
+        const [falha] = service.listarEntregas({ status: DELIVERY_STATUS.FAILED });
+
+        const reenfileirada = service.reenviar(falha.id, 'maria');
+        assert.equal(reenfileirada.status, DELIVERY_STATUS.PENDING);
+        assert.equal(reenfileirada.resends, 1);
+        assert.throws(() => service.reenviar(falha.id), { code: 'DELIVERY_PENDING' });
+
+        await service.processar(Date.now() + DEPOIS);
+        assert.equal(service.obterEntrega(falha.id).status, DELIVERY_STATUS.DELIVERED);
+        assert.equal(hook.recebidas[1].corpo, hook.recebidas[0].corpo);
+        assert.equal(service.reenviar('inexistente'), null);
+    } finally {
+        await hook.fechar();
+    }
+});
+
+test('dead-letter de canal removido da configuração não pode ser reenviado', async () => {
+    const hook = await destino([500]);
+    try {
+        await comJournal(async (dir) => {
+            const intake = new JournaledBuffer('alerts', null);
+            const service = new NotificationService(intake, [canalWebhook(hook.url, 1)], { journalDir: dir });
+            intake.push(ALERTA);
+            await service.processar(Date.now() + DEPOIS);
+            const [falha] = service.listarEntregas({ status: DELIVERY_STATUS.FAILED });
+
+            // Reinício com outro canal: o dead-letter é recarregado do journal
+            const outro = { ...canalWebhook(hook.url, 1), name: 'outro' };
+            const reiniciado = new NotificationService(new JournaledBuffer('alerts', null), [outro], { journalDir: dir });
+
+            assert.equal(reiniciado.obterEntrega(falha.id).status, DELIVERY_STATUS.FAILED);
+            assert.throws(() => reiniciado.reenviar(falha.id), { code: 'CHANNEL_NOT_CONFIGURED' });
+        });
+    } finally {
+        await hook.fechar();
+    }
+});
+
+const canal = (name, extra = {}) => ({ name, type: 'webhook', url: 'http://127.0.0.1:1/hook', batch_interval_ms: 0, ...extra });
+
+// Troca o notifier de cada canal por um que registra os lotes; falhas: { canal: N primeiras tentativas falham }
+const gravarEnvios = (service, falhas = {}) => {
+    const envios = [];
+    service.channels.forEach(c => {
+        c.notifier = {
+            enviar: async (alertas, entrega) => {
+                envios.push({ canal: c.name, macs: alertas.map(a => a.sensor_mac), sites: alertas.map(a => a.site), entrega });
+                if ((falhas[c.name] || 0) > 0) {
+                    falhas[c.name]--;
+                    throw new Error('destino fora do ar');
+                }
+            }
+        };
+    });
+    return envios;
+};
+
+const alerta = (sensor_mac, prioridade, gateway_mac = null) => ({
+    ...ALERTA,
+    sensor_mac,
+    prioridade,
+    dados_contexto: gateway_mac ? { gateway_mac } : undefined
+});
+
+test('roteamento por site (nome ou MAC do gateway) e por prioridade', async () => {
+    const intake = new JournaledBuffer('alerts', null);
+    const service = new NotificationService(intake, [
+        canal('sp', { sites: ['Sao Paulo'] }),
+        canal('rj-gateway', { sites: ['aa-bb-cc-dd-ee-00'] }),
+        canal('criticos', { priorities: ['critica'] }),
+        canal('todos')
+    ], {
+        gatewaySites: { 'AA:BB:CC:DD:EE:FF': 'Sao Paulo', 'AA:BB:CC:DD:EE:00': 'Rio' },
+        localizarGateway: mac => mac === '11:11:11:11:11:11' ? 'AA:BB:CC:DD:EE:00' : null
+    });
+    const envios = gravarEnvios(service);
+
+    intake.push(
+        alerta('22:22:22:22:22:22', 'ALTA', 'AA:BB:CC:DD:EE:FF'),
+        alerta('11:11:11:11:11:11', 'CRITICA'),
+        alerta('33:33:33:33:33:33', 'MEDIA')
+    );
+    await service.processar(Date.now() + DEPOIS);
+
+    const recebidos = Object.fromEntries(envios.map(e => [e.canal, e.macs]));
+    assert.deepEqual(recebidos, {
+        sp: ['22:22:22:22:22:22'],
+        'rj-gateway': ['11:11:11:11:11:11'],
+        criticos: ['11:11:11:11:11:11'],
+        todos: ['22:22:22:22:22:22', '11:11:11:11:11:11', '33:33:33:33:33:33']
+    });
+    // Site pelo gateway do alerta ou pelo último gateway que reportou o sensor
+    assert.deepEqual(envios.find(e => e.canal === 'todos').sites, ['Sao Paulo', 'Rio', null]);
+    assert.equal(service.getStats().routed, 3);
+});
+
+test('alerta que nenhum canal atende é contado como sem rota', async () => {
+    const intake = new JournaledBuffer('alerts', null);
+    const service = new NotificationService(intake, [canal('criticos', { priorities: ['CRITICA'] })], { gatewaySites: {} });
+    const envios = gravarEnvios(service);
+
+    intake.push(alerta('22:22:22:22:22:22', 'MEDIA'));
+    await service.processar(Date.now() + DEPOIS);
+
+    assert.equal(envios.length, 0);
+    assert.equal(service.getStats().unrouted, 1);
+    assert.equal(intake.length, 0);
+});
+
+test('canal escalation_only só recebe alertas encaminhados', async () => {
+    const intake = new JournaledBuffer('alerts', null);
+    const service = new NotificationService(intake, [
+        canal('plantao', { escalation_only: true, batch_interval_ms: 60 * 60 * 1000 }),
+        canal('todos')
+    ], { gatewaySites: {} });
+    const envios = gravarEnvios(service);
+
+    intake.push(alerta('22:22:22:22:22:22', 'CRITICA'));
+    await service.processar(Date.now() + DEPOIS);
+    assert.deepEqual(envios.map(e => e.canal), ['todos']);
+
+    // Encaminhar antecipa o lote do canal, mesmo com intervalo longo
+    assert.deepEqual(service.encaminhar(['plantao', 'inexistente'], alerta('22:22:22:22:22:22', 'CRITICA')), ['plantao']);
+    await service.processar();
+    assert.deepEqual(envios.map(e => e.canal), ['todos', 'plantao']);
+});
+
+test('lote sai só quando o intervalo do canal vence e reúne os alertas acumulados', async () => {
+    const intake = new JournaledBuffer('alerts', null);
+    const service = new NotificationService(intake, [canal('lento', { batch_interval_ms: 60 * 1000 })], { gatewaySites: {} });
+    const envios = gravarEnvios(service);
+
+    intake.push(alerta('22:22:22:22:22:22', 'ALTA'));
+    await service.processar();
+    intake.push(alerta('33:33:33:33:33:33', 'ALTA'));
+    await service.processar();
+    assert.equal(envios.length, 0);
+    assert.equal(service.getStats().channels[0].pending, 2);
+
+    await service.processar(Date.now() + 60 * 1000);
+    assert.deepEqual(envios.map(e => e.macs), [['22:22:22:22:22:22', '33:33:33:33:33:33']]);
+});
+
+test('max_batch divide os alertas em entregas sucessivas, sem esperar o intervalo', async () => {
+    const intake = new JournaledBuffer('alerts', null);
+    const service = new NotificationService(intake, [canal('pequeno', { max_batch: 2 })], { gatewaySites: {} });
+    const envios = gravarEnvios(service);
+
+    ['11', '22', '33', '44', '55'].forEach(n => intake.push(alerta(`${n}:00:00:00:00:00`, 'ALTA')));
+    for (let i = 0; i < 3; i++) await service.processar(Date.now() + DEPOIS);
+
+    assert.deepEqual(envios.map(e => e.macs.length), [2, 2, 1]);
+    assert.equal(new Set(envios.map(e => e.entrega.id)).size, 3);
+    assert.equal(service.getStats().channels[0].alerts_sent, 5);
+});
+
+test('alertas reprovados na validação são descartados antes do envio', async () => {
+    const intake = new JournaledBuffer('alerts', null);
+    const service = new NotificationService(intake, [canal('hook')], {
+        gatewaySites: {},
+        validar: a => a.sensor_mac !== '33:33:33:33:33:33'
+    });
+    const envios = gravarEnvios(service);
+
+    intake.push(alerta('22:22:22:22:22:22', 'ALTA'), alerta('33:33:33:33:33:33', 'ALTA'));
+    await service.processar(Date.now() + DEPOIS);
+
+    assert.deepEqual(envios.map(e => e.macs), [['22:22:22:22:22:22']]);
+    assert.equal(service.getStats().channels[0].discarded, 1);
+});
+
+test('falha aguarda o backoff do canal e não atrasa os demais canais', async () => {
+    const intake = new JournaledBuffer('alerts', null);
+    const service = new NotificationService(intake, [
+        canal('instavel', { retry: { base_ms: 60 * 1000, max_ms: 60 * 1000, max_attempts: 3 } }),
+        canal('estavel')
+    ], { gatewaySites: {} });
+    const envios = gravarEnvios(service, { instavel: 1 });
+
+    intake.push(alerta('22:22:22:22:22:22', 'ALTA'));
+    await service.processar(Date.now() + DEPOIS);
+    assert.deepEqual(envios.map(e => [e.canal, e.entrega.attempt]), [['instavel', 1], ['estavel', 1]]);
+
+    // Antes do backoff nada é reenviado
+    await service.processar();
+    assert.equal(envios.length, 2);
+
+    await service.processar(Date.now() + DEPOIS);
+    const [primeira, , segunda] = envios;
+    assert.deepEqual([segunda.canal, segunda.entrega.attempt], ['instavel', 2]);
+    assert.equal(segunda.entrega.id, primeira.entrega.id);
+    assert.equal(service.obterEntrega(primeira.entrega.id).status, DELIVERY_STATUS.DELIVERED);
+});
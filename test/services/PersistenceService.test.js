@@ -0,0 +1,124 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PersistenceService, selecionarDescarteTelemetria } from '../../src/services/PersistenceService.js';
+import { JournaledBuffer } from '../../src/utils/JournaledBuffer.js';
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'persistence-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('selecionarDescarteTelemetria descarta heartbeats antes das demais linhas', () => {
+    const items = [
+        { id: 1, _write_reason: 'SLOPE' },
+        { id: 2, _write_reason: 'HEARTBEAT' },
+        { id: 3, _write_reason: 'EXCURSION' },
+        { id: 4, _write_reason: 'HEARTBEAT' },
+        { id: 5, _write_reason: 'SLOPE' }
+    ];
+
+    assert.deepEqual([...selecionarDescarteTelemetria(items, 2)].map(r => r.id), [2, 4]);
+    assert.deepEqual([...selecionarDescarteTelemetria(items, 3)].map(r => r.id), [2, 4, 1]);
+});
+
+test('selecionarDescarteTelemetria nunca descarta excursões e transições', () => {
+    const items = [
+        { id: 1, _write_reason: 'EXCURSION' },
+        { id: 2, _write_reason: 'TRANSITION' },
+        { id: 3, _write_reason: 'HEARTBEAT' }
+    ];
+
+    assert.deepEqual([...selecionarDescarteTelemetria(items, 3)].map(r => r.id), [3]);
+});
+
+test('linhas quarentenadas sobrevivem a um reinício e o lote sai do journal de origem', async () => {
+    const repository = {
+        insertTelemetryBatch: async rows => ({
+            inserted: rows.length - 1,
+            quarantined: [{ row: rows[0], error: 'valor inválido', code: '22P02' }]
+        })
+    };
+    const telemetry = new JournaledBuffer('telemetry', dir);
+    telemetry.push({ mac: 'AA', temp: 'x' }, { mac: 'BB', temp: 1 });
+
+    const service = new PersistenceService(repository, { telemetry }, { journalDir: dir });
+    await service.flush({ force: true });
+    assert.equal(service.getQuarantine().length, 1);
+
+    const telemetriaReiniciada = new JournaledBuffer('telemetry', dir);
+    assert.equal(telemetriaReiniciada.load(), 0);
+
+    const reiniciado = new PersistenceService(repository, {}, { journalDir: dir });
+    const [linha] = reiniciado.getQuarantine();
+    assert.equal(linha.table, 'telemetry');
+    assert.equal(linha.code, '22P02');
+    assert.deepEqual(linha.row, { mac: 'AA', temp: 'x' });
+});
+
+test('quarentena cheia descarta as linhas mais antigas', async () => {
+    const repository = {
+        insertTelemetryBatch: async rows => ({
+            inserted: 0,
+            quarantined: rows.map(row => ({ row, error: 'valor inválido', code: '22P02' }))
+        })
+    };
+    const telemetry = new JournaledBuffer('telemetry', null);
+    telemetry.push(...Array.from({ length: 12 }, (_, n) => ({ n })));
+
+    const service = new PersistenceService(repository, { telemetry }, { quarantineMax: 10 });
+    await service.flush({ force: true });
+
+    const linhas = service.getQuarantine({ limit: 20 });
+    assert.equal(linhas.length, 9);
+    assert.deepEqual(linhas.at(-1).row, { n: 3 });
+});
+
+test('falha no flush devolve ao buffer apenas as linhas não gravadas', async () => {
+    const repository = {
+        insertTelemetryBatch: async rows => {
+            const erro = new Error('timeout');
+            erro.inserted = 1;
+            erro.quarantined = [];
+            erro.remaining = rows.slice(1);
+            throw erro;
+        }
+    };
+    const telemetry = new JournaledBuffer('telemetry', null);
+    telemetry.push({ n: 1 }, { n: 2 }, { n: 3 });
+
+    const service = new PersistenceService(repository, { telemetry });
+    await service.flush({ force: true });
+
+    assert.deepEqual(telemetry.toArray(), [{ n: 2 }, { n: 3 }]);
+    assert.equal(service.getStats().buffers.telemetry.consecutive_failures, 1);
+});
+
+test('falha no sync do repositório devolve ao buffer as linhas não quarentenadas e mantém o journal', async () => {
+    const repository = {
+        insertTelemetryBatch: async rows => ({
+            inserted: rows.length - 1,
+            quarantined: [{ row: rows[0], error: 'valor inválido', code: '22P02' }]
+        }),
+        sync: async () => { throw new Error('ENOSPC'); }
+    };
+    const telemetry = new JournaledBuffer('telemetry', dir);
+    telemetry.push({ n: 1 }, { n: 2 }, { n: 3 });
+
+    const service = new PersistenceService(repository, { telemetry }, { journalDir: dir });
+    await service.flush({ force: true });
+
+    assert.deepEqual(telemetry.toArray(), [{ n: 2 }, { n: 3 }]);
+    assert.equal(service.getQuarantine().length, 1);
+    assert.equal(service.getStats().buffers.telemetry.consecutive_failures, 1);
+    assert.equal(service.getStats().buffers.telemetry.last_error, 'ENOSPC');
+    // Os segmentos continuam em disco até um flush confirmado
+    assert.equal(new JournaledBuffer('telemetry', dir).load(), 3);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReadinessService } from '../../src/services/ReadinessService.js';
+import { HealthController } from '../../src/controllers/HealthController.js';
+
+const MINUTO = 60 * 1000;
+const LIMITES = {
+    requireMqtt: true,
+    messageAgeMs: 5 * MINUTO,
+    flushAgeMs: 5 * MINUTO,
+    bufferAgeMs: 15 * MINUTO,
+    configAgeMs: 30 * MINUTO
+};
+
+const respostaFake = () => ({
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+// Estado saudável: cada teste altera só a dependência que deve reprovar
+const montar = (agora, estado = {}) => {
+    const service = new ReadinessService(
+        { connected: true, since: agora - MINUTO, ...estado.mqtt },
+        { lastMessageAt: agora - 10 * 1000, ...estado.ingestion },
+        { getPending: () => estado.pending ?? [] },
+        { lastLoadAt: agora - MINUTO, ...estado.config },
+        LIMITES
+    );
+    service.startedAt = agora - 60 * MINUTO;
+    return service;
+};
+
+const reprovadas = (service, agora) => {
+    const resultado = service.verificar(agora);
+    return { resultado, falhas: resultado.failing, check: nome => resultado.checks.find(c => c.name === nome) };
+};
+
+test('todas as dependências saudáveis: READY sem falhas', () => {
+    const agora = Date.now();
+    const { resultado } = reprovadas(montar(agora), agora);
+
+    assert.equal(resultado.status, 'READY');
+    assert.deepEqual(resultado.failing, []);
+    assert.deepEqual(resultado.checks.map(c => c.name), ['mqtt', 'last_message', 'db_flush', 'buffer_age', 'config_cache']);
+});
+
+test('MQTT desconectado reprova mqtt', () => {
+    const agora = Date.now();
+    const { resultado, falhas, check } = reprovadas(montar(agora, { mqtt: { connected: false } }), agora);
+
+    assert.equal(resultado.status, 'NOT_READY');
+    assert.deepEqual(falhas, ['mqtt']);
+    assert.equal(check('mqtt').message, 'Cliente MQTT desconectado do broker');
+});
+
+test('sem mensagens além do limite reprova last_message, contando do boot quando nunca houve mensagem', () => {
+    const agora = Date.now();
+    const { falhas, check } = reprovadas(montar(agora, { ingestion: { lastMessageAt: agora - 6 * MINUTO } }), agora);
+    assert.deepEqual(falhas, ['last_message']);
+    assert.equal(check('last_message').age_ms, 6 * MINUTO);
+
+    const recemIniciado = montar(agora, { ingestion: { lastMessageAt: null } });
+    recemIniciado.startedAt = agora - MINUTO;
+    assert.deepEqual(reprovadas(recemIniciado, agora).falhas, []);
+    recemIniciado.startedAt = agora - 6 * MINUTO;
+    assert.deepEqual(reprovadas(recemIniciado, agora).falhas, ['last_message']);
+});
+
+test('pendências sem flush bem-sucedido reprovam db_flush com o buffer e o último erro', () => {
+    const agora = Date.now();
+    const pending = [{
+        name: 'telemetry',
+        rows: 10,
+        oldest_entry: new Date(agora - MINUTO).toISOString(),
+        last_success: new Date(agora - 10 * MINUTO).toISOString(),
+        last_error: 'timeout'
+    }];
+    const { falhas, check } = reprovadas(montar(agora, { pending }), agora);
+
+    assert.deepEqual(falhas, ['db_flush']);
+    assert.equal(check('db_flush').buffer, 'telemetry');
+    assert.equal(check('db_flush').last_error, 'timeout');
+});
+
+test('registro antigo nos buffers reprova buffer_age', () => {
+    const agora = Date.now();
+    const pending = [
+        { name: 'door', rows: 1, oldest_entry: new Date(agora - MINUTO).toISOString(), last_success: new Date(agora).toISOString() },
+        { name: 'telemetry', rows: 3, oldest_entry: new Date(agora - 20 * MINUTO).toISOString(), last_success: new Date(agora).toISOString() }
+    ];
+    const { falhas, check } = reprovadas(montar(agora, { pending }), agora);
+
+    assert.deepEqual(falhas, ['buffer_age']);
+    assert.equal(check('buffer_age').buffer, 'telemetry');
+    assert.equal(check('buffer_age').rows, 3);
+});
+
+test('cache de configurações nunca carregado ou desatualizado reprova config_cache', () => {
+    const agora = Date.now();
+
+    const nunca = reprovadas(montar(agora, { config: { lastLoadAt: null } }), agora);
+    assert.deepEqual(nunca.falhas, ['config_cache']);
+    assert.equal(nunca.check('config_cache').message, 'Cache de configurações ainda não carregado');
+
+    const velho = reprovadas(montar(agora, { config: { lastLoadAt: agora - 31 * MINUTO } }), agora);
+    assert.deepEqual(velho.falhas, ['config_cache']);
+    assert.equal(velho.check('config_cache').message, 'Cache de configurações desatualizado');
+});
+
+test('limite 0 desativa a verificação', () => {
+    const agora = Date.now();
+    const service = montar(agora, { mqtt: { connected: false } });
+    service.limites.requireMqtt = false;
+    service.limites.configAgeMs = 0;
+
+    const { resultado } = reprovadas(service, agora);
+    assert.equal(resultado.status, 'READY');
+    assert.deepEqual(resultado.checks.map(c => c.name), ['last_message', 'db_flush', 'buffer_age']);
+});
+
+test('GET /health/ready responde 503 com a lista das verificações reprovadas', async () => {
+    const agora = Date.now();
+    const service = montar(agora, { mqtt: { connected: false }, config: { lastLoadAt: null } });
+    const res = respostaFake();
+
+    await new HealthController(null, service).getReady({}, res);
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.status, 'NOT_READY');
+    assert.deepEqual(res.body.failing, ['mqtt', 'config_cache']);
+    assert.equal(res.body.checks.length, 5);
+});
+
+test('GET /health/ready responde 200 quando tudo está pronto', async () => {
+    const res = respostaFake();
+
+    await new HealthController(null, montar(Date.now())).getReady({}, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, 'READY');
+});
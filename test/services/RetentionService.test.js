@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import moment from 'moment-timezone';
+import { RetentionService, primeiraHoraDescoberta } from '../../src/services/RetentionService.js';
+import { RollupService } from '../../src/services/RollupService.js';
+import { SensorService } from '../../src/services/SensorService.js';
+import { SqliteSensorRepository } from '../../src/repositories/SqliteSensorRepository.js';
+import { TIMEZONE_CONFIG } from '../../src/config/constants.js';
+
+const MINUTO = 60000;
+const HORA = 60 * MINUTO;
+const MAC_A = 'AA:AA:AA:AA:AA:AA';
+const MAC_B = 'BB:BB:BB:BB:BB:BB';
+const iso = (ts) => new Date(ts).toISOString();
+
+const leituras = (mac, inicio, quantidade) =>
+    Array.from({ length: quantidade }, (_, i) => ({ mac, ts: iso(inicio + i * 10 * MINUTO), temp: -18 }));
+
+// Dia de 40 dias atrás com leituras de A e B nas 3 primeiras horas, agregados calculados
+const cenario = async () => {
+    const repository = new SqliteSensorRepository(':memory:');
+    const rollups = new RollupService(repository, new Map(), new SensorService(new Map()));
+    const dia = moment().tz(TIMEZONE_CONFIG).startOf('day').subtract(40, 'day').valueOf();
+
+    await repository.insertTelemetryBatch([0, 1, 2].flatMap(h => [...leituras(MAC_A, dia + h * HORA, 6), ...leituras(MAC_B, dia + h * HORA, 6)]));
+    for (let h = 0; h < 24; h++) await rollups.calcularPeriodo('hour', dia + h * HORA, dia + (h + 1) * HORA);
+    await rollups.calcularPeriodo('day', dia, dia + 24 * HORA);
+
+    return { repository, rollups, dia, service: new RetentionService(repository, { telemetry_logs: 30 }) };
+};
+
+const telemetria = async (repository, dia) =>
+    repository.findTelemetryRange(iso(dia - 24 * HORA), iso(dia + 48 * HORA));
+
+test('primeiraHoraDescoberta aponta a hora mais cedo sem agregado suficiente', () => {
+    const h = (n) => iso(Date.UTC(2026, 0, 10, n));
+    const leiturasDia = [
+        { mac: 'A', hour: h(5), total: 6 },
+        { mac: 'B', hour: h(3), total: 6 },
+        { mac: 'A', hour: h(3), total: 6 }
+    ];
+    const horarios = [
+        { sensor_mac: 'A', bucket_start: h(3), samples: 6 },
+        { sensor_mac: 'A', bucket_start: h(5), samples: 6 },
+        { sensor_mac: 'B', bucket_start: h(3), samples: 5 }
+    ];
+
+    assert.deepEqual(primeiraHoraDescoberta(leiturasDia, horarios, [{ sensor_mac: 'A', samples: 12 }, { sensor_mac: 'B', samples: 6 }]),
+        { hour: Date.parse(h(3)), mac: 'B', period: 'hour', raw_rows: 6, rollup_samples: 5 });
+
+    horarios[2].samples = 6;
+    assert.equal(primeiraHoraDescoberta(leiturasDia, horarios, [{ sensor_mac: 'A', samples: 12 }, { sensor_mac: 'B', samples: 6 }]), null);
+
+    // Agregado diário calculado antes das leituras da hora 5
+    assert.equal(primeiraHoraDescoberta(leiturasDia, horarios, [{ sensor_mac: 'A', samples: 6 }, { sensor_mac: 'B', samples: 6 }]).period, 'day');
+});
+
+test('apaga a telemetria bruta coberta pelos agregados', async () => {
+    const { repository, service, dia } = await cenario();
+
+    const [relatorio] = (await service.executar()).tables;
+
+    assert.equal(relatorio.blocked, null);
+    assert.equal(relatorio.deleted, 36);
+    assert.deepEqual(await telemetria(repository, dia), []);
+});
+
+test('leituras que chegaram depois dos agregados bloqueiam o dia do sensor sem agregado diário atualizado', async () => {
+    const { repository, service, dia } = await cenario();
+    // Leitura de B reenviada pelo journal depois do cálculo
+    await repository.insertTelemetryBatch([{ mac: MAC_B, ts: iso(dia + HORA + 5 * MINUTO), temp: -17 }]);
+
+    const [relatorio] = (await service.executar()).tables;
+
+    assert.deepEqual(relatorio.blocked, { reason: 'ROLLUP_MISSING', hour: iso(dia), sensor: MAC_B, raw_rows: 19 });
+    assert.equal(relatorio.deleted, 0);
+});
+
+test('para na primeira hora com leituras não contabilizadas no agregado horário', async () => {
+    const { repository, rollups, service, dia } = await cenario();
+    await repository.insertTelemetryBatch([{ mac: MAC_B, ts: iso(dia + HORA + 5 * MINUTO), temp: -17 }]);
+    await rollups.calcularPeriodo('day', dia, dia + 24 * HORA);
+
+    const [relatorio] = (await service.executar()).tables;
+
+    assert.deepEqual(relatorio.blocked, { reason: 'ROLLUP_MISSING', hour: iso(dia + HORA), sensor: MAC_B, raw_rows: 7 });
+    assert.equal(relatorio.purged_until, iso(dia + HORA));
+    assert.equal(relatorio.deleted, 12);
+    assert.ok((await telemetria(repository, dia)).every(t => Date.parse(t.ts) >= dia + HORA));
+});
+
+test('sensor sem agregado bloqueia a hora mesmo com agregados de outros sensores', async () => {
+    const { repository, service, dia } = await cenario();
+    const MAC_C = 'CC:CC:CC:CC:CC:CC';
+    await repository.insertTelemetryBatch(leituras(MAC_C, dia + 2 * HORA, 1));
+
+    const [relatorio] = (await service.executar()).tables;
+
+    assert.equal(relatorio.blocked.hour, iso(dia + 2 * HORA));
+    assert.equal(relatorio.blocked.sensor, MAC_C);
+    assert.equal(relatorio.deleted, 24);
+});
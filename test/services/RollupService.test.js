@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import moment from 'moment-timezone';
+import { RollupService, calcularEstatisticas } from '../../src/services/RollupService.js';
+import { SensorService } from '../../src/services/SensorService.js';
+import { SqliteSensorRepository } from '../../src/repositories/SqliteSensorRepository.js';
+import { TIMEZONE_CONFIG, ROLLUP_MAX_GAP_MS } from '../../src/config/constants.js';
+
+const MINUTO = 60000;
+const MAC_A = 'AA:AA:AA:AA:AA:AA';
+const MAC_B = 'BB:BB:BB:BB:BB:BB';
+
+// Início da hora, n horas atrás
+const hora = (n) => moment().tz(TIMEZONE_CONFIG).startOf('hour').subtract(n, 'hour').valueOf();
+const iso = (ts) => new Date(ts).toISOString();
+
+const leituras = (mac, inicio, quantidade, temp = -18) =>
+    Array.from({ length: quantidade }, (_, i) => ({ mac, ts: iso(inicio + i * 10 * MINUTO), temp }));
+
+const criar = () => {
+    const repository = new SqliteSensorRepository(':memory:');
+    return { repository, service: new RollupService(repository, new Map(), new SensorService(new Map())) };
+};
+
+const agregado = async (repository, mac, inicio) =>
+    (await repository.findRollups('hour', mac, iso(inicio), iso(inicio)))[0];
+
+test('calcularEstatisticas pondera pelo tempo e conta o tempo dentro dos limites', () => {
+    const g = ROLLUP_MAX_GAP_MS;
+    const pontos = [{ ts: 0, temp: -20 }, { ts: g, temp: -20 }, { ts: 2 * g, temp: -10 }];
+    const estatisticas = calcularEstatisticas(pontos, 0, 2 * g, { min: -30, max: -15 });
+
+    assert.equal(estatisticas.samples, 2);
+    assert.equal(estatisticas.covered_s, 2 * g / 1000);
+    assert.equal(estatisticas.temp_min, -20);
+    assert.equal(estatisticas.temp_max, -10);
+    assert.equal(estatisticas.temp_avg, -17.5);
+    assert.equal(estatisticas.time_in_range_pct, 75);
+    assert.equal(calcularEstatisticas([{ ts: 0, temp: -20 }, { ts: g + 1, temp: -10 }], 0, 2 * g, null).covered_s, 0);
+});
+
+test('recalcula o período de um sensor cujas leituras chegaram depois do agregado (lacuna)', async () => {
+    const { repository, service } = criar();
+    await repository.insertTelemetryBatch([3, 2, 1].flatMap(n => leituras(MAC_A, hora(n), 6)));
+    await service.executar('hour');
+    assert.equal(await agregado(repository, MAC_B, hora(3)), undefined);
+
+    // Journal de outro gateway reenviado depois que o banco voltou
+    await repository.insertTelemetryBatch(leituras(MAC_B, hora(3), 6, -5));
+    await service.executar('hour');
+
+    const recalculado = await agregado(repository, MAC_B, hora(3));
+    assert.equal(recalculado.samples, 6);
+    assert.equal(recalculado.temp_avg, -5);
+    assert.equal(service.getStats().hour.stale_buckets, 1);
+});
+
+test('recalcula o período que recebeu leituras e aberturas de porta atrasadas', async () => {
+    const { repository, service } = criar();
+    await repository.insertTelemetryBatch([3, 2, 1].flatMap(n => leituras(MAC_A, hora(n), 3)));
+    await service.executar('hour');
+    assert.equal((await agregado(repository, MAC_A, hora(3))).samples, 3);
+
+    await repository.insertTelemetryBatch(leituras(MAC_A, hora(3) + 35 * MINUTO, 2, -12));
+    await service.executar('hour');
+    assert.equal((await agregado(repository, MAC_A, hora(3))).samples, 5);
+
+    await repository.insertDoorBatch([{ sensor_mac: MAC_A, is_open: true, timestamp_read: iso(hora(3) + 5 * MINUTO) }]);
+    await service.executar('hour');
+    assert.equal((await agregado(repository, MAC_A, hora(3))).door_open_count, 1);
+});
+
+test('períodos em dia com os dados brutos não são recalculados', async () => {
+    const { repository, service } = criar();
+    await repository.insertTelemetryBatch([3, 2, 1].flatMap(n => leituras(MAC_A, hora(n), 6)));
+    await service.executar('hour');
+
+    assert.deepEqual(await service.periodosDesatualizados('hour', hora(24), hora(1)), []);
+
+    // Brutos apagados (retenção) não invalidam o agregado
+    await repository.deleteOlderThan('telemetry_logs', 'ts', iso(hora(2)), 1000);
+    assert.deepEqual(await service.periodosDesatualizados('hour', hora(24), hora(1)), []);
+});
+
+test('agregados diários somam as contagens horárias do dia', async () => {
+    const { repository, service } = criar();
+    const ontem = moment().tz(TIMEZONE_CONFIG).startOf('day').subtract(1, 'day').valueOf();
+    await repository.upsertRollups('day', [{
+        sensor_mac: MAC_A, bucket_start: iso(ontem), bucket_end: iso(ontem + 24 * 60 * MINUTO), samples: 4, covered_s: 0
+    }]);
+    await repository.insertTelemetryBatch([
+        ...leituras(MAC_A, ontem + 60 * MINUTO, 2),
+        ...leituras(MAC_A, ontem + 600 * MINUTO, 2)
+    ]);
+
+    const hoje = moment().tz(TIMEZONE_CONFIG).startOf('day').valueOf();
+    assert.deepEqual(await service.periodosDesatualizados('day', ontem, hoje), []);
+
+    await repository.insertTelemetryBatch(leituras(MAC_A, ontem + 900 * MINUTO, 1));
+    assert.deepEqual(await service.periodosDesatualizados('day', ontem, hoje), [ontem]);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SensorService } from '../../src/services/SensorService.js';
+import { SnapshotService } from '../../src/services/SnapshotService.js';
+
+const MAC_A = 'AA:AA:AA:AA:AA:AA';
+const MAC_B = 'BB:BB:BB:BB:BB:BB';
+const configs = new Map([MAC_A, MAC_B].map(mac => [mac, { mac, display_name: mac, temp_max: -5, temp_min: -30 }]));
+
+const servicoComEstado = (ts) => {
+    const service = new SensorService(new Map());
+    [MAC_A, MAC_B].forEach(mac => {
+        const state = service.getOrCreateSensorState(mac, configs.get(mac));
+        state.updateReading(-18, 60, ts);
+        state.addHistoryPoint(-18, ts);
+    });
+    service.doorStrategy.doorStateHistory.set(MAC_A, [{ timestamp: ts, isOpen: true }]);
+    service.defrostStrategy.defrostHistory.set(MAC_B, [{ start: ts }]);
+    service.alertWatchlist.set(`${MAC_A}_TEMP`, ts);
+    return service;
+};
+
+test('restaura sensores, histórico das estratégias e watchlist em um processo vazio', () => {
+    const agora = Date.now();
+    const estado = servicoComEstado(agora - 1000).exportarEstado();
+    const service = new SensorService(new Map());
+
+    const resultado = service.restaurarEstado(JSON.parse(JSON.stringify(estado)), configs, agora);
+
+    assert.deepEqual(resultado, { sensores: 2, ignorados: 0, watchlist: 1 });
+    assert.equal(service.getAllSensorStates().length, 2);
+    assert.deepEqual(service.doorStrategy.doorStateHistory.get(MAC_A), [{ timestamp: agora - 1000, isOpen: true }]);
+    assert.deepEqual(service.defrostStrategy.defrostHistory.get(MAC_B), [{ start: agora - 1000 }]);
+});
+
+test('estado ao vivo não é sobrescrito pela restauração', () => {
+    const agora = Date.now();
+    const estado = servicoComEstado(agora - 60000).exportarEstado();
+
+    const service = new SensorService(new Map());
+    service.getOrCreateSensorState(MAC_A, configs.get(MAC_A)).updateReading(-10, 50, agora);
+    service.doorStrategy.doorStateHistory.set(MAC_A, [{ timestamp: agora, isOpen: false }]);
+    service.defrostStrategy.defrostHistory.set(MAC_A, [{ start: agora }]);
+    service.alertWatchlist.set(`${MAC_A}_TEMP`, agora);
+
+    const resultado = service.restaurarEstado(estado, configs, agora);
+
+    assert.deepEqual(resultado, { sensores: 1, ignorados: 1, watchlist: 0 });
+    assert.equal(service.getOrCreateSensorState(MAC_A).lastReading.db_temp, -10);
+    assert.deepEqual(service.doorStrategy.doorStateHistory.get(MAC_A), [{ timestamp: agora, isOpen: false }]);
+    assert.deepEqual(service.defrostStrategy.defrostHistory.get(MAC_A), [{ start: agora }]);
+    assert.deepEqual(service.defrostStrategy.defrostHistory.get(MAC_B), [{ start: agora - 60000 }]);
+    assert.equal(service.alertWatchlist.get(`${MAC_A}_TEMP`), agora);
+});
+
+test('snapshot gravado em disco é restaurado por um novo processo', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+    try {
+        const arquivo = path.join(dir, 'state-snapshot.json');
+        const origem = new SnapshotService(servicoComEstado(Date.now()), configs, arquivo, 60000);
+        origem.salvar();
+        assert.equal(fs.existsSync(arquivo), false, 'não grava antes da restauração do boot');
+        origem.restauracaoConcluida = true;
+        origem.salvar();
+
+        const destino = new SnapshotService(new SensorService(new Map()), configs, arquivo, 60000);
+        assert.equal(destino.restaurar(), true);
+        assert.equal(destino.getStats().restored.sensors, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('snapshot mais antigo que o limite é ignorado', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+    try {
+        const arquivo = path.join(dir, 'state-snapshot.json');
+        fs.writeFileSync(arquivo, JSON.stringify({ version: 1, saved_at: new Date(Date.now() - 120000).toISOString(), sensors: [] }));
+
+        const service = new SnapshotService(new SensorService(new Map()), configs, arquivo, 60000);
+        assert.equal(service.restaurar(), false);
+        assert.equal(service.restauracaoConcluida, true);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
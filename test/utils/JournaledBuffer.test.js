@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JournaledBuffer } from '../../src/utils/JournaledBuffer.js';
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('registros sem commit são recuperados por um novo buffer', () => {
+    const buffer = new JournaledBuffer('telemetry', dir);
+    buffer.push({ n: 1 }, { n: 2 });
+    const lote = buffer.drain();
+    assert.deepEqual(lote.records, [{ n: 1 }, { n: 2 }]);
+    buffer.push({ n: 3 });
+
+    const reiniciado = new JournaledBuffer('telemetry', dir);
+    assert.equal(reiniciado.load(), 3);
+    assert.deepEqual(reiniciado.toArray(), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('commit apaga apenas os segmentos do lote drenado', () => {
+    const buffer = new JournaledBuffer('telemetry', dir);
+    buffer.push({ n: 1 });
+    const lote = buffer.drain();
+    buffer.push({ n: 2 });
+    lote.commit();
+
+    const reiniciado = new JournaledBuffer('telemetry', dir);
+    reiniciado.load();
+    assert.deepEqual(reiniciado.toArray(), [{ n: 2 }]);
+});
+
+test('rollback devolve os registros informados ao início do buffer', () => {
+    const buffer = new JournaledBuffer('telemetry', dir);
+    buffer.push({ n: 1 }, { n: 2 }, { n: 3 });
+    const lote = buffer.drain();
+    buffer.push({ n: 4 });
+    lote.rollback(lote.records.slice(1));
+
+    assert.deepEqual(buffer.toArray(), [{ n: 2 }, { n: 3 }, { n: 4 }]);
+});
+
+test('excedendo maxSize descarta os mais antigos até 90% e compacta o journal', () => {
+    const buffer = new JournaledBuffer('telemetry', dir, { maxSize: 10 });
+    for (let n = 1; n <= 11; n++) buffer.push({ n });
+
+    assert.equal(buffer.length, 9);
+    assert.deepEqual(buffer.peek(), { n: 3 });
+    assert.equal(buffer.getStats().evicted, 2);
+
+    const reiniciado = new JournaledBuffer('telemetry', dir);
+    reiniciado.load();
+    assert.deepEqual(reiniciado.toArray().map(r => r.n), [3, 4, 5, 6, 7, 8, 9, 10, 11]);
+});
+
+test('sem registros descartáveis só tenta de novo após crescer 10% da capacidade', () => {
+    let chamadas = 0;
+    const buffer = new JournaledBuffer('alerts', null, {
+        maxSize: 10,
+        selectEvictions: () => {
+            chamadas++;
+            return new Set();
+        }
+    });
+
+    for (let n = 1; n <= 11; n++) buffer.push({ n });
+    assert.equal(chamadas, 1);
+    assert.equal(buffer.evictionFloor, 12);
+
+    buffer.push({ n: 12 });
+    assert.equal(chamadas, 1);
+
+    buffer.push({ n: 13 });
+    assert.equal(chamadas, 2);
+    assert.equal(buffer.length, 13);
+});
+
+test('drain zera o limite da próxima tentativa de descarte', () => {
+    const buffer = new JournaledBuffer('alerts', null, { maxSize: 10, selectEvictions: () => new Set() });
+    for (let n = 1; n <= 11; n++) buffer.push({ n });
+    buffer.drain().commit();
+
+    assert.equal(buffer.evictionFloor, 0);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodificarAnuncioBle, separarEstruturasAD } from '../../src/utils/bleAdvertisement.js';
+
+const FLAGS = '020106';
+const MINEW_HT = '1016E1FFA1016419803200665544332211';
+const ATC1441 = '10161A18A4C138112233FFCE3750' + '0BB801';
+const PVVX = '12161A1833221138C1A4' + '00FE' + '8815' + '860B' + '4B0705';
+const EDDYSTONE_TLM = '1116AAFE20000BB8FB00' + '00000064' + '00000E10';
+const IBEACON = '1AFF4C000215E2C56DB5DFFB48D2B060D0F5A71096E000010002C5';
+
+test('decodifica o frame Minew HT', () => {
+    assert.deepEqual(decodificarAnuncioBle(FLAGS + MINEW_HT), {
+        frames: ['MINEW_HT'],
+        battery_percent: 100,
+        temp: 25.5,
+        humidity: 50
+    });
+});
+
+test('decodifica temperaturas negativas do Minew HT', () => {
+    const resultado = decodificarAnuncioBle(MINEW_HT.replace('1980', 'FA80'));
+    assert.equal(resultado.temp, -5.5);
+});
+
+test('decodifica o formato ATC1441 do Environmental Sensing', () => {
+    assert.deepEqual(decodificarAnuncioBle(ATC1441), {
+        frames: ['ATC1441'],
+        temp: -5,
+        humidity: 55,
+        battery_percent: 80,
+        vbatt: 3000
+    });
+});
+
+test('decodifica o formato pvvx do Environmental Sensing', () => {
+    assert.deepEqual(decodificarAnuncioBle(PVVX), {
+        frames: ['PVVX'],
+        temp: -5.12,
+        humidity: 55.12,
+        vbatt: 2950,
+        battery_percent: 75
+    });
+});
+
+test('decodifica Eddystone-TLM com contadores', () => {
+    assert.deepEqual(decodificarAnuncioBle(EDDYSTONE_TLM), {
+        frames: ['EDDYSTONE_TLM'],
+        vbatt: 3000,
+        temp: -5,
+        tlm: { adv_count: 100, uptime_s: 360 }
+    });
+});
+
+test('Eddystone-TLM sem sensor de temperatura (0x8000) não informa temp', () => {
+    const resultado = decodificarAnuncioBle(EDDYSTONE_TLM.replace('FB00', '8000'));
+    assert.equal(resultado.temp, undefined);
+    assert.equal(resultado.vbatt, 3000);
+});
+
+test('decodifica iBeacon', () => {
+    assert.deepEqual(decodificarAnuncioBle(FLAGS + IBEACON).ibeacon, {
+        uuid: 'E2C56DB5-DFFB-48D2-B060-D0F5A71096E0',
+        major: 1,
+        minor: 2,
+        tx_power: -59
+    });
+});
+
+test('combina frames do mesmo anúncio e o primeiro a informar um campo prevalece', () => {
+    const resultado = decodificarAnuncioBle(`0x${IBEACON}${MINEW_HT}${EDDYSTONE_TLM}`);
+    assert.deepEqual(resultado.frames, ['IBEACON', 'MINEW_HT', 'EDDYSTONE_TLM']);
+    assert.equal(resultado.temp, 25.5);
+    assert.equal(resultado.vbatt, 3000);
+    assert.equal(resultado.tlm.adv_count, 100);
+});
+
+test('aceita separadores no hexadecimal', () => {
+    const comSeparadores = MINEW_HT.match(/../g).join(':').toLowerCase();
+    assert.equal(decodificarAnuncioBle(comSeparadores).temp, 25.5);
+});
+
+test('retorna null para entradas inválidas ou sem frames conhecidos', () => {
+    assert.equal(decodificarAnuncioBle(null), null);
+    assert.equal(decodificarAnuncioBle('ABC'), null);
+    assert.equal(decodificarAnuncioBle(FLAGS), null);
+    assert.equal(decodificarAnuncioBle('0516E1FFA102'), null);
+});
+
+test('separarEstruturasAD ignora estrutura truncada', () => {
+    const estruturas = separarEstruturasAD(Buffer.from(FLAGS + '1016E1FFA101', 'hex'));
+    assert.equal(estruturas.length, 1);
+    assert.equal(estruturas[0].type, 0x01);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calcularBackoff } from '../../src/utils/retry.js';
+
+test('calcularBackoff fica entre metade e o total do backoff exponencial', () => {
+    for (let i = 0; i < 200; i++) {
+        const atraso = calcularBackoff(3, 100, 10000);
+        assert.ok(atraso >= 200 && atraso <= 400, `atraso ${atraso}`);
+    }
+});
+
+test('calcularBackoff respeita o atraso máximo', () => {
+    for (let i = 0; i < 200; i++) {
+        const atraso = calcularBackoff(20, 100, 1000);
+        assert.ok(atraso >= 500 && atraso <= 1000, `atraso ${atraso}`);
+    }
+});
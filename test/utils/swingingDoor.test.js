@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { criarEstadoCompressao, avaliarPonto, forcarPonto, liberarPendente } from '../../src/utils/swingingDoor.js';
+
+const MINUTO = 60000;
+const HORA = 60 * MINUTO;
+const DESVIOS = { temp: 0.2, hum: 2 };
+
+const ponto = (minuto, temp, hum = 50) => ({ ts: minuto * MINUTO, values: { temp, hum }, row: { minuto, temp, hum } });
+
+const comprimir = (pontos, desvios = DESVIOS, maxIntervaloMs = HORA) => {
+    const estado = criarEstadoCompressao();
+    const saida = pontos.flatMap(p => avaliarPonto(estado, p, desvios, maxIntervaloMs));
+    return { estado, saida };
+};
+
+test('o primeiro ponto é persistido como heartbeat', () => {
+    const { saida } = comprimir([ponto(0, -18)]);
+    assert.deepEqual(saida, [{ row: { minuto: 0, temp: -18, hum: 50 }, motivo: 'HEARTBEAT' }]);
+});
+
+test('pontos sobre uma reta ficam retidos', () => {
+    const { estado, saida } = comprimir(Array.from({ length: 30 }, (_, m) => ponto(m, -18 + m * 0.1)));
+    assert.equal(saida.length, 1);
+    assert.equal(estado.held.row.minuto, 29);
+});
+
+test('um degrau persiste o último ponto retido antes da mudança', () => {
+    const { estado, saida } = comprimir([ponto(0, -18), ponto(1, -18), ponto(2, -18.1), ponto(3, -15)]);
+    assert.deepEqual(saida.map(s => [s.row.minuto, s.motivo]), [[0, 'HEARTBEAT'], [2, 'CHANGE']]);
+    assert.equal(estado.held.row.minuto, 3);
+});
+
+test('basta uma grandeza violar as portas para persistir', () => {
+    const { saida } = comprimir([ponto(0, -18, 50), ponto(1, -18, 50), ponto(2, -18, 58)]);
+    assert.deepEqual(saida.map(s => [s.row.minuto, s.motivo]), [[0, 'HEARTBEAT'], [1, 'CHANGE']]);
+});
+
+test('a reta entre pontos persistidos reconstrói os intermediários dentro do desvio', () => {
+    // Passeio pseudoaleatório determinístico
+    let semente = 7;
+    const aleatorio = () => (semente = (semente * 16807) % 2147483647) / 2147483647;
+    let temp = -18;
+    const pontos = Array.from({ length: 500 }, (_, m) => ponto(m, (temp += (aleatorio() - 0.5) * 0.3)));
+
+    const { estado, saida } = comprimir(pontos, { temp: 0.2 }, 24 * HORA);
+    const arquivados = [...saida.map(s => s.row), ...liberarPendente(estado).map(s => s.row)];
+    assert.ok(arquivados.length < pontos.length / 3, `${arquivados.length} pontos persistidos`);
+
+    pontos.forEach(({ row }) => {
+        const fim = arquivados.findIndex(a => a.minuto >= row.minuto);
+        const b = arquivados[fim];
+        const a = arquivados[Math.max(0, fim - 1)];
+        const reconstruido = b.minuto === a.minuto ? a.temp :
+            a.temp + (b.temp - a.temp) * (row.minuto - a.minuto) / (b.minuto - a.minuto);
+        assert.ok(Math.abs(reconstruido - row.temp) <= 0.2 + 1e-9, `minuto ${row.minuto}: erro ${Math.abs(reconstruido - row.temp)}`);
+    });
+});
+
+test('persiste heartbeat ao atingir o intervalo máximo', () => {
+    const { saida } = comprimir(Array.from({ length: 31 }, (_, m) => ponto(m * 2, -18)), DESVIOS, HORA);
+    assert.deepEqual(saida.map(s => [s.row.minuto, s.motivo]), [[0, 'HEARTBEAT'], [60, 'HEARTBEAT']]);
+});
+
+test('pontos anteriores ao último persistido são ignorados', () => {
+    const estado = criarEstadoCompressao();
+    avaliarPonto(estado, ponto(5, -18), DESVIOS, HORA);
+    assert.deepEqual(avaliarPonto(estado, ponto(5, -10), DESVIOS, HORA), []);
+    assert.deepEqual(avaliarPonto(estado, ponto(3, -10), DESVIOS, HORA), []);
+    assert.equal(estado.held, null);
+});
+
+test('forcarPonto persiste o ponto retido e depois o ponto da transição', () => {
+    const { estado } = comprimir([ponto(0, -18), ponto(1, -18)]);
+    const saida = forcarPonto(estado, ponto(2, -4));
+
+    assert.deepEqual(saida.map(s => [s.row.minuto, s.motivo]), [[1, 'CHANGE'], [2, 'TRANSITION']]);
+    assert.equal(estado.archived.ts, 2 * MINUTO);
+    assert.deepEqual(liberarPendente(estado), []);
+});